@@ -3,8 +3,13 @@
  * Handles login and signup form submission and token management.
  */
 document.addEventListener('DOMContentLoaded', () => {
+    // Links from password reset and verification emails carry a token
+    const params = new URLSearchParams(window.location.search);
+    const resetToken = params.get('resetToken');
+    const verifyToken = params.get('verifyToken');
+
     // Check for existing token and redirect if the user is already logged in
-    if (localStorage.getItem('authToken')) {
+    if (localStorage.getItem('authToken') && !resetToken && !verifyToken) {
         // Check if user has completed journey onboarding
         checkJourneyStatusAndRedirect();
         return;
@@ -15,11 +20,37 @@ document.addEventListener('DOMContentLoaded', () => {
     const showSignupBtn = document.getElementById('show-signup');
     const showLoginBtn = document.getElementById('show-login');
 
+    const forgotView = document.getElementById('forgot-view');
+    const resetView = document.getElementById('reset-view');
+    const showForgotBtn = document.getElementById('show-forgot');
+    const forgotShowLoginBtn = document.getElementById('forgot-show-login');
+
     const loginForm = document.getElementById('loginForm');
     const signupForm = document.getElementById('signupForm');
+    const forgotForm = document.getElementById('forgotForm');
+    const resetForm = document.getElementById('resetForm');
     
     const errorMessageDiv = document.getElementById('error-message');
     const errorText = document.getElementById('error-text');
+    const successMessageDiv = document.getElementById('success-message');
+    const successText = document.getElementById('success-text');
+
+    const showView = (view) => {
+        [loginView, signupView, forgotView, resetView].forEach(v => v.classList.add('hidden'));
+        view.classList.remove('hidden');
+        errorMessageDiv.classList.add('hidden');
+        successMessageDiv.classList.add('hidden');
+    };
+
+    const showSuccess = (message) => {
+        successText.textContent = message;
+        successMessageDiv.classList.remove('hidden');
+    };
+
+    // Drop the token from the address bar so it isn't bookmarked or shared
+    const clearTokenFromUrl = () => {
+        window.history.replaceState({}, document.title, window.location.pathname);
+    };
 
     // --- View Toggling Logic ---
     showSignupBtn.addEventListener('click', (e) => {
@@ -36,6 +67,16 @@ document.addEventListener('DOMContentLoaded', () => {
         errorMessageDiv.classList.add('hidden');
     });
 
+    showForgotBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        showView(forgotView);
+    });
+
+    forgotShowLoginBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        showView(loginView);
+    });
+
     // --- Generic API Request Handler ---
     const handleApiRequest = async (url, body) => {
         try {
@@ -58,6 +99,47 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     };
     
+    // Logging in during the deletion grace period offers to cancel the deletion
+    // (POST /api/users/me/restore). Returns false if the account stays scheduled.
+    const restoreAccount = async (data) => {
+        const date = new Date(data.pendingDeletion.scheduledFor).toLocaleDateString();
+        if (!window.confirm(`Your account is scheduled for deletion on ${date}. Restore it and log in?`)) {
+            fetch('/api/auth/logout', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken: data.refreshToken })
+            }).catch(() => {});
+            showSuccess(`Your account will be deleted on ${date}.`);
+            return false;
+        }
+
+        const response = await fetch('/api/users/me/restore', {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${data.token}` }
+        });
+        if (!response.ok) {
+            errorText.textContent = 'Could not restore your account. Please try again.';
+            errorMessageDiv.classList.remove('hidden');
+            return false;
+        }
+        return true;
+    };
+
+    // --- Email Link Handling ---
+    if (resetToken) {
+        showView(resetView);
+    } else if (verifyToken) {
+        clearTokenFromUrl();
+        handleApiRequest('/api/auth/verify-email', { token: verifyToken }).then(data => {
+            if (data) {
+                const currentUser = JSON.parse(localStorage.getItem('user') || '{}');
+                currentUser.emailVerified = true;
+                localStorage.setItem('user', JSON.stringify(currentUser));
+                showSuccess(data.msg);
+            }
+        });
+    }
+
     // --- Form Submission Event Listeners ---
     loginForm.addEventListener('submit', async (e) => {
         e.preventDefault();
@@ -66,7 +148,12 @@ document.addEventListener('DOMContentLoaded', () => {
         const password = document.getElementById('login-password').value;
         const data = await handleApiRequest('/api/auth/login', { email, password });
         if (data && data.token) {
+            if (data.pendingDeletion && !(await restoreAccount(data))) {
+                return;
+            }
+
             localStorage.setItem('authToken', data.token);
+            localStorage.setItem('refreshToken', data.refreshToken);
             if (data.name) {
                 localStorage.setItem('userName', data.name);
             }
@@ -74,6 +161,7 @@ document.addEventListener('DOMContentLoaded', () => {
             // Store user data in the format expected by navigation system
             localStorage.setItem('user', JSON.stringify({
                 onboardingCompleted: data.onboardingCompleted,
+                emailVerified: data.emailVerified,
                 name: data.name,
                 email: email
             }));
@@ -83,6 +171,32 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    forgotForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        errorMessageDiv.classList.add('hidden');
+        const email = document.getElementById('forgot-email').value;
+        const data = await handleApiRequest('/api/auth/forgot-password', { email });
+        if (data) {
+            showView(loginView);
+            showSuccess(data.msg);
+        }
+    });
+
+    resetForm.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        errorMessageDiv.classList.add('hidden');
+        const password = document.getElementById('reset-password').value;
+        const data = await handleApiRequest('/api/auth/reset-password', { token: resetToken, password });
+        if (data) {
+            // Every session was revoked, including any in this browser
+            localStorage.removeItem('authToken');
+            localStorage.removeItem('refreshToken');
+            clearTokenFromUrl();
+            showView(loginView);
+            showSuccess(data.msg);
+        }
+    });
+
     signupForm.addEventListener('submit', async (e) => {
         e.preventDefault();
         errorMessageDiv.classList.add('hidden');
@@ -103,11 +217,13 @@ document.addEventListener('DOMContentLoaded', () => {
             console.log('✅ Token received, storing user data...');
             
             localStorage.setItem('authToken', data.token);
+            localStorage.setItem('refreshToken', data.refreshToken);
             localStorage.setItem('userName', name);
             
             // Store user data in the format expected by navigation system
             localStorage.setItem('user', JSON.stringify({
                 onboardingCompleted: data.onboardingCompleted || false,
+                emailVerified: false,
                 name: name,
                 email: email
             }));
@@ -169,13 +169,13 @@ class MCPIntegration {
               <h4>Goals</h4>
               <p>Total: ${analysis.goals.total}</p>
               <p>Completed: ${analysis.goals.completed}</p>
-              <p>Rate: ${analysis.goals.completionRate}</p>
+              <p>Rate: ${analysis.goals.completionRate}%</p>
             </div>
             <div class="metric-card">
               <h4>Tasks</h4>
               <p>Total: ${analysis.tasks.total}</p>
               <p>Completed: ${analysis.tasks.completed}</p>
-              <p>Rate: ${analysis.tasks.completionRate}</p>
+              <p>Rate: ${analysis.tasks.completionRate}%</p>
             </div>
             ${analysis.journey ? `
             <div class="metric-card">
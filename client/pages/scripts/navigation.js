@@ -325,9 +325,15 @@ class NavigationComponent {
         const logoutButtons = document.querySelectorAll('#logout-button, #mobile-logout-button');
         
         logoutButtons.forEach(button => {
-            button.addEventListener('click', () => {
+            button.addEventListener('click', async () => {
+                // End the session on the server before clearing local data
+                if (window.KarviaSession) {
+                    await window.KarviaSession.logout();
+                }
+
                 // Clear all authentication and user data
                 localStorage.removeItem('authToken');
+                localStorage.removeItem('refreshToken');
                 localStorage.removeItem('user');
                 localStorage.removeItem('userName');
                 localStorage.removeItem('onboardingCompleted');
@@ -0,0 +1,110 @@
+/**
+ * session.js
+ * Keeps the short-lived access token fresh.
+ *
+ * Wraps window.fetch: when an authenticated /api request comes back 401, the
+ * refresh token is exchanged for a new pair (POST /api/auth/refresh) and the
+ * request is retried once. Concurrent 401s share one refresh. If another tab
+ * rotated the token first (409), the tokens it stored are picked up instead.
+ * Load this before any script that calls the API.
+ */
+
+(function () {
+    const originalFetch = window.fetch.bind(window);
+    let refreshPromise = null;
+
+    function clearSession() {
+        localStorage.removeItem('authToken');
+        localStorage.removeItem('refreshToken');
+        localStorage.removeItem('user');
+        localStorage.removeItem('userName');
+    }
+
+    function wait(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    async function refreshTokens() {
+        const refreshToken = localStorage.getItem('refreshToken');
+        if (!refreshToken) return null;
+
+        const response = await originalFetch('/api/auth/refresh', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        });
+
+        if (response.status === 409) {
+            // Another tab refreshed at the same time; use what it stored
+            await wait(500);
+            const latest = localStorage.getItem('refreshToken');
+            return latest && latest !== refreshToken ? localStorage.getItem('authToken') : null;
+        }
+
+        if (!response.ok) {
+            clearSession();
+            return null;
+        }
+
+        const data = await response.json();
+        localStorage.setItem('authToken', data.token);
+        localStorage.setItem('refreshToken', data.refreshToken);
+        return data.token;
+    }
+
+    function getAuthorization(init) {
+        const headers = init && init.headers;
+        if (!headers) return null;
+        if (headers instanceof Headers) return headers.get('Authorization');
+        return headers.Authorization || headers.authorization || null;
+    }
+
+    function withToken(init, token) {
+        const headers = new Headers(init.headers);
+        headers.set('Authorization', `Bearer ${token}`);
+        return { ...init, headers };
+    }
+
+    window.fetch = async function (input, init = {}) {
+        const response = await originalFetch(input, init);
+
+        const url = typeof input === 'string' ? input : input.url;
+        const isApi = url.startsWith('/api/') || url.startsWith(`${window.location.origin}/api/`);
+        const isAuthEndpoint = url.includes('/api/auth/refresh') || url.includes('/api/auth/login');
+
+        if (response.status !== 401 || !isApi || isAuthEndpoint || !getAuthorization(init)) {
+            return response;
+        }
+
+        if (!refreshPromise) {
+            refreshPromise = refreshTokens().finally(() => {
+                refreshPromise = null;
+            });
+        }
+
+        const token = await refreshPromise;
+        return token ? originalFetch(input, withToken(init, token)) : response;
+    };
+
+    window.KarviaSession = {
+        refresh: refreshTokens,
+        clear: clearSession,
+
+        // End this session on the server as well as locally
+        async logout() {
+            const refreshToken = localStorage.getItem('refreshToken');
+            if (refreshToken) {
+                try {
+                    await originalFetch('/api/auth/logout', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({ refreshToken })
+                    });
+                } catch (error) {
+                    console.warn('Logout request failed:', error);
+                }
+            }
+            clearSession();
+        }
+    };
+})();
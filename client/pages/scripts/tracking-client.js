@@ -132,21 +132,6 @@ class TrackingClient {
         this.track('task_skipped', eventData);
     }
     
-    /**
-     * Track reflection submission
-     * @param {string} content - Reflection content
-     * @param {string} sentiment - Sentiment analysis result
-     */
-    trackReflection(content, sentiment = null) {
-        const eventData = { 
-            content: content.substring(0, 1000), // Limit content length
-            wordCount: content.split(' ').length
-        };
-        if (sentiment) eventData.sentiment = sentiment;
-        
-        this.track('reflection_submitted', eventData);
-    }
-    
     /**
      * Track plan generation
      * @param {string} planId - Plan identifier
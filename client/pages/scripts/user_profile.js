@@ -1088,7 +1088,7 @@ class UserProfileManager {
                 const url = window.URL.createObjectURL(blob);
                 const a = document.createElement('a');
                 a.href = url;
-                a.download = `manifestor-profile-${new Date().toISOString().split('T')[0]}.json`;
+                a.download = `manifestor-export-${new Date().toISOString().split('T')[0]}.json`;
                 a.click();
                 window.URL.revokeObjectURL(url);
                 
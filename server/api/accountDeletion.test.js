@@ -0,0 +1,135 @@
+const express = require('express');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+    req.user = { id: '64b000000000000000000001' };
+    next();
+});
+
+jest.mock('../utils/trackingUtils', () => ({
+    trackEngagement: jest.fn().mockResolvedValue(null)
+}));
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const TrackingEvent = require('../models/TrackingEvent');
+const AccountDeletionAudit = require('../models/AccountDeletionAudit');
+const { VisionData } = require('../models/visionData');
+const eventStore = require('../services/eventStore');
+const accountDeletionService = require('../services/accountDeletionService');
+const { PURGE_COLLECTIONS, hashEmail } = require('../services/accountDeletionService');
+const router = require('../routes/users');
+
+const userId = new mongoose.Types.ObjectId('64b000000000000000000001');
+
+function buildApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/users', router);
+    return app;
+}
+
+describe('DELETE /api/users/me', () => {
+    let user;
+
+    beforeEach(async () => {
+        user = {
+            _id: userId,
+            password: await bcrypt.hash('correct-horse', 4),
+            deletion: {},
+            save: jest.fn().mockResolvedValue(true)
+        };
+        jest.spyOn(User, 'findById').mockResolvedValue(user);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('requires the password', async () => {
+        const res = await request(buildApp()).delete('/api/users/me').send({});
+
+        expect(res.status).toBe(400);
+        expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('rejects a wrong password', async () => {
+        const res = await request(buildApp()).delete('/api/users/me').send({ password: 'nope' });
+
+        expect(res.status).toBe(401);
+        expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it('schedules deletion after the grace period', async () => {
+        const res = await request(buildApp()).delete('/api/users/me').send({ password: 'correct-horse' });
+
+        expect(res.status).toBe(202);
+        expect(user.save).toHaveBeenCalled();
+
+        const graceMs = accountDeletionService.getGraceDays() * 24 * 60 * 60 * 1000;
+        const scheduledFor = new Date(res.body.data.scheduledFor).getTime();
+        expect(scheduledFor - user.deletion.requestedAt.getTime()).toBe(graceMs);
+    });
+
+    it('restores a pending deletion', async () => {
+        user.deletion = { requestedAt: new Date(), scheduledFor: new Date() };
+
+        const res = await request(buildApp()).post('/api/users/me/restore');
+
+        expect(res.status).toBe(200);
+        expect(user.deletion.scheduledFor).toBeNull();
+    });
+});
+
+describe('accountDeletionService.purgeUser', () => {
+    const user = {
+        _id: userId,
+        email: 'User@Example.com ',
+        resumes: [{ path: '/nonexistent/resume.pdf' }],
+        deletion: { requestedAt: new Date('2025-01-01'), scheduledFor: new Date('2025-01-31') }
+    };
+
+    beforeEach(() => {
+        jest.spyOn(VisionData, 'find').mockReturnValue({
+            select: () => ({ lean: () => Promise.resolve([]) })
+        });
+        PURGE_COLLECTIONS.forEach(collection => {
+            jest.spyOn(collection.model, 'deleteMany').mockResolvedValue({ deletedCount: 2 });
+            jest.spyOn(collection.model, 'countDocuments').mockResolvedValue(0);
+        });
+        jest.spyOn(eventStore, 'deleteUserEvents').mockResolvedValue(5);
+        jest.spyOn(TrackingEvent, 'countDocuments').mockResolvedValue(0);
+        jest.spyOn(User, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+        jest.spyOn(User, 'countDocuments').mockResolvedValue(0);
+        jest.spyOn(AccountDeletionAudit, 'create').mockImplementation(async doc => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('deletes every collection and records a completed audit', async () => {
+        const audit = await accountDeletionService.purgeUser(user);
+
+        PURGE_COLLECTIONS.forEach(collection => {
+            expect(collection.model.deleteMany).toHaveBeenCalled();
+        });
+        expect(User.deleteOne).toHaveBeenCalledWith({ _id: userId });
+        expect(audit.status).toBe('completed');
+        expect(audit.deletedCounts.trackingEvents).toBe(5);
+        expect(audit.deletedCounts.sessions).toBe(2);
+        expect(audit.deletedCounts.users).toBe(1);
+        expect(audit.filesMissing).toBe(1);
+        expect(audit.emailHash).toBe(hashEmail('user@example.com'));
+    });
+
+    it('records a failed audit when documents remain', async () => {
+        PURGE_COLLECTIONS[0].model.countDocuments.mockResolvedValue(3);
+
+        const audit = await accountDeletionService.purgeUser(user);
+
+        expect(audit.status).toBe('failed');
+        expect(audit.error).toMatch(/remained/);
+    });
+});
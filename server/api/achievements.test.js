@@ -0,0 +1,195 @@
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+    req.user = { id: '64b000000000000000000001' };
+    next();
+});
+
+jest.mock('../utils/trackingUtils', () => ({
+    trackAuth: jest.fn().mockResolvedValue(undefined),
+    trackTaskGoal: jest.fn().mockResolvedValue(undefined),
+    trackJourney: jest.fn().mockResolvedValue(undefined),
+    trackEngagement: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../services/eventStore', () => ({
+    record: jest.fn(),
+    getUserEvents: jest.fn(),
+    getUserEventStats: jest.fn(),
+    getQueueSize: jest.fn().mockReturnValue(0)
+}));
+
+const Achievement = require('../models/Achievement');
+const RewardLedger = require('../models/RewardLedger');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Reflection = require('../models/Reflection');
+const checkInService = require('../services/checkInService');
+const achievementService = require('../services/achievementService');
+const habitLoopEngine = require('../services/habitLoopEngine');
+const nudgeQueue = require('../services/nudgeQueue');
+const achievementRoutes = require('../routes/achievements');
+const { chain, buildApp } = require('../../test/helpers');
+
+const userId = '64b000000000000000000001';
+
+// In-memory stand-in for the Achievement collection and its unique index
+function mockAchievements(initial = []) {
+    const store = new Map(initial.map(achievement => [achievement.badgeId, achievement]));
+    jest.spyOn(Achievement, 'find').mockImplementation(() => chain([...store.values()]));
+    jest.spyOn(Achievement, 'updateOne').mockImplementation(async (filter, update) => {
+        if (store.has(filter.badgeId)) return { upsertedCount: 0, matchedCount: 1 };
+        store.set(filter.badgeId, { badgeId: filter.badgeId, ...update.$setOnInsert });
+        return { upsertedCount: 1, matchedCount: 0 };
+    });
+    return store;
+}
+
+function mockStats({ tasksCompleted = 0, reflections = 0, streak = 0, userStage = 'discovery' } = {}) {
+    const user = { _id: userId, id: userId, userStage, stageData: new Map() };
+    jest.spyOn(User, 'findById').mockReturnValue(chain(user));
+    jest.spyOn(Task, 'countDocuments').mockResolvedValue(tasksCompleted);
+    jest.spyOn(checkInService, 'getStreak').mockResolvedValue({ current: streak, longest: streak });
+    jest.spyOn(Reflection, 'countDocuments').mockResolvedValue(reflections);
+    return user;
+}
+
+const routes = { '/api/achievements': achievementRoutes };
+
+describe('Achievements', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(Notification, 'create').mockImplementation(async notification => notification);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('awards a badge only once', async () => {
+        mockAchievements();
+
+        const first = await achievementService.awardBadge(userId, 'first_steps', { action: 'task_completed' }, 3);
+        const second = await achievementService.awardBadge(userId, 'first_steps', { action: 'task_completed' }, 4);
+
+        expect(first).toMatchObject({ awarded: true, badge: { id: 'first_steps', name: 'First Steps Taken' } });
+        expect(first.badge.earnedAt).toBeInstanceOf(Date);
+        expect(second.awarded).toBe(false);
+        expect(Notification.create).toHaveBeenCalledTimes(1);
+        expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+            user: userId,
+            type: 'badge',
+            data: { badgeId: 'first_steps' },
+            dedupeKey: `badge:${userId}:first_steps`
+        }));
+        expect(Achievement.updateOne).toHaveBeenCalledWith(
+            { user: userId, badgeId: 'first_steps' },
+            { $setOnInsert: expect.objectContaining({ metricValue: 3 }) },
+            { upsert: true }
+        );
+
+        // A concurrent award that lost the race on the unique index
+        Achievement.updateOne.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+        expect((await achievementService.awardBadge(userId, 'century')).awarded).toBe(false);
+
+        await expect(achievementService.awardBadge(userId, 'made_up')).rejects.toThrow('Unknown badge: made_up');
+    });
+
+    test('evaluates every reached badge and skips earned ones', async () => {
+        mockAchievements([{ badgeId: 'first_steps', earnedAt: new Date('2026-01-01') }]);
+
+        const awarded = await achievementService.evaluateBadges(userId, { action: 'task_completed' }, {
+            tasksCompleted: 30,
+            longestStreak: 7,
+            stagesCompleted: 1,
+            reflections: 0
+        });
+
+        expect(awarded.map(badge => badge.id)).toEqual(['steady_hands', '3_day_streak', 'week_streak', 'stage_1_complete']);
+        expect(Achievement.updateOne).not.toHaveBeenCalledWith(expect.objectContaining({ badgeId: 'first_steps' }), expect.anything(), expect.anything());
+    });
+
+    test('does not award First Steps again on later completions', async () => {
+        mockStats({ tasksCompleted: 3 });
+        mockAchievements();
+        jest.spyOn(habitLoopEngine, 'analyzeUserState').mockResolvedValue({ stage: 'discovery', currentStreak: 0 });
+        jest.spyOn(RewardLedger, 'create').mockImplementation(async entry => entry);
+        jest.spyOn(Math, 'random').mockReturnValue(0.9);
+        jest.spyOn(nudgeQueue, 'scheduleNext').mockResolvedValue({});
+        jest.spyOn(nudgeQueue, 'getNext').mockResolvedValue(null);
+
+        const first = await habitLoopEngine.processAction(userId, { type: 'task_completed' });
+        expect(first.data.reward).toMatchObject({ type: 'badge', badge: { id: 'first_steps' }, additionalBadges: [] });
+
+        const second = await habitLoopEngine.processAction(userId, { type: 'task_completed' });
+        expect(second.data.reward.type).toBe('encouragement');
+
+        expect(RewardLedger.create).toHaveBeenCalledTimes(2);
+        expect(RewardLedger.create).toHaveBeenNthCalledWith(1, expect.objectContaining({
+            user: userId,
+            kind: 'reward',
+            type: 'badge',
+            badgeId: 'first_steps',
+            cause: { action: 'task_completed' }
+        }));
+        expect(RewardLedger.create).toHaveBeenNthCalledWith(2, expect.objectContaining({ type: 'encouragement', badgeId: null }));
+    });
+
+    test('records triggers in the ledger', async () => {
+        mockStats();
+        jest.spyOn(habitLoopEngine, 'analyzeUserState').mockResolvedValue({ stage: 'discovery', currentStreak: 0 });
+        jest.spyOn(habitLoopEngine, 'determineTriggerType').mockReturnValue('progress_check');
+        jest.spyOn(habitLoopEngine, 'createTrigger').mockResolvedValue({ type: 'progress_check', message: 'How is it going?' });
+        jest.spyOn(RewardLedger, 'create').mockImplementation(async entry => entry);
+
+        const result = await habitLoopEngine.generateTrigger(userId, 'morning');
+
+        expect(result.success).toBe(true);
+        expect(RewardLedger.create).toHaveBeenCalledWith(expect.objectContaining({
+            kind: 'trigger',
+            type: 'progress_check',
+            cause: { context: 'morning', stage: 'discovery' }
+        }));
+    });
+
+    test('GET /api/achievements lists earned and locked badges with progress', async () => {
+        mockStats({ tasksCompleted: 10, streak: 4, reflections: 2, userStage: 'onboarding' });
+        mockAchievements([
+            { badgeId: 'first_steps', earnedAt: new Date('2026-01-02'), trigger: { action: 'task_completed' } },
+            { badgeId: 'stage_1_complete', earnedAt: new Date('2026-01-01'), trigger: {} }
+        ]);
+
+        const res = await request(buildApp(routes)).get('/api/achievements');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.earned.map(badge => badge.id)).toEqual(['first_steps', 'stage_1_complete']);
+        expect(res.body.data.earned[0]).not.toHaveProperty('target');
+        expect(res.body.data.totals).toEqual({ earned: 2, available: 13 });
+
+        const locked = Object.fromEntries(res.body.data.locked.map(badge => [badge.id, badge.progress]));
+        expect(locked.first_steps).toBeUndefined();
+        expect(locked.steady_hands).toEqual({ metric: 'tasksCompleted', current: 10, target: 25, percentage: 40 });
+        expect(locked['3_day_streak']).toEqual({ metric: 'longestStreak', current: 3, target: 3, percentage: 100 });
+        expect(locked.storyteller.percentage).toBe(40);
+        expect(Reflection.countDocuments).toHaveBeenCalledWith({ user: userId });
+    });
+
+    test('GET /api/achievements/history returns the ledger and validates filters', async () => {
+        const entries = [{ kind: 'reward', type: 'badge', badgeId: 'first_steps' }];
+        const findSpy = jest.spyOn(RewardLedger, 'find').mockReturnValue(chain(entries));
+
+        const res = await request(buildApp(routes)).get('/api/achievements/history?kind=reward&before=2026-02-01');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toEqual(entries);
+        expect(findSpy).toHaveBeenCalledWith({
+            user: userId,
+            kind: 'reward',
+            createdAt: { $lt: new Date('2026-02-01') }
+        });
+
+        expect((await request(buildApp(routes)).get('/api/achievements/history?kind=badge')).status).toBe(400);
+        expect((await request(buildApp(routes)).get('/api/achievements/history?before=soon')).status).toBe(400);
+    });
+});
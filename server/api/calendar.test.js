@@ -0,0 +1,94 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+    req.user = { id: '64b000000000000000000001' };
+    next();
+});
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const WeeklyGoal = require('../models/WeeklyGoal');
+const Journey = require('../models/Journey');
+const { hashToken, buildRecurrence } = require('../services/calendarFeedService');
+const ical = require('../utils/icalendar');
+const router = require('../routes/calendar');
+
+const userId = new mongoose.Types.ObjectId('64b000000000000000000001');
+
+function buildApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/calendar', router);
+    return app;
+}
+
+describe('/api/calendar/feed', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('creates a feed URL and stores only the token hash', async () => {
+        const update = jest.spyOn(User, 'findByIdAndUpdate').mockResolvedValue({ _id: userId });
+
+        const res = await request(buildApp()).post('/api/calendar/feed');
+
+        expect(res.status).toBe(201);
+        const token = res.body.data.url.match(/\/api\/calendar\/feed\/([\w-]+)\.ics$/)[1];
+        expect(update.mock.calls[0][1].$set['calendarFeed.tokenHash']).toBe(hashToken(token));
+    });
+
+    it('returns 404 for an unknown token', async () => {
+        jest.spyOn(User, 'findOne').mockReturnValue({ select: () => Promise.resolve(null) });
+
+        const res = await request(buildApp()).get('/api/calendar/feed/not-a-token.ics');
+
+        expect(res.status).toBe(404);
+    });
+
+    it('serves tasks and sprint days as an iCalendar feed', async () => {
+        const goal = { _id: new mongoose.Types.ObjectId(), title: 'Launch, soon', weekOf: new Date() };
+        const findOne = jest.spyOn(User, 'findOne').mockReturnValue({
+            select: () => Promise.resolve({ _id: userId, name: 'Sam' })
+        });
+        jest.spyOn(WeeklyGoal, 'find').mockResolvedValue([goal]);
+        jest.spyOn(Task, 'find').mockResolvedValue([
+            { _id: new mongoose.Types.ObjectId(), goal: goal._id, name: 'Stretch', day: 'Wed', estTime: 10, repeatType: 'daily' },
+            { _id: new mongoose.Types.ObjectId(), goal: goal._id, name: 'Write post', day: 'Fri', estTime: 45, repeatType: 'none', completed: true }
+        ]);
+        jest.spyOn(Journey, 'find').mockResolvedValue([{
+            _id: new mongoose.Types.ObjectId(),
+            dreamText: 'Become a designer',
+            startDate: new Date('2030-06-03T15:00:00Z'),
+            sprints: [{ sprintNumber: 1, name: 'Foundations', week: 1, days: [1, 2], status: 'active' }]
+        }]);
+
+        const res = await request(buildApp()).get('/api/calendar/feed/secret-token.ics');
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toMatch(/text\/calendar/);
+        expect(findOne).toHaveBeenCalledWith({ 'calendarFeed.tokenHash': hashToken('secret-token') });
+
+        const { components } = ical.parseComponents(res.text, ['VEVENT']);
+        expect(components).toHaveLength(4);
+
+        const [stretch, post, day1, day2] = components;
+        expect(ical.getText(stretch, 'RRULE')).toMatch(/^FREQ=DAILY;UNTIL=\d{8}$/);
+        expect(ical.getText(stretch, 'CATEGORIES')).toBe('Launch, soon');
+        expect(ical.getText(post, 'SUMMARY')).toBe('✓ Write post');
+        expect(ical.getDate(day1, 'DTSTART')).toEqual({ date: new Date('2030-06-03T00:00:00Z'), allDay: true });
+        expect(ical.getDate(day2, 'DTSTART').date).toEqual(new Date('2030-06-04T00:00:00Z'));
+        expect(res.text.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    });
+});
+
+describe('buildRecurrence', () => {
+    it('ends repeats with the task week', () => {
+        const monday = new Date('2030-06-03T00:00:00Z');
+
+        expect(buildRecurrence('none', monday)).toBeNull();
+        expect(buildRecurrence('daily', monday)).toBe('FREQ=DAILY;UNTIL=20300609');
+        expect(buildRecurrence('alternate', monday)).toBe('FREQ=DAILY;INTERVAL=2;UNTIL=20300609');
+    });
+});
@@ -0,0 +1,114 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+    req.user = { id: 'user123' };
+    next();
+});
+
+jest.mock('../models/User');
+jest.mock('../models/CheckIn');
+
+const checkInService = require('../services/checkInService');
+const StageManager = require('../services/stageManager');
+const notificationService = require('../services/notificationService');
+const habitLoopEngine = require('../services/habitLoopEngine');
+const { getLocalDate, computeStreaks, addDays } = require('../services/checkInService');
+const router = require('../routes/checkin');
+
+describe('check-in date helpers', () => {
+    it('computes the calendar day in the user\'s timezone', () => {
+        const instant = new Date('2025-03-10T02:30:00Z');
+
+        expect(getLocalDate(instant, 'UTC')).toBe('2025-03-10');
+        expect(getLocalDate(instant, 'America/Los_Angeles')).toBe('2025-03-09');
+        expect(getLocalDate(instant, 'Asia/Tokyo')).toBe('2025-03-10');
+        expect(getLocalDate(instant, 'Not/AZone')).toBe('2025-03-10');
+    });
+
+    it('keeps a streak across a DST change', () => {
+        // US clocks spring forward on 2025-03-09; evening check-ins stay on consecutive days
+        const checkIns = [
+            new Date('2025-03-08T04:30:00Z'), // Mar 7, 8:30pm PST
+            new Date('2025-03-09T04:30:00Z'), // Mar 8, 8:30pm PST
+            new Date('2025-03-10T03:30:00Z')  // Mar 9, 8:30pm PDT (23 hours later)
+        ].map(date => getLocalDate(date, 'America/Los_Angeles'));
+
+        expect(checkIns).toEqual(['2025-03-07', '2025-03-08', '2025-03-09']);
+        expect(computeStreaks(checkIns, '2025-03-09')).toEqual({ current: 3, longest: 3, lastDate: '2025-03-09' });
+    });
+
+    it('keeps the current streak alive until the end of the next day', () => {
+        const dates = ['2025-01-01', '2025-01-02', '2025-01-04', '2025-01-05'];
+
+        expect(computeStreaks(dates, '2025-01-06').current).toBe(2);
+        expect(computeStreaks(dates, '2025-01-07').current).toBe(0);
+        expect(computeStreaks(dates, '2025-01-07').longest).toBe(2);
+    });
+
+    it('counts a grace day as part of the streak', () => {
+        const dates = ['2025-01-01', '2025-01-02', '2025-01-04'];
+        const withGrace = [...dates, '2025-01-03'];
+
+        expect(computeStreaks(dates, '2025-01-04').current).toBe(1);
+        expect(computeStreaks(withGrace, '2025-01-04').current).toBe(4);
+    });
+
+    it('shifts dates across month boundaries', () => {
+        expect(addDays('2025-03-01', -1)).toBe('2025-02-28');
+        expect(addDays('2024-12-31', 1)).toBe('2025-01-01');
+    });
+});
+
+describe('POST /api/checkin', () => {
+    function buildApp() {
+        const app = express();
+        app.use(express.json());
+        app.use('/api/checkin', router);
+        return app;
+    }
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('rejects an unknown timezone', async () => {
+        const spy = jest.spyOn(checkInService, 'checkIn');
+
+        const res = await request(buildApp())
+            .post('/api/checkin')
+            .send({ timezone: 'Mars/Olympus_Mons' });
+
+        expect(res.status).toBe(400);
+        expect(spy).not.toHaveBeenCalled();
+    });
+
+    it('feeds the day\'s first check-in to the habit loop', async () => {
+        jest.spyOn(StageManager.prototype, 'updateCheckInStreak')
+            .mockResolvedValueOnce({ streakUpdated: true, streakCount: 2, localDate: '2025-03-10', message: 'Checked in' })
+            .mockResolvedValueOnce({ streakUpdated: false, streakCount: 2, localDate: '2025-03-10', message: 'Already checked in' });
+        jest.spyOn(StageManager.prototype, 'generateDashboardMessage').mockResolvedValue({ message: 'Keep going' });
+        jest.spyOn(StageManager.prototype, 'checkPathwayUnlock').mockResolvedValue({ unlocked: false });
+        jest.spyOn(notificationService, 'notify').mockResolvedValue({});
+        const processAction = jest.spyOn(habitLoopEngine, 'processAction').mockResolvedValue({ success: true });
+
+        const first = await request(buildApp()).post('/api/checkin').send({});
+        const second = await request(buildApp()).post('/api/checkin').send({});
+
+        expect(first.status).toBe(200);
+        expect(second.status).toBe(200);
+        expect(processAction.mock.calls).toEqual([['user123', { type: 'check_in' }]]);
+    });
+
+    it('rejects a malformed grace date', async () => {
+        const User = require('../models/User');
+        User.findById.mockResolvedValue({ timezone: 'UTC' });
+
+        const res = await request(buildApp())
+            .post('/api/checkin/grace')
+            .send({ date: 'yesterday' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.message).toMatch(/YYYY-MM-DD/);
+    });
+});
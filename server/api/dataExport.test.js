@@ -0,0 +1,172 @@
+const express = require('express');
+const request = require('supertest');
+const zlib = require('zlib');
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+    req.user = { id: '64b000000000000000000001' };
+    next();
+});
+
+jest.mock('../utils/trackingUtils', () => ({
+    trackEngagement: jest.fn().mockResolvedValue(null)
+}));
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const dataExportService = require('../services/dataExportService');
+const { USER_COLLECTIONS, toCsvCell } = require('../services/dataExportService');
+const router = require('../routes/users');
+
+const userId = new mongoose.Types.ObjectId('64b000000000000000000001');
+
+function buildApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/users', router);
+    return app;
+}
+
+function mockCursor(docs) {
+    return {
+        sort: () => ({
+            lean: () => ({
+                cursor: () => (async function* () { yield* docs; })()
+            })
+        })
+    };
+}
+
+function binaryParser(res, callback) {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+// Read entries back through the central directory
+function readZip(buffer) {
+    const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = buffer.readUInt16LE(end + 10);
+    let pointer = buffer.readUInt32LE(end + 16);
+    const files = {};
+
+    for (let i = 0; i < count; i++) {
+        const compressedSize = buffer.readUInt32LE(pointer + 20);
+        const nameLength = buffer.readUInt16LE(pointer + 28);
+        const offset = buffer.readUInt32LE(pointer + 42);
+        const name = buffer.toString('utf8', pointer + 46, pointer + 46 + nameLength);
+        const dataStart = offset + 30 + buffer.readUInt16LE(offset + 26);
+        files[name] = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize)).toString('utf8');
+        pointer += 46 + nameLength;
+    }
+    return files;
+}
+
+describe('GET /api/users/export', () => {
+    const user = {
+        _id: userId,
+        email: 'user@example.com',
+        password: 'hashed',
+        fullName: 'Test User',
+        resumes: []
+    };
+    const task = {
+        _id: new mongoose.Types.ObjectId(),
+        user: userId,
+        name: 'Write "hello", world',
+        completed: true,
+        createdAt: new Date('2025-01-02T03:04:05Z')
+    };
+
+    beforeEach(() => {
+        jest.spyOn(User, 'findById').mockReturnValue({ lean: () => Promise.resolve(user) });
+        USER_COLLECTIONS.forEach(collection => {
+            jest.spyOn(collection.model, 'find').mockReturnValue(mockCursor([]));
+        });
+        Task.find.mockReturnValue(mockCursor([task]));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('does not need a verified email, even when verification is required', async () => {
+        process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+        try {
+            const res = await request(buildApp()).get('/api/users/export');
+            expect(res.status).toBe(200);
+        } finally {
+            delete process.env.REQUIRE_EMAIL_VERIFICATION;
+        }
+    });
+
+    it('streams a versioned JSON bundle without credentials', async () => {
+        const res = await request(buildApp()).get('/api/users/export');
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-disposition']).toMatch(/manifestor-export-.*\.json/);
+
+        const bundle = JSON.parse(res.text);
+        expect(bundle.schema).toEqual(dataExportService.getSchema());
+        expect(bundle.profile.email).toBe('user@example.com');
+        expect(bundle.profile.password).toBeUndefined();
+        expect(Object.keys(bundle.collections)).toEqual(USER_COLLECTIONS.map(c => c.name));
+        expect(bundle.collections.tasks).toHaveLength(1);
+        expect(bundle.collections.tasks[0].name).toBe(task.name);
+    });
+
+    it('streams a zip of CSVs with a manifest', async () => {
+        const res = await request(buildApp())
+            .get('/api/users/export?format=csv')
+            .buffer(true)
+            .parse(binaryParser);
+
+        expect(res.status).toBe(200);
+        expect(res.headers['content-type']).toBe('application/zip');
+
+        const files = readZip(res.body);
+        const manifest = JSON.parse(files['manifest.json']);
+        expect(manifest.collections.tasks.records).toBe(1);
+        expect(manifest.collections.reflections.records).toBe(0);
+
+        const [header, row] = files['tasks.csv'].trim().split('\r\n');
+        expect(header.split(',')[0]).toBe('_id');
+        expect(row).toContain('"Write ""hello"", world"');
+        expect(row).toContain('2025-01-02T03:04:05.000Z');
+        expect(JSON.parse(files['profile.json']).password).toBeUndefined();
+    });
+
+    it('rejects unknown formats', async () => {
+        const res = await request(buildApp()).get('/api/users/export?format=xml');
+
+        expect(res.status).toBe(400);
+    });
+
+    it('returns 404 for a missing user', async () => {
+        User.findById.mockReturnValue({ lean: () => Promise.resolve(null) });
+
+        const res = await request(buildApp()).get('/api/users/export');
+
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('toCsvCell', () => {
+    it('quotes and serialises values', () => {
+        expect(toCsvCell(null)).toBe('');
+        expect(toCsvCell('plain')).toBe('plain');
+        expect(toCsvCell('a\nb')).toBe('"a\nb"');
+        expect(toCsvCell(['x', 'y'])).toBe('"[""x"",""y""]"');
+    });
+
+    it('defuses text that spreadsheets would run as a formula', () => {
+        expect(toCsvCell('=HYPERLINK("http://evil.example","x")')).toBe('"\'=HYPERLINK(""http://evil.example"",""x"")"');
+        expect(toCsvCell('+1')).toBe("'+1");
+        expect(toCsvCell('-2+3')).toBe("'-2+3");
+        expect(toCsvCell('@SUM(A1)')).toBe("'@SUM(A1)");
+        expect(toCsvCell('\tcmd')).toBe("'\tcmd");
+        expect(toCsvCell('\rcmd')).toBe('"\'\rcmd"');
+        expect(toCsvCell(-5)).toBe('-5');
+        expect(toCsvCell('a=b')).toBe('a=b');
+    });
+});
@@ -0,0 +1,146 @@
+const express = require('express');
+const request = require('supertest');
+
+process.env.EMAIL_UNSUBSCRIBE_SECRET = 'test-unsubscribe-secret';
+process.env.APP_URL = 'https://app.example.com';
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+    req.user = {
+        id: '64b000000000000000000001',
+        email: req.header('X-Test-Email') || 'user@example.com',
+        emailVerified: req.header('X-Test-Unverified') !== 'true'
+    };
+    next();
+});
+
+jest.mock('../utils/trackingUtils', () => ({
+    trackAuth: jest.fn().mockResolvedValue(undefined),
+    trackTaskGoal: jest.fn().mockResolvedValue(undefined),
+    trackJourney: jest.fn().mockResolvedValue(undefined),
+    trackEngagement: jest.fn().mockResolvedValue(undefined)
+}));
+
+const User = require('../models/User');
+const emailService = require('../services/emailService');
+const reminderScheduler = require('../services/reminderScheduler');
+const emailRoutes = require('../routes/email');
+const { createUnsubscribeToken, verifyUnsubscribeToken, getUnsubscribeUrl } = require('../utils/unsubscribeToken');
+
+const userId = '64b000000000000000000001';
+
+function buildApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/email', emailRoutes);
+    return app;
+}
+
+describe('Email routes', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        delete process.env.ADMIN_EMAILS;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('signs unsubscribe tokens and rejects tampered ones', () => {
+        const token = createUnsubscribeToken(userId);
+        expect(verifyUnsubscribeToken(token)).toBe(userId);
+
+        const [, signature] = token.split('.');
+        expect(verifyUnsubscribeToken(`64b000000000000000000002.${signature}`)).toBeNull();
+        expect(verifyUnsubscribeToken(`${userId}.${signature.slice(1)}`)).toBeNull();
+        expect(verifyUnsubscribeToken(userId)).toBeNull();
+        expect(verifyUnsubscribeToken(undefined)).toBeNull();
+
+        expect(getUnsubscribeUrl(userId)).toBe(`https://app.example.com/api/email/unsubscribe?token=${encodeURIComponent(token)}`);
+    });
+
+    test('the unsubscribe link asks for confirmation and POST unsubscribes without login', async () => {
+        const updateSpy = jest.spyOn(User, 'findByIdAndUpdate').mockReturnValue({
+            select: jest.fn().mockResolvedValue({ _id: userId, email: 'sam@example.com' })
+        });
+        const token = createUnsubscribeToken(userId);
+        const app = buildApp();
+
+        const page = await request(app).get('/api/email/unsubscribe').query({ token });
+        expect(page.status).toBe(200);
+        expect(page.text).toContain('<form method="POST"');
+        expect(updateSpy).not.toHaveBeenCalled();
+
+        // RFC 8058 one-click POST from a mail client
+        const res = await request(app)
+            .post(`/api/email/unsubscribe?token=${encodeURIComponent(token)}`)
+            .type('form')
+            .send('List-Unsubscribe=One-Click');
+        expect(res.status).toBe(200);
+        expect(res.body.success).toBe(true);
+        expect(updateSpy).toHaveBeenCalledWith(userId, {
+            $set: expect.objectContaining({ 'emailPreferences.unsubscribed': true, 'emailPreferences.dailyReminders': false })
+        }, { new: true });
+
+        const browser = await request(app)
+            .post(`/api/email/unsubscribe?token=${encodeURIComponent(token)}`)
+            .set('Accept', 'text/html');
+        expect(browser.text).toContain('sam@example.com will no longer receive');
+    });
+
+    test('rejects raw user ids and forged tokens', async () => {
+        const updateSpy = jest.spyOn(User, 'findByIdAndUpdate');
+        const app = buildApp();
+
+        const page = await request(app).get('/api/email/unsubscribe').query({ token: userId });
+        expect(page.status).toBe(400);
+
+        const res = await request(app).post('/api/email/unsubscribe').query({ token: `${userId}.forged` });
+        expect(res.status).toBe(400);
+        expect(res.body).toEqual({ success: false, message: 'Invalid unsubscribe token' });
+        expect(updateSpy).not.toHaveBeenCalled();
+    });
+
+    test('only admins can control the reminder scheduler', async () => {
+        jest.spyOn(reminderScheduler, 'start').mockImplementation(() => {});
+        jest.spyOn(reminderScheduler, 'stop').mockImplementation(() => {});
+        jest.spyOn(reminderScheduler, 'getStatus').mockReturnValue({ isRunning: false });
+        const app = buildApp();
+
+        const denied = await request(app).post('/api/email/scheduler/stop');
+        expect(denied.status).toBe(403);
+        expect(denied.body.code).toBe('ADMIN_REQUIRED');
+        expect(reminderScheduler.stop).not.toHaveBeenCalled();
+
+        process.env.ADMIN_EMAILS = 'ops@example.com, Admin@Example.com';
+        const stillDenied = await request(app).post('/api/email/scheduler/start');
+        expect(stillDenied.status).toBe(403);
+
+        const unverified = await request(app).post('/api/email/scheduler/start')
+            .set('X-Test-Email', 'admin@example.com')
+            .set('X-Test-Unverified', 'true');
+        expect(unverified.status).toBe(403);
+        expect(reminderScheduler.start).not.toHaveBeenCalled();
+
+        const started = await request(app).post('/api/email/scheduler/start').set('X-Test-Email', 'admin@example.com');
+        expect(started.status).toBe(200);
+        expect(reminderScheduler.start).toHaveBeenCalled();
+
+        const status = await request(app).get('/api/email/scheduler/status').set('X-Test-Email', 'ops@example.com');
+        expect(status.body).toEqual({ success: true, data: { isRunning: false } });
+    });
+
+    test('sendEmail adds List-Unsubscribe headers and a signed footer link', async () => {
+        const outbox = emailService.setTransport('outbox', { store: 'memory' });
+        const result = await emailService.sendEmail('sam@example.com', 'Hello', 'daily-reminder', { name: 'Sam' }, { userId });
+        expect(result.success).toBe(true);
+
+        const [mail] = await outbox.list();
+        const url = getUnsubscribeUrl(userId);
+        expect(mail.headers).toEqual({
+            'List-Unsubscribe': `<${url}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        });
+        expect(mail.html).toContain(`href="${url}"`);
+    });
+});
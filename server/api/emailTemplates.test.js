@@ -0,0 +1,160 @@
+const express = require('express');
+const request = require('supertest');
+const fs = require('fs');
+const path = require('path');
+
+process.env.EMAIL_UNSUBSCRIBE_SECRET = 'test-unsubscribe-secret';
+process.env.ADMIN_EMAILS = 'user@example.com';
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+    req.user = { id: '64b000000000000000000001', email: 'user@example.com', emailVerified: true };
+    next();
+});
+
+jest.mock('../utils/trackingUtils', () => ({
+    trackAuth: jest.fn().mockResolvedValue(undefined),
+    trackTaskGoal: jest.fn().mockResolvedValue(undefined),
+    trackJourney: jest.fn().mockResolvedValue(undefined),
+    trackEngagement: jest.fn().mockResolvedValue(undefined)
+}));
+
+const User = require('../models/User');
+const emailService = require('../services/emailService');
+const emailTemplates = require('../utils/emailTemplates');
+const devRoutes = require('../routes/dev');
+const emailRoutes = require('../routes/email');
+
+const userId = '64b000000000000000000001';
+
+function buildApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/dev', devRoutes);
+    app.use('/api/email', emailRoutes);
+    return app;
+}
+
+describe('Email templates', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('escapes values unless triple-braced and supports if/else/unless', () => {
+        const source = '{{name}}|{{{name}}}|{{#if on}}yes{{else}}no{{/if}}|{{#unless on}}off{{/unless}}|{{user.city}}';
+        expect(emailTemplates.renderString(source, { name: '<b>Sam & co</b>', on: false, user: { city: 'Oslo' } }))
+            .toBe('&lt;b&gt;Sam &amp; co&lt;/b&gt;|<b>Sam & co</b>|no|off|Oslo');
+        expect(emailTemplates.renderString('{{#if a}}{{#if b}}ab{{/if}}{{else}}none{{/if}}', { a: true, b: true })).toBe('ab');
+        expect(() => emailTemplates.renderString('{{#if a}}open')).toThrow(emailTemplates.TemplateError);
+        expect(() => emailTemplates.renderString('{{> missing}}')).toThrow('Unknown partial: missing');
+    });
+
+    test('renders a template into its layout with partials and a text alternative', () => {
+        const rendered = emailTemplates.render('daily-reminder', {
+            name: 'Sam',
+            dream: 'Ship <v2>',
+            streakCount: 4,
+            remainingDays: 2,
+            appUrl: 'https://app.example.com',
+            unsubscribeUrl: 'https://app.example.com/unsubscribe'
+        });
+
+        expect(rendered.locale).toBe('en');
+        expect(rendered.subject).toBe('Daily Check-in Reminder - All You Have To Do Is Show Up! 🌟');
+        expect(rendered.html).toContain('<html lang="en">');
+        expect(rendered.html).toContain('Ship &lt;v2&gt;');
+        expect(rendered.html).toContain('<strong>2 more days</strong>');
+        expect(rendered.html).toContain('href="https://app.example.com/unsubscribe"');
+
+        expect(rendered.text).not.toMatch(/<div|<a |\.container/);
+        expect(rendered.text).toContain('Hi Sam,');
+        expect(rendered.text).toContain('"Ship <v2>"');
+        expect(rendered.text).toContain('Check In Now (https://app.example.com)');
+    });
+
+    test('leaves the subject unescaped and escapes the title once', () => {
+        const source = '---\nsubject: {{name}} & friends\ntitle: Hi {{name}}\n---\n<p>{{name}}</p>\n';
+        const isQuoted = file => String(file).endsWith(path.join('en', 'quoted.html'));
+        const { existsSync, readFileSync } = fs;
+        jest.spyOn(fs, 'existsSync').mockImplementation(file => isQuoted(file) || existsSync(file));
+        jest.spyOn(fs, 'readFileSync').mockImplementation((file, ...args) => (isQuoted(file) ? source : readFileSync(file, ...args)));
+
+        const rendered = emailTemplates.render('quoted', { name: "Tom & Jerry's <crew>" });
+
+        expect(rendered.subject).toBe("Tom & Jerry's <crew> & friends");
+        expect(rendered.html).toContain('<h1 class="title">Hi Tom &amp; Jerry&#39;s &lt;crew&gt;</h1>');
+        expect(rendered.text).toContain("Hi Tom & Jerry's <crew>");
+    });
+
+    test('picks the locale variant and falls back to English', () => {
+        expect(emailTemplates.getLocaleChain('pt-BR')).toEqual(['pt-BR', 'pt', 'en']);
+        expect(emailTemplates.getLocaleChain('../etc')).toEqual(['en']);
+
+        const spanish = emailTemplates.render('welcome', { name: 'Ana', dream: 'Correr' }, 'es-MX');
+        expect(spanish.locale).toBe('es');
+        expect(spanish.subject).toContain('Bienvenido');
+        expect(spanish.text).toContain('Hola Ana:');
+        expect(spanish.html).toContain('Haciendo realidad tus sueños');
+
+        const french = emailTemplates.render('welcome', { name: 'Luc' }, 'fr');
+        expect(french.locale).toBe('en');
+        expect(french.text).toContain('Hi Luc,');
+
+        // Unknown names render the default template
+        expect(emailTemplates.render('../../secrets', { name: 'Sam' }).text).toContain('Thank you for using GoalTracker!');
+    });
+
+    test('account emails leave out the unsubscribe link', () => {
+        const rendered = emailTemplates.render('password-reset', { name: 'Sam', unsubscribeUrl: 'https://app.example.com/unsubscribe' });
+        expect(rendered.html).not.toContain('unsubscribe');
+    });
+
+    test('sendEmail uses the template subject, locale and text', async () => {
+        const outbox = emailService.setTransport('outbox', { store: 'memory' });
+
+        await emailService.sendEmail('ana@example.com', 'Fallback subject', 'streak-broken', {
+            name: 'Ana', dream: 'Correr', daysMissed: 3, previousStreak: 9
+        }, { userId, locale: 'es' });
+        await emailService.sendEmail('sam@example.com', 'Your next step', 'nudge', { name: 'Sam', message: 'Go' });
+
+        const [nudge, streak] = await outbox.list();
+        expect(streak.subject).toBe('¡No te rindas! Tu camino continúa 🚨');
+        expect(streak.text).toContain('Hace 3 días que no te registras.');
+        expect(streak.html).toContain('/api/email/unsubscribe?token=');
+        expect(nudge.subject).toBe('Your next step');
+    });
+
+    test('previews templates with sample data', async () => {
+        const app = buildApp();
+
+        const list = await request(app).get('/api/dev/email-templates');
+        expect(list.body.data['daily-reminder']).toEqual(['en', 'es']);
+
+        const html = await request(app).get('/api/dev/email-templates/welcome').query({ locale: 'es' });
+        expect(html.type).toBe('text/html');
+        expect(html.text).toContain('Hola Sam:');
+
+        const text = await request(app).get('/api/dev/email-templates/progress-update').query({ format: 'text' });
+        expect(text.type).toBe('text/plain');
+        expect(text.text).toContain('Tasks Completed: 14');
+
+        const json = await request(app).get('/api/dev/email-templates/verify-email').query({ format: 'json' });
+        expect(json.body.data).toMatchObject({ subject: 'Confirm your email address', locale: 'en' });
+
+        await request(app).get('/api/dev/email-templates/nope').expect(404);
+    });
+
+    test('the email language is set with the email preferences', async () => {
+        const updateSpy = jest.spyOn(User, 'findByIdAndUpdate').mockReturnValue({
+            select: jest.fn().mockResolvedValue(new User({ email: 'a@example.com', locale: 'pt-BR' }))
+        });
+        const app = buildApp();
+
+        const res = await request(app).post('/api/email/preferences').send({ locale: 'pt-br' });
+        expect(res.status).toBe(200);
+        expect(res.body.data.locale).toBe('pt-BR');
+        expect(updateSpy.mock.calls[0][1]).toEqual({ $set: { locale: 'pt-BR' } });
+
+        const invalid = await request(app).post('/api/email/preferences').send({ locale: 'not a locale!' });
+        expect(invalid.status).toBe(400);
+    });
+});
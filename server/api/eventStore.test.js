@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+jest.mock('../models/TrackingEvent');
+
+const TrackingEvent = require('../models/TrackingEvent');
+const { EventStore } = require('../services/eventStore');
+
+describe('EventStore', () => {
+    const userId = new mongoose.Types.ObjectId().toString();
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(EventStore.prototype, 'isConnected').mockReturnValue(true);
+        TrackingEvent.insertMany.mockResolvedValue([]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('returns the event with an id and buffers it until the batch fills', async () => {
+        const store = new EventStore({ enabled: true, batchSize: 3, flushIntervalMs: 60000 });
+
+        const event = store.record({ eventType: 'daily_login', userId, metadata: { source: 'auth_system' } });
+        store.record({ eventType: 'task_completion', userId });
+
+        expect(event.eventId).toMatch(/^[a-f0-9]{24}$/);
+        expect(event.eventType).toBe('daily_login');
+        expect(store.getQueueSize()).toBe(2);
+        expect(TrackingEvent.insertMany).not.toHaveBeenCalled();
+
+        store.record({ eventType: 'task_completion', userId });
+        await store.flushing;
+
+        expect(TrackingEvent.insertMany).toHaveBeenCalledTimes(1);
+        const [docs, options] = TrackingEvent.insertMany.mock.calls[0];
+        expect(docs).toHaveLength(3);
+        expect(docs[0].source).toBe('auth_system');
+        expect(options).toEqual({ ordered: false });
+        expect(store.getQueueSize()).toBe(0);
+        clearTimeout(store.timer);
+    });
+
+    it('skips events without a valid user id', () => {
+        const store = new EventStore({ enabled: true, batchSize: 10 });
+
+        const event = store.record({ eventType: 'anonymous_visit', userId: 'not-an-id' });
+
+        expect(event.eventType).toBe('anonymous_visit');
+        expect(store.getQueueSize()).toBe(0);
+    });
+
+    it('keeps events queued while the database is disconnected', async () => {
+        EventStore.prototype.isConnected.mockReturnValue(false);
+        const store = new EventStore({ enabled: true, batchSize: 1, flushIntervalMs: 60000 });
+
+        store.record({ eventType: 'daily_login', userId });
+        await store.flush();
+
+        expect(TrackingEvent.insertMany).not.toHaveBeenCalled();
+        expect(store.getQueueSize()).toBe(1);
+        clearTimeout(store.timer);
+    });
+
+    it('requeues a batch when the write fails', async () => {
+        TrackingEvent.insertMany.mockRejectedValueOnce(new Error('connection reset'));
+        const store = new EventStore({ enabled: true, batchSize: 10, flushIntervalMs: 60000 });
+
+        store.record({ eventType: 'daily_login', userId });
+        const written = await store.flush();
+
+        expect(written).toBe(0);
+        expect(store.getQueueSize()).toBe(1);
+        clearTimeout(store.timer);
+    });
+
+    it('builds filters from query options', () => {
+        const store = new EventStore({ enabled: false });
+        const since = '2025-01-01T00:00:00.000Z';
+
+        const filter = store.buildFilter(userId, { eventTypes: ['daily_login', 'repeat_login'], since });
+
+        expect(filter).toEqual({
+            userId,
+            eventType: { $in: ['daily_login', 'repeat_login'] },
+            timestamp: { $gte: new Date(since) }
+        });
+    });
+});
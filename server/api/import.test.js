@@ -0,0 +1,168 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+    req.user = { id: '64b000000000000000000001' };
+    next();
+});
+
+jest.mock('../utils/trackingUtils', () => ({
+    trackTaskGoal: jest.fn().mockResolvedValue(null)
+}));
+
+const mongoose = require('mongoose');
+const WeeklyGoal = require('../models/WeeklyGoal');
+const Task = require('../models/Task');
+const { parseIcs, parseCsv, detectFormat } = require('../services/planImportService');
+const { GOAL_LIMIT } = require('../utils/limits');
+const router = require('../routes/import');
+
+function buildApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/import', router);
+    return app;
+}
+
+const ICS = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VEVENT',
+    'UID:1',
+    'SUMMARY:Draft portfolio\\, part 1',
+    'DTSTART:20300603T090000Z',
+    'DTEND:20300603T103000Z',
+    'CATEGORIES:Career Growth,Work',
+    'PRIORITY:2',
+    'END:VEVENT',
+    'BEGIN:VTODO',
+    'UID:2',
+    'SUMMARY:Practice scales',
+    'DUE;VALUE=DATE:20300605',
+    'RRULE:FREQ=DAILY;INTERVAL=2',
+    'END:VTODO',
+    'BEGIN:VTODO',
+    'UID:3',
+    'SUMMARY:Cancelled thing',
+    'DTSTART:20300605T090000Z',
+    'STATUS:CANCELLED',
+    'END:VTODO',
+    'BEGIN:VEVENT',
+    'UID:4',
+    'SUMMARY:No date',
+    'END:VEVENT',
+    'END:VCALENDAR'
+].join('\r\n');
+
+const CSV = [
+    'Goal,Category,Week Of,Task,Day,Est Time,Repeat Type,Priority',
+    'Ship side project,projects,2030-06-03,Write README,Mon,45,none,high',
+    'Ship side project,projects,2030-06-03,Write README,Mon,45,none,high',
+    'Ship side project,projects,2030-06-03,"Record demo, edit",Wed,60,daily,medium',
+    'Ship side project,projects,2030-06-03,Bad day,Someday,10,none,low'
+].join('\n');
+
+describe('plan import parsing', () => {
+    it('maps iCalendar events and todos onto tasks', () => {
+        const { entries, errors } = parseIcs(ICS);
+
+        expect(entries).toHaveLength(2);
+        expect(entries[0]).toMatchObject({
+            goalTitle: 'Career Growth',
+            category: 'career_growth',
+            task: { name: 'Draft portfolio, part 1', day: 'Mon', estTime: 90, repeatType: 'none', priority: 'high' }
+        });
+        expect(entries[0].weekOf.toISOString()).toBe('2030-06-03T00:00:00.000Z');
+        expect(entries[1]).toMatchObject({
+            goalTitle: 'Imported tasks',
+            task: { name: 'Practice scales', day: 'Wed', estTime: 30, repeatType: 'alternate' }
+        });
+        expect(errors).toHaveLength(1);
+        expect(errors[0].message).toMatch(/No date/);
+    });
+
+    it('maps CSV rows and reports invalid ones', () => {
+        const { entries, errors } = parseCsv(CSV);
+
+        expect(entries).toHaveLength(3);
+        expect(entries[2].task).toMatchObject({ name: 'Record demo, edit', day: 'Wed', estTime: 60, repeatType: 'daily' });
+        expect(errors).toEqual([{ line: 5, message: '"Bad day" needs a day (Mon-Sun) or a date' }]);
+    });
+
+    it('detects the format from the name or content', () => {
+        expect(detectFormat('plan.ics')).toBe('ics');
+        expect(detectFormat('plan.CSV')).toBe('csv');
+        expect(detectFormat('', 'BEGIN:VCALENDAR\r\n')).toBe('ics');
+    });
+});
+
+describe('POST /api/import/preview', () => {
+    const existingGoal = { _id: new mongoose.Types.ObjectId(), title: 'Ship Side Project' };
+
+    beforeEach(() => {
+        jest.spyOn(WeeklyGoal, 'find').mockResolvedValue([existingGoal]);
+        jest.spyOn(Task, 'find').mockResolvedValue([
+            { name: 'write readme', day: 'Mon', goal: existingGoal._id }
+        ]);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('flags duplicates in the file and against existing goals', async () => {
+        const res = await request(buildApp())
+            .post('/api/import/preview')
+            .attach('file', Buffer.from(CSV), 'plan.csv');
+
+        expect(res.status).toBe(200);
+        const { summary, goals, weeks } = res.body.data;
+        expect(goals).toHaveLength(1);
+        expect(goals[0].existingGoalId).toBe(existingGoal._id.toString());
+        expect(goals[0].tasks.map(task => task.duplicate)).toEqual(['existing', 'file', null]);
+        expect(summary).toMatchObject({ goalsToCreate: 0, tasksToCreate: 1, duplicates: 2, errors: 1 });
+        expect(weeks[0]).toMatchObject({ existingGoals: 1, existingTasks: 1, newGoals: 0, newTasks: 1, exceedsLimits: false });
+        expect(res.body.data.canImport).toBe(true);
+    });
+
+    it('reports weeks that would exceed the goal limit', async () => {
+        WeeklyGoal.find.mockResolvedValue(Array.from({ length: GOAL_LIMIT }, () => ({
+            _id: new mongoose.Types.ObjectId(),
+            title: 'Something else'
+        })));
+        Task.find.mockResolvedValue([]);
+
+        const res = await request(buildApp())
+            .post('/api/import/preview')
+            .send({ content: ICS });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.weeks[0].exceedsLimits).toBe(true);
+        expect(res.body.data.canImport).toBe(false);
+    });
+
+    it('refuses to commit an import over the limit', async () => {
+        WeeklyGoal.find.mockResolvedValue(Array.from({ length: GOAL_LIMIT }, () => ({
+            _id: new mongoose.Types.ObjectId(),
+            title: 'Something else'
+        })));
+        Task.find.mockResolvedValue([]);
+        const sessionSpy = jest.spyOn(mongoose, 'startSession');
+
+        const res = await request(buildApp())
+            .post('/api/import')
+            .send({ content: ICS, format: 'ics' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toMatch(/limit exceeded/);
+        expect(sessionSpy).not.toHaveBeenCalled();
+    });
+
+    it('rejects an empty file', async () => {
+        const res = await request(buildApp())
+            .post('/api/import/preview')
+            .send({ content: '   ' });
+
+        expect(res.status).toBe(400);
+    });
+});
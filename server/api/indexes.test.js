@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const Notification = require('../models/Notification');
+const NudgeJob = require('../models/NudgeJob');
+const notificationService = require('../services/notificationService');
+const nudgeQueue = require('../services/nudgeQueue');
+
+let mongoServer;
+const userId = new mongoose.Types.ObjectId();
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    // Build the unique indexes before the first insert
+    await Promise.all([Notification.init(), NudgeJob.init()]);
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+beforeEach(async () => {
+    await Notification.deleteMany({});
+    await NudgeJob.deleteMany({});
+});
+
+describe('Notification dedupeKey index', () => {
+    it('rejects a second notification with the same dedupeKey', async () => {
+        await Notification.create({ user: userId, type: 'badge', title: 'Badge earned', dedupeKey: 'badge:1' });
+
+        await expect(Notification.create({ user: userId, type: 'badge', title: 'Badge earned', dedupeKey: 'badge:1' }))
+            .rejects.toMatchObject({ code: 11000 });
+    });
+
+    it('allows any number of notifications without a dedupeKey', async () => {
+        await Notification.create({ user: userId, type: 'reminder', title: 'Check in' });
+        await Notification.create({ user: userId, type: 'reminder', title: 'Check in' });
+
+        expect(await Notification.countDocuments({ user: userId })).toBe(2);
+    });
+
+    it('returns the existing notification when a post is repeated', async () => {
+        const first = await notificationService.post(userId, { type: 'badge', title: 'Badge earned', dedupeKey: 'badge:2' });
+        const second = await notificationService.post(userId, { type: 'badge', title: 'Badge earned', dedupeKey: 'badge:2' });
+
+        expect(second._id.toString()).toBe(first._id.toString());
+        expect(await Notification.countDocuments({ dedupeKey: 'badge:2' })).toBe(1);
+    });
+});
+
+describe('NudgeJob pending index', () => {
+    const runAt = new Date('2026-03-06T08:30:00Z');
+
+    it('rejects a second pending job for the same user', async () => {
+        await NudgeJob.create({ user: userId, runAt });
+
+        await expect(NudgeJob.create({ user: userId, runAt })).rejects.toMatchObject({ code: 11000 });
+    });
+
+    it('allows a pending job next to completed ones', async () => {
+        await NudgeJob.create({ user: userId, runAt, status: 'completed' });
+        await NudgeJob.create({ user: userId, runAt, status: 'completed' });
+        await NudgeJob.create({ user: userId, runAt });
+
+        expect(await NudgeJob.countDocuments({ user: userId })).toBe(3);
+    });
+
+    it('keeps one pending job however often it is scheduled', async () => {
+        await nudgeQueue.scheduleNext(userId, { runAt });
+        await Promise.all([
+            nudgeQueue.scheduleNext(userId, { runAt: new Date('2026-03-07T08:30:00Z') }),
+            nudgeQueue.scheduleFollowUp(userId, { cause: { action: 'nudge_sent' } })
+        ]);
+
+        const pending = await NudgeJob.find({ user: userId, status: 'pending' });
+        expect(pending).toHaveLength(1);
+    });
+});
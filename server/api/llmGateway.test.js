@@ -0,0 +1,215 @@
+const http = require('http');
+
+const llmGateway = require('../services/llmGateway');
+const { LLMError } = require('../services/llmGateway');
+
+function fakeProvider(name, chat, configured = true) {
+    return {
+        name,
+        model: `${name}-model`,
+        config: { timeout: 1000, maxTokens: 100, temperature: 0.5 },
+        isConfigured: () => configured,
+        isAvailable: jest.fn().mockResolvedValue(configured),
+        chat: jest.fn(chat)
+    };
+}
+
+const reply = (content) => async (messages, options) => ({
+    content,
+    model: options.model,
+    usage: { promptTokens: 3, completionTokens: 2, totalTokens: 5 }
+});
+
+const CHAIN = { providers: ['openai', 'llama'], retryDelay: 1 };
+
+describe('LLM gateway', () => {
+    afterEach(() => {
+        llmGateway.reset();
+        delete process.env.LLM_FALLBACK_PROVIDERS;
+    });
+
+    test('returns a uniform result from the first provider', async () => {
+        const openai = fakeProvider('openai', reply('hello'));
+        llmGateway.setProvider('openai', openai);
+
+        const result = await llmGateway.complete('Hi', { ...CHAIN, system: 'Be brief', model: 'gpt-test' });
+
+        expect(result).toMatchObject({
+            success: true,
+            content: 'hello',
+            provider: 'openai',
+            model: 'gpt-test',
+            usage: { promptTokens: 3, completionTokens: 2, totalTokens: 5 }
+        });
+        expect(typeof result.responseTime).toBe('number');
+        expect(openai.chat).toHaveBeenCalledWith(
+            [{ role: 'system', content: 'Be brief' }, { role: 'user', content: 'Hi' }],
+            expect.objectContaining({ model: 'gpt-test', maxTokens: 100, temperature: 0.5 })
+        );
+    });
+
+    test('falls back to the next provider without retrying non-retryable errors', async () => {
+        const openai = fakeProvider('openai', async () => {
+            throw Object.assign(new Error('Bad request'), { status: 400 });
+        });
+        const ollama = fakeProvider('ollama', reply('from ollama'));
+        llmGateway.setProvider('openai', openai);
+        llmGateway.setProvider('llama', ollama);
+
+        const result = await llmGateway.chat([{ role: 'user', content: 'Hi' }], { ...CHAIN, model: 'gpt-test' });
+
+        expect(result.success).toBe(true);
+        expect(result.provider).toBe('ollama');
+        // The model override only applies to the first provider
+        expect(result.model).toBe('ollama-model');
+        expect(openai.chat).toHaveBeenCalledTimes(1);
+    });
+
+    test('retries network errors, 429 and 5xx with backoff', async () => {
+        const failures = [
+            new Error('ECONNRESET'),
+            Object.assign(new Error('Too many requests'), { status: 429 })
+        ];
+        const openai = fakeProvider('openai', async (messages, options) => {
+            if (failures.length) throw failures.shift();
+            return reply('third time')(messages, options);
+        });
+        llmGateway.setProvider('openai', openai);
+
+        const result = await llmGateway.complete('Hi', { ...CHAIN, retries: 2 });
+
+        expect(result).toMatchObject({ success: true, content: 'third time', provider: 'openai' });
+        expect(openai.chat).toHaveBeenCalledTimes(3);
+    });
+
+    test('moves on when a provider times out and aborts its request', async () => {
+        let signal;
+        const openai = fakeProvider('openai', (messages, options) => {
+            signal = options.signal;
+            return new Promise(() => {});
+        });
+        llmGateway.setProvider('openai', openai);
+        llmGateway.setProvider('llama', fakeProvider('ollama', reply('fast')));
+
+        const result = await llmGateway.complete('Hi', { ...CHAIN, timeout: 20 });
+
+        expect(result).toMatchObject({ success: true, provider: 'ollama', content: 'fast' });
+        expect(signal.aborted).toBe(true);
+        expect(openai.chat).toHaveBeenCalledTimes(1);
+    });
+
+    test('reports every provider error when the whole chain fails', async () => {
+        llmGateway.setProvider('openai', fakeProvider('openai', async () => {
+            throw Object.assign(new Error('Server error'), { status: 503 });
+        }));
+        llmGateway.setProvider('llama', fakeProvider('ollama', reply('unused'), false));
+
+        const result = await llmGateway.complete('Hi', { ...CHAIN, retries: 1 });
+
+        expect(result).toMatchObject({ success: false, content: null, provider: null, usage: null });
+        expect(result.error).toBe('openai: Server error | ollama: Not configured');
+        expect(result.errors).toEqual([
+            { provider: 'openai', code: 'LLM_HTTP_ERROR', status: 503, message: 'Server error' },
+            { provider: 'ollama', code: 'LLM_NOT_CONFIGURED', status: null, message: 'Not configured' }
+        ]);
+
+        await expect(llmGateway.text('Hi', { ...CHAIN, retries: 0 })).rejects.toMatchObject({
+            name: 'LLMError',
+            code: 'LLM_UNAVAILABLE'
+        });
+    });
+
+    test('builds the chain from LLM_PROVIDER and LLM_FALLBACK_PROVIDERS', () => {
+        process.env.LLM_FALLBACK_PROVIDERS = 'ollama, mock, openai';
+        expect(llmGateway.getChain()).toEqual(['mock', 'llama', 'openai']);
+        expect(llmGateway.getChain({ providers: ['ollama'] })).toEqual(['llama']);
+        expect(() => llmGateway.getProvider('unknown')).toThrow(LLMError);
+    });
+});
+
+describe('Ollama provider', () => {
+    let server;
+    let requests;
+    let responses;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                requests.push({ method: req.method, url: req.url, body: body ? JSON.parse(body) : null });
+                const [status, payload] = responses.shift();
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(payload));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        process.env.OLLAMA_URL = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+        delete process.env.OLLAMA_URL;
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        requests = [];
+        responses = [];
+        llmGateway.reset();
+    });
+
+    test('chats through /api/chat in JSON mode and maps token counts', async () => {
+        responses.push([200, {
+            model: 'llama3.1:8b',
+            message: { role: 'assistant', content: '{"ok":true}' },
+            prompt_eval_count: 12,
+            eval_count: 4
+        }]);
+
+        const result = await llmGateway.complete('Hi', { providers: ['ollama'], responseFormat: 'json', maxTokens: 50 });
+
+        expect(result).toMatchObject({
+            success: true,
+            content: '{"ok":true}',
+            provider: 'ollama',
+            model: 'llama3.1:8b',
+            usage: { promptTokens: 12, completionTokens: 4, totalTokens: 16 }
+        });
+        expect(requests[0]).toMatchObject({
+            method: 'POST',
+            url: '/api/chat',
+            body: {
+                messages: [{ role: 'user', content: 'Hi' }],
+                stream: false,
+                format: 'json',
+                options: { num_predict: 50 }
+            }
+        });
+    });
+
+    test('constrains output with a response schema as the format', async () => {
+        const schema = { type: 'object', required: ['ok'], properties: { ok: { type: 'boolean' } } };
+        responses.push([200, { model: 'llama3.1:8b', message: { role: 'assistant', content: '{"ok":true}' } }]);
+
+        await llmGateway.complete('Hi', { providers: ['ollama'], responseSchema: { name: 'status', schema } });
+
+        expect(requests[0].body.format).toEqual(schema);
+    });
+
+    test('retries a 500 from the server', async () => {
+        responses.push([500, { error: 'model is loading' }]);
+        responses.push([200, { model: 'llama3.1:8b', message: { role: 'assistant', content: 'ready' } }]);
+
+        const result = await llmGateway.complete('Hi', { providers: ['ollama'], retryDelay: 1 });
+
+        expect(result).toMatchObject({ success: true, content: 'ready' });
+        expect(requests).toHaveLength(2);
+    });
+
+    test('lists models from /api/tags', async () => {
+        responses.push([200, { models: [{ name: 'llama3.1:8b' }] }]);
+
+        await expect(llmGateway.getProvider('ollama').listModels()).resolves.toEqual([{ name: 'llama3.1:8b' }]);
+        expect(requests[0]).toMatchObject({ method: 'GET', url: '/api/tags' });
+    });
+});
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+    req.user = { id: '64b000000000000000000001' };
+    next();
+});
+
+jest.mock('../utils/trackingUtils', () => ({
+    trackAuth: jest.fn().mockResolvedValue(undefined),
+    trackTaskGoal: jest.fn().mockResolvedValue(undefined),
+    trackJourney: jest.fn().mockResolvedValue(undefined),
+    trackEngagement: jest.fn().mockResolvedValue(undefined)
+}));
+
+const User = require('../models/User');
+const { VisionData } = require('../models/visionData');
+const llmGateway = require('../services/llmGateway');
+const llmFixtures = require('../services/llmFixtures');
+const discoveryTaskGenerator = require('../services/DiscoveryTaskGenerator');
+const dreamParser = require('../services/dreamParser');
+const manifestRoutes = require('../routes/manifest');
+const llmRoutes = require('../routes/llm');
+
+function buildApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/manifest', manifestRoutes);
+    app.use('/api/llm', llmRoutes);
+    return app;
+}
+
+describe('Mock LLM provider', () => {
+    let fixturesDir;
+
+    beforeEach(() => {
+        fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+        process.env.LLM_FIXTURES_DIR = fixturesDir;
+        llmGateway.reset();
+    });
+
+    afterEach(() => {
+        delete process.env.LLM_FIXTURES_DIR;
+        delete process.env.LLM_RECORD;
+        delete process.env.IBRAIN_ENFORCE_LLM_POLICY;
+        llmGateway.reset();
+        fs.rmSync(fixturesDir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    test('is the provider under Jest and answers the same prompt the same way', async () => {
+        const first = await llmGateway.complete('Say "ok"');
+        const second = await llmGateway.complete('Say "ok"');
+
+        expect(first).toMatchObject({ success: true, provider: 'mock', model: 'mock', content: 'ok' });
+        expect(first.usage.totalTokens).toBeGreaterThan(0);
+        expect(second.content).toBe(first.content);
+    });
+
+    test('gives /api/manifest four key results from the LLM path', async () => {
+        const res = await request(buildApp())
+            .post('/api/manifest')
+            .send({ objective: 'Run a marathon' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.source).toBe('llm');
+        expect(res.body.keyResults).toHaveLength(4);
+        expect(res.body.keyResults[0]).toContain('Run a marathon');
+    });
+
+    test('plans a week through /api/llm/plan-week', async () => {
+        jest.spyOn(User, 'findById').mockResolvedValue({ preferences: {}, userStage: 'growth' });
+        jest.spyOn(VisionData, 'findOne').mockResolvedValue({ responses: { dream: 'Become a data scientist' } });
+
+        const res = await request(buildApp())
+            .post('/api/llm/plan-week')
+            .send({ userInput: 'Finish my statistics course module and build a small portfolio project this week' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.metadata.provider).toBe('mock');
+        expect(res.body.goal.tasks.length).toBeGreaterThanOrEqual(3);
+        res.body.goal.tasks.forEach(task => {
+            expect(typeof task.name).toBe('string');
+            expect(typeof task.estTime).toBe('number');
+        });
+    });
+
+    test('answers 403 instead of the fallback when the plan ticket is refused', async () => {
+        jest.spyOn(User, 'findById').mockResolvedValue({ preferences: {}, userStage: 'growth' });
+        jest.spyOn(VisionData, 'findOne').mockResolvedValue({ responses: { dream: 'Become a data scientist' } });
+        const complete = jest.spyOn(llmGateway, 'complete');
+        const chat = jest.spyOn(llmGateway, 'chat');
+        process.env.IBRAIN_ENFORCE_LLM_POLICY = 'true';
+
+        const generate = await request(buildApp())
+            .post('/api/llm/generate')
+            .send({ prompt: 'Motivate me' });
+        const plan = await request(buildApp())
+            .post('/api/llm/plan-week')
+            .set('X-Plan-Ticket', 'not-a-ticket')
+            .send({ userInput: 'Finish my statistics course module and build a small portfolio project this week' });
+
+        expect(generate.status).toBe(403);
+        expect(generate.body).toMatchObject({ success: false, error: 'policy_denied' });
+        expect(generate.body.message).toContain('missing plan ticket');
+        expect(plan.status).toBe(403);
+        expect(plan.body).toMatchObject({ success: false, error: 'policy_denied' });
+        expect(plan.body.message).toContain('invalid ticket format');
+        expect(complete).not.toHaveBeenCalled();
+        expect(chat).not.toHaveBeenCalled();
+    });
+
+    test('produces a valid 21-day discovery plan without the fallback', async () => {
+        const fallback = jest.spyOn(discoveryTaskGenerator, 'getFallbackDiscoveryPlan');
+
+        const plan = await discoveryTaskGenerator.generateDiscoveryPlan({ dreamText: 'Open a bakery in Lisbon' });
+
+        expect(fallback).not.toHaveBeenCalled();
+        expect(plan.weeks).toHaveLength(3);
+        plan.weeks.forEach(week => expect(week.activities).toHaveLength(7));
+        expect(plan.weeks[0].activities[0].description).toContain('Open a bakery in Lisbon');
+    });
+
+    test('classifies and parses dreams', async () => {
+        const employee = await dreamParser.parseDream('Join a design team at a large tech company as a UX researcher');
+        const entrepreneur = await dreamParser.parseDream('Launch a startup that helps farmers sell online');
+
+        expect(employee).toMatchObject({ success: true, data: { mode: 'employee' } });
+        expect(entrepreneur).toMatchObject({ success: true, data: { mode: 'entrepreneur' } });
+        expect(entrepreneur.data.impactStatement).toContain('farmers');
+    });
+
+    test('records real answers and replays them offline', async () => {
+        process.env.LLM_RECORD = 'true';
+        llmGateway.setProvider('openai', {
+            name: 'openai',
+            model: 'gpt-test',
+            config: { timeout: 1000 },
+            isConfigured: () => true,
+            isAvailable: async () => true,
+            chat: async () => ({ content: '["Recorded KR"]', model: 'gpt-test', usage: null })
+        });
+        const prompt = 'Given the following personal goal/objective, generate exactly 4 specific, measurable key results. Objective: "Ship it"';
+
+        const recorded = await llmGateway.complete(prompt, { providers: ['openai'] });
+        const key = llmFixtures.getRequestKey([{ role: 'user', content: prompt }]);
+        const fixture = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'key-results', `${key}.json`), 'utf8'));
+
+        expect(recorded.provider).toBe('openai');
+        expect(fixture).toMatchObject({ type: 'key-results', provider: 'openai', model: 'gpt-test', content: '["Recorded KR"]' });
+
+        delete process.env.LLM_RECORD;
+        const replayed = await llmGateway.complete(prompt);
+        const unrecorded = await llmGateway.complete(`${prompt} (changed)`);
+
+        expect(replayed).toMatchObject({ provider: 'mock', content: '["Recorded KR"]' });
+        expect(JSON.parse(unrecorded.content)).toHaveLength(4);
+    });
+});
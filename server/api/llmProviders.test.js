@@ -0,0 +1,228 @@
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+    req.user = { id: 'testUserId' };
+    next();
+});
+
+jest.mock('../models/Task');
+jest.mock('../models/User');
+jest.mock('../models/TaskChatLog');
+
+const Task = require('../models/Task');
+const User = require('../models/User');
+const TaskChatLog = require('../models/TaskChatLog');
+const llmGateway = require('../services/llmGateway');
+const taskChatRouter = require('../routes/taskChat');
+
+const chatMessages = [
+    { role: 'system', content: 'You are a coach.' },
+    { role: 'user', content: 'Hi' },
+    { role: 'assistant', content: 'Hello!' },
+    { role: 'user', content: 'Plan my day' }
+];
+
+describe('Claude and Gemini providers', () => {
+    let server;
+    let requests;
+    let responses;
+    let baseUrl;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                requests.push({ method: req.method, url: req.url, headers: req.headers, body: JSON.parse(body || 'null') });
+                const [status, payload] = responses.shift();
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(payload));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        process.env.CLAUDE_BASE_URL = baseUrl;
+        process.env.GEMINI_BASE_URL = baseUrl;
+        process.env.CLAUDE_API_KEY = 'claude-test-key';
+        process.env.GEMINI_API_KEY = 'gemini-test-key';
+    });
+
+    afterAll(async () => {
+        for (const name of ['CLAUDE_BASE_URL', 'GEMINI_BASE_URL', 'CLAUDE_API_KEY', 'GEMINI_API_KEY']) {
+            delete process.env[name];
+        }
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(() => {
+        requests = [];
+        responses = [];
+        llmGateway.reset();
+    });
+
+    afterEach(() => {
+        process.env.LLM_PROVIDER = 'mock';
+        jest.restoreAllMocks();
+    });
+
+    describe('Claude', () => {
+        const claudeReply = (text) => [200, {
+            model: 'claude-3-haiku-20240307',
+            content: [{ type: 'text', text }],
+            stop_reason: 'end_turn',
+            usage: { input_tokens: 20, output_tokens: 6 }
+        }];
+
+        test('sends Messages API requests with the system prompt split out', async () => {
+            responses.push(claudeReply('Start with your top task.'));
+
+            const result = await llmGateway.chat(chatMessages, { providers: ['claude'], maxTokens: 300, temperature: 0.2 });
+
+            expect(result).toEqual(expect.objectContaining({
+                success: true,
+                content: 'Start with your top task.',
+                provider: 'claude',
+                model: 'claude-3-haiku-20240307',
+                usage: { promptTokens: 20, completionTokens: 6, totalTokens: 26 }
+            }));
+            expect(requests[0].url).toBe('/v1/messages');
+            expect(requests[0].headers['x-api-key']).toBe('claude-test-key');
+            expect(requests[0].headers['anthropic-version']).toBe('2023-06-01');
+            expect(requests[0].body).toEqual({
+                model: 'claude-3-haiku-20240307',
+                max_tokens: 300,
+                temperature: 0.2,
+                system: 'You are a coach.',
+                messages: [
+                    { role: 'user', content: 'Hi' },
+                    { role: 'assistant', content: 'Hello!' },
+                    { role: 'user', content: 'Plan my day' }
+                ]
+            });
+        });
+
+        test('asks for JSON in the system prompt and retries rate limits', async () => {
+            responses.push([429, { type: 'error', error: { type: 'rate_limit_error', message: 'Slow down' } }]);
+            responses.push(claudeReply('{"ok":true}'));
+
+            const result = await llmGateway.complete('Status?', { providers: ['claude'], responseFormat: 'json', retryDelay: 1 });
+
+            expect(result).toMatchObject({ success: true, content: '{"ok":true}' });
+            expect(requests).toHaveLength(2);
+            expect(requests[1].body.system).toMatch(/valid JSON object/);
+        });
+
+        test('puts a response schema in the system prompt', async () => {
+            const schema = { type: 'object', required: ['ok'] };
+            responses.push(claudeReply('{"ok":true}'));
+
+            await llmGateway.complete('Status?', { providers: ['claude'], responseSchema: { name: 'status', schema } });
+
+            expect(requests[0].body.system).toContain(`It must match this JSON Schema:\n${JSON.stringify(schema)}`);
+        });
+
+        test('answers task chat when it is the configured provider', async () => {
+            process.env.LLM_PROVIDER = 'claude';
+            responses.push(claudeReply('Break it into 15 minute steps.'));
+
+            Task.findOne.mockReturnValue({
+                populate() { return this; },
+                then(resolve) {
+                    return Promise.resolve({ name: 'Write CV', estTime: 30, day: 'Mon', priority: 'high', completed: false, metricsImpacted: [] }).then(resolve);
+                }
+            });
+            Task.find.mockReturnValue({ sort: jest.fn().mockReturnThis(), limit: jest.fn().mockResolvedValue([]) });
+            User.findById.mockResolvedValue({ overallObjective: 'New job', archetype: 'career' });
+            TaskChatLog.create.mockResolvedValue({});
+
+            const app = express();
+            app.use(express.json());
+            app.use('/api/task-chat', taskChatRouter);
+
+            const res = await request(app)
+                .post('/api/task-chat/task123/interact')
+                .send({ message: 'How do I start?', conversationHistory: [{ role: 'assistant', content: 'Ask me anything.' }] });
+
+            expect(res.status).toBe(200);
+            expect(res.body.response).toBe('Break it into 15 minute steps.');
+            expect(requests[0].body.system).toBeTruthy();
+            expect(requests[0].body.messages[0].role).toBe('user');
+            expect(requests[0].body.messages[requests[0].body.messages.length - 1]).toEqual({
+                role: 'user',
+                content: expect.stringContaining('How do I start?')
+            });
+        });
+    });
+
+    describe('Gemini', () => {
+        test('sends generateContent requests with systemInstruction and model turns', async () => {
+            responses.push([200, {
+                candidates: [{ content: { role: 'model', parts: [{ text: 'Block out ' }, { text: 'the morning.' }] }, finishReason: 'STOP' }],
+                usageMetadata: { promptTokenCount: 15, candidatesTokenCount: 5, totalTokenCount: 20 },
+                modelVersion: 'gemini-1.5-flash-002'
+            }]);
+
+            const result = await llmGateway.chat(chatMessages, { providers: ['gemini'], maxTokens: 200, responseFormat: 'json' });
+
+            expect(result).toEqual(expect.objectContaining({
+                success: true,
+                content: 'Block out the morning.',
+                provider: 'gemini',
+                model: 'gemini-1.5-flash-002',
+                usage: { promptTokens: 15, completionTokens: 5, totalTokens: 20 }
+            }));
+            expect(requests[0].url).toBe('/v1beta/models/gemini-1.5-flash:generateContent');
+            expect(requests[0].headers['x-goog-api-key']).toBe('gemini-test-key');
+            expect(requests[0].body).toEqual({
+                systemInstruction: { parts: [{ text: 'You are a coach.' }] },
+                contents: [
+                    { role: 'user', parts: [{ text: 'Hi' }] },
+                    { role: 'model', parts: [{ text: 'Hello!' }] },
+                    { role: 'user', parts: [{ text: 'Plan my day' }] }
+                ],
+                generationConfig: {
+                    temperature: 0.7,
+                    maxOutputTokens: 200,
+                    responseMimeType: 'application/json'
+                }
+            });
+        });
+
+        test('sends a response schema as responseJsonSchema', async () => {
+            const schema = { type: 'object', required: ['ok'] };
+            responses.push([200, { candidates: [{ content: { parts: [{ text: '{"ok":true}' }] } }] }]);
+
+            await llmGateway.complete('Status?', { providers: ['gemini'], responseSchema: { name: 'status', schema } });
+
+            expect(requests[0].body.generationConfig).toMatchObject({
+                responseMimeType: 'application/json',
+                responseJsonSchema: schema
+            });
+        });
+
+        test('reports blocked prompts as bad responses without retrying', async () => {
+            responses.push([200, { promptFeedback: { blockReason: 'SAFETY' } }]);
+
+            const result = await llmGateway.complete('Hi', { providers: ['gemini'] });
+
+            expect(result.success).toBe(false);
+            expect(result.errors).toEqual([
+                expect.objectContaining({ provider: 'gemini', code: 'LLM_BAD_RESPONSE', message: expect.stringContaining('SAFETY') })
+            ]);
+            expect(requests).toHaveLength(1);
+        });
+
+        test('is skipped when it has no API key', async () => {
+            delete process.env.GEMINI_API_KEY;
+            llmGateway.reset();
+
+            const result = await llmGateway.complete('Hi', { providers: ['gemini'] });
+
+            process.env.GEMINI_API_KEY = 'gemini-test-key';
+            expect(result.errors[0]).toMatchObject({ provider: 'gemini', code: 'LLM_NOT_CONFIGURED' });
+            expect(requests).toHaveLength(0);
+        });
+    });
+});
@@ -0,0 +1,109 @@
+const schemas = require('../shared/llm/schemas');
+const LLMResponseValidator = require('../shared/llm/responseValidator');
+const llmGateway = require('../services/llmGateway');
+const llamaService = require('../services/llamaService');
+const { LLMInsights } = require('../services/llmInsights');
+const discoveryTaskGenerator = require('../services/DiscoveryTaskGenerator');
+
+const JOURNEY_PLAN = {
+    goals: [{ title: 'Learn the basics', description: 'Cover the fundamentals' }],
+    weeks: [{ week: 1, tasks: [{ title: 'Read chapter one', day: 'Mon', estTime: 30 }] }]
+};
+
+describe('LLM output schemas', () => {
+    afterEach(() => {
+        llmGateway.reset();
+        jest.restoreAllMocks();
+    });
+
+    test('has a schema for every structured output type', () => {
+        ['journey', 'weekly', 'discovery', 'goals', 'analysis', 'dream-parse', 'insights', 'enhanced-journey'].forEach(type => {
+            expect(schemas.hasSchema(type)).toBe(true);
+        });
+        expect(schemas.getResponseSchema('dream-parse')).toEqual({ name: 'dream-parse', schema: schemas.SCHEMAS['dream-parse'] });
+        expect(() => schemas.getSchema('horoscope')).toThrow('Unknown LLM output schema: horoscope');
+    });
+
+    test('reports every failure with its JSON path', () => {
+        const plan = JSON.parse(JSON.stringify(JOURNEY_PLAN));
+        plan.weeks[0].tasks.push({ title: 'Call a mentor', day: 'Monday', estTime: 0 });
+        delete plan.goals[0].description;
+
+        const result = schemas.validate('journey', plan);
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual(expect.arrayContaining([
+            { path: '/goals/0', message: "must have required property 'description'" },
+            { path: '/weeks/0/tasks/1/estTime', message: 'must be > 0' },
+            { path: '/weeks/0/tasks/1/day', message: 'must be equal to one of the allowed values: Mon, Tue, Wed, Thu, Fri, Sat, Sun' }
+        ]));
+        expect(() => LLMResponseValidator.validateSchema(plan, 'journey')).toThrow(/\/weeks\/0\/tasks\/1\/day must be equal to/);
+    });
+
+    test('accepts journey-shaped weekly answers and every fallback', () => {
+        expect(LLMResponseValidator.validateSchema(JOURNEY_PLAN, 'weekly')).toBe(JOURNEY_PLAN);
+        ['journey', 'weekly', 'goals', 'analysis'].forEach(type => {
+            expect(schemas.validate(type, LLMResponseValidator.getFallbackData(type)).valid).toBe(true);
+        });
+    });
+
+    test('puts the schema in prompts', () => {
+        const suffix = LLMResponseValidator.getJsonPromptSuffix('goals');
+
+        expect(suffix).toContain(schemas.describeSchema('goals'));
+        expect(new LLMInsights().getSystemPrompt()).toContain(schemas.describeSchema('insights'));
+    });
+
+    test('sends the schema to the provider as structured output', async () => {
+        const complete = jest.spyOn(llmGateway, 'complete');
+
+        const result = await llamaService.generateJson('Analyze this person\'s dream', 'analysis');
+
+        expect(result.usedFallback).toBe(false);
+        expect(complete).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({
+            responseSchema: { name: 'analysis', schema: schemas.SCHEMAS.analysis }
+        }));
+
+        const chat = jest.fn().mockResolvedValue({ content: '{}' });
+        llmGateway.setProvider('openai', { name: 'openai', model: 'gpt-test', config: { timeout: 1000 }, isConfigured: () => true, chat });
+        await llmGateway.complete('Hi', { providers: ['openai'], responseSchema: schemas.getResponseSchema('analysis') });
+        expect(chat).toHaveBeenCalledWith(expect.any(Array), expect.objectContaining({
+            responseFormat: 'json',
+            responseSchema: { name: 'analysis', schema: schemas.SCHEMAS.analysis }
+        }));
+    });
+
+    test('falls back on goals that do not match the schema', () => {
+        const goals = llamaService.parseGoalsResponse('{"goals": [{"title": "No tasks"}]}');
+        expect(goals).toEqual(llamaService.getFallbackGoals());
+
+        const valid = llamaService.parseGoalsResponse(JSON.stringify(LLMResponseValidator.getFallbackData('goals')));
+        expect(valid[0].title).toBe('Start Planning');
+    });
+
+    test('validates discovery plans against the schema and fills defaults', () => {
+        const week = { activities: [{ title: 'Visualize', description: 'Picture the dream' }] };
+
+        const plan = discoveryTaskGenerator.validateDiscoveryPlan({ weeks: [week, week, week] });
+        expect(plan.weeks[0].activities[0]).toMatchObject({ estimatedTime: 30, type: 'general', day: 1 });
+
+        expect(() => discoveryTaskGenerator.validateDiscoveryPlan({ weeks: [week, { activities: [{ title: 'Only a title' }] }, week] }))
+            .toThrow("/weeks/1/activities/0 must have required property 'description'");
+    });
+
+    test('turns schema-valid insights from the mock into an enhanced report', async () => {
+        const report = await new LLMInsights().getEnhancedInsights(
+            { dream: 'Become a data scientist', importance: 'high', timeline: 'sprint', readiness: 'ready', beliefLevel: 6 },
+            {
+                overallScore: 60,
+                dimensionScores: { skills: 55, knowledge: 60, network: 40, foundation: 65, mindset: 80 },
+                readinessLevel: { level: 'Developing' },
+                insights: { strengths: ['mindset'], weaknesses: ['network'], riskFactors: [] }
+            }
+        );
+
+        expect(report.llmEnhanced).toBe(true);
+        expect(report.enhancedInsights.keyInsights[0]).toContain('Become a data scientist');
+        expect(report.confidence.adjustedScore).toBe(62);
+    });
+});
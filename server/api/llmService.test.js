@@ -0,0 +1,109 @@
+const llmGateway = require('../services/llmGateway');
+const llmService = require('../services/llmService');
+
+const answer = (content) => ({ success: true, content, provider: 'mock', model: 'mock', usage: null, responseTime: 1 });
+
+const WEEKLY_PLAN = {
+    goal: {
+        title: 'Ship the portfolio',
+        tasks: [{ name: 'Outline the project', estTime: 30 }, { name: 'Build the first page', estTime: 60 }]
+    }
+};
+
+function unsignedTicket(claims) {
+    const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+    return `${encode({ alg: 'none' })}.${encode(claims)}.`;
+}
+
+describe('llmService.generateContent', () => {
+    afterEach(() => {
+        delete process.env.IBRAIN_ENFORCE_LLM_POLICY;
+        jest.restoreAllMocks();
+    });
+
+    test('passes plain prompts straight to the gateway', async () => {
+        const complete = jest.spyOn(llmGateway, 'complete').mockResolvedValue(answer('Keep going'));
+
+        const result = await llmService.generateContent('Motivate me');
+
+        expect(result.content).toBe('Keep going');
+        expect(complete).toHaveBeenCalledWith('Motivate me', { maxTokens: 1000, temperature: 0.7 });
+    });
+
+    test('repairs and validates JSON for a schemaType', async () => {
+        const chat = jest.spyOn(llmGateway, 'chat').mockResolvedValue(
+            answer("Here is your plan: {goal: {title: 'Ship the portfolio', tasks: [{name: 'Outline the project', estTime: 30,},{name: 'Build the first page', estTime: 60}]}}")
+        );
+
+        const result = await llmService.generateContent('Plan my week', { schemaType: 'weekly' });
+
+        expect(result).toMatchObject({ success: true, data: WEEKLY_PLAN, attempts: 1 });
+        expect(JSON.parse(result.content)).toEqual(WEEKLY_PLAN);
+        expect(result.rawContent).toMatch(/^Here is your plan/);
+        expect(chat).toHaveBeenCalledWith(
+            [{ role: 'user', content: 'Plan my week' }],
+            expect.objectContaining({
+                responseFormat: 'json',
+                responseSchema: { name: 'weekly', schema: expect.objectContaining({ required: ['goal'] }) },
+                maxTokens: 1000
+            })
+        );
+    });
+
+    test('re-prompts with the validation error until the answer fits', async () => {
+        const chat = jest.spyOn(llmGateway, 'chat')
+            .mockResolvedValueOnce(answer('{"goal": {"title": "Ship the portfolio", "tasks": [{"name": "Outline"}]}}'))
+            .mockResolvedValueOnce(answer(JSON.stringify(WEEKLY_PLAN)));
+
+        const result = await llmService.generateContent('Plan my week', { schemaType: 'weekly' });
+
+        expect(result).toMatchObject({ success: true, data: WEEKLY_PLAN, attempts: 2 });
+        const retryMessages = chat.mock.calls[1][0];
+        expect(retryMessages).toHaveLength(3);
+        expect(retryMessages[1]).toEqual({ role: 'assistant', content: expect.stringContaining('"Outline"') });
+        expect(retryMessages[2].content).toContain("/goal/tasks/0 must have required property 'estTime'");
+    });
+
+    test('returns a typed failure when every attempt is invalid', async () => {
+        const chat = jest.spyOn(llmGateway, 'chat').mockResolvedValue(answer('{"weeks": []}'));
+
+        const result = await llmService.generateContent('Plan my discovery', { schemaType: 'discovery', validationRetries: 1 });
+
+        expect(chat).toHaveBeenCalledTimes(2);
+        expect(result).toMatchObject({
+            success: false,
+            content: null,
+            code: 'LLM_VALIDATION_FAILED',
+            error: '/weeks must NOT have fewer than 3 items',
+            validationErrors: [{ path: '/weeks', message: 'must NOT have fewer than 3 items' }],
+            rawContent: '{"weeks": []}',
+            attempts: 2
+        });
+    });
+
+    test('does not re-prompt when no provider answers', async () => {
+        const chat = jest.spyOn(llmGateway, 'chat').mockResolvedValue({ success: false, content: null, error: 'mock: down' });
+
+        const result = await llmService.generateContent('Plan my week', { schemaType: 'journey' });
+
+        expect(chat).toHaveBeenCalledTimes(1);
+        expect(result).toMatchObject({ success: false, code: 'LLM_UNAVAILABLE', error: 'mock: down' });
+    });
+
+    test('enforces the LLM policy when a ticket option is passed', async () => {
+        const complete = jest.spyOn(llmGateway, 'complete').mockResolvedValue(answer('ok'));
+        process.env.IBRAIN_ENFORCE_LLM_POLICY = 'true';
+
+        await expect(llmService.generateContent('Hi', { policyTicket: undefined }))
+            .rejects.toMatchObject({ name: 'LLMError', code: 'LLM_POLICY_DENIED', status: 403 });
+        await expect(llmService.generateContent('Hi', { policyTicket: undefined })).rejects.toThrow('missing plan ticket');
+        await expect(llmService.generateContent('Hi', { policyTicket: unsignedTicket({ allowLLM: false }) }))
+            .rejects.toThrow('LLM not allowed');
+        expect(complete).not.toHaveBeenCalled();
+
+        await expect(llmService.generateContent('Hi', { policyTicket: unsignedTicket({ aud: 'planner-llm' }) }))
+            .resolves.toMatchObject({ content: 'ok' });
+        // Internal callers that do not pass a ticket are not subject to the policy
+        await expect(llmService.generateContent('Hi')).resolves.toMatchObject({ content: 'ok' });
+    });
+});
@@ -0,0 +1,94 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+    req.user = { id: 'owner123' };
+    next();
+});
+
+jest.mock('../models/User');
+jest.mock('../models/Task');
+jest.mock('../models/WeeklyGoal');
+jest.mock('../models/Journey');
+jest.mock('../models/VisionProfile');
+
+const mcpAnalyticsService = require('../services/mcpAnalyticsService');
+const router = require('../routes/mcp');
+
+function buildApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/mcp', router);
+    return app;
+}
+
+describe('/api/mcp', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('rejects requests for another user', async () => {
+        const spy = jest.spyOn(mcpAnalyticsService, 'getProgressAnalysis');
+
+        const res = await request(buildApp()).get('/api/mcp/analysis/someoneElse');
+
+        expect(res.status).toBe(403);
+        expect(spy).not.toHaveBeenCalled();
+    });
+
+    it('validates the timeframe', async () => {
+        const res = await request(buildApp()).get('/api/mcp/analysis/owner123?timeframe=decade');
+
+        expect(res.status).toBe(400);
+    });
+
+    it('passes the timeframe to the analysis', async () => {
+        const spy = jest.spyOn(mcpAnalyticsService, 'getProgressAnalysis').mockResolvedValue({ goals: {}, tasks: {}, insights: [] });
+
+        const res = await request(buildApp()).get('/api/mcp/analysis/owner123?timeframe=month');
+
+        expect(res.status).toBe(200);
+        expect(spy).toHaveBeenCalledWith('owner123', 'month');
+    });
+
+    it('serves suggestions without a userId and validates the category', async () => {
+        const spy = jest.spyOn(mcpAnalyticsService, 'getGoalSuggestions').mockResolvedValue({ suggestedGoals: [] });
+
+        const ok = await request(buildApp()).get('/api/mcp/suggestions?category=networking');
+        const bad = await request(buildApp()).get('/api/mcp/suggestions?category=astrology');
+
+        expect(ok.status).toBe(200);
+        expect(spy).toHaveBeenCalledWith('owner123', 'networking');
+        expect(bad.status).toBe(400);
+    });
+});
+
+describe('mcpAnalyticsService', () => {
+    it('resolves timeframe ranges', () => {
+        const now = new Date('2025-05-14T12:00:00Z'); // Wednesday
+
+        expect(mcpAnalyticsService.getTimeframeRange('week', now)).toEqual({
+            start: new Date('2025-05-12T00:00:00Z'),
+            end: new Date('2025-05-19T00:00:00Z')
+        });
+        expect(mcpAnalyticsService.getTimeframeRange('quarter', now)).toEqual({
+            start: new Date('2025-04-01T00:00:00Z'),
+            end: new Date('2025-07-01T00:00:00Z')
+        });
+    });
+
+    it('detects a declining goal completion trend', () => {
+        const now = new Date('2025-05-14T12:00:00Z');
+        const done = { completed: true };
+        const open = { completed: false };
+        const goals = [
+            { weekOf: new Date('2025-04-21T00:00:00Z'), tasks: [done] },
+            { weekOf: new Date('2025-04-28T00:00:00Z'), tasks: [done] },
+            { weekOf: new Date('2025-05-05T00:00:00Z'), tasks: [open] },
+            { weekOf: new Date('2025-05-12T00:00:00Z'), tasks: [done, open] }
+        ];
+
+        expect(mcpAnalyticsService.getGoalCompletionTrend(goals, now)).toBe('declining');
+        expect(mcpAnalyticsService.getGoalCompletionTrend(goals.slice(2), now)).toBe('insufficient_data');
+    });
+});
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+const User = require('../models/User');
+const { backfillEmailVerification } = require('../utils/migrateEmailVerification');
+
+let mongoServer;
+const deployedAt = new Date('2026-05-01T00:00:00Z');
+
+// An _id minted the given number of days before (negative: after) the deploy
+function idCreated(daysBefore) {
+    return mongoose.Types.ObjectId.createFromTime(Math.floor(deployedAt.getTime() / 1000) - daysBefore * 86400);
+}
+
+// A user document as it was stored before verification existed
+function insertLegacyUser(_id, email) {
+    return User.collection.insertOne({ _id, name: 'Legacy', email, password: 'hashed', createdAt: _id.getTimestamp() });
+}
+
+beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+});
+
+beforeEach(async () => {
+    await User.deleteMany({});
+});
+
+describe('backfillEmailVerification', () => {
+    it('verifies legacy accounts, including ones saved since the deploy', async () => {
+        await insertLegacyUser(idCreated(30), 'untouched@example.com');
+        await insertLegacyUser(idCreated(20), 'logged-in@example.com');
+
+        // The first login after the deploy saves the user and stores the schema default
+        const loggedIn = await User.findOne({ email: 'logged-in@example.com' });
+        loggedIn.lastLogin = new Date();
+        await loggedIn.save();
+        const stored = await User.collection.findOne({ email: 'logged-in@example.com' });
+        expect(stored.emailVerified).toBe(false);
+
+        expect(await backfillEmailVerification(deployedAt)).toBe(2);
+
+        const users = await User.find({}).sort({ email: 1 });
+        expect(users.map(user => [user.email, user.emailVerified])).toEqual([
+            ['logged-in@example.com', true],
+            ['untouched@example.com', true]
+        ]);
+    });
+
+    it('leaves accounts created after the deploy unverified', async () => {
+        await User.create({ _id: idCreated(-1), name: 'New', email: 'new@example.com', password: 'hashed' });
+
+        expect(await backfillEmailVerification(deployedAt)).toBe(0);
+        expect((await User.findOne({ email: 'new@example.com' })).emailVerified).toBe(false);
+    });
+
+    it('requires a cutoff date', async () => {
+        await expect(backfillEmailVerification()).rejects.toThrow('A valid cutoff date is required');
+        await expect(backfillEmailVerification(new Date('not a date'))).rejects.toThrow('A valid cutoff date is required');
+    });
+});
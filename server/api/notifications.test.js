@@ -0,0 +1,144 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+    req.user = { id: '64b000000000000000000001' };
+    next();
+});
+
+jest.mock('../utils/trackingUtils', () => ({
+    trackAuth: jest.fn().mockResolvedValue(undefined),
+    trackTaskGoal: jest.fn().mockResolvedValue(undefined),
+    trackJourney: jest.fn().mockResolvedValue(undefined),
+    trackEngagement: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../services/emailService', () => ({
+    sendEmail: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const notificationService = require('../services/notificationService');
+const StageManager = require('../services/stageManager');
+const habitLoopEngine = require('../services/habitLoopEngine');
+const notificationRoutes = require('../routes/notifications');
+const checkinRoutes = require('../routes/checkin');
+const { chain, buildApp } = require('../../test/helpers');
+
+const userId = '64b000000000000000000001';
+
+const routes = { '/api/notifications': notificationRoutes, '/api/checkin': checkinRoutes };
+
+describe('Notifications', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(Notification, 'create').mockImplementation(async notification => ({ _id: 'n1', ...notification }));
+        jest.spyOn(habitLoopEngine, 'processAction').mockResolvedValue({ success: true });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('posts a notification once per dedupe key', async () => {
+        const first = await notificationService.post(userId, { type: 'badge', title: 'Badge earned', dedupeKey: 'badge:1' });
+        expect(first).toMatchObject({ user: userId, type: 'badge', title: 'Badge earned', message: '', link: null, dedupeKey: 'badge:1' });
+
+        Notification.create.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+        jest.spyOn(Notification, 'findOne').mockResolvedValue({ _id: 'n1' });
+        expect(await notificationService.post(userId, { type: 'badge', title: 'Badge earned', dedupeKey: 'badge:1' })).toEqual({ _id: 'n1' });
+        expect(Notification.findOne).toHaveBeenCalledWith({ dedupeKey: 'badge:1' });
+
+        // notify() never throws
+        Notification.create.mockRejectedValueOnce(new Error('connection lost'));
+        expect(await notificationService.notify(userId, { type: 'reminder', title: 'Check in' })).toBeNull();
+    });
+
+    test('GET /api/notifications lists notifications with the unread count', async () => {
+        const notifications = [{ _id: 'n2', type: 'badge', title: 'Badge earned', readAt: null }];
+        const findSpy = jest.spyOn(Notification, 'find').mockReturnValue(chain(notifications));
+        const countSpy = jest.spyOn(Notification, 'countDocuments').mockResolvedValue(3);
+
+        const res = await request(buildApp(routes)).get('/api/notifications?unread=true&before=2026-03-01');
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ success: true, data: notifications, unreadCount: 3 });
+        expect(findSpy).toHaveBeenCalledWith({ user: userId, readAt: null, createdAt: { $lt: new Date('2026-03-01') } });
+        expect(countSpy).toHaveBeenCalledWith({ user: userId, readAt: null });
+
+        const count = await request(buildApp(routes)).get('/api/notifications/unread-count');
+        expect(count.body.data).toEqual({ unreadCount: 3 });
+
+        expect((await request(buildApp(routes)).get('/api/notifications?before=later')).status).toBe(400);
+    });
+
+    test('PATCH /api/notifications/:id/read marks one of the user\'s notifications read', async () => {
+        const notification = new Notification({ user: userId, type: 'reminder', title: 'Check in' });
+        const saveSpy = jest.spyOn(Notification.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+        const findSpy = jest.spyOn(Notification, 'findOne').mockImplementation(filter =>
+            Promise.resolve(String(filter._id) === String(notification._id) ? notification : null));
+        jest.spyOn(Notification, 'countDocuments').mockResolvedValue(0);
+
+        const res = await request(buildApp(routes)).patch(`/api/notifications/${notification._id}/read`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.readAt).toBeTruthy();
+        expect(res.body.unreadCount).toBe(0);
+        expect(findSpy).toHaveBeenCalledWith({ _id: notification._id.toString(), user: userId });
+
+        // Already read: nothing to save
+        saveSpy.mockClear();
+        await request(buildApp(routes)).patch(`/api/notifications/${notification._id}/read`);
+        expect(saveSpy).not.toHaveBeenCalled();
+
+        expect((await request(buildApp(routes)).patch(`/api/notifications/${new mongoose.Types.ObjectId()}/read`)).status).toBe(404);
+        expect((await request(buildApp(routes)).patch('/api/notifications/not-an-id/read')).status).toBe(404);
+    });
+
+    test('PATCH /api/notifications/read-all marks every unread notification read', async () => {
+        const updateSpy = jest.spyOn(Notification, 'updateMany').mockResolvedValue({ modifiedCount: 4 });
+
+        const res = await request(buildApp(routes)).patch('/api/notifications/read-all');
+
+        expect(res.body.data).toEqual({ updated: 4, unreadCount: 0 });
+        expect(updateSpy).toHaveBeenCalledWith({ user: userId, readAt: null }, { $set: { readAt: expect.any(Date) } });
+    });
+
+    test('a check-in posts the dashboard message and a new vision unlock', async () => {
+        jest.spyOn(StageManager.prototype, 'updateCheckInStreak').mockResolvedValue({
+            success: true,
+            streakCount: 3,
+            longestStreak: 3,
+            streakUpdated: true,
+            localDate: '2026-03-05'
+        });
+        jest.spyOn(StageManager.prototype, 'generateDashboardMessage').mockResolvedValue({ message: '3 days strong, Sam!' });
+        jest.spyOn(StageManager.prototype, 'checkPathwayUnlock').mockResolvedValue({ unlocked: true, requiredStreak: 3 });
+
+        const res = await request(buildApp(routes)).post('/api/checkin').send({});
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.newUnlock).toBe(true);
+        expect(Notification.create.mock.calls.map(([notification]) => notification)).toEqual([
+            expect.objectContaining({ type: 'dashboard', message: '3 days strong, Sam!', dedupeKey: `dashboard:${userId}:2026-03-05` }),
+            expect.objectContaining({ type: 'vision_unlocked', link: '/vision-questionnaire', dedupeKey: `vision_unlocked:${userId}` })
+        ]);
+    });
+
+    test('a stage promotion is posted to the inbox', async () => {
+        const user = new User({ _id: userId, name: 'Sam', email: 'sam@example.com', password: 'secret', userStage: 'discovery' });
+        user.stageStartDate = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000);
+        jest.spyOn(User, 'findById').mockResolvedValue(user);
+        jest.spyOn(user, 'save').mockResolvedValue(user);
+
+        const result = await new StageManager().promoteToNextStage(userId, 'discovery');
+
+        expect(result).toMatchObject({ promoted: true, toStage: 'onboarding' });
+        expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'stage_promotion',
+            data: { fromStage: 'discovery', toStage: 'onboarding' },
+            dedupeKey: `stage:${userId}:onboarding`
+        }));
+    });
+});
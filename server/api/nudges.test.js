@@ -0,0 +1,251 @@
+const mongoose = require('mongoose');
+
+jest.mock('../utils/trackingUtils', () => ({
+    trackAuth: jest.fn().mockResolvedValue(undefined),
+    trackTaskGoal: jest.fn().mockResolvedValue(undefined),
+    trackJourney: jest.fn().mockResolvedValue(undefined),
+    trackEngagement: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../services/eventStore', () => ({
+    record: jest.fn(),
+    getUserEvents: jest.fn(),
+    getUserEventStats: jest.fn(),
+    countUserEvents: jest.fn().mockResolvedValue(0),
+    getQueueSize: jest.fn().mockReturnValue(0)
+}));
+
+jest.mock('../services/emailService', () => ({
+    sendEmail: jest.fn().mockResolvedValue({ success: true, messageId: 'msg-1' })
+}));
+
+const emailService = require('../services/emailService');
+const NudgeJob = require('../models/NudgeJob');
+const RewardLedger = require('../models/RewardLedger');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const nudgeQueue = require('../services/nudgeQueue');
+const nudgeScheduler = require('../services/nudgeScheduler');
+const { getTriggerContext } = require('../services/nudgeScheduler');
+const habitLoopEngine = require('../services/habitLoopEngine');
+const achievementService = require('../services/achievementService');
+
+const userId = new mongoose.Types.ObjectId('64b000000000000000000001');
+const now = new Date('2026-03-05T08:30:00Z');
+const trigger = { type: 'identity_anchor', title: 'Good morning', message: 'One step today' };
+
+function buildUser(nudges = {}, overrides = {}) {
+    return new User({
+        _id: userId,
+        name: 'Sam',
+        email: 'sam@example.com',
+        password: 'secret',
+        timezone: 'Europe/Berlin',
+        preferences: { notifications: { nudges } },
+        ...overrides
+    });
+}
+
+function buildJob(overrides = {}) {
+    return {
+        _id: new mongoose.Types.ObjectId(),
+        user: userId,
+        context: null,
+        trigger: null,
+        deliveries: [],
+        attempts: 1,
+        ...overrides
+    };
+}
+
+describe('Nudge scheduler', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(habitLoopEngine, 'buildTrigger').mockResolvedValue({ trigger, userState: { stage: 'discovery' } });
+        jest.spyOn(nudgeQueue, 'setTrigger').mockImplementation(async (jobId, generated) => generated);
+        jest.spyOn(nudgeQueue, 'markDelivered').mockResolvedValue({});
+        jest.spyOn(nudgeQueue, 'complete').mockResolvedValue({});
+        jest.spyOn(nudgeQueue, 'fail').mockResolvedValue({});
+        jest.spyOn(nudgeQueue, 'scheduleFollowUp').mockResolvedValue({});
+        jest.spyOn(RewardLedger, 'create').mockImplementation(async entry => ({ _id: 'ledger-1', ...entry }));
+        jest.spyOn(Notification, 'create').mockImplementation(async notification => ({ _id: 'notification-1', ...notification }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('keeps one pending next trigger per user', async () => {
+        const findSpy = jest.spyOn(NudgeJob, 'findOneAndUpdate').mockResolvedValue({ _id: 'job-1' });
+        const runAt = new Date('2026-03-06T08:30:00Z');
+
+        await nudgeQueue.scheduleNext(userId, { runAt, cause: { action: 'task_completed' } });
+
+        expect(findSpy).toHaveBeenCalledWith(
+            { user: userId, status: 'pending' },
+            { $set: { runAt, context: null, cause: { action: 'task_completed' } }, $setOnInsert: { user: userId, status: 'pending' } },
+            { upsert: true, new: true }
+        );
+
+        // A concurrent schedule inserted first: update the job it created
+        findSpy.mockClear();
+        findSpy.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+        expect(await nudgeQueue.scheduleNext(userId, { runAt })).toEqual({ _id: 'job-1' });
+        expect(findSpy).toHaveBeenCalledTimes(2);
+        expect(findSpy.mock.calls[1][2]).toEqual({ new: true });
+    });
+
+    test('leases due jobs and jobs whose lease ran out, and backs off failures', async () => {
+        const findSpy = jest.spyOn(NudgeJob, 'findOneAndUpdate').mockResolvedValue(null);
+        const updateSpy = jest.spyOn(NudgeJob, 'updateOne').mockResolvedValue({});
+        nudgeQueue.fail.mockRestore();
+
+        await nudgeQueue.claimDue('worker-a', now);
+        expect(findSpy).toHaveBeenCalledWith(
+            { $or: [{ status: 'pending', runAt: { $lte: now } }, { status: 'processing', lockedUntil: { $lte: now } }] },
+            { $set: { status: 'processing', lockedBy: 'worker-a', lockedUntil: new Date(now.getTime() + 5 * 60 * 1000) }, $inc: { attempts: 1 } },
+            { sort: { runAt: 1 }, new: true }
+        );
+
+        const job = buildJob({ attempts: 3 });
+        await nudgeQueue.fail(job, new Error('SMTP down'), 'worker-a', now);
+        expect(updateSpy).toHaveBeenCalledWith({ _id: job._id, lockedBy: 'worker-a' }, {
+            $set: { lockedBy: null, lockedUntil: new Date(now.getTime() + 4 * 60 * 1000), lastError: 'SMTP down' }
+        });
+        expect(nudgeQueue.scheduleFollowUp).not.toHaveBeenCalled();
+
+        // Giving up still queues the next trigger
+        await nudgeQueue.fail(buildJob({ attempts: nudgeQueue.MAX_ATTEMPTS }), new Error('SMTP down'), 'worker-a', now);
+        expect(updateSpy.mock.calls[1][1].$set).toMatchObject({ status: 'failed', completedAt: now });
+        expect(nudgeQueue.scheduleFollowUp).toHaveBeenCalledWith(userId, { cause: { action: 'nudge_failed' } });
+    });
+
+    test('expires finished jobs by completedAt', () => {
+        const ttl = NudgeJob.schema.indexes().find(([fields]) => fields.completedAt === 1);
+
+        expect(ttl[1]).toMatchObject({ expireAfterSeconds: 30 * 24 * 60 * 60 });
+    });
+
+    test('delivers a due trigger to the channels the user enabled', async () => {
+        jest.spyOn(User, 'findById').mockResolvedValue(buildUser({ email: true }));
+        const job = buildJob();
+
+        const result = await nudgeScheduler.processJob(job, now);
+
+        expect(result).toMatchObject({ status: 'completed', channels: ['in_app', 'email'] });
+        // 08:30 UTC is 09:30 in Berlin
+        expect(habitLoopEngine.buildTrigger).toHaveBeenCalledWith(expect.anything(), 'morning');
+        expect(nudgeQueue.setTrigger).toHaveBeenCalledWith(job._id, trigger, 'morning');
+        expect(Notification.create).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'nudge',
+            title: 'Good morning',
+            dedupeKey: `nudge:${job._id}`
+        }));
+        expect(RewardLedger.create).toHaveBeenCalledWith(expect.objectContaining({
+            kind: 'trigger',
+            type: 'identity_anchor',
+            dedupeKey: `nudge:${job._id}`
+        }));
+        expect(emailService.sendEmail).toHaveBeenCalledWith('sam@example.com', 'Good morning', 'nudge', expect.objectContaining({ message: 'One step today' }), expect.objectContaining({ userId: expect.anything() }));
+        expect(nudgeQueue.markDelivered.mock.calls).toEqual([[job._id, 'in_app', 'notification-1'], [job._id, 'email', 'msg-1']]);
+        expect(nudgeQueue.scheduleFollowUp).toHaveBeenCalledWith(userId, { cause: { action: 'nudge_sent' } });
+        expect(nudgeQueue.complete).toHaveBeenCalledWith(job._id, nudgeScheduler.workerId);
+    });
+
+    test('a follow-up keeps a next trigger an action already scheduled', async () => {
+        nudgeQueue.scheduleFollowUp.mockRestore();
+        const findSpy = jest.spyOn(NudgeJob, 'findOneAndUpdate').mockResolvedValue({ _id: 'job-2' });
+
+        expect(await nudgeQueue.scheduleFollowUp(userId, { cause: { action: 'nudge_sent' } })).toEqual({ _id: 'job-2' });
+
+        const [filter, update, options] = findSpy.mock.calls[0];
+        expect(filter).toEqual({ user: userId, status: 'pending' });
+        expect(update.$set).toBeUndefined();
+        expect(update.$setOnInsert).toMatchObject({ user: userId, status: 'pending', cause: { action: 'nudge_sent' } });
+        expect(options).toEqual({ upsert: true, new: true });
+    });
+
+    test('a retried job reuses its trigger and skips delivered channels', async () => {
+        jest.spyOn(User, 'findById').mockResolvedValue(buildUser({ email: true }));
+        const job = buildJob({
+            attempts: 2,
+            context: 'morning',
+            trigger,
+            deliveries: [{ channel: 'in_app', ref: 'ledger-1' }]
+        });
+
+        const result = await nudgeScheduler.processJob(job, now);
+
+        expect(result.status).toBe('completed');
+        expect(habitLoopEngine.buildTrigger).not.toHaveBeenCalled();
+        expect(RewardLedger.create).not.toHaveBeenCalled();
+        expect(Notification.create).not.toHaveBeenCalled();
+        expect(emailService.sendEmail).toHaveBeenCalledTimes(1);
+        expect(nudgeQueue.markDelivered).toHaveBeenCalledWith(job._id, 'email', 'msg-1');
+    });
+
+    test('a repeated in-app delivery returns the existing ledger entry', async () => {
+        RewardLedger.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+        jest.spyOn(RewardLedger, 'findOne').mockResolvedValue({ _id: 'ledger-1' });
+
+        const entry = await achievementService.recordTrigger(userId, trigger, {}, { dedupeKey: 'nudge:job-1' });
+
+        expect(entry).toEqual({ _id: 'ledger-1' });
+        expect(RewardLedger.findOne).toHaveBeenCalledWith({ dedupeKey: 'nudge:job-1' });
+    });
+
+    test('a failed channel leaves the job for retry', async () => {
+        jest.spyOn(User, 'findById').mockResolvedValue(buildUser({ email: true }));
+        emailService.sendEmail.mockResolvedValueOnce({ success: false, error: 'SMTP down' });
+        const job = buildJob();
+
+        const result = await nudgeScheduler.processJob(job, now);
+
+        expect(result).toMatchObject({ status: 'failed', error: 'SMTP down' });
+        expect(nudgeQueue.markDelivered).toHaveBeenCalledWith(job._id, 'in_app', 'notification-1');
+        expect(nudgeQueue.complete).not.toHaveBeenCalled();
+        expect(nudgeQueue.fail).toHaveBeenCalledWith(job, expect.any(Error), nudgeScheduler.workerId, now);
+    });
+
+    test('routes channels by preference and skips accounts pending deletion', async () => {
+        expect(nudgeScheduler.getChannels(buildUser())).toEqual(['in_app']);
+        expect(nudgeScheduler.getChannels(buildUser({ inApp: false, email: true }))).toEqual(['email']);
+        expect(nudgeScheduler.getChannels(buildUser({ email: true }, { emailPreferences: { unsubscribed: true } }))).toEqual(['in_app']);
+
+        jest.spyOn(User, 'findById').mockResolvedValue(buildUser({}, { deletion: { scheduledFor: now } }));
+        const result = await nudgeScheduler.processJob(buildJob(), now);
+        expect(result.status).toBe('skipped');
+        expect(habitLoopEngine.buildTrigger).not.toHaveBeenCalled();
+        expect(nudgeQueue.scheduleFollowUp).not.toHaveBeenCalled();
+        expect(nudgeQueue.complete).toHaveBeenCalled();
+    });
+
+    test('processes due jobs until the queue is empty', async () => {
+        const jobs = [buildJob(), buildJob()];
+        jest.spyOn(nudgeQueue, 'claimDue').mockImplementation(async () => jobs.shift() || null);
+        jest.spyOn(User, 'findById').mockResolvedValue(buildUser());
+
+        const results = await nudgeScheduler.processDueJobs(now);
+
+        expect(results.map(result => result.status)).toEqual(['completed', 'completed']);
+        expect(nudgeQueue.claimDue).toHaveBeenCalledTimes(3);
+    });
+
+    test('an action pushes back the next trigger', async () => {
+        jest.spyOn(nudgeQueue, 'scheduleNext').mockResolvedValue({});
+        const runAt = new Date('2026-03-06T08:30:00Z');
+        jest.spyOn(nudgeQueue, 'getNext').mockResolvedValue({ _id: 'job-1', runAt, context: null });
+
+        await habitLoopEngine.scheduleNextTrigger(userId, { type: 'task_completed' }, { stage: 'discovery' });
+
+        expect(nudgeQueue.scheduleNext).toHaveBeenCalledWith(userId, { cause: { action: 'task_completed', stage: 'discovery' } });
+        expect(await habitLoopEngine.getNextScheduledTrigger(userId)).toEqual({ jobId: 'job-1', runAt, context: null });
+    });
+
+    test('picks the trigger context from the local hour', () => {
+        expect(getTriggerContext(now, 'Europe/Berlin')).toBe('morning');
+        expect(getTriggerContext(now, 'America/New_York')).toBe('general');
+        expect(getTriggerContext(now, 'Asia/Tokyo')).toBe('evening');
+        expect(getTriggerContext(new Date('2026-03-05T13:00:00Z'), 'Not/AZone')).toBe('afternoon');
+    });
+});
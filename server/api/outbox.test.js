@@ -0,0 +1,186 @@
+const express = require('express');
+const request = require('supertest');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+
+process.env.EMAIL_UNSUBSCRIBE_SECRET = 'test-unsubscribe-secret';
+process.env.ADMIN_EMAILS = 'admin@example.com';
+
+const mockAdmin = { id: '64b000000000000000000009', email: 'admin@example.com', emailVerified: true };
+let mockCurrentUser = mockAdmin;
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+    req.user = mockCurrentUser;
+    next();
+});
+
+jest.mock('../utils/trackingUtils', () => ({
+    trackAuth: jest.fn().mockResolvedValue(undefined),
+    trackTaskGoal: jest.fn().mockResolvedValue(undefined),
+    trackJourney: jest.fn().mockResolvedValue(undefined),
+    trackEngagement: jest.fn().mockResolvedValue(undefined)
+}));
+
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const StageManager = require('../services/stageManager');
+const emailService = require('../services/emailService');
+const reminderScheduler = require('../services/reminderScheduler');
+const { createTransport, getDefaultTransportName, OutboxTransport } = require('../services/emailTransport');
+const logger = require('../utils/logger');
+const devRoutes = require('../routes/dev');
+
+// Sunday 2026-03-08 08:00 UTC: 9 AM in Berlin
+const now = new Date('2026-03-08T08:00:00Z');
+
+function buildUser() {
+    return new User({
+        _id: new mongoose.Types.ObjectId(),
+        name: 'Sam',
+        email: 'sam@example.com',
+        password: 'secret',
+        timezone: 'Europe/Berlin',
+        streakCount: 4,
+        lastCheckIn: new Date('2026-03-07T08:00:00Z'),
+        onboardingData: { dream: 'Run a marathon' }
+    });
+}
+
+function buildApp() {
+    const app = express();
+    app.use('/api/dev', devRoutes);
+    return app;
+}
+
+describe('Email outbox', () => {
+    let outbox;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        outbox = emailService.setTransport('outbox', { store: 'memory' });
+    });
+
+    afterEach(() => {
+        mockCurrentUser = mockAdmin;
+        jest.restoreAllMocks();
+    });
+
+    test('defaults to the in-memory outbox under Jest', () => {
+        const transport = createTransport();
+        expect(transport).toBeInstanceOf(OutboxTransport);
+        expect(transport.storeName).toBe('memory');
+        expect(() => createTransport('carrier-pigeon')).toThrow('Unknown email transport: carrier-pigeon');
+    });
+
+    test('only captures mail by default in development and test', () => {
+        const nodeEnv = process.env.NODE_ENV;
+        const warn = jest.spyOn(logger, 'warn').mockImplementation(() => {});
+        try {
+            process.env.NODE_ENV = 'development';
+            expect(getDefaultTransportName()).toBe('outbox');
+            process.env.NODE_ENV = 'staging';
+            expect(getDefaultTransportName()).toBe('smtp');
+            expect(warn).not.toHaveBeenCalled();
+
+            delete process.env.NODE_ENV;
+            expect(getDefaultTransportName()).toBe('smtp');
+            expect(warn).toHaveBeenCalledWith(expect.stringContaining('NODE_ENV is not set'));
+        } finally {
+            process.env.NODE_ENV = nodeEnv;
+        }
+    });
+
+    test('captures the welcome email and serves it from /api/dev/outbox', async () => {
+        const user = buildUser();
+        jest.spyOn(User, 'findById').mockResolvedValue(user);
+
+        const result = await reminderScheduler.sendWelcomeEmail(user._id);
+        expect(result.success).toBe(true);
+
+        const app = buildApp();
+        const res = await request(app).get('/api/dev/outbox').query({ to: 'sam@example.com' });
+        expect(res.status).toBe(200);
+        expect(res.body.data).toHaveLength(1);
+        const [mail] = res.body.data;
+        expect(mail).toMatchObject({ to: 'sam@example.com', template: 'welcome', messageId: result.messageId });
+        expect(mail.html).toContain('Run a marathon');
+        expect(mail.headers['List-Unsubscribe']).toContain('/api/email/unsubscribe?token=');
+
+        const page = await request(app).get(`/api/dev/outbox/${mail.id}`).set('Accept', 'text/html');
+        expect(page.text).toBe(mail.html);
+
+        await request(app).delete('/api/dev/outbox').expect(200);
+        expect(await outbox.list()).toEqual([]);
+    });
+
+    test('captures daily reminders sent by the scheduler', async () => {
+        const user = buildUser();
+        jest.spyOn(User, 'find').mockResolvedValue([user]);
+        jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+        jest.spyOn(Notification, 'create').mockImplementation(async notification => notification);
+        jest.spyOn(StageManager.prototype, 'checkPathwayUnlock').mockResolvedValue({ unlocked: false, remainingDays: 3 });
+
+        await reminderScheduler.sendDailyReminders(now);
+
+        const [mail] = await outbox.list({ to: 'sam@example.com' });
+        expect(mail.template).toBe('daily-reminder');
+        expect(mail.html).toContain('3 more days');
+    });
+
+    test('the file store keeps mail across transport instances', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-test-'));
+        try {
+            const first = new OutboxTransport({ store: 'file', dir });
+            await first.send({ to: 'a@example.com', subject: 'One', html: '<p>1</p>' });
+            await first.send({ to: 'b@example.com', subject: 'Two', html: '<p>2</p>' });
+
+            const second = new OutboxTransport({ store: 'file', dir });
+            const messages = await second.list();
+            expect(messages.map(message => message.subject).sort()).toEqual(['One', 'Two']);
+            expect(await second.list({ to: 'a@example.com' })).toHaveLength(1);
+            expect(await second.get(messages[0].id)).toMatchObject({ subject: messages[0].subject });
+
+            await second.clear();
+            expect(await first.list()).toEqual([]);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('the outbox routes are off for other transports', async () => {
+        emailService.setTransport('noop');
+        const result = await emailService.sendEmail('sam@example.com', 'Hi', 'welcome', { name: 'Sam' });
+        expect(result.success).toBe(true);
+
+        const res = await request(buildApp()).get('/api/dev/outbox');
+        expect(res.status).toBe(404);
+    });
+
+    test('the outbox is for verified admins only', async () => {
+        await outbox.send({ to: 'sam@example.com', subject: 'Reset your password', html: '<p>reset</p>' });
+
+        mockCurrentUser = { id: '64b000000000000000000001', email: 'sam@example.com', emailVerified: true };
+        const res = await request(buildApp()).get('/api/dev/outbox');
+        expect(res.status).toBe(403);
+        expect(res.body.code).toBe('ADMIN_REQUIRED');
+    });
+
+    test('lets an unverified admin read the outbox in development only', async () => {
+        await outbox.send({ to: 'admin@example.com', subject: 'Verify your email address', html: '<p>verify</p>' });
+        mockCurrentUser = { ...mockAdmin, emailVerified: false };
+        const nodeEnv = process.env.NODE_ENV;
+
+        try {
+            expect((await request(buildApp()).get('/api/dev/outbox')).status).toBe(403);
+
+            process.env.NODE_ENV = 'development';
+            const res = await request(buildApp()).get('/api/dev/outbox');
+            expect(res.status).toBe(200);
+            expect(res.body.data[0].subject).toBe('Verify your email address');
+        } finally {
+            process.env.NODE_ENV = nodeEnv;
+        }
+    });
+});
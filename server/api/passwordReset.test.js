@@ -0,0 +1,153 @@
+const express = require('express');
+const request = require('supertest');
+const bcrypt = require('bcryptjs');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+jest.mock('../utils/trackingUtils', () => ({
+    trackAuth: jest.fn().mockResolvedValue(undefined),
+    trackTaskGoal: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../services/emailService', () => ({
+    sendEmail: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AuthToken = require('../models/AuthToken');
+const emailService = require('../services/emailService');
+const sessionService = require('../services/sessionService');
+const authTokenService = require('../services/authTokenService');
+const { hashToken } = require('../services/authTokenService');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const authRoutes = require('../routes/auth');
+
+const userId = new mongoose.Types.ObjectId();
+
+function buildApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+    return app;
+}
+
+describe('password reset', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+        emailService.sendEmail.mockClear();
+    });
+
+    it('answers the same way whether or not the account exists', async () => {
+        jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+        const res = await request(buildApp())
+            .post('/api/auth/forgot-password')
+            .send({ email: 'nobody@example.com' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.msg).toMatch(/If an account exists/);
+        await new Promise(resolve => setImmediate(resolve));
+        expect(emailService.sendEmail).not.toHaveBeenCalled();
+    });
+
+    it('emails a link whose token is stored only as a hash', async () => {
+        jest.spyOn(User, 'findOne').mockResolvedValue({ _id: userId, name: 'Ada', email: 'ada@example.com' });
+        const clear = jest.spyOn(AuthToken, 'deleteMany').mockResolvedValue({ deletedCount: 1 });
+        const create = jest.spyOn(AuthToken, 'create').mockResolvedValue({});
+
+        const sent = await authTokenService.requestPasswordReset('ada@example.com');
+
+        expect(sent).toBe(true);
+        expect(clear).toHaveBeenCalledWith({ user: userId, purpose: 'password_reset', usedAt: null });
+
+        const [to, , template, data] = emailService.sendEmail.mock.calls[0];
+        const token = decodeURIComponent(data.resetUrl.split('resetToken=')[1]);
+        expect(to).toBe('ada@example.com');
+        expect(template).toBe('password-reset');
+        expect(create.mock.calls[0][0].tokenHash).toBe(hashToken(token));
+        expect(JSON.stringify(create.mock.calls[0][0])).not.toContain(token);
+    });
+
+    it('sets the new password and revokes every session', async () => {
+        jest.spyOn(AuthToken, 'findOneAndUpdate').mockResolvedValue({ user: userId });
+        jest.spyOn(AuthToken, 'deleteMany').mockResolvedValue({ deletedCount: 0 });
+        const update = jest.spyOn(User, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+        const revoke = jest.spyOn(sessionService, 'revokeAllSessions').mockResolvedValue(2);
+
+        const res = await request(buildApp())
+            .post('/api/auth/reset-password')
+            .send({ token: 'reset-token', password: 'new-password' });
+
+        expect(res.status).toBe(200);
+        expect(AuthToken.findOneAndUpdate.mock.calls[0][0]).toMatchObject({
+            tokenHash: hashToken('reset-token'),
+            purpose: 'password_reset',
+            usedAt: null
+        });
+        const hash = update.mock.calls[0][1].$set.password;
+        expect(await bcrypt.compare('new-password', hash)).toBe(true);
+        expect(revoke).toHaveBeenCalledWith(userId, 'password_reset');
+    });
+
+    it('rejects a token that was already used or has expired', async () => {
+        jest.spyOn(AuthToken, 'findOneAndUpdate').mockResolvedValue(null);
+        const update = jest.spyOn(User, 'updateOne');
+
+        const res = await request(buildApp())
+            .post('/api/auth/reset-password')
+            .send({ token: 'used-token', password: 'new-password' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('INVALID_TOKEN');
+        expect(update).not.toHaveBeenCalled();
+    });
+});
+
+describe('email verification', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.REQUIRE_EMAIL_VERIFICATION;
+    });
+
+    it('marks the address verified', async () => {
+        jest.spyOn(AuthToken, 'findOneAndUpdate').mockResolvedValue({ user: userId, email: 'ada@example.com' });
+        const update = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({ id: userId.toString(), emailVerified: true });
+
+        const res = await request(buildApp())
+            .post('/api/auth/verify-email')
+            .send({ token: 'verify-token' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.emailVerified).toBe(true);
+        expect(update.mock.calls[0][0]).toEqual({ _id: userId, email: 'ada@example.com' });
+    });
+
+    it('refuses a link sent to an address the account no longer uses', async () => {
+        jest.spyOn(AuthToken, 'findOneAndUpdate').mockResolvedValue({ user: userId, email: 'old@example.com' });
+        jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue(null);
+
+        const res = await request(buildApp())
+            .post('/api/auth/verify-email')
+            .send({ token: 'verify-token' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('EMAIL_CHANGED');
+    });
+
+    it('gates features only when verification is required', async () => {
+        const app = express();
+        app.get('/gated', (req, res, next) => {
+            req.user = { id: userId.toString(), emailVerified: req.query.verified === 'true' };
+            next();
+        }, requireVerifiedEmail, (req, res) => res.json({ ok: true }));
+
+        expect((await request(app).get('/gated')).status).toBe(200);
+
+        process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+        const blocked = await request(app).get('/gated');
+        expect(blocked.status).toBe(403);
+        expect(blocked.body.code).toBe('EMAIL_NOT_VERIFIED');
+        expect((await request(app).get('/gated?verified=true')).status).toBe(200);
+    });
+});
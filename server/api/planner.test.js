@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+
+const llmService = require('../services/llmService');
+const plannerEngine = require('../engines/planner');
+const { detectArchetype, getWeekOneDays, buildSprints, toTaskFields } = require('../engines/planner');
+const { DREAM_ARCHETYPES, ARCHETYPE_PATTERNS } = require('../config/dreamLanguage');
+const journeyService = require('../services/journeyService');
+const Journey = require('../models/Journey');
+const WeeklyGoal = require('../models/WeeklyGoal');
+const Task = require('../models/Task');
+
+const userId = new mongoose.Types.ObjectId('64b000000000000000000001');
+
+const careerInput = {
+    dreamText: 'Leading product strategy at a healthtech startup, after years in support roles, because I am ready to shape what matters.',
+    confidence: 60,
+    timeHorizon: 12,
+    careerPath: 'employee',
+    timeCommitment: 'focused-blocks',
+    learningStyle: 'reading',
+    availableDaysWeek1: ['Wed', 'Thu', 'Fri', 'Sat', 'Sun']
+};
+
+function allTasks(plan) {
+    return plan.weeks.flatMap(week => week.tasks);
+}
+
+describe('Planner engine', () => {
+    beforeEach(() => {
+        jest.spyOn(llmService, 'generateContent').mockRejectedValue(new Error('LLM should not be called'));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('generates the same plan for the same input without calling the LLM', async () => {
+        const first = await plannerEngine.generatePlan(careerInput);
+        const second = await plannerEngine.generatePlan({ ...careerInput });
+
+        expect(second).toEqual(first);
+        expect(llmService.generateContent).not.toHaveBeenCalled();
+        expect(first.method).toBe('archetype_template');
+        expect(first.plan.goals).toHaveLength(5);
+        expect(first.plan.weeks.map(week => week.week)).toEqual([1, 2, 3]);
+        expect(first.journey.weeks).toHaveLength(3);
+    });
+
+    test('picks the archetype from archetypeData, then keywords, then career', async () => {
+        expect(detectArchetype('anything', { type: 'emotional' })).toEqual({ archetype: 'emotional', source: 'archetypeData' });
+        expect(detectArchetype('Finding calm and peace after burnout').archetype).toBe('emotional');
+        expect(detectArchetype('Owning my voice and who I truly am').archetype).toBe('self-discovery');
+        expect(detectArchetype('Something new')).toEqual({ archetype: 'career', source: 'default' });
+
+        const result = await plannerEngine.generatePlan({
+            ...careerInput,
+            dreamText: 'Writing and publishing my first book for young readers, after years in banking, because stories matter.',
+            archetypeData: { type: 'creative', creative_goal: 'Writing my first book' }
+        });
+
+        expect(result.archetype).toBe('creative');
+        expect(result.plan.goals[0].title).toBe('Shape the idea behind Writing my first book');
+        expect(allTasks(result.plan).every(task => task.archetypeContext === 'creative')).toBe(true);
+    });
+
+    test('fills career placeholders from the dream text', async () => {
+        const result = await plannerEngine.generatePlan(careerInput);
+
+        expect(result.plan.goals[0].title).toBe('Define what Leading product strategy really involves');
+        expect(result.plan.goals[1].title).toBe('Map the gap from years in support roles');
+        expect(result.templateMetadata.placeholdersFromDream).toEqual(['focus', 'context', 'from', 'why']);
+    });
+
+    test('splits dream text on whole template keywords only', () => {
+        const career = ARCHETYPE_PATTERNS[DREAM_ARCHETYPES.CAREER];
+        // "strategy" contains "at", "platform" contains "for" and "crafter" contains "after"
+        expect(careerInput.dreamText.match(career.desired_role)[1]).toBe('Leading product strategy');
+        expect(careerInput.dreamText.match(career.desired_company)[1]).toBe('a healthtech startup');
+
+        const creative = 'Building a platform for first-time founders, after a decade in banking, because I want to create';
+        expect(creative.match(ARCHETYPE_PATTERNS[DREAM_ARCHETYPES.CREATIVE].creative_goal)[1]).toBe('Building a platform');
+
+        const emotional = 'Feeling like the crafter of my own days after years of burnout, because I choose calm';
+        expect(emotional.match(ARCHETYPE_PATTERNS[DREAM_ARCHETYPES.EMOTIONAL].desired_emotion)[1])
+            .toBe('Feeling like the crafter of my own days');
+    });
+
+    test('schedules week 1 on the available days and keeps Sunday free', async () => {
+        const result = await plannerEngine.generatePlan(careerInput);
+        const weekOneDays = result.plan.weeks[0].tasks.map(task => task.day);
+
+        expect(new Set(weekOneDays)).toEqual(new Set(['Wed', 'Thu', 'Fri', 'Sat']));
+        expect(allTasks(result.plan).some(task => task.day === 'Sun')).toBe(false);
+        expect(getWeekOneDays({ availableDaysWeek1: ['Sun'] })).toEqual(['Sun']);
+
+        const shortWeek = await plannerEngine.generatePlan({ ...careerInput, availableDaysWeek1: ['Sat', 'Sun'] });
+        expect(shortWeek.plan.weeks[0].tasks).toHaveLength(4);
+    });
+
+    test('scales task time and difficulty with commitment and confidence', async () => {
+        const micro = await plannerEngine.generatePlan({ ...careerInput, timeCommitment: 'micro-burst', confidence: 20 });
+        const beast = await plannerEngine.generatePlan({ ...careerInput, timeCommitment: 'beast-mode', confidence: 90 });
+
+        expect(Math.max(...allTasks(micro.plan).map(task => task.estTime))).toBeLessThan(
+            Math.min(...allTasks(beast.plan).map(task => task.estTime)) * 2
+        );
+        expect(micro.plan.weeks.map(week => week.tasks[0].difficultyLevel)).toEqual(['beginner', 'beginner', 'intermediate']);
+        expect(beast.plan.weeks.map(week => week.tasks[0].difficultyLevel)).toEqual(['intermediate', 'advanced', 'advanced']);
+    });
+
+    test('produces tasks, goals and sprints the models accept', async () => {
+        const result = await plannerEngine.generatePlan(careerInput);
+
+        result.plan.weeks.forEach(week => {
+            week.tasks.forEach(task => {
+                const doc = new Task({ user: userId, ...toTaskFields(task, { timeCommitment: 'focused-blocks', confidence: 60 }) });
+                expect(doc.validateSync()).toBeUndefined();
+            });
+        });
+
+        result.journey.weeks.forEach(week => {
+            expect(week.goals.map(goal => goal.goalId)).toEqual([`w${week.week}-g1`, `w${week.week}-g2`, `w${week.week}-g3`]);
+            week.goals.forEach(goal => {
+                const doc = new WeeklyGoal({ user: userId, title: goal.title, description: goal.description, weekOf: new Date(), journeyWeek: week.week });
+                expect(doc.validateSync()).toBeUndefined();
+            });
+        });
+
+        const sprints = buildSprints(result.journey);
+        expect(sprints.map(({ sprintNumber, week, days }) => ({ sprintNumber, week, days })))
+            .toEqual(journeyService.createSprintStructure().map(({ sprintNumber, week, days }) => ({ sprintNumber, week, days })));
+        const journey = new Journey({ user: userId, dreamText: careerInput.dreamText, confidence: 60, timeHorizon: 12, sprints });
+        expect(journey.validateSync()).toBeUndefined();
+    });
+
+    test('initializes the first sprint of a journey from the plan', async () => {
+        jest.spyOn(WeeklyGoal.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+        const savedTasks = [];
+        jest.spyOn(Task.prototype, 'save').mockImplementation(function () {
+            savedTasks.push(this);
+            return Promise.resolve(this);
+        });
+
+        const journey = new Journey({
+            user: userId,
+            dreamText: careerInput.dreamText,
+            confidence: 60,
+            timeHorizon: 12,
+            sprints: journeyService.createSprintStructure()
+        });
+
+        await journeyService.initializeFirstSprint(journey, careerInput);
+
+        expect(journey.fullJourneyPlan.weeks).toHaveLength(3);
+        expect(journey.sprints[0].goals.map(goal => goal.day)).toEqual([1, 2, 3]);
+        expect(journey.sprints[0].goals[0].tasks[0].title).toBe(journey.fullJourneyPlan.weeks[0].goals[0].tasks[0].name);
+        expect(savedTasks.length).toBeGreaterThan(0);
+        savedTasks.forEach(task => {
+            expect(task.validateSync()).toBeUndefined();
+            expect(task.adaptiveMetadata.generationMethod).toBe('template_based');
+            expect(task.rationale).toBeTruthy();
+        });
+    });
+
+    test('uses LLM titles when enrichment returns a matching plan', async () => {
+        const template = await plannerEngine.generatePlan(careerInput);
+        const taskCount = allTasks(template.plan).length;
+        llmService.generateContent.mockResolvedValue({
+            success: true,
+            provider: 'openai',
+            model: 'gpt-4o-mini',
+            content: 'Here you go: ' + JSON.stringify({
+                goals: template.plan.goals.map((goal, index) => `Personal goal ${index + 1}`),
+                tasks: Array.from({ length: taskCount }, (value, index) => `Personal task ${index + 1}`)
+            })
+        });
+
+        const result = await plannerEngine.generatePlan(careerInput, { enrich: true });
+
+        expect(result.method).toBe('archetype_template+llm');
+        expect(result.aiProviderInfo).toEqual({ provider: 'openai', model: 'gpt-4o-mini' });
+        expect(result.plan.goals[0].title).toBe('Personal goal 1');
+        expect(result.journey.weeks[0].goals[0].tasks[0].name).toBe('Personal task 1');
+        expect(allTasks(result.plan).map(task => task.estTime)).toEqual(allTasks(template.plan).map(task => task.estTime));
+    });
+
+    test('keeps the template plan when enrichment fails or returns a mismatched plan', async () => {
+        const template = await plannerEngine.generatePlan(careerInput);
+
+        const failed = await plannerEngine.generatePlan(careerInput, { enrich: true });
+        expect(failed).toEqual(template);
+
+        llmService.generateContent.mockResolvedValue({ success: true, content: JSON.stringify({ goals: ['Only one'], tasks: [] }) });
+        const mismatched = await plannerEngine.generatePlan(careerInput, { enrich: true });
+        expect(mismatched).toEqual(template);
+
+        llmService.generateContent.mockReturnValue(new Promise(() => {}));
+        const timedOut = await plannerEngine.generatePlan(careerInput, { enrich: true, timeoutMs: 10 });
+        expect(timedOut).toEqual(template);
+    });
+
+    test('rejects input without dream text', async () => {
+        await expect(plannerEngine.generatePlan({})).rejects.toMatchObject({ code: 'INVALID_INPUT' });
+    });
+});
@@ -0,0 +1,90 @@
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+    req.user = { id: '64b7f0c2a1b2c3d4e5f60718' };
+    next();
+});
+
+jest.mock('../services/eventStore', () => ({
+    record: jest.fn(),
+    getUserEvents: jest.fn(),
+    getQueueSize: jest.fn().mockReturnValue(0)
+}));
+
+const mongoose = require('mongoose');
+const Reflection = require('../models/Reflection');
+const eventStore = require('../services/eventStore');
+const reflectionRoutes = require('./routes/reflections');
+const { chain, buildApp } = require('../../test/helpers');
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+const routes = { '/api/reflections': reflectionRoutes };
+
+describe('/api/reflections', () => {
+    beforeEach(() => {
+        eventStore.record.mockImplementation(event => ({ eventId: 'evt1', timestamp: '2025-01-01T00:00:00.000Z', ...event }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        jest.clearAllMocks();
+    });
+
+    it('saves the reflection before answering and keeps its text out of tracking', async () => {
+        const reflectionId = new mongoose.Types.ObjectId();
+        const create = jest.spyOn(Reflection, 'create').mockImplementation(async doc => ({ _id: reflectionId, ...doc }));
+
+        const res = await request(buildApp(routes))
+            .post('/api/reflections')
+            .send({ reflectionType: 'daily', content: { text: 'Finished the first chapter today', mood: 'happy' } });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual({ success: true, message: 'Reflection saved successfully', reflectionId: reflectionId.toString() });
+        expect(create).toHaveBeenCalledWith(expect.objectContaining({
+            user: userId,
+            reflectionType: 'daily',
+            text: 'Finished the first chapter today',
+            mood: 'happy',
+            wordCount: 5
+        }));
+        expect(eventStore.record).toHaveBeenCalledWith(expect.objectContaining({
+            eventType: 'reflection_submitted',
+            eventData: { reflectionId: reflectionId.toString(), reflectionType: 'daily', wordCount: 5 }
+        }));
+    });
+
+    it('fails when the reflection cannot be stored', async () => {
+        jest.spyOn(Reflection, 'create').mockRejectedValue(new Error('write failed'));
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const res = await request(buildApp(routes))
+            .post('/api/reflections')
+            .send({ reflectionType: 'daily', content: { text: 'Finished the first chapter today' } });
+
+        expect(res.status).toBe(500);
+        expect(eventStore.record).not.toHaveBeenCalled();
+    });
+
+    it('lists the owner\'s reflections, newest first', async () => {
+        const createdAt = new Date('2025-01-02T03:04:05Z');
+        const reflectionId = new mongoose.Types.ObjectId();
+        const find = jest.spyOn(Reflection, 'find').mockReturnValue(chain([
+            { _id: reflectionId, reflectionType: 'weekly_goal', text: 'A good week', mood: 'proud', wordCount: 3, context: {}, createdAt }
+        ]));
+
+        const res = await request(buildApp(routes)).get(`/api/reflections/user/${userId}`);
+
+        expect(res.status).toBe(200);
+        expect(find).toHaveBeenCalledWith({ user: userId });
+        expect(res.body.reflections).toEqual([{
+            id: reflectionId.toString(),
+            type: 'weekly_goal',
+            text: 'A good week',
+            mood: 'proud',
+            wordCount: 3,
+            timestamp: createdAt.toISOString(),
+            context: {}
+        }]);
+        expect(eventStore.getUserEvents).not.toHaveBeenCalled();
+    });
+});
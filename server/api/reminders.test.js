@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+
+jest.mock('../utils/trackingUtils', () => ({
+    trackAuth: jest.fn().mockResolvedValue(undefined),
+    trackTaskGoal: jest.fn().mockResolvedValue(undefined),
+    trackJourney: jest.fn().mockResolvedValue(undefined),
+    trackEngagement: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../services/emailService', () => ({
+    sendEmail: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const emailService = require('../services/emailService');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const StageManager = require('../services/stageManager');
+const reminderScheduler = require('../services/reminderScheduler');
+const { isHourInRange } = require('../services/reminderScheduler');
+
+// Sunday 2026-03-08 08:00 UTC: 9 AM in Berlin, 4 AM in New York, 5 PM in Tokyo
+const now = new Date('2026-03-08T08:00:00Z');
+
+function buildUser(name, timezone, emailPreferences = {}) {
+    return new User({
+        _id: new mongoose.Types.ObjectId(),
+        name,
+        email: `${name.toLowerCase()}@example.com`,
+        password: 'secret',
+        timezone,
+        streakCount: 4,
+        lastCheckIn: new Date('2026-03-04T08:00:00Z'),
+        emailPreferences
+    });
+}
+
+function sentTo() {
+    return emailService.sendEmail.mock.calls.map(([to]) => to);
+}
+
+describe('Reminder scheduler', () => {
+    let updateSpy;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(StageManager.prototype, 'checkPathwayUnlock').mockResolvedValue({ unlocked: false, remainingDays: 1 });
+        jest.spyOn(Notification, 'create').mockImplementation(async notification => notification);
+        updateSpy = jest.spyOn(User, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('checks hour ranges, wrapping past midnight', () => {
+        expect(isHourInRange(9, { start: 9, end: 11 })).toBe(true);
+        expect(isHourInRange(11, { start: 9, end: 11 })).toBe(false);
+        expect(isHourInRange(23, { start: 22, end: 7 })).toBe(true);
+        expect(isHourInRange(3, { start: 22, end: 7 })).toBe(true);
+        expect(isHourInRange(7, { start: 22, end: 7 })).toBe(false);
+        expect(isHourInRange(7, { start: 0, end: 0 })).toBe(false);
+    });
+
+    test('sends the daily reminder in each user\'s own reminder window', async () => {
+        jest.spyOn(User, 'find').mockResolvedValue([
+            buildUser('Berlin', 'Europe/Berlin'),
+            buildUser('NewYork', 'America/New_York'),
+            buildUser('Tokyo', 'Asia/Tokyo'),
+            buildUser('Late', 'Europe/Berlin', { reminderWindow: { start: 10, end: 12 } }),
+            buildUser('Quiet', 'Europe/Berlin', { quietHours: { start: 21, end: 10 } }),
+            buildUser('Optout', 'Europe/Berlin', { dailyReminders: false })
+        ]);
+
+        await reminderScheduler.sendDailyReminders(now);
+
+        expect(sentTo()).toEqual(['berlin@example.com']);
+        expect(emailService.sendEmail).toHaveBeenCalledWith('berlin@example.com', expect.any(String), 'daily-reminder', expect.objectContaining({ name: 'Berlin' }), expect.objectContaining({ userId: expect.anything() }));
+
+        // Opted out of email, but the reminder still reaches the inbox
+        expect(Notification.create.mock.calls.map(([notification]) => notification.dedupeKey)).toEqual([
+            expect.stringMatching(/^daily_reminder:.*:2026-03-08$/),
+            expect.stringMatching(/^daily_reminder:.*:2026-03-08$/)
+        ]);
+    });
+
+    test('claims the email in emailHistory before sending and records the result', async () => {
+        const user = buildUser('Berlin', 'Europe/Berlin');
+        jest.spyOn(User, 'find').mockResolvedValue([user]);
+
+        await reminderScheduler.sendDailyReminders(now);
+
+        expect(updateSpy).toHaveBeenNthCalledWith(1,
+            {
+                _id: user._id,
+                emailHistory: {
+                    $not: {
+                        $elemMatch: {
+                            type: 'daily-reminder',
+                            sentAt: { $gte: new Date('2026-03-07T09:00:00Z') },
+                            success: { $ne: false }
+                        }
+                    }
+                }
+            },
+            { $push: { emailHistory: { $each: [{ type: 'daily-reminder', sentAt: now, success: null }], $slice: -100 } } }
+        );
+        expect(updateSpy).toHaveBeenNthCalledWith(2,
+            { _id: user._id, emailHistory: { $elemMatch: { type: 'daily-reminder', sentAt: now } } },
+            { $set: { 'emailHistory.$.success': true } }
+        );
+
+        // Already sent (or being sent by another instance): nothing goes out
+        jest.clearAllMocks();
+        updateSpy.mockResolvedValue({ modifiedCount: 0 });
+        await reminderScheduler.sendDailyReminders(now);
+        expect(emailService.sendEmail).not.toHaveBeenCalled();
+        expect(updateSpy).toHaveBeenCalledTimes(1);
+    });
+
+    test('sends streak broken reminders at 8 PM local time, once per broken streak', async () => {
+        const tokyo = buildUser('Tokyo', 'Asia/Tokyo');
+        jest.spyOn(User, 'find').mockResolvedValue([buildUser('Berlin', 'Europe/Berlin'), tokyo]);
+
+        await reminderScheduler.sendStreakBrokenReminders(new Date('2026-03-08T11:00:00Z'));
+
+        expect(sentTo()).toEqual(['tokyo@example.com']);
+        expect(updateSpy.mock.calls[0][0].emailHistory.$not.$elemMatch.sentAt).toEqual({ $gte: tokyo.lastCheckIn });
+    });
+
+    test('sends weekly progress on Sunday morning local time only', async () => {
+        jest.spyOn(User, 'find').mockResolvedValue([
+            buildUser('Berlin', 'Europe/Berlin'),
+            buildUser('LosAngeles', 'America/Los_Angeles')
+        ]);
+
+        // 10 AM Sunday in Berlin; 1 AM Sunday in Los Angeles
+        await reminderScheduler.sendWeeklyProgressUpdates(new Date('2026-03-08T09:00:00Z'));
+        expect(sentTo()).toEqual(['berlin@example.com']);
+
+        // 10 AM Saturday in Los Angeles
+        emailService.sendEmail.mockClear();
+        await reminderScheduler.sendWeeklyProgressUpdates(new Date('2026-03-07T18:00:00Z'));
+        expect(emailService.sendEmail).not.toHaveBeenCalled();
+    });
+
+    test('holds vision unlocked emails during quiet hours', async () => {
+        jest.spyOn(User, 'find').mockResolvedValue([buildUser('NewYork', 'America/New_York'), buildUser('Berlin', 'Europe/Berlin')]);
+
+        await reminderScheduler.sendVisionUnlockedNotifications(now);
+
+        expect(sentTo()).toEqual(['berlin@example.com']);
+        expect(updateSpy.mock.calls[0][0].emailHistory.$not.$elemMatch.sentAt).toEqual({ $gte: new Date(0) });
+    });
+});
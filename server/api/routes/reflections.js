@@ -3,16 +3,24 @@ const router = express.Router();
 const authMiddleware = require('../../middleware/auth');
 const axios = require('axios');
 
-// Tracking Engine Client - communicates with standalone tracking service
+const Reflection = require('../../models/Reflection');
+const TrackingEngine = require('../../engines/tracking-engine');
+
+// Tracking Engine Client - talks to the in-process tracking engine, or to a
+// standalone tracking service when TRACKING_ENGINE_URL is set
 class TrackingEngineClient {
     constructor(options = {}) {
         this.enabled = options.enabled !== false;
-        this.baseUrl = options.baseUrl || process.env.TRACKING_ENGINE_URL || 'http://localhost:8086';
+        this.baseUrl = options.baseUrl || null;
+        this.engine = this.baseUrl ? null : (options.engine || new TrackingEngine());
     }
 
-    async createTask(taskData) {
+    async createTask(taskData, userId) {
         if (!this.enabled) return null;
         try {
+            if (this.engine) {
+                return await this.engine.createTask(taskData, userId || taskData.userId);
+            }
             const response = await axios.post(`${this.baseUrl}/api/tasks`, taskData);
             return response.data;
         } catch (error) {
@@ -21,9 +29,12 @@ class TrackingEngineClient {
         }
     }
 
-    async updateProgress(trackerId, progressData) {
+    async updateProgress(trackerId, progressData, userId) {
         if (!this.enabled) return null;
         try {
+            if (this.engine) {
+                return await this.engine.updateProgress(trackerId, progressData, userId || progressData.userId);
+            }
             const response = await axios.post(`${this.baseUrl}/api/progress/${trackerId}/update`, progressData);
             return response.data;
         } catch (error) {
@@ -35,6 +46,9 @@ class TrackingEngineClient {
     async logEvent(eventType, eventData, userId, metadata = {}) {
         if (!this.enabled) return null;
         try {
+            if (this.engine) {
+                return await this.engine.logEvent(eventType, eventData, userId, metadata);
+            }
             const response = await axios.post(`${this.baseUrl}/api/events/log`, {
                 eventType,
                 eventData,
@@ -51,6 +65,9 @@ class TrackingEngineClient {
     async logEvents(events) {
         if (!this.enabled) return null;
         try {
+            if (this.engine) {
+                return await this.engine.logEvents(events);
+            }
             const response = await axios.post(`${this.baseUrl}/api/events/bulk`, {
                 events
             });
@@ -64,9 +81,13 @@ class TrackingEngineClient {
     async getUserEvents(userId, options = {}) {
         if (!this.enabled) return [];
         try {
+            if (this.engine) {
+                return await this.engine.getUserEvents(userId, options);
+            }
             const params = new URLSearchParams();
             if (options.limit) params.append('limit', options.limit);
             if (options.timeRange) params.append('timeRange', options.timeRange);
+            if (options.eventType) params.append('eventType', options.eventType);
             
             const response = await axios.get(`${this.baseUrl}/api/events/user/${userId}?${params}`);
             return response.data;
@@ -79,6 +100,9 @@ class TrackingEngineClient {
     async getUserEventStats(userId, timeRange) {
         if (!this.enabled) return null;
         try {
+            if (this.engine) {
+                return await this.engine.getUserEventStats(userId, timeRange);
+            }
             const response = await axios.get(`${this.baseUrl}/api/events/user/${userId}/stats?timeRange=${timeRange}`);
             return response.data;
         } catch (error) {
@@ -88,13 +112,14 @@ class TrackingEngineClient {
     }
 
     getQueueSize() {
-        return 0;
+        return this.engine ? this.engine.getQueueSize() : 0;
     }
 
     get options() {
         return {
             enabled: this.enabled,
-            baseUrl: this.baseUrl
+            baseUrl: this.baseUrl,
+            inProcess: !!this.engine
         };
     }
 
@@ -106,17 +131,17 @@ class TrackingEngineClient {
 // Initialize tracking engine client
 const trackingEngine = new TrackingEngineClient({
     enabled: process.env.TRACKING_ENABLED !== 'false',
-    baseUrl: process.env.TRACKING_ENGINE_URL || 'http://localhost:8086'
+    baseUrl: process.env.TRACKING_ENGINE_URL
 });
 
 // POST /api/reflections - Create reflection
 router.post('/', authMiddleware, async (req, res) => {
     try {
-        const userId = req.user.userId;
+        const userId = req.user.id;
         const { reflectionType, content, context = {} } = req.body;
 
         // Validate input
-        if (!reflectionType || !content?.text) {
+        if (!reflectionType || !content?.text || typeof content.text !== 'string') {
             return res.status(400).json({ 
                 success: false, 
                 message: 'Reflection type and text are required' 
@@ -131,25 +156,29 @@ router.post('/', authMiddleware, async (req, res) => {
             });
         }
 
-        // Create reflection data for tracking
-        const reflectionData = {
+        // Saved before answering: the tracking event below is analytics only
+        const reflection = await Reflection.create({
+            user: userId,
             reflectionType,
-            content: content.text,
+            text: content.text,
             mood: content.mood,
+            wordCount: content.text.split(/\s+/).length,
             context: {
                 ...context,
                 dreamId: req.user.activeDreamId, // If available
                 userAgent: req.headers['user-agent'],
                 source: 'home_page'
-            },
-            wordCount: content.text.split(/\s+/).length,
-            timestamp: new Date()
-        };
+            }
+        });
 
-        // Save to tracking engine (leverages existing event system)
-        const eventResult = await trackingEngine.logEvent(
+        // The event carries no text, so scoring can count reflections without reading them
+        await trackingEngine.logEvent(
             'reflection_submitted',
-            reflectionData,
+            {
+                reflectionId: reflection._id.toString(),
+                reflectionType,
+                wordCount: reflection.wordCount
+            },
             userId,
             {
                 source: 'home_page',
@@ -158,15 +187,11 @@ router.post('/', authMiddleware, async (req, res) => {
             }
         );
 
-        if (eventResult.success) {
-            res.json({
-                success: true,
-                message: 'Reflection saved successfully',
-                reflectionId: eventResult.eventId
-            });
-        } else {
-            throw new Error('Failed to save reflection event');
-        }
+        res.json({
+            success: true,
+            message: 'Reflection saved successfully',
+            reflectionId: reflection._id.toString()
+        });
 
     } catch (error) {
         console.error('Reflection save error:', error);
@@ -183,28 +208,28 @@ router.get('/user/:userId', authMiddleware, async (req, res) => {
         const userId = req.params.userId;
         
         // Verify user can access these reflections
-        if (userId !== req.user.userId) {
+        if (userId !== req.user.id) {
             return res.status(403).json({ 
                 success: false, 
                 message: 'Access denied' 
             });
         }
 
-        const reflections = await trackingEngine.getUserEvents(userId, {
-            eventType: 'reflection_submitted',
-            limit: 50
-        });
+        const reflections = await Reflection.find({ user: userId })
+            .sort({ createdAt: -1 })
+            .limit(50)
+            .lean();
 
         res.json({
             success: true,
-            reflections: reflections.map(event => ({
-                id: event.eventId,
-                type: event.eventData.reflectionType,
-                text: event.eventData.content,
-                mood: event.eventData.mood,
-                wordCount: event.eventData.wordCount,
-                timestamp: event.timestamp,
-                context: event.eventData.context
+            reflections: reflections.map(reflection => ({
+                id: reflection._id.toString(),
+                type: reflection.reflectionType,
+                text: reflection.text,
+                mood: reflection.mood,
+                wordCount: reflection.wordCount,
+                timestamp: reflection.createdAt,
+                context: reflection.context
             }))
         });
 
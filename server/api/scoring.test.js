@@ -0,0 +1,190 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+    req.user = { id: '64b000000000000000000001' };
+    next();
+});
+
+jest.mock('../utils/trackingUtils', () => ({
+    trackAuth: jest.fn().mockResolvedValue(undefined),
+    trackTaskGoal: jest.fn().mockResolvedValue(undefined),
+    trackJourney: jest.fn().mockResolvedValue(undefined)
+}));
+
+const eventStore = require('../services/eventStore');
+const ScoringConsentService = require('../services/ScoringConsentService');
+const UserDream = require('../models/UserDream');
+const ScoreHistory = require('../models/ScoreHistory');
+const { VisionData } = require('../models/visionData');
+const { PMAssessmentResult } = require('../models/pmAssessment');
+const ScoringEngine = require('../engines/scoring_engine');
+const { FiveDimensionCalculator, filterEventsByConsent } = require('../engines/scoring_engine');
+const scoreRoutes = require('../routes/scores');
+const { chain, buildApp } = require('../../test/helpers');
+
+const userId = new mongoose.Types.ObjectId('64b000000000000000000001');
+
+const consent = new ScoringConsentService().getDefaultConsent();
+
+function daysAgo(days) {
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+}
+
+describe('FiveDimensionCalculator', () => {
+    const calculator = new FiveDimensionCalculator();
+
+    it('scores consistent activity and finished tasks as commitment', async () => {
+        const events = [];
+        for (let day = 0; day < 10; day++) {
+            events.push({ eventType: 'daily_login', timestamp: daysAgo(day) });
+            events.push({ eventType: 'task_completion', timestamp: daysAgo(day) });
+        }
+
+        const active = await calculator.calculateDimensionScores(userId, events, { windowDays: 30 }, 'discovery');
+        const idle = await calculator.calculateDimensionScores(userId, [], { windowDays: 30 }, 'discovery');
+
+        expect(active.commitment).toBeGreaterThan(0.5);
+        expect(idle.commitment).toBe(0);
+        expect(active.signals.commitment.completionRate[0]).toBe(1);
+    });
+
+    it('weights the overall score by stage', async () => {
+        const profile = {
+            pmAssessment: { overall: 100 },
+            professionalProfile: { linkedinUrl: 'x', blogUrl: 'x', twitterHandle: 'x', sideProjects: 'x', bio: 'x' },
+            hasResume: true
+        };
+
+        const discovery = await calculator.calculateDimensionScores(userId, [], profile, 'discovery');
+        const onboarding = await calculator.calculateDimensionScores(userId, [], profile, 'onboarding');
+
+        expect(discovery.competency).toBeGreaterThan(0);
+        expect(discovery.overall).toBe(0);
+        expect(onboarding.overall).toBeGreaterThan(0);
+        expect(onboarding.readiness).toBe(onboarding.competency);
+        expect(onboarding.growth).toBe(onboarding.growthReadiness);
+    });
+});
+
+describe('filterEventsByConsent', () => {
+    const events = [
+        { eventType: 'daily_login', eventData: { timeSinceLastLogin: 5 } },
+        { eventType: 'task_completion', eventData: { taskId: 't1', timeSpent: 30 } },
+        { eventType: 'reflection_submitted', eventData: { text: 'private thoughts' } },
+        { eventType: 'page_visited', eventData: {} }
+    ];
+
+    it('drops everything when behavioural tracking is off', () => {
+        expect(filterEventsByConsent(events, { behavioralTracking: { enabled: false } })).toEqual([]);
+    });
+
+    it('keeps reflections but not their content, and strips time fields when not consented', () => {
+        const filtered = filterEventsByConsent(events, {
+            behavioralTracking: {
+                enabled: true,
+                includes: { loginBehavior: false, taskPatterns: true, engagementQuality: false, reflectionContent: false, timeTracking: false }
+            }
+        });
+
+        expect(filtered.map(event => event.eventType)).toEqual(['task_completion', 'reflection_submitted']);
+        expect(filtered[0].eventData).toEqual({ taskId: 't1' });
+        expect(filtered[1].eventData).toEqual({});
+    });
+});
+
+describe('ScoringEngine', () => {
+    beforeEach(() => {
+        jest.spyOn(ScoringConsentService.prototype, 'getConsentedUserData').mockResolvedValue({
+            userId,
+            stage: 'discovery',
+            consent: {
+                ...consent,
+                assessmentData: { enabled: true, includes: { visionQuestionnaire: true, pmAssessment: false } }
+            },
+            consentedData: { preferences: {} }
+        });
+        jest.spyOn(UserDream, 'find').mockReturnValue(chain([{ dreamText: 'Become a product manager at a climate startup within a year', planGenerated: true }]));
+        jest.spyOn(VisionData, 'findOne').mockReturnValue(chain({ responses: { readiness: 'ready', importance: 'committed' } }));
+        jest.spyOn(PMAssessmentResult, 'findOne');
+        jest.spyOn(eventStore, 'getUserEvents').mockResolvedValue([
+            { eventType: 'daily_login', eventData: {}, timestamp: daysAgo(1) },
+            { eventType: 'reflection_submitted', eventData: { text: 'hi' }, timestamp: daysAgo(1) }
+        ]);
+        jest.spyOn(eventStore, 'record').mockImplementation(event => ({ eventId: 'e1', timestamp: new Date(), ...event }));
+        jest.spyOn(ScoreHistory, 'create').mockImplementation(async doc => ({ _id: new mongoose.Types.ObjectId(), ...doc }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('scores consented data and stores the result', async () => {
+        const engine = new ScoringEngine();
+        const profile = await engine.calculateUserProfile(userId.toString(), { timeWindow: '30d' });
+
+        expect(PMAssessmentResult.findOne).not.toHaveBeenCalled();
+        expect(profile.stage).toBe('discovery');
+        expect(profile.eventsProcessed).toBe(2);
+        expect(profile.dimensionScores.clarity).toBeGreaterThan(0);
+        expect(profile.stageProfile.activeScores).toEqual(['commitment', 'clarity', 'growthReadiness']);
+
+        const stored = ScoreHistory.create.mock.calls[0][0];
+        expect(stored.scores).toEqual(profile.dimensionScores);
+        expect(stored.signals.growthReadiness.statedReadiness).toBe(0.7);
+        expect(stored.trigger.reason).toBe('on_demand');
+    });
+
+    it('records trigger events and coalesces queued updates', async () => {
+        const engine = new ScoringEngine();
+
+        const first = await engine.scheduleScoreUpdate(userId, {
+            triggerEvents: [{ eventType: 'consent_granted', eventData: { bundleType: 'professionalProfile' } }],
+            priority: 'normal'
+        });
+        const second = await engine.scheduleScoreUpdate(userId, {
+            triggerEvents: [{ eventType: 'milestone_achieved', eventData: {} }],
+            priority: 'high'
+        });
+
+        expect(eventStore.record).toHaveBeenCalledTimes(2);
+        expect(eventStore.record.mock.calls[0][0]).toMatchObject({ eventType: 'consent_granted', metadata: { source: 'scoring_engine' } });
+        expect(second.runAt.getTime()).toBeLessThan(first.runAt.getTime());
+        expect(engine.getPendingUpdateCount()).toBe(1);
+
+        const [result] = await new ScoringEngine().flushScheduledUpdates();
+
+        expect(engine.getPendingUpdateCount()).toBe(0);
+        expect(result.dimensionScores).toBeDefined();
+        expect(ScoreHistory.create).toHaveBeenCalledTimes(1);
+        expect(ScoreHistory.create.mock.calls[0][0].trigger).toMatchObject({
+            reason: 'scheduled',
+            priority: 'high',
+            eventTypes: ['consent_granted', 'milestone_achieved']
+        });
+    });
+});
+
+describe('GET /api/scores/history', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('returns stored scores newest first and validates since', async () => {
+        const rows = [{ scores: { overall: 0.5 } }, { scores: { overall: 0.4 } }];
+        const find = jest.spyOn(ScoreHistory, 'find').mockReturnValue(chain(rows));
+
+        const app = buildApp({ '/api/scores': scoreRoutes });
+
+        const res = await request(app).get('/api/scores/history?limit=2&since=2025-01-01');
+        const bad = await request(app).get('/api/scores/history?since=yesterday-ish');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toEqual(rows);
+        expect(find.mock.calls[0][0]).toEqual({
+            user: userId.toString(),
+            calculatedAt: { $gte: new Date('2025-01-01') }
+        });
+        expect(bad.status).toBe(400);
+    });
+});
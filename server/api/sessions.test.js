@@ -0,0 +1,207 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+
+jest.mock('../utils/trackingUtils', () => ({
+    trackAuth: jest.fn().mockResolvedValue(undefined),
+    trackTaskGoal: jest.fn().mockResolvedValue(undefined)
+}));
+jest.mock('../services/emailService', () => ({
+    sendEmail: jest.fn().mockResolvedValue({ success: true })
+}));
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const sessionService = require('../services/sessionService');
+const { describeDevice } = require('../services/sessionService');
+const auth = require('../middleware/auth');
+const authRoutes = require('../routes/auth');
+
+const userId = new mongoose.Types.ObjectId();
+
+function buildApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/auth', authRoutes);
+    app.get('/api/protected', auth, (req, res) => res.json({ user: req.user }));
+    return app;
+}
+
+function makeSession(overrides = {}) {
+    return new Session({
+        _id: new mongoose.Types.ObjectId(),
+        user: userId,
+        family: 'test-family',
+        generation: 0,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+        ...overrides
+    });
+}
+
+// The refresh token the session issued for a generation
+function refreshTokenFor(session, generation) {
+    return sessionService.buildTokens(userId, { _id: session._id, family: session.family, generation }).refreshToken;
+}
+
+describe('POST /api/auth/refresh', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('rotates the refresh token and issues an access token for the session', async () => {
+        const session = makeSession();
+        const issued = refreshTokenFor(session, 0);
+        jest.spyOn(Session, 'findById').mockResolvedValue(session);
+        const update = jest.spyOn(Session, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) => {
+            Object.assign(session, $set);
+            return session;
+        });
+
+        const res = await request(buildApp())
+            .post('/api/auth/refresh')
+            .send({ refreshToken: issued });
+
+        expect(res.status).toBe(200);
+        expect(res.body.refreshToken).not.toBe(issued);
+        expect(res.body.refreshToken).toBe(refreshTokenFor(session, 1));
+        expect(update.mock.calls[0][0]).toMatchObject({ _id: session._id, generation: 0, revokedAt: null });
+        expect(session.generation).toBe(1);
+
+        const decoded = jwt.verify(res.body.token, process.env.JWT_SECRET);
+        expect(decoded.user.id).toBe(userId.toString());
+        expect(decoded.sid).toBe(session._id.toString());
+    });
+
+    it('revokes the whole session when a token from any earlier generation is reused', async () => {
+        const session = makeSession({ generation: 40, rotatedAt: new Date(Date.now() - 60 * 1000) });
+        jest.spyOn(Session, 'findById').mockResolvedValue(session);
+        const revoke = jest.spyOn(Session, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+        const res = await request(buildApp())
+            .post('/api/auth/refresh')
+            .send({ refreshToken: refreshTokenFor(session, 3) });
+
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('REFRESH_TOKEN_REUSED');
+        expect(revoke).toHaveBeenCalledWith(
+            { _id: session._id, user: userId, revokedAt: null },
+            { $set: expect.objectContaining({ revokedReason: 'reuse_detected' }) }
+        );
+    });
+
+    it('answers 409 without revoking when a token is retried before its replacement is used', async () => {
+        const session = makeSession({ generation: 1, rotatedAt: new Date() });
+        jest.spyOn(Session, 'findById').mockResolvedValue(session);
+        const revoke = jest.spyOn(Session, 'updateOne');
+
+        const res = await request(buildApp())
+            .post('/api/auth/refresh')
+            .send({ refreshToken: refreshTokenFor(session, 0) });
+
+        expect(res.status).toBe(409);
+        expect(revoke).not.toHaveBeenCalled();
+    });
+
+    it('revokes the session when a token is retried after its replacement was used', async () => {
+        const session = makeSession({ generation: 2, rotatedAt: new Date() });
+        jest.spyOn(Session, 'findById').mockResolvedValue(session);
+        const revoke = jest.spyOn(Session, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+        const res = await request(buildApp())
+            .post('/api/auth/refresh')
+            .send({ refreshToken: refreshTokenFor(session, 0) });
+
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('REFRESH_TOKEN_REUSED');
+        expect(revoke).toHaveBeenCalledWith(
+            { _id: session._id, user: userId, revokedAt: null },
+            { $set: expect.objectContaining({ revokedReason: 'reuse_detected' }) }
+        );
+    });
+
+    it('rejects forged tokens without revoking the session', async () => {
+        const session = makeSession({ generation: 5 });
+        jest.spyOn(Session, 'findById').mockResolvedValue(session);
+        const revoke = jest.spyOn(Session, 'updateOne');
+        const otherFamily = makeSession({ _id: session._id, family: 'other-family' });
+
+        const forged = await request(buildApp())
+            .post('/api/auth/refresh')
+            .send({ refreshToken: `${session._id}.2.forged-signature` });
+        const wrongFamily = await request(buildApp())
+            .post('/api/auth/refresh')
+            .send({ refreshToken: refreshTokenFor(otherFamily, 2) });
+        const ahead = await request(buildApp())
+            .post('/api/auth/refresh')
+            .send({ refreshToken: refreshTokenFor(session, 6) });
+
+        [forged, wrongFamily, ahead].forEach(res => {
+            expect(res.status).toBe(401);
+            expect(res.body.code).toBe('INVALID_REFRESH_TOKEN');
+        });
+        expect(revoke).not.toHaveBeenCalled();
+    });
+
+    it('rejects revoked sessions and malformed tokens', async () => {
+        const session = makeSession({ revokedAt: new Date() });
+        jest.spyOn(Session, 'findById').mockResolvedValue(session);
+
+        const revoked = await request(buildApp())
+            .post('/api/auth/refresh')
+            .send({ refreshToken: refreshTokenFor(session, 0) });
+        const malformed = await request(buildApp())
+            .post('/api/auth/refresh')
+            .send({ refreshToken: 'garbage' });
+
+        expect(revoked.status).toBe(401);
+        expect(revoked.body.code).toBe('SESSION_EXPIRED');
+        expect(malformed.status).toBe(401);
+    });
+});
+
+describe('auth middleware sessions', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('rejects access tokens whose session was revoked', async () => {
+        const session = makeSession({ revokedAt: new Date() });
+        jest.spyOn(User, 'findById').mockResolvedValue({ _id: userId, email: 'a@example.com' });
+        jest.spyOn(Session, 'findById').mockReturnValue({ select: () => Promise.resolve(session) });
+
+        const token = sessionService.signAccessToken(userId, session._id);
+        const res = await request(buildApp())
+            .get('/api/protected')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(res.status).toBe(401);
+        expect(res.body.code).toBe('SESSION_REVOKED');
+    });
+
+    it('exposes the session id to routes', async () => {
+        const session = makeSession();
+        jest.spyOn(User, 'findById').mockResolvedValue({ _id: userId, email: 'a@example.com' });
+        jest.spyOn(Session, 'findById').mockReturnValue({ select: () => Promise.resolve(session) });
+
+        const token = sessionService.signAccessToken(userId, session._id);
+        const res = await request(buildApp())
+            .get('/api/protected')
+            .set('Authorization', `Bearer ${token}`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.user.sessionId).toBe(session._id.toString());
+    });
+});
+
+describe('describeDevice', () => {
+    it('labels common browsers', () => {
+        expect(describeDevice('Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36'))
+            .toBe('Chrome on macOS');
+        expect(describeDevice('Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 Version/17.0 Mobile/15E148 Safari/604.1'))
+            .toBe('Safari on iOS');
+        expect(describeDevice('')).toBe('Unknown device');
+    });
+});
@@ -9,12 +9,12 @@ jest.mock('../middleware/auth', () => (req, res, next) => {
 jest.mock('../models/Task');
 jest.mock('../models/User');
 jest.mock('../models/TaskChatLog');
-jest.mock('../services/llamaService');
+jest.mock('../services/llmGateway');
 
 const Task = require('../models/Task');
 const User = require('../models/User');
 const TaskChatLog = require('../models/TaskChatLog');
-const llamaService = require('../services/llamaService');
+const llmGateway = require('../services/llmGateway');
 const router = require('../routes/taskChat');
 
 describe('Task chat logging', () => {
@@ -32,7 +32,7 @@ describe('Task chat logging', () => {
     Task.find.mockReturnValue(findChain);
 
     User.findById.mockResolvedValue({ overallObjective: 'Objective', archetype: 'career' });
-    llamaService.generateChatResponse.mockResolvedValue({ success: true, response: 'AI reply' });
+    llmGateway.chat.mockResolvedValue({ success: true, content: 'AI reply' });
     TaskChatLog.create.mockResolvedValue({});
 
     const app = express();
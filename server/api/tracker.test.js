@@ -0,0 +1,145 @@
+const express = require('express');
+const request = require('supertest');
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+    req.user = { id: '64b7f0c2a1b2c3d4e5f60718' };
+    next();
+});
+
+jest.mock('../services/eventStore', () => ({
+    record: jest.fn(),
+    getUserEvents: jest.fn(),
+    getUserEventStats: jest.fn(),
+    getQueueSize: jest.fn().mockReturnValue(0)
+}));
+
+const eventStore = require('../services/eventStore');
+const router = require('../routes/tracker');
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+
+function buildApp() {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/engines/tracker', router);
+    return app;
+}
+
+describe('/api/engines/tracker', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        eventStore.record.mockImplementation(event => ({
+            eventId: 'evt1',
+            timestamp: '2025-01-01T00:00:00.000Z',
+            ...event
+        }));
+    });
+
+    it('logs a client event against the authenticated user', async () => {
+        const res = await request(buildApp())
+            .post('/api/engines/tracker/log-event')
+            .send({ eventType: 'page_visited', eventData: { page: '/home' }, userId: 'someone-else' });
+
+        expect(res.status).toBe(201);
+        expect(res.body).toEqual({ success: true, eventId: 'evt1', timestamp: '2025-01-01T00:00:00.000Z' });
+        expect(eventStore.record).toHaveBeenCalledWith(expect.objectContaining({
+            eventType: 'page_visited',
+            eventData: { page: '/home' },
+            userId
+        }));
+    });
+
+    it('serves the standalone service path for single events', async () => {
+        const res = await request(buildApp())
+            .post('/api/engines/tracker/events/log')
+            .send({ eventType: 'feature_explored' });
+
+        expect(res.status).toBe(201);
+        expect(res.body.success).toBe(true);
+    });
+
+    it('refuses event types the server records itself', async () => {
+        const single = await request(buildApp())
+            .post('/api/engines/tracker/log-event')
+            .send({ eventType: ' reflection_submitted', eventData: { text: 'fake' } });
+        const bulk = await request(buildApp())
+            .post('/api/engines/tracker/log-events')
+            .send({ events: [
+                { eventType: 'milestone_achieved', eventData: { milestoneType: 'week_1_complete' } },
+                { eventType: 'page_visited' }
+            ] });
+
+        expect(single.status).toBe(403);
+        expect(single.body).toEqual({ success: false, error: 'reflection_submitted events are recorded by the server' });
+        expect(bulk.status).toBe(201);
+        expect(bulk.body).toMatchObject({ success: true, count: 1, rejected: 1 });
+        expect(eventStore.record).toHaveBeenCalledTimes(1);
+        expect(eventStore.record.mock.calls[0][0].eventType).toBe('page_visited');
+    });
+
+    it('rejects events without a type', async () => {
+        const res = await request(buildApp())
+            .post('/api/engines/tracker/log-event')
+            .send({ eventData: {} });
+
+        expect(res.status).toBe(400);
+        expect(eventStore.record).not.toHaveBeenCalled();
+    });
+
+    it('logs bulk events and counts rejected ones', async () => {
+        const res = await request(buildApp())
+            .post('/api/engines/tracker/log-events')
+            .send({ events: [
+                { eventType: 'task_completed', userId: 'someone-else' },
+                { eventData: { missing: 'type' } }
+            ] });
+
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ success: true, count: 1, rejected: 1 });
+        expect(eventStore.record.mock.calls[0][0].userId).toBe(userId);
+    });
+
+    it('counts entries that are not objects as rejected', async () => {
+        const res = await request(buildApp())
+            .post('/api/engines/tracker/log-events')
+            .send({ events: [null, 'page_visited', 42, { eventType: 'page_visited' }] });
+
+        expect(res.status).toBe(201);
+        expect(res.body).toMatchObject({ success: true, count: 1, rejected: 3 });
+    });
+
+    it('records progress updates', async () => {
+        const res = await request(buildApp())
+            .post('/api/engines/tracker/progress/task42/update')
+            .send({ completed: true, timeSpent: 20 });
+
+        expect(res.status).toBe(200);
+        expect(res.body.trackerId).toBe('task42');
+        expect(eventStore.record).toHaveBeenCalledWith(expect.objectContaining({
+            eventType: 'progress_updated',
+            eventData: { trackerId: 'task42', completed: true, timeSpent: 20 }
+        }));
+    });
+
+    it('returns the owner\'s events for a time range', async () => {
+        eventStore.getUserEvents.mockResolvedValue([{ eventId: 'evt1' }]);
+
+        const res = await request(buildApp())
+            .get(`/api/engines/tracker/events/user/${userId}`)
+            .query({ timeRange: '7d', limit: 10 });
+
+        expect(res.status).toBe(200);
+        expect(res.body).toEqual([{ eventId: 'evt1' }]);
+        const options = eventStore.getUserEvents.mock.calls[0][1];
+        expect(options.since).toBeInstanceOf(Date);
+        expect(options.limit).toBe('10');
+    });
+
+    it('denies access to another user\'s events', async () => {
+        const res = await request(buildApp())
+            .get('/api/engines/tracker/events/user/64b7f0c2a1b2c3d4e5f60000');
+
+        expect(res.status).toBe(403);
+        expect(eventStore.getUserEvents).not.toHaveBeenCalled();
+    });
+});
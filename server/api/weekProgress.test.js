@@ -0,0 +1,241 @@
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+jest.mock('../middleware/auth', () => (req, res, next) => {
+    req.user = { id: '64b000000000000000000001' };
+    next();
+});
+
+jest.mock('../utils/trackingUtils', () => ({
+    trackAuth: jest.fn().mockResolvedValue(undefined),
+    trackTaskGoal: jest.fn().mockResolvedValue(undefined),
+    trackJourney: jest.fn().mockResolvedValue(undefined)
+}));
+
+jest.mock('../services/eventStore', () => ({
+    record: jest.fn(),
+    getUserEvents: jest.fn(),
+    getUserEventStats: jest.fn(),
+    getQueueSize: jest.fn().mockReturnValue(0)
+}));
+
+const eventStore = require('../services/eventStore');
+const UserDream = require('../models/UserDream');
+const WeeklyGoal = require('../models/WeeklyGoal');
+const Task = require('../models/Task');
+const Journey = require('../models/Journey');
+const DreamDiscovery = require('../models/DreamDiscovery');
+const TrackingEngine = require('../engines/tracking-engine');
+const { WeekProgressCalculator } = require('../engines/tracking-engine');
+const ScoringEngine = require('../engines/scoring_engine');
+const dreamRoutes = require('../routes/dreams');
+const { chain, buildApp } = require('../../test/helpers');
+
+const userId = '64b000000000000000000001';
+const dreamId = new mongoose.Types.ObjectId();
+const goalId = new mongoose.Types.ObjectId();
+const journeyStartDate = new Date('2026-03-02T09:00:00Z');
+const now = new Date('2026-03-05T18:00:00Z');
+
+const taskIds = [0, 1, 2, 3].map(() => new mongoose.Types.ObjectId());
+const tasks = [
+    { _id: taskIds[0], goal: goalId, name: 'Research', day: 'Mon', estTime: 30, timeSpent: 40, completed: true },
+    { _id: taskIds[1], goal: goalId, name: 'Outline', day: 'Tue', estTime: 30, timeSpent: 20, completed: true },
+    { _id: taskIds[2], goal: goalId, name: 'Draft', day: 'Wed', estTime: 60, timeSpent: 0, completed: true },
+    { _id: taskIds[3], goal: goalId, name: 'Share', day: 'Thu', estTime: 20, timeSpent: 0, completed: false }
+];
+const goal = { _id: goalId, title: 'Shape the idea', journeyWeek: 1, tasks: taskIds };
+
+function completion(taskId, timestamp) {
+    return { eventType: 'task_completion', eventData: { taskId: taskId.toString(), completed: true }, timestamp };
+}
+
+const weekEvents = [
+    completion(taskIds[2], '2026-03-04T12:00:00.000Z'),
+    completion(taskIds[1], '2026-03-03T12:00:00.000Z'),
+    completion(taskIds[0], '2026-03-02T12:00:00.000Z'),
+    completion(new mongoose.Types.ObjectId(), '2026-03-02T13:00:00.000Z')
+];
+
+function mockDreamData({ milestoneEvents = [] } = {}) {
+    jest.spyOn(UserDream, 'findOne').mockImplementation(filter =>
+        chain(String(filter._id || '') === String(dreamId) || filter.goalIds
+            ? { _id: dreamId, user: userId, goalIds: [goalId], journeyStartDate }
+            : null));
+    jest.spyOn(WeeklyGoal, 'find').mockReturnValue(chain([goal]));
+    jest.spyOn(Task, 'find').mockReturnValue(chain(tasks));
+    jest.spyOn(DreamDiscovery, 'findOne').mockReturnValue(chain({
+        weekThemes: ['Find the heart of the project', 'Make it real'],
+        milestones: [{ day: 3, title: 'First draft' }, { day: 10, title: 'Feedback' }],
+        habitFormationTips: ['Same time every day']
+    }));
+    eventStore.getUserEvents.mockImplementation((id, options) =>
+        Promise.resolve(options.eventType === 'milestone_achieved' ? milestoneEvents : weekEvents));
+}
+
+const routes = { '/api/dreams': dreamRoutes };
+
+describe('Week progress tracking', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        // Fake only the clock so supertest's timers keep working
+        jest.useFakeTimers({
+            now,
+            doNotFake: ['nextTick', 'setImmediate', 'clearImmediate', 'setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'queueMicrotask']
+        });
+        eventStore.record.mockImplementation(event => ({ eventId: 'evt1', timestamp: now.toISOString(), ...event }));
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('calculates completion, time and streaks for a week', () => {
+        const window = { start: new Date('2026-03-02T00:00:00Z'), end: new Date('2026-03-09T00:00:00Z') };
+        const progress = new WeekProgressCalculator().calculate({
+            weekNumber: 1,
+            goals: [goal],
+            tasks,
+            events: weekEvents.slice(0, 3),
+            window,
+            now
+        });
+
+        expect(progress.tasks).toMatchObject({ total: 4, completed: 3, remaining: 1, percentage: 75 });
+        expect(progress.time).toEqual({ estimated: 140, actual: 60, efficiency: 200 });
+        // Active Mon-Wed; Thursday is still in progress so the streak holds
+        expect(progress.streak).toEqual({ current: 3, longest: 3, activeDays: 3 });
+        expect(progress.status).toBe('current');
+        expect(progress.byDay.find(day => day.day === 'Thu')).toEqual({ day: 'Thu', total: 1, completed: 0 });
+        expect(progress.goals[0]).toMatchObject({ title: 'Shape the idea', completed: 3, total: 4, isComplete: false });
+
+        const later = new WeekProgressCalculator().calculate({ weekNumber: 1, goals: [goal], tasks, events: weekEvents.slice(0, 3), window, now: new Date('2026-03-07T10:00:00Z') });
+        expect(later.streak.current).toBe(0);
+        expect(later.streak.longest).toBe(3);
+    });
+
+    test('loads a dream week from its goals, tasks and events', async () => {
+        mockDreamData();
+
+        const progress = await new TrackingEngine().getDreamWeekProgress(userId, dreamId, 1, { now });
+
+        expect(progress.dreamId).toBe(dreamId.toString());
+        expect(progress.window.start.toISOString()).toBe('2026-03-02T00:00:00.000Z');
+        expect(progress.events).toHaveLength(3);
+        expect(eventStore.getUserEvents).toHaveBeenCalledWith(userId, expect.objectContaining({
+            eventTypes: ['task_completion', 'task_time_logged'],
+            since: progress.window.start,
+            until: progress.window.end
+        }));
+        expect(progress.tasks.percentage).toBe(75);
+
+        const weekTwo = await new TrackingEngine().getDreamWeekProgress(userId, dreamId, 2, { now });
+        expect(weekTwo.tasks.total).toBe(0);
+        expect(weekTwo.status).toBe('upcoming');
+    });
+
+    test('loads a journey week from its sprints', async () => {
+        const journeyId = new mongoose.Types.ObjectId();
+        jest.spyOn(Journey, 'findOne').mockReturnValue(chain({
+            _id: journeyId,
+            startDate: journeyStartDate,
+            sprints: [
+                { week: 1, goals: [{ goalId, title: 'Shape the idea', tasks: taskIds.slice(0, 2).map(taskId => ({ taskId })) }] },
+                { week: 2, goals: [{ goalId: 'virtual', title: 'Later', tasks: [{ taskId: taskIds[3] }] }] }
+            ]
+        }));
+        jest.spyOn(Task, 'find').mockReturnValue(chain(tasks.slice(0, 2)));
+        eventStore.getUserEvents.mockResolvedValue(weekEvents);
+
+        const progress = await new TrackingEngine().getJourneyWeekProgress(userId, journeyId, 1, { now });
+
+        expect(Task.find).toHaveBeenCalledWith({ _id: { $in: taskIds.slice(0, 2) }, user: userId });
+        expect(progress.journeyId).toBe(journeyId.toString());
+        expect(progress.tasks).toMatchObject({ total: 2, completed: 2, percentage: 100 });
+        expect(progress.status).toBe('completed');
+        expect(progress.goals).toEqual([expect.objectContaining({ title: 'Shape the idea', completed: 2, total: 2 })]);
+    });
+
+    test('records task progress tagged with the dream and week', async () => {
+        mockDreamData();
+
+        await new TrackingEngine().recordTaskProgress(userId, { ...tasks[3], weekNumber: 1, timeSpent: 15 });
+
+        expect(eventStore.record).toHaveBeenCalledWith(expect.objectContaining({
+            eventType: 'task_time_logged',
+            userId,
+            eventData: expect.objectContaining({
+                taskId: taskIds[3].toString(),
+                dreamId: dreamId.toString(),
+                weekNumber: 1,
+                completed: false,
+                timeSpent: 15
+            })
+        }));
+    });
+
+    test('GET /:dreamId/week/:weekNumber/card-data returns the week card', async () => {
+        mockDreamData();
+
+        const res = await request(buildApp(routes)).get(`/api/dreams/${dreamId}/week/1/card-data`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({
+            weekNumber: 1,
+            theme: 'Find the heart of the project',
+            progress: { completed: 3, total: 4, percentage: 75 },
+            timeMetrics: { estimated: 140, actual: 60 },
+            milestones: [{ day: 3, title: 'First draft' }]
+        });
+        expect(res.body.data.goals[0]).toMatchObject({ title: 'Shape the idea', tasksCompleted: 3, totalTasks: 4 });
+        expect(res.body.data.streak.current).toBe(3);
+    });
+
+    test('POST /:dreamId/week/:weekNumber/milestone-check records a met milestone once', async () => {
+        const scheduleSpy = jest.spyOn(ScoringEngine.prototype, 'scheduleScoreUpdate').mockResolvedValue({ scheduled: true });
+        mockDreamData();
+        jest.spyOn(Task, 'find').mockReturnValue(chain(tasks.map(task => ({ ...task, completed: true }))));
+
+        const res = await request(buildApp(routes)).post(`/api/dreams/${dreamId}/week/1/milestone-check`);
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ achieved: true, alreadyRecorded: false, milestoneType: 'week_1_complete' });
+        expect(scheduleSpy).toHaveBeenCalledWith(userId, expect.objectContaining({
+            priority: 'high',
+            triggerEvents: [expect.objectContaining({
+                eventType: 'milestone_achieved',
+                eventData: expect.objectContaining({ milestoneType: 'week_1_complete', dreamId: dreamId.toString() })
+            })]
+        }));
+
+        scheduleSpy.mockClear();
+        eventStore.getUserEvents.mockImplementation((id, options) => Promise.resolve(options.eventType === 'milestone_achieved'
+            ? [{ eventType: 'milestone_achieved', eventData: { milestoneType: 'week_1_complete', dreamId: dreamId.toString() } }]
+            : weekEvents));
+
+        const again = await request(buildApp(routes)).post(`/api/dreams/${dreamId}/week/1/milestone-check`);
+        expect(again.body.data).toMatchObject({ achieved: true, alreadyRecorded: true });
+        expect(scheduleSpy).not.toHaveBeenCalled();
+    });
+
+    test('milestone-check reports unmet criteria and rejects unknown dreams', async () => {
+        const scheduleSpy = jest.spyOn(ScoringEngine.prototype, 'scheduleScoreUpdate').mockResolvedValue({});
+        mockDreamData();
+
+        const res = await request(buildApp(routes)).post(`/api/dreams/${dreamId}/week/1/milestone-check`);
+        expect(res.body.data).toMatchObject({ achieved: false, criteria: { requiredPercentage: 80, percentage: 75 } });
+        expect(scheduleSpy).not.toHaveBeenCalled();
+
+        const missing = await request(buildApp(routes)).post(`/api/dreams/${new mongoose.Types.ObjectId()}/week/1/milestone-check`);
+        expect(missing.status).toBe(404);
+
+        const invalid = await request(buildApp(routes)).post(`/api/dreams/${dreamId}/week/0/milestone-check`);
+        expect(invalid.status).toBe(400);
+
+        // The journey has three weeks
+        const pastEnd = await request(buildApp(routes)).post(`/api/dreams/${dreamId}/week/4/milestone-check`);
+        expect(pastEnd.status).toBe(400);
+        expect(pastEnd.body.error).toBe('Invalid week number. Must be between 1 and 3.');
+    });
+});
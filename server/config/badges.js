@@ -0,0 +1,46 @@
+/**
+ * Badge Definitions
+ * Every badge a user can earn, keyed by a unique id. Ids are stored in the
+ * Achievement collection, so never rename or reuse one.
+ *
+ * A badge is earned once `metric` reaches `target`. Metrics are computed by
+ * the achievement service:
+ *   tasksCompleted   completed tasks
+ *   longestStreak    longest run of daily check-ins
+ *   stagesCompleted  stages finished, from the user's userStage
+ *   reflections      reflections saved (Reflection collection)
+ */
+
+const BADGES = [
+    // Momentum (see REWARD_SYSTEM.badges.momentum in journeySystem.js)
+    { id: 'first_steps', name: 'First Steps Taken', description: 'Complete your first 3 tasks', icon: '🏆', category: 'momentum', metric: 'tasksCompleted', target: 3 },
+    { id: 'steady_hands', name: 'Steady Hands', description: 'Complete 25 tasks', icon: '🛠️', category: 'momentum', metric: 'tasksCompleted', target: 25 },
+    { id: 'century', name: 'Century', description: 'Complete 100 tasks', icon: '💯', category: 'momentum', metric: 'tasksCompleted', target: 100 },
+
+    // Streaks
+    { id: '3_day_streak', name: 'Building Heat', description: 'Check in 3 days in a row', icon: '🔥', category: 'streaks', metric: 'longestStreak', target: 3 },
+    { id: 'week_streak', name: 'One Week Strong', description: 'Check in 7 days in a row', icon: '⚡', category: 'streaks', metric: 'longestStreak', target: 7 },
+    { id: 'three_week_streak', name: 'Three Weeks of Transformation', description: 'Check in 21 days in a row', icon: '🚀', category: 'streaks', metric: 'longestStreak', target: 21 },
+    { id: 'month_streak', name: 'One Month of Mastery', description: 'Check in 30 days in a row', icon: '👑', category: 'streaks', metric: 'longestStreak', target: 30 },
+    { id: 'unbreakable', name: 'Unbreakable', description: 'Check in 60 days in a row', icon: '💎', category: 'streaks', metric: 'longestStreak', target: 60 },
+
+    // Stages
+    { id: 'stage_1_complete', name: 'Momentum Builder', description: 'Complete the discovery stage', icon: '🚀', category: 'stages', metric: 'stagesCompleted', target: 1 },
+    { id: 'stage_2_complete', name: 'Vision Architect', description: 'Complete the onboarding stage', icon: '🏗️', category: 'stages', metric: 'stagesCompleted', target: 2 },
+    { id: 'stage_3_complete', name: 'Momentum Master', description: 'Complete the growth stage', icon: '⚡', category: 'stages', metric: 'stagesCompleted', target: 3 },
+    { id: 'stage_4_complete', name: 'Discipline Champion', description: 'Complete the mastery stage', icon: '🏆', category: 'stages', metric: 'stagesCompleted', target: 4 },
+
+    // Special
+    { id: 'storyteller', name: 'Storyteller', description: 'Submit 5 reflections', icon: '📖', category: 'special', metric: 'reflections', target: 5 }
+];
+
+const BADGES_BY_ID = new Map(BADGES.map(badge => [badge.id, badge]));
+
+function getBadge(badgeId) {
+    return BADGES_BY_ID.get(badgeId) || null;
+}
+
+module.exports = {
+    BADGES,
+    getBadge
+};
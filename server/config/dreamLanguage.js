@@ -234,38 +234,38 @@ const ARCHETYPE_TEMPLATES = {
         template: "[Doing dream work] at [place], after [past role], because [motivational truth].",
         example: "Leading product strategy at a healthtech startup, after years in support roles, because I'm ready to shape what really matters.",
         patterns: {
-            desired_role: /^([^,]+?),?\s*at/i,
-            desired_company: /at\s+([^,]+?),?\s*after/i,
-            current_role: /after\s+([^,]+?),?\s*because/i,
-            emotional_driver: /because\s+(.+)$/i
+            desired_role: /^([^,]+?),?\s+at\b/i,
+            desired_company: /\bat\s+([^,]+?),?\s+after\b/i,
+            current_role: /\bafter\s+([^,]+?),?\s+because\b/i,
+            emotional_driver: /\bbecause\s+(.+)$/i
         }
     },
     [DREAM_ARCHETYPES.CREATIVE]: {
         template: "[Running/Creating/Leading] [project/business] for [audience], after [past experience], because [personal calling].",
         example: "Running my own marketing consultancy, helping women-led startups share their voice, after 5 years in corporate, because I'm finally creating from purpose — not pressure.",
         patterns: {
-            creative_goal: /^([^,]+?),?\s*for/i,
-            current_challenge: /for\s+([^,]+?),?\s*after/i,
-            current_role: /after\s+([^,]+?),?\s*because/i,
-            emotional_driver: /because\s+(.+)$/i
+            creative_goal: /^([^,]+?),?\s+for\b/i,
+            current_challenge: /\bfor\s+([^,]+?),?\s+after\b/i,
+            current_role: /\bafter\s+([^,]+?),?\s+because\b/i,
+            emotional_driver: /\bbecause\s+(.+)$/i
         }
     },
     [DREAM_ARCHETYPES.EMOTIONAL]: {
         template: "[Living/Leading/Moving] with [emotional state], after [struggle or phase], because [breakthrough insight].",
         example: "Navigating life with calm, confidence, and emotional strength, after years of putting others first — because I'm finally living from peace, not pressure.",
         patterns: {
-            desired_emotion: /^([^,]+?),?\s*after/i,
-            current_emotion: /after\s+([^,]+?),?\s*because/i,
-            emotional_driver: /because\s+(.+)$/i
+            desired_emotion: /^([^,]+?),?\s+after\b/i,
+            current_emotion: /\bafter\s+([^,]+?),?\s+because\b/i,
+            emotional_driver: /\bbecause\s+(.+)$/i
         }
     },
     [DREAM_ARCHETYPES.SELF_DISCOVERY]: {
         template: "[Owning/Embracing/Expressing] [authentic self], after [limiting context], because [empowering belief].",
         example: "Owning my voice, expressing who I truly am, after years of shrinking myself to fit — because I'm finally done playing small.",
         patterns: {
-            rediscover_aspect: /^([^,]+?),?\s*after/i,
-            after_experience: /after\s+([^,]+?),?\s*because/i,
-            emotional_driver: /because\s+(.+)$/i
+            rediscover_aspect: /^([^,]+?),?\s+after\b/i,
+            after_experience: /\bafter\s+([^,]+?),?\s+because\b/i,
+            emotional_driver: /\bbecause\s+(.+)$/i
         }
     }
 };
@@ -273,26 +273,26 @@ const ARCHETYPE_TEMPLATES = {
 // Simple regex patterns for archetype field extraction (fallback)
 const ARCHETYPE_PATTERNS = {
     [DREAM_ARCHETYPES.CAREER]: {
-        desired_role: /^([^,]+?),?\s*at/i,
-        desired_company: /at\s+([^,]+?),?\s*after/i,
-        current_role: /after\s+([^,]+?),?\s*because/i,
-        emotional_driver: /because\s+(.+)$/i
+        desired_role: /^([^,]+?),?\s+at\b/i,
+        desired_company: /\bat\s+([^,]+?),?\s+after\b/i,
+        current_role: /\bafter\s+([^,]+?),?\s+because\b/i,
+        emotional_driver: /\bbecause\s+(.+)$/i
     },
     [DREAM_ARCHETYPES.CREATIVE]: {
-        creative_goal: /^([^,]+?),?\s*for/i,
-        current_challenge: /for\s+([^,]+?),?\s*after/i,
-        current_role: /after\s+([^,]+?),?\s*because/i,
-        emotional_driver: /because\s+(.+)$/i
+        creative_goal: /^([^,]+?),?\s+for\b/i,
+        current_challenge: /\bfor\s+([^,]+?),?\s+after\b/i,
+        current_role: /\bafter\s+([^,]+?),?\s+because\b/i,
+        emotional_driver: /\bbecause\s+(.+)$/i
     },
     [DREAM_ARCHETYPES.EMOTIONAL]: {
-        desired_emotion: /^([^,]+?),?\s*after/i,
-        current_emotion: /after\s+([^,]+?),?\s*because/i,
-        emotional_driver: /because\s+(.+)$/i
+        desired_emotion: /^([^,]+?),?\s+after\b/i,
+        current_emotion: /\bafter\s+([^,]+?),?\s+because\b/i,
+        emotional_driver: /\bbecause\s+(.+)$/i
     },
     [DREAM_ARCHETYPES.SELF_DISCOVERY]: {
-        rediscover_aspect: /^([^,]+?),?\s*after/i,
-        after_experience: /after\s+([^,]+?),?\s*because/i,
-        emotional_driver: /because\s+(.+)$/i
+        rediscover_aspect: /^([^,]+?),?\s+after\b/i,
+        after_experience: /\bafter\s+([^,]+?),?\s+because\b/i,
+        emotional_driver: /\bbecause\s+(.+)$/i
     }
 };
 
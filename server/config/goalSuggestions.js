@@ -0,0 +1,40 @@
+/**
+ * server/config/goalSuggestions.js
+ * Goal suggestion library used by the MCP analytics suggestions endpoint.
+ * Each suggestion is tagged with a WeeklyGoal category and a difficulty level.
+ */
+
+const goalSuggestions = {
+    skill_building: [
+        { title: 'Practice a core skill for 20 minutes a day', description: 'Pick the one skill your dream depends on most and practice it daily this week', difficulty: 'beginner', keywords: ['skill', 'practice'] },
+        { title: 'Complete a focused online module', description: 'Finish one course module or tutorial that closes a gap you have noticed', difficulty: 'intermediate', keywords: ['course', 'learning', 'technical'] },
+        { title: 'Build a small portfolio piece', description: 'Create something you can show others that demonstrates a skill end to end', difficulty: 'advanced', keywords: ['portfolio', 'project', 'technical'] }
+    ],
+    networking: [
+        { title: 'Reach out to one person in your target field', description: 'Send a short, specific message to someone whose path you admire', difficulty: 'beginner', keywords: ['networking', 'outreach'] },
+        { title: 'Have two informational conversations', description: 'Book two 20-minute calls to learn how others got where you want to go', difficulty: 'intermediate', keywords: ['networking', 'mentorship'] },
+        { title: 'Join and contribute to a community', description: 'Find an active community for your field and make a useful contribution', difficulty: 'advanced', keywords: ['community', 'networking'] }
+    ],
+    career: [
+        { title: 'Refresh your professional profile', description: 'Update your resume or LinkedIn headline so it points at where you are going', difficulty: 'beginner', keywords: ['resume', 'linkedin', 'career'] },
+        { title: 'Research three target roles or companies', description: 'Write down what each one expects and where you already fit', difficulty: 'intermediate', keywords: ['market_research', 'career', 'research'] },
+        { title: 'Apply to or pitch one real opportunity', description: 'Put your work in front of someone who can say yes this week', difficulty: 'advanced', keywords: ['opportunity', 'career'] }
+    ],
+    learning: [
+        { title: 'Read one article or chapter every day', description: 'Spend ten minutes a day with material from people further along', difficulty: 'beginner', keywords: ['reading', 'learning'] },
+        { title: 'Summarise what you learned this week', description: 'Write a short summary you could share with someone else', difficulty: 'intermediate', keywords: ['learning', 'writing'] },
+        { title: 'Teach a concept to someone else', description: 'Explain something you recently learned in a post, talk or conversation', difficulty: 'advanced', keywords: ['teaching', 'learning', 'leadership'] }
+    ],
+    reflection: [
+        { title: 'Write a three-line daily reflection', description: 'Note what moved you forward, what got in the way and one thing to try tomorrow', difficulty: 'beginner', keywords: ['reflection', 'self_assessment'] },
+        { title: 'Review last week against your dream', description: 'Look at what you completed and decide what to keep, drop or change', difficulty: 'intermediate', keywords: ['reflection', 'planning'] },
+        { title: 'Redefine what success looks like in 90 days', description: 'Write a concrete picture of success and the signals that will tell you you are on track', difficulty: 'advanced', keywords: ['vision', 'planning'] }
+    ],
+    wellbeing: [
+        { title: 'Protect one focused block each day', description: 'Schedule a distraction-free block and treat it like a meeting', difficulty: 'beginner', keywords: ['focus', 'habits'] },
+        { title: 'Set up a weekly planning ritual', description: 'Pick a time each week to plan goals and tasks for the week ahead', difficulty: 'intermediate', keywords: ['planning', 'habits'] },
+        { title: 'Build a sustainable routine', description: 'Design a routine that balances progress on your dream with rest', difficulty: 'advanced', keywords: ['habits', 'energy'] }
+    ]
+};
+
+module.exports = goalSuggestions;
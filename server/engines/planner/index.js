@@ -0,0 +1,443 @@
+/**
+ * server/engines/planner/index.js
+ * In-process planner engine.
+ *
+ * Builds a three-week plan from the archetype templates in ./templates.js.
+ * Generation is deterministic and needs no network: the same input always
+ * gives the same plan. The archetype comes from the dream's archetypeData, or
+ * is guessed from keywords in the dream text, and the template placeholders
+ * are filled from the parsed dream fields.
+ *
+ * An optional enrichment pass asks the LLM to personalise goal and task
+ * titles. It is off unless `options.enrich` or PLANNER_LLM_ENRICHMENT=true,
+ * and any failure (error, timeout, unusable answer) keeps the template plan.
+ *
+ * The result carries the plan twice:
+ *   plan    { goals, weeks: [{ week, theme, tasks }] }, used by routes/dreams
+ *   journey { weeks: [{ week, theme, sprints, goals }] }, used by journeyService
+ */
+
+const llmService = require('../../services/llmService');
+const { DREAM_ARCHETYPES, ARCHETYPE_PATTERNS } = require('../../config/dreamLanguage');
+const {
+    TEMPLATE_VERSION,
+    SPRINT_NAMES,
+    ARCHETYPE_PLANS,
+    LEARNING_STYLE_TASKS,
+    TIME_COMMITMENT_MINUTES,
+    DIFFICULTY_BY_CONFIDENCE,
+    ARCHETYPE_KEYWORDS,
+    PLACEHOLDER_FIELDS
+} = require('./templates');
+const logger = require('../../utils/logger');
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WORK_DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const ARCHETYPE_ORDER = [
+    DREAM_ARCHETYPES.CAREER,
+    DREAM_ARCHETYPES.CREATIVE,
+    DREAM_ARCHETYPES.EMOTIONAL,
+    DREAM_ARCHETYPES.SELF_DISCOVERY
+];
+// First journey day of each week; days 7, 14 and 21 are reflection days
+const WEEK_START_DAYS = [1, 8, 15];
+const MAX_PLACEHOLDER_LENGTH = 80;
+const MAX_TITLE_LENGTH = 140;
+const ENRICHMENT_TIMEOUT_MS = parseInt(process.env.PLANNER_LLM_TIMEOUT_MS, 10) || 20000;
+
+class PlannerError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'PlannerError';
+        this.code = code;
+    }
+}
+
+function roundToFive(minutes) {
+    return Math.max(5, Math.round(minutes / 5) * 5);
+}
+
+function getConfidenceBand(confidence) {
+    const value = Number(confidence);
+    if (!Number.isFinite(value) || value < 40) return 'low';
+    return value < 75 ? 'medium' : 'high';
+}
+
+function getImpact(size) {
+    if (size >= 1.5) return 'high';
+    return size >= 1 ? 'medium' : 'low';
+}
+
+function fill(text, values) {
+    return text.replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+}
+
+function cleanPlaceholder(value) {
+    if (typeof value !== 'string') return '';
+    const text = value.trim().replace(/\s+/g, ' ').replace(/[.!—–-]+$/, '').trim();
+    return text.length > MAX_PLACEHOLDER_LENGTH ? `${text.slice(0, MAX_PLACEHOLDER_LENGTH - 3).trim()}...` : text;
+}
+
+/**
+ * Archetype to plan with: the classified one if valid, else the one whose
+ * keywords match the dream text most often, else career.
+ */
+function detectArchetype(dreamText = '', archetypeData = {}) {
+    if (archetypeData && ARCHETYPE_PLANS[archetypeData.type]) {
+        return { archetype: archetypeData.type, source: 'archetypeData' };
+    }
+
+    let best = null;
+    let bestCount = 0;
+    ARCHETYPE_ORDER.forEach(archetype => {
+        const count = (String(dreamText).match(ARCHETYPE_KEYWORDS[archetype]) || []).length;
+        if (count > bestCount) {
+            best = archetype;
+            bestCount = count;
+        }
+    });
+
+    return best
+        ? { archetype: best, source: 'keywords' }
+        : { archetype: DREAM_ARCHETYPES.CAREER, source: 'default' };
+}
+
+/**
+ * Placeholder values for an archetype. Parsed archetypeData fields win, then
+ * the archetype's regex patterns applied to the dream text, then defaults.
+ */
+function resolvePlaceholders(archetype, input = {}) {
+    const data = { ...(input.archetypeData || {}) };
+    ['targetRole', 'domain', 'currentRole', 'location', 'motivation'].forEach(field => {
+        if (input[field] && !data[field]) data[field] = input[field];
+    });
+
+    const patterns = ARCHETYPE_PATTERNS[archetype] || {};
+    Object.entries(patterns).forEach(([field, pattern]) => {
+        if (data[field]) return;
+        const match = String(input.dreamText || '').match(pattern);
+        if (match && match[1]) data[field] = match[1];
+    });
+
+    const { defaults } = ARCHETYPE_PLANS[archetype];
+    const values = {};
+    const fromDream = [];
+    Object.entries(PLACEHOLDER_FIELDS[archetype]).forEach(([key, fields]) => {
+        const found = fields.map(field => cleanPlaceholder(data[field])).find(Boolean);
+        values[key] = found || defaults[key];
+        if (found) fromDream.push(key);
+    });
+
+    return { values, fromDream };
+}
+
+/**
+ * Days available for week 1 tasks. Uses availableDaysWeek1 when given,
+ * otherwise the rest of the week from startDate. Sunday is kept for the
+ * weekly reflection unless it is the only day left.
+ */
+function getWeekOneDays(input = {}) {
+    let days = Array.isArray(input.availableDaysWeek1)
+        ? input.availableDaysWeek1.filter(day => DAY_NAMES.includes(day))
+        : [];
+
+    if (days.length === 0) {
+        const start = input.startDate ? new Date(input.startDate) : null;
+        const index = start && !isNaN(start.getTime()) ? start.getDay() : 1;
+        days = index === 0 ? WORK_DAYS : DAY_NAMES.slice(index);
+    }
+
+    const withoutSunday = days.filter(day => day !== 'Sun');
+    return withoutSunday.length ? withoutSunday : days;
+}
+
+/**
+ * Spread tasks over days in order, as evenly as possible.
+ */
+function assignDays(tasks, days) {
+    return tasks.map((task, index) => ({
+        ...task,
+        day: days[Math.floor(index * days.length / tasks.length)]
+    }));
+}
+
+/**
+ * Task fields for a Task document, from a plan task ({ title, day }) or a
+ * journey task ({ name, dayName }). `context` supplies adaptiveMetadata.
+ */
+function toTaskFields(task, context = {}) {
+    return {
+        name: task.name || task.title,
+        estTime: task.estTime,
+        day: task.dayName || task.day,
+        rationale: task.rationale,
+        skillCategory: task.skillCategory,
+        difficultyLevel: task.difficultyLevel,
+        metricsImpacted: task.metricsImpacted,
+        goalIndex: task.goalIndex,
+        weekNumber: task.weekNumber,
+        adaptiveMetadata: {
+            generationMethod: context.generationMethod || 'template_based',
+            timeCommitmentStyle: context.timeCommitment || 'micro-burst',
+            confidenceLevel: Number.isFinite(Number(context.confidence)) ? Number(context.confidence) : 50,
+            archetypeContext: task.archetypeContext || 'general'
+        }
+    };
+}
+
+/**
+ * Journey.sprints entries for a journey plan, in createSprintStructure's shape.
+ */
+function buildSprints(journeyPlan) {
+    return journeyPlan.weeks.flatMap(week => week.sprints.map(sprint => ({
+        ...sprint,
+        days: [...sprint.days],
+        status: sprint.sprintNumber === 1 ? 'unlocked' : 'locked',
+        goals: []
+    })));
+}
+
+/**
+ * Journey view of a plan: per week, the three goals with their tasks, ids
+ * like 'w1-g2' and the journey day each goal starts on.
+ */
+function buildJourney(plan) {
+    return {
+        weeks: plan.weeks.map((week, weekIndex) => {
+            const goalIndexes = [...new Set(week.tasks.map(task => task.goalIndex))];
+            const firstDay = WEEK_START_DAYS[weekIndex];
+
+            return {
+                week: week.week,
+                theme: week.theme,
+                sprints: SPRINT_NAMES[weekIndex].map((name, sprintIndex) => ({
+                    sprintNumber: weekIndex * 2 + sprintIndex + 1,
+                    name,
+                    week: week.week,
+                    days: [0, 1, 2].map(offset => firstDay + sprintIndex * 3 + offset)
+                })),
+                goals: goalIndexes.map((goalIndex, position) => ({
+                    goalId: `w${week.week}-g${position + 1}`,
+                    goalIndex,
+                    day: firstDay + position,
+                    title: plan.goals[goalIndex].title,
+                    description: plan.goals[goalIndex].description,
+                    tasks: week.tasks
+                        .filter(task => task.goalIndex === goalIndex)
+                        .map(({ title, day, ...task }) => ({ ...task, name: title, dayName: day }))
+                }))
+            };
+        })
+    };
+}
+
+function withTimeout(promise, ms) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new PlannerError('LLM enrichment timed out', 'ENRICHMENT_TIMEOUT')), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function buildEnrichmentPrompt(plan, input) {
+    const tasks = plan.weeks.flatMap(week => week.tasks.map(task => task.title));
+    return [
+        'You personalise a three-week action plan for this dream:',
+        `"${String(input.dreamText || '').slice(0, 500)}"`,
+        '',
+        'Rewrite each goal title and task title so it speaks to this dream. Keep the meaning,',
+        'order and count; keep each title under 120 characters.',
+        'Reply with JSON only, in the form {"goals": ["..."], "tasks": ["..."]}.',
+        '',
+        JSON.stringify({ goals: plan.goals.map(goal => goal.title), tasks })
+    ].join('\n');
+}
+
+/**
+ * Validate the LLM answer against the plan. Returns { goals, tasks } title
+ * lists or throws PlannerError.
+ */
+function parseEnrichment(content, plan) {
+    const match = String(content || '').match(/\{[\s\S]*\}/);
+    if (!match) throw new PlannerError('No JSON object in LLM response', 'ENRICHMENT_INVALID');
+
+    let parsed;
+    try {
+        parsed = JSON.parse(match[0]);
+    } catch (error) {
+        throw new PlannerError('LLM response is not valid JSON', 'ENRICHMENT_INVALID');
+    }
+
+    const taskCount = plan.weeks.reduce((sum, week) => sum + week.tasks.length, 0);
+    const isTitleList = (list, length) => Array.isArray(list) && list.length === length &&
+        list.every(title => typeof title === 'string' && title.trim().length >= 3 && title.trim().length <= MAX_TITLE_LENGTH);
+
+    if (!parsed || !isTitleList(parsed.goals, plan.goals.length) || !isTitleList(parsed.tasks, taskCount)) {
+        throw new PlannerError('LLM response does not match the plan', 'ENRICHMENT_INVALID');
+    }
+
+    return {
+        goals: parsed.goals.map(title => title.trim()),
+        tasks: parsed.tasks.map(title => title.trim())
+    };
+}
+
+class PlannerEngine {
+    /**
+     * Template plan ({ goals, weeks }) for the input. Deterministic.
+     */
+    buildTemplatePlan(input, archetype, placeholders) {
+        const template = ARCHETYPE_PLANS[archetype];
+        const baseMinutes = TIME_COMMITMENT_MINUTES[input.timeCommitment] || TIME_COMMITMENT_MINUTES['micro-burst'];
+        const difficulties = DIFFICULTY_BY_CONFIDENCE[getConfidenceBand(input.confidence)];
+        const learningTasks = LEARNING_STYLE_TASKS[input.learningStyle] || LEARNING_STYLE_TASKS.visual;
+        const weekOneDays = getWeekOneDays(input);
+
+        const goals = template.goals.map(goal => ({
+            title: fill(goal.title, placeholders),
+            description: fill(goal.description, placeholders),
+            rationale: `Moves you towards ${placeholders.focus}, because ${placeholders.why}.`,
+            metricsImpacted: goal.metrics
+        }));
+
+        const weeks = template.weeks.map((week, weekIndex) => {
+            const days = weekIndex === 0 ? weekOneDays : WORK_DAYS;
+            let taskTemplates = week.tasks;
+
+            // A first week with only a day or two gets one task per goal
+            if (days.length < 3) {
+                taskTemplates = taskTemplates.filter((task, index, list) =>
+                    list.findIndex(other => other.goalIndex === task.goalIndex) === index);
+            }
+
+            taskTemplates = [...taskTemplates, {
+                goalIndex: taskTemplates[0].goalIndex,
+                title: learningTasks[weekIndex],
+                skillCategory: 'learning',
+                size: 1
+            }];
+
+            const tasks = taskTemplates.map(task => {
+                const goal = template.goals[task.goalIndex];
+                const title = fill(task.title, placeholders);
+                return {
+                    goalIndex: task.goalIndex,
+                    title,
+                    estTime: roundToFive(baseMinutes * task.size),
+                    rationale: `Part of "${goals[task.goalIndex].title}": ${goals[task.goalIndex].description}`,
+                    skillCategory: task.skillCategory,
+                    difficultyLevel: difficulties[weekIndex],
+                    metricsImpacted: goal.metrics.map((metric, index) => ({
+                        metric,
+                        expectedImpact: index === 0 ? getImpact(task.size) : 'low',
+                        reasoning: `Supports the goal "${goals[task.goalIndex].title}"`
+                    })),
+                    archetypeContext: archetype,
+                    weekNumber: weekIndex + 1
+                };
+            });
+
+            return {
+                week: weekIndex + 1,
+                theme: week.theme,
+                tasks: assignDays(tasks, days)
+            };
+        });
+
+        return { goals, weeks };
+    }
+
+    /**
+     * Ask the LLM for personalised titles. Returns the enriched plan and the
+     * provider details, or throws.
+     */
+    async enrichPlan(plan, input, timeoutMs = ENRICHMENT_TIMEOUT_MS) {
+        const response = await withTimeout(
+            llmService.generateContent(buildEnrichmentPrompt(plan, input), { maxTokens: 1500, temperature: 0.4 }),
+            timeoutMs
+        );
+        if (!response || !response.success || !response.content) {
+            throw new PlannerError((response && response.error) || 'LLM returned no content', 'ENRICHMENT_FAILED');
+        }
+
+        const titles = parseEnrichment(response.content, plan);
+        let taskIndex = 0;
+
+        return {
+            plan: {
+                goals: plan.goals.map((goal, index) => ({ ...goal, title: titles.goals[index] })),
+                weeks: plan.weeks.map(week => ({
+                    ...week,
+                    tasks: week.tasks.map(task => ({ ...task, title: titles.tasks[taskIndex++] }))
+                }))
+            },
+            provider: response.provider,
+            model: response.model
+        };
+    }
+
+    /**
+     * Generate a three-week plan.
+     *
+     * input: { dreamText, confidence, timeHorizon, careerPath, timeCommitment,
+     *   learningStyle, startDate, startDay, availableDaysWeek1, archetypeData,
+     *   targetRole, domain, currentRole, location, motivation }
+     * options: { enrich, timeoutMs }
+     */
+    async generatePlan(input = {}, options = {}) {
+        if (!input.dreamText || typeof input.dreamText !== 'string') {
+            throw new PlannerError('dreamText is required', 'INVALID_INPUT');
+        }
+
+        const { archetype, source } = detectArchetype(input.dreamText, input.archetypeData);
+        const { values: placeholders, fromDream } = resolvePlaceholders(archetype, input);
+        let plan = this.buildTemplatePlan(input, archetype, placeholders);
+
+        let method = 'archetype_template';
+        let aiProviderInfo = null;
+        const enrich = options.enrich !== undefined
+            ? Boolean(options.enrich)
+            : process.env.PLANNER_LLM_ENRICHMENT === 'true';
+
+        if (enrich) {
+            try {
+                const enriched = await this.enrichPlan(plan, input, options.timeoutMs);
+                plan = enriched.plan;
+                method = 'archetype_template+llm';
+                aiProviderInfo = { provider: enriched.provider, model: enriched.model };
+            } catch (error) {
+                logger.warn({ err: error.message, code: error.code }, 'Planner enrichment failed; using template plan');
+            }
+        }
+
+        return {
+            method,
+            provider: 'planner-engine',
+            model: TEMPLATE_VERSION,
+            archetype,
+            plan,
+            journey: buildJourney(plan),
+            aiProviderInfo,
+            templateMetadata: {
+                templateVersion: TEMPLATE_VERSION,
+                archetype,
+                archetypeSource: source,
+                placeholdersFromDream: fromDream,
+                confidenceBand: getConfidenceBand(input.confidence),
+                timeCommitment: TIME_COMMITMENT_MINUTES[input.timeCommitment] ? input.timeCommitment : 'micro-burst',
+                learningStyle: LEARNING_STYLE_TASKS[input.learningStyle] ? input.learningStyle : 'visual',
+                weekOneDays: getWeekOneDays(input)
+            }
+        };
+    }
+}
+
+module.exports = new PlannerEngine();
+module.exports.PlannerError = PlannerError;
+module.exports.detectArchetype = detectArchetype;
+module.exports.resolvePlaceholders = resolvePlaceholders;
+module.exports.getWeekOneDays = getWeekOneDays;
+module.exports.buildJourney = buildJourney;
+module.exports.buildSprints = buildSprints;
+module.exports.toTaskFields = toTaskFields;
+module.exports.parseEnrichment = parseEnrichment;
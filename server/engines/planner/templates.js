@@ -0,0 +1,282 @@
+/**
+ * server/engines/planner/templates.js
+ * Three-week plan templates for each dream archetype (see config/dreamLanguage).
+ *
+ * Every archetype has five goals and three weeks. A week works on three of
+ * the goals (weeks 1-3 use goals 0-2, 1-3 and 2-4) with two tasks each.
+ * Task `size` scales the user's time-commitment base minutes.
+ *
+ * Text may use these placeholders, filled from the parsed dream:
+ *   {focus}   what the dream is about (role, project, feeling, aspect of self)
+ *   {context} where or for whom
+ *   {from}    where the user is coming from
+ *   {why}     the motivation behind the dream
+ */
+
+const { DREAM_ARCHETYPES } = require('../../config/dreamLanguage');
+
+const TEMPLATE_VERSION = 'templates-v1';
+
+// Sprint names used by Journey.sprints, two per week
+const SPRINT_NAMES = [
+    ['Dream Activation', 'Reality Mapping'],
+    ['Skill Building', 'Network Expansion'],
+    ['Momentum Creation', 'Future Planning']
+];
+
+// Weeks in a journey: every plan has one week per entry in SPRINT_NAMES
+const JOURNEY_WEEKS = SPRINT_NAMES.length;
+
+const ARCHETYPE_PLANS = {
+    [DREAM_ARCHETYPES.CAREER]: {
+        defaults: { focus: 'your target role', context: 'your target field', from: 'your current role', why: 'this work matters to you' },
+        goals: [
+            { title: 'Define what {focus} really involves', description: 'Get a concrete picture of the day-to-day work and expectations.', metrics: ['clarity', 'commitment'] },
+            { title: 'Map the gap from {from}', description: 'Compare the skills you have with the ones the role asks for.', metrics: ['clarity', 'competency'] },
+            { title: 'Build a skill that closes the gap', description: 'Practise the most important missing skill with small, visible output.', metrics: ['competency', 'growth_readiness'] },
+            { title: 'Connect with people in {context}', description: 'Learn from people already doing the work and let them know what you are aiming for.', metrics: ['opportunity', 'confidence'] },
+            { title: 'Show your readiness for {focus}', description: 'Turn what you have learned into proof you can share.', metrics: ['opportunity', 'competency'] }
+        ],
+        weeks: [
+            {
+                theme: 'Clarify the destination',
+                tasks: [
+                    { goalIndex: 0, title: 'Read three job descriptions for {focus} and list the common requirements', skillCategory: 'market_research', size: 1 },
+                    { goalIndex: 0, title: 'Write down why you want this: {why}', skillCategory: 'self_assessment', size: 0.5 },
+                    { goalIndex: 1, title: 'List the strengths you bring from {from}', skillCategory: 'self_assessment', size: 0.5 },
+                    { goalIndex: 1, title: 'Rate yourself against each requirement and mark the biggest gap', skillCategory: 'self_assessment', size: 1 },
+                    { goalIndex: 2, title: 'Pick one skill to build and find a free resource for it', skillCategory: 'learning', size: 0.5 },
+                    { goalIndex: 2, title: 'Spend one focused session practising that skill', skillCategory: 'technical', size: 1.5 }
+                ]
+            },
+            {
+                theme: 'Build skills and relationships',
+                tasks: [
+                    { goalIndex: 1, title: 'Turn your gap list into a four-week learning plan', skillCategory: 'planning', size: 1 },
+                    { goalIndex: 1, title: 'Ask someone you trust where they see your gaps', skillCategory: 'networking', size: 0.5 },
+                    { goalIndex: 2, title: 'Complete a small practice exercise for your chosen skill', skillCategory: 'technical', size: 1.5 },
+                    { goalIndex: 2, title: 'Write a short summary of what you learned this week', skillCategory: 'learning', size: 0.5 },
+                    { goalIndex: 3, title: 'Find five people working in {context} worth learning from', skillCategory: 'networking', size: 1 },
+                    { goalIndex: 3, title: 'Send one message asking for a short conversation', skillCategory: 'networking', size: 0.5 }
+                ]
+            },
+            {
+                theme: 'Create visible momentum',
+                tasks: [
+                    { goalIndex: 2, title: 'Build a small piece of work that uses your new skill', skillCategory: 'technical', size: 1.5 },
+                    { goalIndex: 2, title: 'Get feedback on that work from one person', skillCategory: 'networking', size: 0.5 },
+                    { goalIndex: 3, title: 'Have one conversation with someone in {context}', skillCategory: 'networking', size: 1 },
+                    { goalIndex: 3, title: 'Share something you learned publicly or with your network', skillCategory: 'communication', size: 0.5 },
+                    { goalIndex: 4, title: 'Update your CV or profile to tell the story towards {focus}', skillCategory: 'communication', size: 1 },
+                    { goalIndex: 4, title: 'Plan your next three weeks based on what worked', skillCategory: 'planning', size: 0.5 }
+                ]
+            }
+        ]
+    },
+    [DREAM_ARCHETYPES.CREATIVE]: {
+        defaults: { focus: 'your creative project', context: 'the people it is for', from: 'your current work', why: 'you want to create from purpose' },
+        goals: [
+            { title: 'Shape the idea behind {focus}', description: 'Describe the project, who it serves and what makes it yours.', metrics: ['clarity', 'commitment'] },
+            { title: 'Understand {context}', description: 'Learn what your audience needs and where they already gather.', metrics: ['clarity', 'opportunity'] },
+            { title: 'Make the first version', description: 'Create something small and real instead of planning forever.', metrics: ['competency', 'growth_readiness'] },
+            { title: 'Build a habit of making', description: 'Protect regular time for the work so it keeps moving.', metrics: ['commitment', 'mindset'] },
+            { title: 'Put your work in front of people', description: 'Share it, listen to the response and decide what comes next.', metrics: ['opportunity', 'confidence'] }
+        ],
+        weeks: [
+            {
+                theme: 'Find the heart of the project',
+                tasks: [
+                    { goalIndex: 0, title: 'Describe {focus} in three sentences', skillCategory: 'self_assessment', size: 0.5 },
+                    { goalIndex: 0, title: 'Collect five examples of work that inspires you', skillCategory: 'market_research', size: 1 },
+                    { goalIndex: 1, title: 'Write a short portrait of who this is for: {context}', skillCategory: 'market_research', size: 0.5 },
+                    { goalIndex: 1, title: 'Find three places where {context} spend time online or offline', skillCategory: 'market_research', size: 1 },
+                    { goalIndex: 2, title: 'Sketch or outline the smallest version you could finish', skillCategory: 'creative', size: 1 },
+                    { goalIndex: 2, title: 'Spend one uninterrupted session making it', skillCategory: 'creative', size: 1.5 }
+                ]
+            },
+            {
+                theme: 'Make it real',
+                tasks: [
+                    { goalIndex: 1, title: 'Ask two people from {context} what they would value most', skillCategory: 'networking', size: 1 },
+                    { goalIndex: 1, title: 'Note what surprised you in their answers', skillCategory: 'self_assessment', size: 0.5 },
+                    { goalIndex: 2, title: 'Finish a rough first version', skillCategory: 'creative', size: 1.5 },
+                    { goalIndex: 2, title: 'Review it and list three improvements', skillCategory: 'self_assessment', size: 0.5 },
+                    { goalIndex: 3, title: 'Block recurring making time in your calendar', skillCategory: 'planning', size: 0.5 },
+                    { goalIndex: 3, title: 'Keep a short log of each making session', skillCategory: 'self_assessment', size: 0.5 }
+                ]
+            },
+            {
+                theme: 'Share and grow',
+                tasks: [
+                    { goalIndex: 2, title: 'Apply your top improvement to the first version', skillCategory: 'creative', size: 1.5 },
+                    { goalIndex: 2, title: 'Prepare the piece so it is ready to share', skillCategory: 'creative', size: 1 },
+                    { goalIndex: 3, title: 'Hold at least three making sessions this week', skillCategory: 'creative', size: 1 },
+                    { goalIndex: 3, title: 'Reconnect with why you started: {why}', skillCategory: 'self_assessment', size: 0.5 },
+                    { goalIndex: 4, title: 'Share your work with a small group and ask for feedback', skillCategory: 'communication', size: 1 },
+                    { goalIndex: 4, title: 'Decide the next version based on what you heard', skillCategory: 'planning', size: 0.5 }
+                ]
+            }
+        ]
+    },
+    [DREAM_ARCHETYPES.EMOTIONAL]: {
+        defaults: { focus: 'the way you want to feel', context: 'your daily life', from: 'a hard season', why: 'you deserve to feel this way' },
+        goals: [
+            { title: 'Name how you feel now and how you want to feel', description: 'Put words to where you are and to {focus}.', metrics: ['clarity', 'mindset'] },
+            { title: 'Notice your patterns', description: 'Spot the moments, people and habits that move your mood.', metrics: ['clarity', 'growth_readiness'] },
+            { title: 'Build a daily grounding practice', description: 'A few minutes a day that bring you back to yourself.', metrics: ['commitment', 'mindset'] },
+            { title: 'Set kinder boundaries', description: 'Protect your energy in the situations that drain it.', metrics: ['confidence', 'growth_readiness'] },
+            { title: 'Live from {focus} more often', description: 'Plan more of the moments that already feel right.', metrics: ['confidence', 'commitment'] }
+        ],
+        weeks: [
+            {
+                theme: 'Listen to yourself',
+                tasks: [
+                    { goalIndex: 0, title: 'Write freely about what the last months after {from} have felt like', skillCategory: 'self_assessment', size: 1 },
+                    { goalIndex: 0, title: 'Describe a normal day lived with {focus}', skillCategory: 'self_assessment', size: 0.5 },
+                    { goalIndex: 1, title: 'Check in with your mood three times today and note it down', skillCategory: 'self_assessment', size: 0.5 },
+                    { goalIndex: 1, title: 'List what gave you energy and what took it this week', skillCategory: 'self_assessment', size: 0.5 },
+                    { goalIndex: 2, title: 'Try a short breathing or grounding exercise', skillCategory: 'wellbeing', size: 0.5 },
+                    { goalIndex: 2, title: 'Choose the time of day your practice will happen', skillCategory: 'planning', size: 0.5 }
+                ]
+            },
+            {
+                theme: 'Make room for change',
+                tasks: [
+                    { goalIndex: 1, title: 'Find one pattern in your mood notes and write what triggers it', skillCategory: 'self_assessment', size: 1 },
+                    { goalIndex: 1, title: 'Talk to someone you trust about what you noticed', skillCategory: 'communication', size: 1 },
+                    { goalIndex: 2, title: 'Do your grounding practice on five days', skillCategory: 'wellbeing', size: 1 },
+                    { goalIndex: 2, title: 'Write one sentence after each practice about how you feel', skillCategory: 'self_assessment', size: 0.5 },
+                    { goalIndex: 3, title: 'Name one situation where you need a boundary', skillCategory: 'self_assessment', size: 0.5 },
+                    { goalIndex: 3, title: 'Write the words you will use to hold that boundary', skillCategory: 'communication', size: 0.5 }
+                ]
+            },
+            {
+                theme: 'Live it on purpose',
+                tasks: [
+                    { goalIndex: 2, title: 'Keep your grounding practice going every day', skillCategory: 'wellbeing', size: 1 },
+                    { goalIndex: 2, title: 'Try a longer version of your practice once', skillCategory: 'wellbeing', size: 1 },
+                    { goalIndex: 3, title: 'Hold your boundary once and reflect on how it went', skillCategory: 'communication', size: 0.5 },
+                    { goalIndex: 3, title: 'Say no to one thing that drains you', skillCategory: 'communication', size: 0.5 },
+                    { goalIndex: 4, title: 'Plan two moments this week that bring you {focus}', skillCategory: 'planning', size: 0.5 },
+                    { goalIndex: 4, title: 'Write a letter to yourself about why this matters: {why}', skillCategory: 'self_assessment', size: 1 }
+                ]
+            }
+        ]
+    },
+    [DREAM_ARCHETYPES.SELF_DISCOVERY]: {
+        defaults: { focus: 'who you really are', context: 'your everyday life', from: 'a time of fitting in', why: 'you are ready to stop playing small' },
+        goals: [
+            { title: 'Describe {focus}', description: 'Put into words the parts of you that you want to own.', metrics: ['clarity', 'mindset'] },
+            { title: 'Understand what held you back', description: 'Look kindly at {from} and what it taught you.', metrics: ['clarity', 'growth_readiness'] },
+            { title: 'Experiment with new ways of showing up', description: 'Small, safe experiments that let more of you show.', metrics: ['growth_readiness', 'confidence'] },
+            { title: 'Surround yourself with support', description: 'Find the people and spaces where you can be yourself.', metrics: ['opportunity', 'confidence'] },
+            { title: 'Make it part of {context}', description: 'Turn what you discovered into habits you keep.', metrics: ['commitment', 'mindset'] }
+        ],
+        weeks: [
+            {
+                theme: 'Look inward',
+                tasks: [
+                    { goalIndex: 0, title: 'List ten words that describe you at your best', skillCategory: 'self_assessment', size: 0.5 },
+                    { goalIndex: 0, title: 'Recall three moments you felt fully yourself and what they share', skillCategory: 'self_assessment', size: 1 },
+                    { goalIndex: 1, title: 'Write about what {from} asked of you', skillCategory: 'self_assessment', size: 1 },
+                    { goalIndex: 1, title: 'Name one belief from that time you are ready to drop', skillCategory: 'self_assessment', size: 0.5 },
+                    { goalIndex: 2, title: 'Choose one small way to express yourself this week', skillCategory: 'planning', size: 0.5 },
+                    { goalIndex: 2, title: 'Try it once and note how it felt', skillCategory: 'self_assessment', size: 0.5 }
+                ]
+            },
+            {
+                theme: 'Try on your true self',
+                tasks: [
+                    { goalIndex: 1, title: 'Notice when you hold back and write down the situation', skillCategory: 'self_assessment', size: 0.5 },
+                    { goalIndex: 1, title: 'Rewrite the old belief as one that supports you', skillCategory: 'self_assessment', size: 0.5 },
+                    { goalIndex: 2, title: 'Run two small experiments in showing up as yourself', skillCategory: 'communication', size: 1 },
+                    { goalIndex: 2, title: 'Try a new activity that reflects who you are becoming', skillCategory: 'learning', size: 1.5 },
+                    { goalIndex: 3, title: 'Identify two people who make it easy to be yourself', skillCategory: 'networking', size: 0.5 },
+                    { goalIndex: 3, title: 'Spend time with one of them and share what you are working on', skillCategory: 'networking', size: 1 }
+                ]
+            },
+            {
+                theme: 'Own it',
+                tasks: [
+                    { goalIndex: 2, title: 'Take one bigger step to express {focus}', skillCategory: 'communication', size: 1 },
+                    { goalIndex: 2, title: 'Reflect on what changed since week one', skillCategory: 'self_assessment', size: 0.5 },
+                    { goalIndex: 3, title: 'Find a group or community that shares your interests', skillCategory: 'networking', size: 1 },
+                    { goalIndex: 3, title: 'Tell someone why this matters to you: {why}', skillCategory: 'communication', size: 0.5 },
+                    { goalIndex: 4, title: 'Choose two habits that keep you connected to yourself', skillCategory: 'planning', size: 0.5 },
+                    { goalIndex: 4, title: 'Write a short statement of who you are choosing to be', skillCategory: 'self_assessment', size: 1 }
+                ]
+            }
+        ]
+    }
+};
+
+// One task per week in the user's preferred way of learning
+const LEARNING_STYLE_TASKS = {
+    visual: ['Draw a mind map of {focus}', 'Watch a video from someone living {focus}', 'Make a visual board of your progress'],
+    auditory: ['Listen to a podcast episode about {focus}', 'Talk through your plan out loud or with a friend', 'Record a voice note about what you have learned'],
+    reading: ['Read an article or chapter about {focus}', 'Summarise a useful read in your own words', 'Write a one-page reflection on your progress'],
+    kinesthetic: ['Try a hands-on exercise related to {focus}', 'Learn by doing: practise in a real situation', 'Teach or show someone one thing you learned']
+};
+
+// Base minutes for a size-1 task
+const TIME_COMMITMENT_MINUTES = {
+    'micro-burst': 15,
+    'flexible-flow': 30,
+    'focused-blocks': 45,
+    'beast-mode': 90
+};
+
+// Task difficulty for weeks 1-3 by confidence band
+const DIFFICULTY_BY_CONFIDENCE = {
+    low: ['beginner', 'beginner', 'intermediate'],
+    medium: ['beginner', 'intermediate', 'intermediate'],
+    high: ['intermediate', 'advanced', 'advanced']
+};
+
+// Keywords used to guess the archetype when the dream was not classified
+const ARCHETYPE_KEYWORDS = {
+    [DREAM_ARCHETYPES.CAREER]: /\b(job|role|career|promot\w*|manager|engineer|hired|company|salary|lead\w*|position|interview)\b/gi,
+    [DREAM_ARCHETYPES.CREATIVE]: /\b(creat\w*|art\w*|writ\w*|book|music|design\w*|studio|brand|launch\w*|podcast|film|paint\w*|consultancy|my own business)\b/gi,
+    [DREAM_ARCHETYPES.EMOTIONAL]: /\b(calm|peace\w*|anxi\w*|heal\w*|stress\w*|grief|emotion\w*|burn\w*out|balance|joy|strength|pressure)\b/gi,
+    [DREAM_ARCHETYPES.SELF_DISCOVERY]: /\b(myself|identity|authentic\w*|voice|rediscover\w*|true self|who i (?:am|truly am)|owning|embracing|playing small)\b/gi
+};
+
+// Which parsed archetypeData fields fill each placeholder, in order of preference
+const PLACEHOLDER_FIELDS = {
+    [DREAM_ARCHETYPES.CAREER]: {
+        focus: ['targetRole', 'desired_role', 'suggested_role'],
+        context: ['domain', 'desired_company'],
+        from: ['currentRole', 'current_role'],
+        why: ['motivation', 'emotional_driver']
+    },
+    [DREAM_ARCHETYPES.CREATIVE]: {
+        focus: ['creative_goal'],
+        context: ['current_challenge', 'domain'],
+        from: ['current_role', 'currentRole'],
+        why: ['emotional_driver', 'motivation']
+    },
+    [DREAM_ARCHETYPES.EMOTIONAL]: {
+        focus: ['desired_emotion'],
+        context: ['location'],
+        from: ['current_emotion'],
+        why: ['emotional_driver', 'motivation']
+    },
+    [DREAM_ARCHETYPES.SELF_DISCOVERY]: {
+        focus: ['rediscover_aspect'],
+        context: ['location'],
+        from: ['after_experience'],
+        why: ['emotional_driver', 'motivation']
+    }
+};
+
+module.exports = {
+    TEMPLATE_VERSION,
+    SPRINT_NAMES,
+    JOURNEY_WEEKS,
+    ARCHETYPE_PLANS,
+    LEARNING_STYLE_TASKS,
+    TIME_COMMITMENT_MINUTES,
+    DIFFICULTY_BY_CONFIDENCE,
+    ARCHETYPE_KEYWORDS,
+    PLACEHOLDER_FIELDS
+};
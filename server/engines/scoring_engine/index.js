@@ -0,0 +1,302 @@
+/**
+ * server/engines/scoring_engine/index.js
+ * In-process scoring engine.
+ *
+ * Turns a user's tracked events and consented profile data into the five
+ * dimension scores (see services/FiveDimensionCalculator.js), wraps them in
+ * the stage scorer for the user's stage, and keeps every result in the
+ * ScoreHistory collection.
+ *
+ * Consent is applied before anything is scored: profile fields come from
+ * ScoringConsentService.getConsentedUserData, and events are dropped or
+ * stripped according to the behavioural tracking bundle.
+ *
+ * scheduleScoreUpdate() records the trigger events and queues a
+ * recalculation. Updates for the same user are coalesced; 'high' priority
+ * runs on the next tick, 'normal' and 'low' after SCORE_UPDATE_DELAY_MS (x5
+ * for 'low'). The queue is per process and shared by all engine instances.
+ */
+
+const TrackingEngine = require('../tracking-engine');
+const { parseTimeRange } = require('../tracking-engine');
+const FiveDimensionCalculator = require('./services/FiveDimensionCalculator');
+const ScoringConsentService = require('../../services/ScoringConsentService');
+const DiscoveryStageScorer = require('../../services/DiscoveryStageScorer');
+const OnboardingStageScorer = require('../../services/OnboardingStageScorer');
+const ScoreHistory = require('../../models/ScoreHistory');
+const UserDream = require('../../models/UserDream');
+const { VisionData } = require('../../models/visionData');
+const { PMAssessmentResult } = require('../../models/pmAssessment');
+const logger = require('../../utils/logger');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const MAX_EVENTS = 1000;
+const SCORE_UPDATE_DELAY_MS = parseInt(process.env.SCORE_UPDATE_DELAY_MS, 10) || 60 * 1000;
+const PRIORITY_DELAYS = {
+    high: 0,
+    normal: SCORE_UPDATE_DELAY_MS,
+    low: SCORE_UPDATE_DELAY_MS * 5
+};
+
+// Behavioural tracking data types and the events they cover. Events not
+// listed here count as engagement.
+const EVENT_DATA_TYPES = {
+    loginBehavior: ['daily_login', 'repeat_login', 'user_login', 'user_logout', 'user_signup'],
+    taskPatterns: [
+        'task_creation', 'task_completion', 'task_completed', 'task_skipped', 'tracker_task_created',
+        'progress_updated', 'plan_generated', 'plan_imported', 'milestone_achieved'
+    ]
+};
+const TIME_FIELDS = ['timeSpent', 'duration', 'actualTime', 'estTime', 'timeSinceLastLogin'];
+
+// userId -> { runAt, priority, eventTypes, timer }
+const pendingUpdates = new Map();
+
+/**
+ * Drop or strip events the user has not consented to being scored on.
+ */
+function filterEventsByConsent(events, consent = {}) {
+    const tracking = consent.behavioralTracking;
+    if (!tracking || !tracking.enabled) return [];
+
+    const includes = tracking.includes || {};
+    return events
+        .filter(event => {
+            if (EVENT_DATA_TYPES.loginBehavior.includes(event.eventType)) return includes.loginBehavior;
+            if (EVENT_DATA_TYPES.taskPatterns.includes(event.eventType)) return includes.taskPatterns;
+            // Reflections are kept when only their content is off-limits
+            return event.eventType === 'reflection_submitted' || includes.engagementQuality;
+        })
+        .map(event => {
+            let eventData = event.eventData || {};
+            if (event.eventType === 'reflection_submitted' && !includes.reflectionContent) {
+                eventData = {};
+            }
+            if (!includes.timeTracking) {
+                eventData = { ...eventData };
+                TIME_FIELDS.forEach(field => delete eventData[field]);
+            }
+            return { ...event, eventData };
+        });
+}
+
+/**
+ * Plain signal values, without their weights, for storage.
+ */
+function signalValues(signals = {}) {
+    const values = {};
+    Object.entries(signals).forEach(([dimension, dimensionSignals]) => {
+        values[dimension] = {};
+        Object.entries(dimensionSignals).forEach(([name, [value]]) => {
+            if (typeof value === 'number') values[dimension][name] = Math.round(value * 100) / 100;
+        });
+    });
+    return values;
+}
+
+class ScoringEngine {
+    constructor(options = {}) {
+        this.tracking = options.trackingEngine || new TrackingEngine();
+        this.calculator = options.calculator || new FiveDimensionCalculator();
+        this.consentService = options.consentService || new ScoringConsentService();
+    }
+
+    /**
+     * Consented profile data in the shape FiveDimensionCalculator reads.
+     */
+    async loadUserProfile(userId) {
+        const consented = await this.consentService.getConsentedUserData(userId);
+        const consent = consented.consent || this.consentService.getDefaultConsent();
+        const assessment = consent.assessmentData && consent.assessmentData.enabled
+            ? consent.assessmentData.includes || {}
+            : {};
+
+        const [dreams, vision, pmResult] = await Promise.all([
+            UserDream.find({ user: userId, status: 'active' })
+                .sort({ createdAt: -1 })
+                .select('dreamText archetypeData planGenerated')
+                .lean(),
+            assessment.visionQuestionnaire
+                ? VisionData.findOne({ userId }).sort({ completedAt: -1 }).lean()
+                : null,
+            assessment.pmAssessment
+                ? PMAssessmentResult.findOne({ userId }).sort({ createdAt: -1 }).lean()
+                : null
+        ]);
+
+        return {
+            stage: consented.stage || 'discovery',
+            consent,
+            dreams,
+            professionalProfile: consented.consentedData.professionalProfile,
+            hasResume: consented.consentedData.hasResume,
+            visionQuestionnaire: vision ? vision.responses : undefined,
+            pmAssessment: pmResult ? pmResult.dimensionScores : undefined
+        };
+    }
+
+    /**
+     * Score a user now and store the result.
+     *
+     * @param {string} userId
+     * @param {Object} options - timeWindow ('7d', '30d', '90d'), includeInsights,
+     *   persist (default true), trigger ({ reason, priority, eventTypes })
+     */
+    async calculateUserProfile(userId, options = {}) {
+        const { timeWindow = '30d', includeInsights = true, persist = true, trigger = {} } = options;
+        const since = parseTimeRange(timeWindow);
+
+        const [userProfile, rawEvents] = await Promise.all([
+            this.loadUserProfile(userId),
+            this.tracking.getUserEvents(userId, { since, limit: MAX_EVENTS })
+        ]);
+
+        const events = filterEventsByConsent(rawEvents, userProfile.consent);
+        const windowDays = since ? Math.round((Date.now() - since.getTime()) / MS_PER_DAY) : 90;
+        const scores = await this.calculator.calculateDimensionScores(
+            userId, events, { ...userProfile, windowDays }, userProfile.stage
+        );
+
+        const scorer = userProfile.stage === 'discovery' ? new DiscoveryStageScorer() : new OnboardingStageScorer();
+        const stageProfile = await scorer.calculateScore(userId, events, { ...userProfile, windowDays });
+        if (!includeInsights) {
+            delete stageProfile.insights;
+            delete stageProfile.recommendations;
+        }
+
+        const dimensionScores = {
+            commitment: scores.commitment,
+            clarity: scores.clarity,
+            growthReadiness: scores.growthReadiness,
+            competency: scores.competency,
+            opportunity: scores.opportunity,
+            overall: scores.overall
+        };
+        const calculatedAt = new Date();
+
+        let historyId = null;
+        if (persist) {
+            const entry = await ScoreHistory.create({
+                user: userId,
+                stage: userProfile.stage,
+                scores: dimensionScores,
+                signals: signalValues(scores.signals),
+                eventsProcessed: events.length,
+                timeWindow,
+                trigger: { reason: trigger.reason || 'on_demand', priority: trigger.priority, eventTypes: trigger.eventTypes || [] },
+                calculatedAt
+            });
+            historyId = entry._id;
+        }
+
+        return {
+            userId: userId.toString(),
+            stage: userProfile.stage,
+            dimensionScores,
+            stageProfile,
+            eventsProcessed: events.length,
+            timeWindow,
+            calculatedAt,
+            historyId
+        };
+    }
+
+    /**
+     * Record the events that triggered a recalculation and queue one.
+     *
+     * @param {string} userId
+     * @param {Object} options - triggerEvents ([{ eventType, eventData }]), priority ('high' | 'normal' | 'low')
+     * @returns {Object} { scheduled, userId, runAt, priority }
+     */
+    async scheduleScoreUpdate(userId, { triggerEvents = [], priority = 'normal' } = {}) {
+        if (!userId) {
+            throw new Error('userId is required');
+        }
+
+        for (const event of triggerEvents) {
+            await this.tracking.logEvent(event.eventType, event.eventData, userId, { source: 'scoring_engine' });
+        }
+
+        const key = userId.toString();
+        const delay = PRIORITY_DELAYS[priority] !== undefined ? PRIORITY_DELAYS[priority] : PRIORITY_DELAYS.normal;
+        const runAt = Date.now() + delay;
+        const eventTypes = triggerEvents.map(event => event.eventType);
+        const existing = pendingUpdates.get(key);
+
+        // Already due sooner: just add the triggers to it
+        if (existing && existing.runAt <= runAt) {
+            existing.eventTypes.push(...eventTypes);
+            return { scheduled: true, userId: key, runAt: new Date(existing.runAt), priority: existing.priority };
+        }
+
+        if (existing) {
+            clearTimeout(existing.timer);
+            eventTypes.unshift(...existing.eventTypes);
+        }
+
+        const entry = { runAt, priority, eventTypes, timer: null };
+        entry.timer = setTimeout(() => this.runScheduledUpdate(key), delay);
+        if (entry.timer.unref) entry.timer.unref();
+        pendingUpdates.set(key, entry);
+
+        return { scheduled: true, userId: key, runAt: new Date(runAt), priority };
+    }
+
+    /**
+     * Run a queued update now. Returns the new score, or null if nothing was queued or it failed.
+     */
+    async runScheduledUpdate(userId) {
+        const key = userId.toString();
+        const entry = pendingUpdates.get(key);
+        if (!entry) return null;
+
+        clearTimeout(entry.timer);
+        pendingUpdates.delete(key);
+
+        try {
+            return await this.calculateUserProfile(key, {
+                trigger: { reason: 'scheduled', priority: entry.priority, eventTypes: entry.eventTypes }
+            });
+        } catch (error) {
+            logger.error({ error: error.message, userId: key }, 'Scheduled score update failed');
+            return null;
+        }
+    }
+
+    /**
+     * Run every queued update now (e.g. before shutdown).
+     */
+    async flushScheduledUpdates() {
+        const results = [];
+        for (const key of [...pendingUpdates.keys()]) {
+            results.push(await this.runScheduledUpdate(key));
+        }
+        return results;
+    }
+
+    getPendingUpdateCount() {
+        return pendingUpdates.size;
+    }
+
+    /**
+     * Stored scores for a user, newest first.
+     */
+    async getScoreHistory(userId, { limit = 30, since } = {}) {
+        const filter = { user: userId };
+        if (since) filter.calculatedAt = { $gte: new Date(since) };
+
+        return ScoreHistory.find(filter)
+            .sort({ calculatedAt: -1 })
+            .limit(Math.min(parseInt(limit, 10) || 30, 365))
+            .select('-signals')
+            .lean();
+    }
+
+    async getLatestScore(userId) {
+        return ScoreHistory.findOne({ user: userId }).sort({ calculatedAt: -1 }).lean();
+    }
+}
+
+module.exports = ScoringEngine;
+module.exports.FiveDimensionCalculator = FiveDimensionCalculator;
+module.exports.filterEventsByConsent = filterEventsByConsent;
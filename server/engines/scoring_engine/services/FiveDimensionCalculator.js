@@ -0,0 +1,245 @@
+/**
+ * server/engines/scoring_engine/services/FiveDimensionCalculator.js
+ * Five-dimension user scores from tracked events and consented profile data.
+ *
+ * Dimensions, each between 0 and 1:
+ *   - commitment: showing up (active days, longest run) and finishing tasks
+ *   - clarity: how well-defined the dream is, plus planning and reflection
+ *   - growthReadiness: reflection, exploration, persistence and self-reported readiness
+ *   - competency: assessed skills and a record of completed work
+ *   - opportunity: professional presence and market awareness
+ *
+ * Each dimension is a weighted mean of the signals that are available, so a
+ * user is not penalised for data they have not shared; a dimension with no
+ * signals at all scores 0. Pure: callers load events and the profile.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const LOGIN_EVENTS = ['daily_login', 'repeat_login', 'user_login', 'user_signup'];
+const TASK_DONE_EVENTS = ['task_completion', 'task_completed'];
+const TASK_CREATED_EVENTS = ['task_creation', 'tracker_task_created'];
+const PLANNING_EVENTS = ['plan_generated', 'plan_imported', 'milestone_achieved'];
+const EXPLORATION_EVENTS = ['feature_explored', 'help_requested'];
+
+// Events that count as "showed up that day"
+const ACTIVITY_EVENTS = [
+    ...LOGIN_EVENTS, ...TASK_DONE_EVENTS, 'daily_check_in', 'grace_day_used', 'reflection_submitted', 'progress_updated'
+];
+
+// Overall score weights per stage. Discovery only shows the first three scores.
+const STAGE_WEIGHTS = {
+    discovery: { commitment: 0.4, clarity: 0.35, growthReadiness: 0.25, competency: 0, opportunity: 0 },
+    default: { commitment: 0.25, clarity: 0.2, growthReadiness: 0.2, competency: 0.2, opportunity: 0.15 }
+};
+
+const READINESS_LEVELS = { exploring: 0.3, ready: 0.7, unstoppable: 1 };
+const IMPORTANCE_LEVELS = { curious: 0.25, interested: 0.5, committed: 0.8, obsessed: 1 };
+const DECISION_LEVELS = { execution: 0.25, tactical: 0.5, strategic: 0.75, ownership: 1 };
+const RISK_LEVELS = { avoider: 0.25, calculated: 0.6, comfortable: 0.8, seeker: 1 };
+
+function clamp(value) {
+    return Math.min(1, Math.max(0, value));
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Weighted mean of [value, weight] pairs, ignoring missing values.
+ */
+function weightedMean(signals) {
+    const available = signals.filter(([value]) => typeof value === 'number' && !Number.isNaN(value));
+    const totalWeight = available.reduce((sum, [, weight]) => sum + weight, 0);
+    if (totalWeight === 0) return 0;
+    return clamp(available.reduce((sum, [value, weight]) => sum + clamp(value) * weight, 0) / totalWeight);
+}
+
+function countOf(events, types) {
+    return events.filter(event => types.includes(event.eventType)).length;
+}
+
+function dayKey(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+}
+
+/**
+ * Longest run of consecutive days in a set of YYYY-MM-DD keys.
+ */
+function longestRun(days) {
+    const sorted = [...days].sort();
+    let best = 0;
+    let current = 0;
+    let previous = null;
+
+    sorted.forEach(day => {
+        const time = Date.parse(day);
+        current = previous !== null && time - previous === MS_PER_DAY ? current + 1 : 1;
+        best = Math.max(best, current);
+        previous = time;
+    });
+    return best;
+}
+
+function filled(value) {
+    return typeof value === 'string' ? value.trim().length > 0 : Boolean(value);
+}
+
+class FiveDimensionCalculator {
+    constructor(options = {}) {
+        // Days the events are assumed to cover, for activity ratios
+        this.windowDays = options.windowDays || 30;
+    }
+
+    /**
+     * Score every dimension.
+     *
+     * @param {string} userId
+     * @param {Array} events - tracked events ({ eventType, eventData, timestamp })
+     * @param {Object} userProfile - consented data, see ScoringEngine.loadUserProfile
+     * @param {string} [stage] - weights the overall score; defaults to userProfile.stage
+     * @returns {Object} { commitment, clarity, growthReadiness, competency, opportunity,
+     *   overall, growth, readiness, signals }. `growth` and `readiness` are aliases
+     *   (of growthReadiness and competency) for OnboardingStageScorer's metric names.
+     */
+    async calculateDimensionScores(userId, events = [], userProfile = {}, stage) {
+        const list = Array.isArray(events) ? events : [];
+        const profile = userProfile || {};
+
+        const signals = {
+            commitment: this.commitmentSignals(list, profile),
+            clarity: this.claritySignals(list, profile),
+            growthReadiness: this.growthReadinessSignals(list, profile),
+            competency: this.competencySignals(list, profile),
+            opportunity: this.opportunitySignals(list, profile)
+        };
+
+        const scores = {};
+        Object.keys(signals).forEach(dimension => {
+            scores[dimension] = round(weightedMean(Object.values(signals[dimension])));
+        });
+
+        const weights = STAGE_WEIGHTS[stage || profile.stage] || STAGE_WEIGHTS.default;
+        const overall = Object.keys(weights).reduce((sum, dimension) => sum + scores[dimension] * weights[dimension], 0);
+
+        return {
+            ...scores,
+            overall: round(overall),
+            growth: scores.growthReadiness,
+            readiness: scores.competency,
+            signals
+        };
+    }
+
+    commitmentSignals(events, profile) {
+        const activeDays = new Set(
+            events.filter(event => ACTIVITY_EVENTS.includes(event.eventType) && event.timestamp).map(event => dayKey(event.timestamp))
+        );
+        const completed = countOf(events, TASK_DONE_EVENTS);
+        const skipped = countOf(events, ['task_skipped']);
+        const created = countOf(events, TASK_CREATED_EVENTS);
+
+        // Completion rate needs something to complete; otherwise leave it out
+        const attempted = Math.max(completed + skipped, created);
+        const visionImportance = profile.visionQuestionnaire && IMPORTANCE_LEVELS[profile.visionQuestionnaire.importance];
+
+        return {
+            activeDays: [activeDays.size / (profile.windowDays || this.windowDays), 0.4],
+            longestRun: [longestRun(activeDays) / 14, 0.2],
+            completionRate: [attempted > 0 ? completed / attempted : undefined, 0.3],
+            statedImportance: [visionImportance, 0.1]
+        };
+    }
+
+    claritySignals(events, profile) {
+        const dreams = profile.dreams || [];
+        const dream = dreams[0];
+        const vision = profile.visionQuestionnaire;
+
+        let dreamDefinition;
+        if (dream) {
+            const archetype = dream.archetypeData || {};
+            const textScore = Math.min((dream.dreamText || '').trim().length / 120, 1);
+            const fieldsScore = Math.min((archetype.completedFields || []).length / 4, 1);
+            const parsed = (archetype.parsingAccuracy || 0) / 100;
+            dreamDefinition = textScore * 0.4 + fieldsScore * 0.3 + parsed * 0.3;
+        }
+
+        let visionDefinition;
+        if (vision) {
+            const answered = ['dream', 'why', 'realImpact', 'deepMotivation', 'whySucceed'].filter(key => filled(vision[key])).length;
+            visionDefinition = answered / 5;
+        }
+
+        const plans = countOf(events, PLANNING_EVENTS) + (dream && dream.planGenerated ? 1 : 0);
+
+        return {
+            dreamDefinition: [dreamDefinition, 0.35],
+            visionDefinition: [visionDefinition, 0.25],
+            planning: [dream || plans ? plans / 2 : undefined, 0.2],
+            reflection: [countOf(events, ['reflection_submitted']) / 4, 0.2]
+        };
+    }
+
+    growthReadinessSignals(events, profile) {
+        const vision = profile.visionQuestionnaire;
+        const obstacles = vision && vision.handlingObstacles ? vision.handlingObstacles / 5 : undefined;
+
+        return {
+            reflection: [countOf(events, ['reflection_submitted']) / 4, 0.3],
+            exploration: [countOf(events, EXPLORATION_EVENTS) / 10, 0.2],
+            persistence: [Math.min(countOf(events, ['persistence_shown', 'grace_day_used']) / 3, 1), 0.15],
+            statedReadiness: [vision ? READINESS_LEVELS[vision.readiness] : undefined, 0.2],
+            handlingObstacles: [obstacles, 0.15]
+        };
+    }
+
+    competencySignals(events, profile) {
+        const vision = profile.visionQuestionnaire;
+        const pm = profile.pmAssessment;
+        const professional = profile.professionalProfile;
+
+        let portfolio;
+        if (professional || profile.hasResume !== undefined) {
+            const items = [profile.hasResume, professional && filled(professional.sideProjects), professional && filled(professional.bio)];
+            portfolio = items.filter(Boolean).length / items.length;
+        }
+
+        return {
+            assessment: [pm && typeof pm.overall === 'number' ? pm.overall / 100 : undefined, 0.4],
+            completedWork: [Math.min(countOf(events, TASK_DONE_EVENTS) / 20, 1), 0.3],
+            decisionLevel: [vision ? DECISION_LEVELS[vision.decisionLevel] : undefined, 0.15],
+            portfolio: [portfolio, 0.15]
+        };
+    }
+
+    opportunitySignals(events, profile) {
+        const vision = profile.visionQuestionnaire;
+        const professional = profile.professionalProfile;
+
+        let presence;
+        if (professional) {
+            const channels = ['linkedinUrl', 'blogUrl', 'twitterHandle', 'sideProjects'];
+            presence = channels.filter(key => filled(professional[key])).length / channels.length;
+        }
+
+        let marketAwareness;
+        if (vision) {
+            const ratings = ['industryTrends', 'competitive', 'businessModels'].map(key => vision[key]).filter(Boolean);
+            marketAwareness = ratings.length ? ratings.reduce((sum, rating) => sum + rating, 0) / (ratings.length * 5) : undefined;
+        }
+
+        return {
+            presence: [presence, 0.4],
+            marketAwareness: [marketAwareness, 0.3],
+            uniqueValue: [vision ? Math.min((vision.uniqueValue || []).length / 3, 1) : undefined, 0.15],
+            riskAppetite: [vision ? RISK_LEVELS[vision.riskTolerance] : undefined, 0.15]
+        };
+    }
+}
+
+module.exports = FiveDimensionCalculator;
+module.exports.STAGE_WEIGHTS = STAGE_WEIGHTS;
+module.exports.weightedMean = weightedMean;
+module.exports.longestRun = longestRun;
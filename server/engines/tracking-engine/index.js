@@ -0,0 +1,313 @@
+/**
+ * server/engines/tracking-engine/index.js
+ * In-process tracking engine.
+ *
+ * Serves the same operations the standalone tracking service used to expose
+ * (event logging, bulk logging, progress updates, per-user event queries),
+ * backed by the persistent event store.
+ *
+ * It also tracks journey progress per dream and week: task progress events
+ * carry the dream and week they belong to, and week progress (completion,
+ * time spent, streaks) is computed from the Task, WeeklyGoal and Journey
+ * documents, see services/WeekProgressCalculator.js.
+ */
+
+const eventStore = require('../../services/eventStore');
+const WeekProgressCalculator = require('./services/WeekProgressCalculator');
+const { getWeekWindow } = require('./services/WeekProgressCalculator');
+const UserDream = require('../../models/UserDream');
+const WeeklyGoal = require('../../models/WeeklyGoal');
+const Task = require('../../models/Task');
+const Journey = require('../../models/Journey');
+
+const MAX_EVENT_TYPE_LENGTH = 100;
+const MAX_BULK_EVENTS = 100;
+const MAX_QUERY_EVENTS = 1000;
+const PROGRESS_EVENT_TYPES = ['task_completion', 'task_time_logged'];
+
+// Event types only the server records. Badges, milestone dedupe and scoring
+// read them as facts, so the browser-facing endpoints refuse them.
+const SERVER_EVENT_TYPES = new Set([
+    'reflection_submitted', 'milestone_achieved', 'stage_completed', 'stage_progression',
+    'task_creation', 'task_completion', 'plan_imported', 'persistence_shown',
+    'daily_check_in', 'grace_day_used', 'consent_granted', 'data_exported',
+    'account_deletion_requested', 'account_deletion_cancelled',
+    'user_signup', 'daily_login', 'repeat_login', 'logout_all', 'session_revoked',
+    'password_reset', 'email_verified'
+]);
+const TASK_FIELDS = 'goal name day estTime timeSpent completed isReflection weekNumber';
+
+// Share of a week's tasks that must be done for its milestone
+const WEEK_MILESTONE_PERCENT = parseInt(process.env.WEEK_MILESTONE_PERCENT, 10) || 80;
+
+// Relative time windows accepted by the query endpoints
+const TIME_RANGES = {
+    '1h': 60 * 60 * 1000,
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000,
+    '90d': 90 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Convert a timeRange string ('24h', '7d', ...) to a start date, or null for all time.
+ */
+function parseTimeRange(timeRange) {
+    const ms = TIME_RANGES[timeRange];
+    return ms ? new Date(Date.now() - ms) : null;
+}
+
+function isServerEventType(eventType) {
+    return typeof eventType === 'string' && SERVER_EVENT_TYPES.has(eventType.trim());
+}
+
+function isValidEventType(eventType) {
+    return typeof eventType === 'string' &&
+        eventType.trim().length > 0 &&
+        eventType.length <= MAX_EVENT_TYPE_LENGTH;
+}
+
+class TrackingEngine {
+    constructor(options = {}) {
+        this.store = options.store || eventStore;
+        this.weekCalculator = new WeekProgressCalculator();
+    }
+
+    /**
+     * Record a single event for a user.
+     */
+    async logEvent(eventType, eventData = {}, userId, metadata = {}) {
+        if (!isValidEventType(eventType)) {
+            return { success: false, error: 'eventType is required' };
+        }
+        if (!userId) {
+            return { success: false, error: 'userId is required' };
+        }
+
+        const event = this.store.record({
+            eventType: eventType.trim(),
+            eventData,
+            userId,
+            metadata: { source: 'tracking_engine', ...metadata }
+        });
+
+        return { success: true, eventId: event.eventId, timestamp: event.timestamp };
+    }
+
+    /**
+     * Record several events at once. Events without a userId are attributed to defaultUserId;
+     * entries that are not objects are counted as rejected.
+     */
+    async logEvents(events, defaultUserId = null) {
+        if (!Array.isArray(events)) {
+            return { success: false, error: 'events must be an array' };
+        }
+        if (events.length > MAX_BULK_EVENTS) {
+            return { success: false, error: `At most ${MAX_BULK_EVENTS} events can be logged at once` };
+        }
+
+        const eventIds = [];
+        let rejected = 0;
+
+        for (const event of events) {
+            if (!event || typeof event !== 'object') {
+                rejected++;
+                continue;
+            }
+
+            const result = await this.logEvent(
+                event.eventType,
+                event.eventData,
+                event.userId || defaultUserId,
+                event.metadata
+            );
+            if (result.success) {
+                eventIds.push(result.eventId);
+            } else {
+                rejected++;
+            }
+        }
+
+        return { success: true, count: eventIds.length, rejected, eventIds };
+    }
+
+    /**
+     * Record a progress update against a tracker (usually a task id).
+     */
+    async updateProgress(trackerId, progressData = {}, userId) {
+        const result = await this.logEvent('progress_updated', { trackerId, ...progressData }, userId);
+        return result.success ? { ...result, trackerId } : result;
+    }
+
+    /**
+     * Register a task with the tracker. The returned trackerId can be passed to updateProgress.
+     */
+    async createTask(taskData = {}, userId) {
+        const result = await this.logEvent('tracker_task_created', taskData, userId);
+        return result.success ? { ...result, trackerId: taskData.taskId || result.eventId } : result;
+    }
+
+    /**
+     * Get a user's events, newest first.
+     * Options: eventType, eventTypes, timeRange, since, until, limit
+     */
+    async getUserEvents(userId, options = {}) {
+        return this.store.getUserEvents(userId, {
+            ...options,
+            since: options.since || parseTimeRange(options.timeRange)
+        });
+    }
+
+    /**
+     * Get per-event-type counts for a user within a time range.
+     */
+    async getUserEventStats(userId, timeRange) {
+        const stats = await this.store.getUserEventStats(userId, { since: parseTimeRange(timeRange) });
+        return { userId, timeRange: timeRange || 'all', ...stats };
+    }
+
+    getQueueSize() {
+        return this.store.getQueueSize();
+    }
+
+    /**
+     * Record progress on a task: 'task_completion' once it is completed,
+     * 'task_time_logged' otherwise. The event is tagged with the dream whose
+     * plan the task belongs to and its journey week.
+     */
+    async recordTaskProgress(userId, task, extra = {}) {
+        const dream = task.goal
+            ? await UserDream.findOne({ user: userId, goalIds: task.goal }).select('_id')
+            : null;
+
+        return this.logEvent(task.completed ? 'task_completion' : 'task_time_logged', {
+            taskId: task._id.toString(),
+            goalId: task.goal ? task.goal.toString() : null,
+            dreamId: dream ? dream._id.toString() : null,
+            weekNumber: task.weekNumber || null,
+            completed: Boolean(task.completed),
+            timeSpent: task.timeSpent || 0,
+            estimatedTime: task.estTime,
+            dayOfWeek: task.day,
+            ...extra
+        }, userId);
+    }
+
+    /**
+     * Progress events of a week, limited to the given tasks.
+     */
+    async getWeekEvents(userId, window, tasks) {
+        const taskIds = new Set(tasks.map(task => task._id.toString()));
+        if (taskIds.size === 0) return [];
+
+        const events = await this.getUserEvents(userId, {
+            eventTypes: PROGRESS_EVENT_TYPES,
+            since: window.start,
+            until: window.end,
+            limit: MAX_QUERY_EVENTS
+        });
+        return events.filter(event => taskIds.has(String(event.eventData.taskId)));
+    }
+
+    /**
+     * Progress of one week of a dream's plan. Goals without a journeyWeek
+     * count as week 1. Returns null if the dream is not the user's.
+     */
+    async getDreamWeekProgress(userId, dreamId, weekNumber, options = {}) {
+        const dream = await UserDream.findOne({ _id: dreamId, user: userId }).select('goalIds journeyStartDate');
+        if (!dream) return null;
+
+        const goals = (await WeeklyGoal.find({ _id: { $in: dream.goalIds }, user: userId })
+            .select('title tasks journeyWeek')
+            .lean())
+            .filter(goal => (goal.journeyWeek || 1) === weekNumber);
+
+        const tasks = goals.length
+            ? await Task.find({ user: userId, goal: { $in: goals.map(goal => goal._id) } }).select(TASK_FIELDS).lean()
+            : [];
+
+        const window = getWeekWindow(options.journeyStartDate || dream.journeyStartDate, weekNumber);
+        const events = await this.getWeekEvents(userId, window, tasks);
+
+        return {
+            dreamId: dream._id.toString(),
+            ...this.weekCalculator.calculate({ weekNumber, goals, tasks, events, window, now: options.now })
+        };
+    }
+
+    /**
+     * Progress of one week of a 21-day Journey, from the tasks in that week's
+     * sprints. Returns null if the journey is not the user's.
+     */
+    async getJourneyWeekProgress(userId, journeyId, weekNumber, options = {}) {
+        const journey = await Journey.findOne({ _id: journeyId, user: userId }).select('sprints startDate');
+        if (!journey) return null;
+
+        const goals = journey.sprints
+            .filter(sprint => sprint.week === weekNumber)
+            .flatMap(sprint => sprint.goals.map(goal => ({
+                _id: goal.goalId || goal._id,
+                title: goal.title,
+                tasks: goal.tasks.map(task => task.taskId).filter(Boolean)
+            })));
+
+        const taskIds = goals.flatMap(goal => goal.tasks);
+        const tasks = taskIds.length
+            ? await Task.find({ _id: { $in: taskIds }, user: userId }).select(TASK_FIELDS).lean()
+            : [];
+
+        const window = getWeekWindow(journey.startDate, weekNumber);
+        const events = await this.getWeekEvents(userId, window, tasks);
+
+        return {
+            journeyId: journey._id.toString(),
+            ...this.weekCalculator.calculate({ weekNumber, goals, tasks, events, window, now: options.now })
+        };
+    }
+
+    /**
+     * Whether a week's milestone is met (WEEK_MILESTONE_PERCENT of its tasks
+     * done) and whether it was already recorded for this dream.
+     */
+    async checkWeekMilestone(userId, dreamId, weekNumber, progress) {
+        const milestoneType = `week_${weekNumber}_complete`;
+        const achieved = progress.tasks.total > 0 && progress.tasks.percentage >= WEEK_MILESTONE_PERCENT;
+
+        let alreadyRecorded = false;
+        if (achieved) {
+            const milestones = await this.getUserEvents(userId, {
+                eventType: 'milestone_achieved',
+                limit: MAX_QUERY_EVENTS
+            });
+            alreadyRecorded = milestones.some(event =>
+                event.eventData.milestoneType === milestoneType &&
+                String(event.eventData.dreamId) === String(dreamId));
+        }
+
+        return {
+            achieved,
+            alreadyRecorded,
+            milestoneType,
+            criteria: {
+                requiredPercentage: WEEK_MILESTONE_PERCENT,
+                percentage: progress.tasks.percentage,
+                completedTasks: progress.tasks.completed,
+                totalTasks: progress.tasks.total
+            },
+            data: {
+                dreamId: String(dreamId),
+                weekNumber,
+                completionPercentage: progress.tasks.percentage,
+                tasksCompleted: progress.tasks.completed,
+                totalTasks: progress.tasks.total,
+                timeSpent: progress.time.actual,
+                streak: progress.streak.current
+            }
+        };
+    }
+}
+
+module.exports = TrackingEngine;
+module.exports.parseTimeRange = parseTimeRange;
+module.exports.isServerEventType = isServerEventType;
+module.exports.WeekProgressCalculator = WeekProgressCalculator;
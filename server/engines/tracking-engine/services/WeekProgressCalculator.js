@@ -0,0 +1,144 @@
+/**
+ * server/engines/tracking-engine/services/WeekProgressCalculator.js
+ * Progress summary for one week of a journey.
+ *
+ * Works on data already loaded by the tracking engine: the week's goals and
+ * tasks (the source of truth for completion and time spent) and the user's
+ * task_completion events in the week (used for the days the user was active,
+ * and so for streaks). Days are UTC calendar days.
+ */
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+function percentage(part, total) {
+    return total > 0 ? Math.round((part / total) * 100) : 0;
+}
+
+function toDayKey(date) {
+    return new Date(date).toISOString().slice(0, 10);
+}
+
+function getStartOfDay(date) {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+}
+
+/**
+ * [start, end) of a journey week; week 1 starts on the journey's start day.
+ */
+function getWeekWindow(journeyStartDate, weekNumber) {
+    const start = new Date(getStartOfDay(journeyStartDate || new Date()).getTime() + (weekNumber - 1) * 7 * MS_PER_DAY);
+    return { start, end: new Date(start.getTime() + 7 * MS_PER_DAY) };
+}
+
+/**
+ * Current and longest run of consecutive active days within the window.
+ * The current streak may end today or yesterday (today is not over yet).
+ */
+function calculateStreak(activeDays, window, now = new Date()) {
+    const active = new Set(activeDays);
+
+    let longest = 0;
+    let run = 0;
+    for (let time = window.start.getTime(); time < window.end.getTime(); time += MS_PER_DAY) {
+        run = active.has(toDayKey(time)) ? run + 1 : 0;
+        longest = Math.max(longest, run);
+    }
+
+    let day = getStartOfDay(Math.min(now.getTime(), window.end.getTime() - 1));
+    if (!active.has(toDayKey(day))) {
+        day = new Date(day.getTime() - MS_PER_DAY);
+    }
+    let current = 0;
+    while (day >= window.start && active.has(toDayKey(day))) {
+        current++;
+        day = new Date(day.getTime() - MS_PER_DAY);
+    }
+
+    return { current, longest };
+}
+
+function getStatus(total, completed, window, now) {
+    if (total > 0 && completed === total) return 'completed';
+    if (now < window.start) return 'upcoming';
+    if (now >= window.end) return 'past';
+    return 'current';
+}
+
+class WeekProgressCalculator {
+    /**
+     * @param {object} data - { weekNumber, goals, tasks, events, window, now }
+     *   goals: WeeklyGoal-like { _id, title, tasks: [task ids] }
+     *   tasks: Task-like { _id, day, estTime, timeSpent, completed, isReflection }
+     *   events: task_completion / task_time_logged events of the week
+     */
+    calculate({ weekNumber, goals = [], tasks = [], events = [], window, now = new Date() }) {
+        const completedTasks = tasks.filter(task => task.completed);
+        const estimated = tasks.reduce((sum, task) => sum + (task.estTime || 0), 0);
+        const actual = tasks.reduce((sum, task) => sum + (task.timeSpent || 0), 0);
+        const completedEstimate = completedTasks.reduce((sum, task) => sum + (task.estTime || 0), 0);
+        const completedActual = completedTasks.reduce((sum, task) => sum + (task.timeSpent || 0), 0);
+
+        const activeDays = [...new Set(events
+            .filter(event => event.eventType === 'task_completion' && event.eventData.completed !== false)
+            .map(event => toDayKey(event.timestamp)))].sort();
+
+        const byDay = DAY_NAMES.map(day => {
+            const dayTasks = tasks.filter(task => task.day === day);
+            return {
+                day,
+                total: dayTasks.length,
+                completed: dayTasks.filter(task => task.completed).length
+            };
+        });
+
+        const goalSummaries = goals.map(goal => {
+            const taskIds = new Set((goal.tasks || []).map(id => id.toString()));
+            const goalTasks = tasks.filter(task => taskIds.has(task._id.toString()));
+            const done = goalTasks.filter(task => task.completed).length;
+            return {
+                id: goal._id,
+                title: goal.title,
+                completed: done,
+                total: goalTasks.length,
+                percentage: percentage(done, goalTasks.length),
+                isComplete: goalTasks.length > 0 && done === goalTasks.length
+            };
+        });
+
+        const completionPercentage = percentage(completedTasks.length, tasks.length);
+
+        return {
+            weekNumber,
+            window: { start: window.start, end: window.end },
+            status: getStatus(tasks.length, completedTasks.length, window, now),
+            weekProgress: completionPercentage,
+            tasks: {
+                total: tasks.length,
+                completed: completedTasks.length,
+                remaining: tasks.length - completedTasks.length,
+                percentage: completionPercentage,
+                reflectionCompleted: tasks.some(task => task.isReflection && task.completed)
+            },
+            time: {
+                estimated,
+                actual,
+                // Estimated vs actual minutes for the tasks already done; 100 = on estimate
+                efficiency: completedActual > 0 ? Math.round((completedEstimate / completedActual) * 100) : null
+            },
+            streak: {
+                ...calculateStreak(activeDays, window, now),
+                activeDays: activeDays.length
+            },
+            byDay,
+            goals: goalSummaries,
+            events
+        };
+    }
+}
+
+module.exports = WeekProgressCalculator;
+module.exports.getWeekWindow = getWeekWindow;
+module.exports.calculateStreak = calculateStreak;
@@ -36,17 +36,21 @@ function validateEnvironment() {
     const provider = process.env.LLM_PROVIDER || 'openai';
     process.env.LLM_PROVIDER = provider;
 
-    if (provider === 'openai' && !process.env.OPENAI_API_KEY) {
-        errors.push('OPENAI_API_KEY is required when LLM_PROVIDER=openai');
+    const providerKeys = { openai: 'OPENAI_API_KEY', claude: 'CLAUDE_API_KEY', gemini: 'GEMINI_API_KEY' };
+    if (providerKeys[provider] && !process.env[providerKeys[provider]]) {
+        errors.push(`${providerKeys[provider]} is required when LLM_PROVIDER=${provider}`);
     }
 
     // Warnings for optional but recommended
-    if (!process.env.JWT_EXPIRATION) {
-        warnings.push('JWT_EXPIRATION not set, using default: 7d');
+    if (!process.env.ACCESS_TOKEN_EXPIRATION) {
+        warnings.push('ACCESS_TOKEN_EXPIRATION not set, using default: 15m');
     }
 
     // Log configuration summary
     logger.info({ provider }, 'LLM Provider configured');
+    if (provider === 'mock') {
+        logger.warn('LLM_PROVIDER=mock: AI features return canned or recorded answers');
+    }
     if (process.env.OPENAI_API_KEY) {
         logger.info('OpenAI API key loaded');
     }
@@ -126,9 +130,20 @@ const globalLimiter = rateLimit({
     message: { msg: 'Too many requests, please try again later' },
     standardHeaders: true,
     legacyHeaders: false,
+    // Tracking events have their own, higher limit below
+    skip: (req) => req.path.startsWith('/engines/tracker'),
 });
 app.use('/api', globalLimiter);
 
+// Tracking rate limiter: browser clients log page visits and interactions
+const trackerLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 1000,
+    message: { success: false, error: 'Too many tracking events, please slow down' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
 // Strict rate limiter for auth endpoints: 5 login attempts per 15 minutes
 const authLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
@@ -148,6 +163,16 @@ const registerLimiter = rateLimit({
     legacyHeaders: false,
 });
 
+// Rate limiter for password reset and email verification: 5 per 15 minutes per IP.
+// Unlike login, successful requests count too: forgot-password always succeeds.
+const accountRecoveryLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    message: { msg: 'Too many requests, please try again in 15 minutes' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
 // 5. Define API Routes
 // All routes will be prefixed with '/api'
 const authRoutes = require('./routes/auth');
@@ -162,6 +187,18 @@ const visionRoutes = require('./routes/vision');
 const pmAssessmentRoutes = require('./routes/pmAssessment');
 const ollamaRoutes = require('./routes/ollama');
 const llmRoutes = require('./routes/llm');
+const mcpRoutes = require('./routes/mcp');
+const checkinRoutes = require('./routes/checkin');
+const importRoutes = require('./routes/import');
+const calendarRoutes = require('./routes/calendar');
+const scoreRoutes = require('./routes/scores');
+const scoringConsentRoutes = require('./routes/scoringConsent');
+const achievementRoutes = require('./routes/achievements');
+const notificationRoutes = require('./routes/notifications');
+const emailRoutes = require('./routes/email');
+const accountDeletionService = require('./services/accountDeletionService');
+const nudgeScheduler = require('./services/nudgeScheduler');
+const reminderScheduler = require('./services/reminderScheduler');
 
 // Import journey routes
 const journeyRoutes = require('./routes/journeyCore');
@@ -175,9 +212,16 @@ const consumerJourneyRoutes = require('./routes/consumer-journey');
 // Import reflection routes
 const reflectionRoutes = require('./api/routes/reflections');
 
+// Import engine routes
+const trackerRoutes = require('./routes/tracker');
+const devRoutes = require('./routes/dev');
+
 // Apply strict rate limiting to auth endpoints
 app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/signup', registerLimiter);
+app.use('/api/auth/forgot-password', accountRecoveryLimiter);
+app.use('/api/auth/reset-password', accountRecoveryLimiter);
+app.use('/api/auth/verify-email', accountRecoveryLimiter);
 app.use('/api/auth', authRoutes);
 app.use('/api/home', homeRoutes);
 app.use('/api/weeklyGoals', weeklyGoalRoutes);
@@ -190,6 +234,15 @@ app.use('/api/vision', visionRoutes);
 app.use('/api/pm-assessment', pmAssessmentRoutes);
 app.use('/api/ollama', ollamaRoutes);
 app.use('/api/llm', llmRoutes);
+app.use('/api/mcp', mcpRoutes);
+app.use('/api/checkin', checkinRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/calendar', calendarRoutes);
+app.use('/api/scores', scoreRoutes);
+app.use('/api/scoring-consent', scoringConsentRoutes);
+app.use('/api/achievements', achievementRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/email', emailRoutes);
 
 // Add journey routes
 app.use('/api/journey', journeyRoutes);
@@ -206,6 +259,14 @@ app.use('/api/consumer/journey', consumerJourneyRoutes);
 // Add reflection routes
 app.use('/api/reflections', reflectionRoutes);
 
+// Add engine routes
+app.use('/api/engines/tracker', trackerLimiter, trackerRoutes);
+
+// Development helpers, e.g. the email outbox. Opt-in, and admin-only even then
+if (process.env.ENABLE_DEV_ROUTES === 'true') {
+  app.use('/api/dev', devRoutes);
+}
+
 
 // 5.5. Health Check Endpoint (for monitoring)
 app.get('/health', (req, res) => {
@@ -278,4 +339,15 @@ const PORT = process.env.PORT || 5001;
 
 app.listen(PORT, () => {
     logger.info({ port: PORT, environment: process.env.NODE_ENV || 'development' }, 'Server started');
+
+    // Purge accounts whose deletion grace period has ended
+    accountDeletionService.start();
+
+    // Deliver due habit loop nudges
+    nudgeScheduler.start();
+
+    // Send reminder emails at each user's local time
+    if (process.env.REMINDER_SCHEDULER_ENABLED !== 'false') {
+        reminderScheduler.start();
+    }
 });
@@ -5,6 +5,7 @@
 
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const sessionService = require('../services/sessionService');
 
 // Ensure the JWT secret is provided via environment variables
 const JWT_SECRET = process.env.JWT_SECRET;
@@ -49,8 +50,15 @@ module.exports = function(req, res, next) {
             return res.status(401).json({ msg: 'Token does not contain user ID.' });
         }
 
-        // 5.5. Verify that the user actually exists in the database
-        User.findById(userId).then(user => {
+        // 5.5. Verify that the user actually exists in the database, and that the
+        // session the token was issued for has not been revoked. Tokens issued
+        // before sessions existed carry no `sid` and are accepted until they expire.
+        const sessionId = decoded.sid || null;
+
+        Promise.all([
+            User.findById(userId),
+            sessionId ? sessionService.isSessionActive(sessionId) : true
+        ]).then(([user, sessionActive]) => {
             if (!user) {
                 console.error(`User with ID ${userId} not found in database`);
                 return res.status(401).json({ 
@@ -59,7 +67,14 @@ module.exports = function(req, res, next) {
                 });
             }
 
-            req.user = { id: userId, email: user.email };
+            if (!sessionActive) {
+                return res.status(401).json({
+                    msg: 'Session has been revoked. Please log in again.',
+                    code: 'SESSION_REVOKED'
+                });
+            }
+
+            req.user = { id: userId, email: user.email, emailVerified: Boolean(user.emailVerified), sessionId };
 
             // 6. Pass control to the next middleware or the route handler.
             next();
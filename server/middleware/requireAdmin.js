@@ -0,0 +1,38 @@
+/**
+ * server/middleware/requireAdmin.js
+ * Gate for operator-only endpoints, such as starting or stopping the reminder
+ * scheduler.
+ *
+ * Use after the auth middleware, which sets req.user.email and
+ * req.user.emailVerified. Admins are the addresses listed in ADMIN_EMAILS
+ * (comma separated); with none listed, nobody is an admin. The address must
+ * also be verified, otherwise anyone could sign up with an admin's address
+ * before they do. This holds even when REQUIRE_EMAIL_VERIFICATION is off.
+ */
+
+function getAdminEmails() {
+    return (process.env.ADMIN_EMAILS || '')
+        .split(',')
+        .map(email => email.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+/**
+ * Whether an address is listed in ADMIN_EMAILS, verified or not
+ */
+function isAdminEmail(email) {
+    return Boolean(email) && getAdminEmails().includes(String(email).toLowerCase());
+}
+
+module.exports = function(req, res, next) {
+    if (req.user && req.user.emailVerified && isAdminEmail(req.user.email)) {
+        return next();
+    }
+
+    return res.status(403).json({
+        msg: 'Admin access required.',
+        code: 'ADMIN_REQUIRED'
+    });
+};
+
+module.exports.isAdminEmail = isAdminEmail;
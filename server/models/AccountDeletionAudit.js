@@ -0,0 +1,58 @@
+/**
+ * server/models/AccountDeletionAudit.js
+ * Mongoose schema for the AccountDeletionAudit collection.
+ * One record per account purge, kept after the user is gone as proof that
+ * their data was removed. Holds no personal data beyond a hash of the email.
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const AccountDeletionAuditSchema = new Schema({
+    // ID of the purged user; the User document itself no longer exists
+    userId: {
+        type: Schema.Types.ObjectId,
+        required: true,
+        index: true
+    },
+    // SHA-256 of the lowercased email, so a purge can be confirmed for a given address
+    emailHash: {
+        type: String,
+        required: true
+    },
+    requestedAt: Date,
+    scheduledFor: Date,
+    purgedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // 'completed' when every collection was verified empty for the user
+    status: {
+        type: String,
+        enum: ['completed', 'failed'],
+        required: true
+    },
+    // Documents deleted per collection, e.g. { tasks: 42 }
+    deletedCounts: {
+        type: Map,
+        of: Number,
+        default: {}
+    },
+    // Documents still referencing the user after the purge (all zero on success)
+    remainingCounts: {
+        type: Map,
+        of: Number,
+        default: {}
+    },
+    filesDeleted: {
+        type: Number,
+        default: 0
+    },
+    filesMissing: {
+        type: Number,
+        default: 0
+    },
+    error: String
+}, { timestamps: true });
+
+module.exports = mongoose.model('AccountDeletionAudit', AccountDeletionAuditSchema);
@@ -0,0 +1,42 @@
+/**
+ * server/models/Achievement.js
+ * Mongoose schema for the Achievement collection.
+ * One document per badge a user has earned (see config/badges.js). The
+ * unique (user, badgeId) index makes awarding idempotent: a badge can only
+ * ever be earned once.
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const AchievementSchema = new Schema({
+    // Reference to the user who earned the badge
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Id from config/badges.js
+    badgeId: {
+        type: String,
+        required: true
+    },
+    earnedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // What led to the award, e.g. { type: 'task_completed', taskId: '...' }
+    trigger: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    // Value of the badge's metric when it was awarded
+    metricValue: {
+        type: Number,
+        default: null
+    }
+});
+
+AchievementSchema.index({ user: 1, badgeId: 1 }, { unique: true });
+
+module.exports = mongoose.model('Achievement', AchievementSchema);
@@ -0,0 +1,51 @@
+/**
+ * server/models/AuthToken.js
+ * Mongoose schema for the AuthToken collection.
+ * Single-use tokens emailed to a user: password reset and email verification
+ * links. Only a SHA-256 hash of the token is stored; a token is spent by
+ * setting usedAt, and expired documents are removed by the TTL index.
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const AuthTokenSchema = new Schema({
+    // Reference to the user the token was issued to
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    purpose: {
+        type: String,
+        enum: ['password_reset', 'email_verification'],
+        required: true
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // For email verification: the address the link was sent to
+    email: {
+        type: String,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: {
+        type: Date,
+        default: null
+    },
+    ip: {
+        type: String,
+        default: ''
+    }
+}, { timestamps: true });
+
+AuthTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AuthToken', AuthTokenSchema);
@@ -0,0 +1,54 @@
+/**
+ * server/models/CheckIn.js
+ * Mongoose schema for the CheckIn collection.
+ * One document per user per local calendar day, so streaks can be computed
+ * in the user's own timezone and stay correct across DST changes.
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const CheckInSchema = new Schema({
+    // Reference to the user who checked in
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Calendar day in the user's timezone, formatted YYYY-MM-DD
+    localDate: {
+        type: String,
+        required: true,
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'localDate must be formatted YYYY-MM-DD']
+    },
+    // IANA timezone the local date was computed in
+    timezone: {
+        type: String,
+        default: 'UTC'
+    },
+    // When the check-in was recorded
+    checkedInAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Grace check-ins are backfilled for a missed day and keep the streak alive
+    grace: {
+        type: Boolean,
+        default: false
+    },
+    mood: {
+        type: Number,
+        min: 1,
+        max: 5
+    },
+    note: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    }
+});
+
+// One check-in per user per local day; also serves history queries
+CheckInSchema.index({ user: 1, localDate: -1 }, { unique: true });
+
+module.exports = mongoose.model('CheckIn', CheckInSchema);
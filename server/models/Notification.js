@@ -0,0 +1,75 @@
+/**
+ * server/models/Notification.js
+ * Mongoose schema for the Notification collection.
+ * The user's in-app inbox (the dashboard bell): reminders, stage promotions,
+ * vision unlocks, badges and habit loop nudges. A notification is unread
+ * until readAt is set. Posts that may be repeated (scheduled jobs, retries)
+ * carry a dedupeKey so they only appear once.
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const NOTIFICATION_TYPES = [
+    'reminder',
+    'streak',
+    'progress',
+    'stage_promotion',
+    'vision_unlocked',
+    'badge',
+    'nudge',
+    'dashboard'
+];
+
+const NotificationSchema = new Schema({
+    // Reference to the user the notification is for
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    type: {
+        type: String,
+        enum: NOTIFICATION_TYPES,
+        required: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    message: {
+        type: String,
+        default: ''
+    },
+    // In-app path the notification opens, e.g. '/vision-questionnaire'
+    link: {
+        type: String,
+        default: null
+    },
+    // Details for the client, e.g. { badgeId: 'first_steps' }
+    data: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    readAt: {
+        type: Date,
+        default: null
+    },
+    dedupeKey: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+NotificationSchema.index({ user: 1, createdAt: -1 });
+NotificationSchema.index({ user: 1, readAt: 1 });
+NotificationSchema.index(
+    { dedupeKey: 1 },
+    { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Notification', NotificationSchema);
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
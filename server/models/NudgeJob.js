@@ -0,0 +1,91 @@
+/**
+ * server/models/NudgeJob.js
+ * Mongoose schema for the NudgeJob collection.
+ * Durable queue of habit loop triggers (nudges) waiting to be delivered; see
+ * services/nudgeQueue.js. Each user has at most one pending job, their next
+ * trigger. A worker leases a due job by setting lockedUntil; if it dies, the
+ * lease runs out and another worker picks the job up again. Failed attempts
+ * stay 'processing' with lockedUntil set to the retry time. Completed and
+ * failed jobs are removed NUDGE_JOB_RETENTION_DAYS after they finish.
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const RETENTION_DAYS = parseInt(process.env.NUDGE_JOB_RETENTION_DAYS, 10) || 30;
+
+const NudgeJobSchema = new Schema({
+    // Reference to the user the nudge is for
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Trigger context passed to the habit loop (morning, afternoon, evening,
+    // general); when null it is taken from the user's local time on delivery
+    context: {
+        type: String,
+        default: null
+    },
+    runAt: {
+        type: Date,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processing', 'completed', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    lockedBy: {
+        type: String,
+        default: null
+    },
+    // Generated on the first attempt and reused by retries, so every channel
+    // delivers the same trigger
+    trigger: {
+        type: Schema.Types.Mixed,
+        default: null
+    },
+    // Channels already delivered to; a retry skips them
+    deliveries: [{
+        channel: { type: String, required: true },
+        deliveredAt: { type: Date, default: Date.now },
+        // Id of what was created, e.g. the ledger entry or the email message id
+        ref: { type: String, default: null }
+    }],
+    // Why the job was scheduled, e.g. { action: 'task_completed' }
+    cause: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    // When the job was completed or given up on; null while it is open
+    completedAt: {
+        type: Date,
+        default: null
+    }
+}, { timestamps: true });
+
+// One pending (next) trigger per user
+NudgeJobSchema.index(
+    { user: 1 },
+    { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+NudgeJobSchema.index({ status: 1, runAt: 1 });
+NudgeJobSchema.index({ status: 1, lockedUntil: 1 });
+
+// Retention policy; open jobs have no completedAt and are never expired
+NudgeJobSchema.index({ completedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+module.exports = mongoose.model('NudgeJob', NudgeJobSchema);
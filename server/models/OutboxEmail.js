@@ -0,0 +1,58 @@
+/**
+ * server/models/OutboxEmail.js
+ * Mongoose schema for the OutboxEmail collection.
+ * Emails captured by the outbox email transport instead of being sent; see
+ * services/emailTransport.js. Development and test only. Captured mail is
+ * kept for a week (TTL index on createdAt).
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const OUTBOX_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+const OutboxEmailSchema = new Schema({
+    messageId: {
+        type: String,
+        required: true
+    },
+    from: {
+        type: String,
+        default: null
+    },
+    to: {
+        type: String,
+        required: true
+    },
+    subject: {
+        type: String,
+        default: ''
+    },
+    // Template name passed to emailService.sendEmail
+    template: {
+        type: String,
+        default: null
+    },
+    html: {
+        type: String,
+        default: ''
+    },
+    // Plain-text alternative
+    text: {
+        type: String,
+        default: ''
+    },
+    headers: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+OutboxEmailSchema.index({ createdAt: 1 }, { expireAfterSeconds: OUTBOX_TTL_SECONDS });
+OutboxEmailSchema.index({ to: 1, createdAt: -1 });
+
+module.exports = mongoose.model('OutboxEmail', OutboxEmailSchema);
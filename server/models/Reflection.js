@@ -0,0 +1,56 @@
+/**
+ * server/models/Reflection.js
+ * Mongoose schema for the Reflection collection.
+ * Reflections are the user's own writing, so they are stored here rather than
+ * as tracking events, which are buffered, optional (TRACKING_PERSIST) and
+ * expire after TRACKING_RETENTION_DAYS.
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const ReflectionSchema = new Schema({
+    // Reference to the user who wrote the reflection
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Kind of reflection, e.g. 'daily' or 'weekly'
+    reflectionType: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 50
+    },
+    text: {
+        type: String,
+        required: true,
+        maxlength: 10000
+    },
+    mood: {
+        type: String,
+        trim: true,
+        maxlength: 50
+    },
+    wordCount: {
+        type: Number,
+        default: 0
+    },
+    // Where the reflection was written (page, active dream, user agent)
+    context: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    minimize: false
+});
+
+// A user's reflections, newest first
+ReflectionSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Reflection', ReflectionSchema);
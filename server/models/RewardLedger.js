@@ -0,0 +1,60 @@
+/**
+ * server/models/RewardLedger.js
+ * Mongoose schema for the RewardLedger collection.
+ * Append-only history of the habit loop: every trigger (nudge) shown to a
+ * user and every reward they received, with what caused it.
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const RewardLedgerSchema = new Schema({
+    // Reference to the user the entry belongs to
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    kind: {
+        type: String,
+        enum: ['trigger', 'reward'],
+        required: true
+    },
+    // Trigger type (e.g. 'progress_check') or reward type (e.g. 'streak_milestone')
+    type: {
+        type: String,
+        required: true
+    },
+    // Set when the reward was a badge
+    badgeId: {
+        type: String,
+        default: null
+    },
+    // For rewards, the action that earned them; for triggers, the context
+    cause: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    // The trigger or reward as shown to the user
+    payload: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    // Set by callers that may retry (e.g. the nudge queue) so an entry is only written once
+    dedupeKey: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+RewardLedgerSchema.index({ user: 1, createdAt: -1 });
+RewardLedgerSchema.index({ user: 1, kind: 1, createdAt: -1 });
+RewardLedgerSchema.index(
+    { dedupeKey: 1 },
+    { unique: true, partialFilterExpression: { dedupeKey: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('RewardLedger', RewardLedgerSchema);
@@ -0,0 +1,62 @@
+/**
+ * server/models/ScoreHistory.js
+ * Mongoose schema for the ScoreHistory collection.
+ * One document per five-dimension score calculation, written by the scoring
+ * engine (server/engines/scoring_engine). Scores are between 0 and 1.
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const ScoreHistorySchema = new Schema({
+    // Reference to the user who was scored
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // The user's stage when scored; it decides the overall score weights
+    stage: {
+        type: String,
+        default: 'discovery'
+    },
+    scores: {
+        commitment: { type: Number, min: 0, max: 1, default: 0 },
+        clarity: { type: Number, min: 0, max: 1, default: 0 },
+        growthReadiness: { type: Number, min: 0, max: 1, default: 0 },
+        competency: { type: Number, min: 0, max: 1, default: 0 },
+        opportunity: { type: Number, min: 0, max: 1, default: 0 },
+        overall: { type: Number, min: 0, max: 1, default: 0 }
+    },
+    // Value of each signal that fed a dimension, e.g. { commitment: { activeDays: 0.4 } }
+    signals: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    eventsProcessed: {
+        type: Number,
+        default: 0
+    },
+    timeWindow: {
+        type: String,
+        default: '30d'
+    },
+    // What caused the calculation
+    trigger: {
+        reason: {
+            type: String,
+            enum: ['scheduled', 'on_demand'],
+            default: 'on_demand'
+        },
+        priority: String,
+        eventTypes: [String]
+    },
+    calculatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+ScoreHistorySchema.index({ user: 1, calculatedAt: -1 });
+
+module.exports = mongoose.model('ScoreHistory', ScoreHistorySchema);
@@ -0,0 +1,76 @@
+/**
+ * server/models/Session.js
+ * Mongoose schema for the Session collection.
+ * One document per login (a refresh token family). Refresh tokens are signed
+ * over the random family id and a generation number, so only the generation
+ * counter is stored: any genuine token older than the current generation is
+ * recognised as reused and the whole family revoked.
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const SessionSchema = new Schema({
+    // Reference to the user this session belongs to
+    user: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // Random id every refresh token of the session is signed over
+    family: {
+        type: String,
+        required: true
+    },
+    // Generation of the refresh token that is currently valid; each refresh adds one
+    generation: {
+        type: Number,
+        default: 0
+    },
+    // When the current generation was issued by a refresh
+    rotatedAt: {
+        type: Date,
+        default: null
+    },
+    // Client details captured at login and refreshed on rotation
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    device: {
+        type: String,
+        default: 'Unknown device'
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Refresh tokens stop working after this; the document is then removed by the TTL index
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    // 'logout', 'revoked', 'logout_all', 'reuse_detected', 'password_reset'
+    revokedReason: {
+        type: String,
+        default: null
+    }
+}, { timestamps: true });
+
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+SessionSchema.index({ user: 1, revokedAt: 1 });
+
+SessionSchema.methods.isActive = function(now = new Date()) {
+    return !this.revokedAt && this.expiresAt > now;
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
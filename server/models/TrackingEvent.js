@@ -0,0 +1,71 @@
+/**
+ * server/models/TrackingEvent.js
+ * Mongoose schema for the TrackingEvent collection.
+ * Stores behavioural events recorded through TrackingUtils so scoring and
+ * adaptation services have a real history to work with.
+ */
+
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Events older than this are removed automatically by MongoDB's TTL monitor
+const RETENTION_DAYS = parseInt(process.env.TRACKING_RETENTION_DAYS, 10) || 365;
+
+const TrackingEventSchema = new Schema({
+    // Reference to the user who triggered the event
+    userId: {
+        type: Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // Event name, e.g. 'daily_login', 'task_completion'
+    eventType: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Subsystem that produced the event (auth_system, task_management, ...)
+    source: {
+        type: String,
+        default: 'custom'
+    },
+    // Free-form payload describing the event
+    eventData: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    // Context about how the event was recorded (user agent, source page, ...)
+    metadata: {
+        type: Schema.Types.Mixed,
+        default: {}
+    },
+    // When the event happened (not when it was written)
+    timestamp: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    minimize: false
+});
+
+// Indexes for the common query shapes: a user's timeline, optionally filtered by type
+TrackingEventSchema.index({ userId: 1, timestamp: -1 });
+TrackingEventSchema.index({ userId: 1, eventType: 1, timestamp: -1 });
+TrackingEventSchema.index({ eventType: 1, timestamp: -1 });
+
+// Retention policy
+TrackingEventSchema.index({ timestamp: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Convert a stored (or lean) document to the plain event shape returned by TrackingUtils
+TrackingEventSchema.statics.toEvent = function(doc) {
+    return {
+        eventId: doc._id.toString(),
+        eventType: doc.eventType,
+        eventData: doc.eventData,
+        userId: doc.userId.toString(),
+        metadata: doc.metadata,
+        timestamp: new Date(doc.timestamp).toISOString()
+    };
+};
+
+module.exports = mongoose.model('TrackingEvent', TrackingEventSchema);
@@ -185,6 +185,17 @@ const UserSchema = new Schema({
             milestoneCelebrations: {
                 type: Boolean,
                 default: true
+            },
+            // Channels for habit loop nudges (see services/nudgeScheduler.js)
+            nudges: {
+                inApp: {
+                    type: Boolean,
+                    default: true
+                },
+                email: {
+                    type: Boolean,
+                    default: false
+                }
             }
         }
     },
@@ -209,6 +220,18 @@ const UserSchema = new Schema({
         default: {}
     },
     
+    // IANA timezone (e.g. 'Europe/Berlin'), used for check-in days, streaks and reminder times
+    timezone: {
+        type: String,
+        default: 'UTC'
+    },
+
+    // Language for emails (e.g. 'es' or 'pt-BR'); see templates/email
+    locale: {
+        type: String,
+        default: 'en'
+    },
+
     // General engagement tracking
     lastCheckIn: {
         type: Date,
@@ -288,10 +311,23 @@ const UserSchema = new Schema({
         unsubscribed: {
             type: Boolean,
             default: false
+        },
+        // Local hours (in the user's timezone) the daily reminder may go out:
+        // at the first scheduler run from start up to (not including) end
+        reminderWindow: {
+            start: { type: Number, min: 0, max: 23, default: 9 },
+            end: { type: Number, min: 1, max: 24, default: 11 }
+        },
+        // No reminders in these local hours; start > end wraps past midnight
+        quietHours: {
+            start: { type: Number, min: 0, max: 23, default: 22 },
+            end: { type: Number, min: 0, max: 23, default: 7 }
         }
     },
     
     // Email tracking
+    // Written by the reminder scheduler before sending (success: null) and
+    // updated with the result; a pending or successful entry blocks a resend
     emailHistory: [{
         type: {
             type: String,
@@ -326,6 +362,49 @@ const UserSchema = new Schema({
             type: Date,
             default: null
         }
+    },
+
+    // Set when the user follows the link from the verification email (POST /api/auth/verify-email)
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: {
+        type: Date,
+        default: null
+    },
+
+    // Subscribable calendar feed (GET /api/calendar/feed/:token.ics).
+    // Only a SHA-256 hash of the secret token is stored; rotating or revoking replaces it.
+    calendarFeed: {
+        tokenHash: {
+            type: String,
+            default: null,
+            index: true
+        },
+        createdAt: {
+            type: Date,
+            default: null
+        }
+    },
+
+    // Account deletion: set while a deletion request is in its grace period.
+    // The account is purged by services/accountDeletionService.js once scheduledFor passes.
+    deletion: {
+        requestedAt: {
+            type: Date,
+            default: null
+        },
+        scheduledFor: {
+            type: Date,
+            default: null,
+            index: true
+        },
+        reason: {
+            type: String,
+            trim: true,
+            maxlength: 500
+        }
     }
 });
 
@@ -0,0 +1,55 @@
+/**
+ * server/routes/achievements.js
+ * Badges a user has earned or can still earn, and their reward history.
+ * See services/achievementService.js and config/badges.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const achievementService = require('../services/achievementService');
+const logger = require('../utils/logger');
+
+const LEDGER_KINDS = ['trigger', 'reward'];
+
+// @route   GET /api/achievements
+// @desc    Earned badges and locked badges with progress toward each
+// @access  Private
+router.get('/', auth, async (req, res) => {
+    try {
+        const badges = await achievementService.listBadges(req.user.id);
+        res.json({ success: true, data: badges });
+    } catch (error) {
+        logger.error({ error: error.message }, 'Error listing badges');
+        res.status(500).json({ success: false, error: 'Failed to list badges' });
+    }
+});
+
+// @route   GET /api/achievements/history?kind=reward&limit=50&before=2025-01-01
+// @desc    Rewards and triggers received, newest first
+// @access  Private
+router.get('/history', auth, async (req, res) => {
+    if (req.query.kind && !LEDGER_KINDS.includes(req.query.kind)) {
+        return res.status(400).json({
+            success: false,
+            error: `kind must be one of: ${LEDGER_KINDS.join(', ')}`
+        });
+    }
+    if (req.query.before && Number.isNaN(Date.parse(req.query.before))) {
+        return res.status(400).json({ success: false, error: 'before must be a date' });
+    }
+
+    try {
+        const history = await achievementService.getHistory(req.user.id, {
+            kind: req.query.kind,
+            limit: req.query.limit,
+            before: req.query.before
+        });
+        res.json({ success: true, data: history });
+    } catch (error) {
+        logger.error({ error: error.message }, 'Error fetching reward history');
+        res.status(500).json({ success: false, error: 'Failed to fetch reward history' });
+    }
+});
+
+module.exports = router;
@@ -6,7 +6,6 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { check, validationResult } = require('express-validator');
 
 // Bring in the User model
@@ -16,6 +15,10 @@ const auth = require('../middleware/auth');
 const TrackingUtils = require('../utils/trackingUtils');
 const defaultJourneyTasks = require('../config/defaultJourneyTasks');
 const logger = require('../utils/logger');
+const sessionService = require('../services/sessionService');
+const { SessionError } = require('../services/sessionService');
+const authTokenService = require('../services/authTokenService');
+const { AuthTokenError } = require('../services/authTokenService');
 
 // Create default journey tasks for new users
 async function createDefaultJourneyTasks(userId) {
@@ -120,25 +123,21 @@ router.post(
                 defaultTasksCreated: true
             });
 
-            const payload = {
-                user: {
-                    id: user.id,
-                },
-            };
-
-            jwt.sign(
-                payload,
-                process.env.JWT_SECRET,
-                { expiresIn: process.env.JWT_EXPIRATION || '7d' },
-                (err, token) => {
-                    if (err) throw err;
-                    res.json({
-                        token,
-                        name: user.name,
-                        onboardingCompleted: user.onboardingCompleted
-                    });
-                }
-            );
+            // Sent in the background; the user can ask for another from their profile
+            authTokenService.sendVerification(user).catch(error => {
+                logger.warn({ error: error.message, userId: user.id }, 'Failed to send verification email');
+            });
+
+            const { token, refreshToken, expiresIn } = await sessionService.createSession(user.id, req);
+
+            res.json({
+                token,
+                refreshToken,
+                expiresIn,
+                name: user.name,
+                onboardingCompleted: user.onboardingCompleted,
+                emailVerified: false
+            });
         } catch (err) {
             logger.error({ error: err.message }, 'Signup error');
             res.status(500).send('Server error');
@@ -205,25 +204,20 @@ router.post(
                 });
             }
 
-            const payload = {
-                user: {
-                    id: user.id,
-                },
-            };
-
-            jwt.sign(
-                payload,
-                process.env.JWT_SECRET,
-                { expiresIn: process.env.JWT_EXPIRATION || '7d' },
-                (err, token) => {
-                    if (err) throw err;
-                    res.json({ 
-                        token,
-                        name: user.name,
-                        onboardingCompleted: user.onboardingCompleted 
-                    });
-                }
-            );
+            const { token, refreshToken, expiresIn } = await sessionService.createSession(user.id, req);
+
+            res.json({ 
+                token,
+                refreshToken,
+                expiresIn,
+                name: user.name,
+                onboardingCompleted: user.onboardingCompleted,
+                emailVerified: Boolean(user.emailVerified),
+                // Set while the account is in its deletion grace period
+                pendingDeletion: user.deletion && user.deletion.scheduledFor
+                    ? { scheduledFor: user.deletion.scheduledFor }
+                    : null
+            });
         } catch (err) {
             console.error(err.message);
             res.status(500).send('Server error');
@@ -231,6 +225,204 @@ router.post(
     }
 );
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public (authenticated by the refresh token)
+router.post('/refresh', async (req, res) => {
+    const { refreshToken } = req.body || {};
+    if (!refreshToken) {
+        return res.status(400).json({ msg: 'Refresh token is required.' });
+    }
+
+    try {
+        const tokens = await sessionService.refresh(refreshToken, req);
+        res.json({
+            token: tokens.token,
+            refreshToken: tokens.refreshToken,
+            expiresIn: tokens.expiresIn
+        });
+    } catch (err) {
+        if (err instanceof SessionError) {
+            return res.status(err.status).json({ msg: err.message, code: err.code });
+        }
+        logger.error({ error: err.message }, 'Token refresh error');
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Public (the refresh token identifies the session)
+router.post('/logout', async (req, res) => {
+    try {
+        const { refreshToken } = req.body || {};
+        const revoked = refreshToken
+            ? await sessionService.revokeByRefreshToken(refreshToken, 'logout')
+            : false;
+
+        res.json({ success: true, revoked });
+    } catch (err) {
+        logger.error({ error: err.message }, 'Logout error');
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the user's active sessions
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+    try {
+        const sessions = await sessionService.listSessions(req.user.id, req.user.sessionId);
+        res.json({ success: true, sessions });
+    } catch (err) {
+        logger.error({ error: err.message }, 'Session list error');
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Revoke one session (e.g. a lost device)
+// @access  Private
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+    try {
+        const revoked = await sessionService.revokeSession(req.user.id, req.params.sessionId, 'revoked');
+        if (!revoked) {
+            return res.status(404).json({ msg: 'Session not found.' });
+        }
+
+        await TrackingUtils.trackAuth('session_revoked', req.user.id, {
+            currentSession: req.params.sessionId === req.user.sessionId
+        });
+
+        res.json({ success: true });
+    } catch (err) {
+        logger.error({ error: err.message }, 'Session revoke error');
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Revoke every session, including the current one
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+    try {
+        const revoked = await sessionService.revokeAllSessions(req.user.id, 'logout_all');
+
+        await TrackingUtils.trackAuth('logout_all', req.user.id, { sessionsRevoked: revoked });
+
+        res.json({ success: true, revoked });
+    } catch (err) {
+        logger.error({ error: err.message }, 'Logout-all error');
+        res.status(500).send('Server error');
+    }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post(
+    '/forgot-password',
+    [check('email', 'Please include a valid email').isEmail()],
+    (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        // Answer straight away and the same way whether or not the account
+        // exists, so the response (and its timing) does not reveal it
+        authTokenService.requestPasswordReset(req.body.email, req).catch(error => {
+            logger.error({ error: error.message }, 'Password reset request error');
+        });
+
+        res.json({ msg: 'If an account exists for that email, a password reset link has been sent.' });
+    }
+);
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using the token from a reset link
+// @access  Public (authenticated by the reset token)
+router.post(
+    '/reset-password',
+    [
+        check('token', 'Reset token is required').not().isEmpty(),
+        check('password', 'Please enter a password with 6 or more characters').isLength({ min: 6 }),
+    ],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const { userId, sessionsRevoked } = await authTokenService.resetPassword(req.body.token, req.body.password);
+
+            await TrackingUtils.trackAuth('password_reset', userId.toString(), { sessionsRevoked });
+
+            res.json({ msg: 'Your password has been reset. Please log in with your new password.' });
+        } catch (err) {
+            if (err instanceof AuthTokenError) {
+                return res.status(err.status).json({ msg: err.message, code: err.code });
+            }
+            logger.error({ error: err.message }, 'Password reset error');
+            res.status(500).send('Server error');
+        }
+    }
+);
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm the user's email address using the token from a verification link
+// @access  Public (authenticated by the verification token)
+router.post(
+    '/verify-email',
+    [check('token', 'Verification token is required').not().isEmpty()],
+    async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        try {
+            const user = await authTokenService.verifyEmail(req.body.token);
+
+            await TrackingUtils.trackAuth('email_verified', user.id, {});
+
+            res.json({ msg: 'Your email address has been verified.', emailVerified: true });
+        } catch (err) {
+            if (err instanceof AuthTokenError) {
+                return res.status(err.status).json({ msg: err.message, code: err.code });
+            }
+            logger.error({ error: err.message }, 'Email verification error');
+            res.status(500).send('Server error');
+        }
+    }
+);
+
+// @route   POST /api/auth/verify-email/resend
+// @desc    Send a new verification link to the user's email address
+// @access  Private
+router.post('/verify-email/resend', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('name email emailVerified');
+        if (!user) {
+            return res.status(404).json({ msg: 'User not found' });
+        }
+        if (user.emailVerified) {
+            return res.status(400).json({ msg: 'Your email address is already verified.', code: 'ALREADY_VERIFIED' });
+        }
+
+        const sent = await authTokenService.sendVerification(user);
+        if (!sent) {
+            return res.status(502).json({ msg: 'Could not send the verification email. Please try again later.' });
+        }
+
+        res.json({ msg: 'Verification email sent.' });
+    } catch (err) {
+        logger.error({ error: err.message }, 'Verification resend error');
+        res.status(500).send('Server error');
+    }
+});
+
 // @route   POST /api/auth/onboarding
 // @desc    Save user onboarding data with dream parsing
 // @access  Private
@@ -0,0 +1,99 @@
+/**
+ * server/routes/calendar.js
+ * Subscribable iCalendar feed of the user's weekly plan.
+ * See services/calendarFeedService.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const requireVerifiedEmail = require('../middleware/requireVerifiedEmail');
+const calendarFeedService = require('../services/calendarFeedService');
+const logger = require('../utils/logger');
+
+function buildFeedUrl(req, token) {
+    const base = process.env.APP_URL || `${req.protocol}://${req.get('host')}`;
+    return `${base.replace(/\/$/, '')}/api/calendar/feed/${token}.ics`;
+}
+
+// @route   GET /api/calendar/feed
+// @desc    Whether a feed URL is active
+// @access  Private
+router.get('/feed', auth, async (req, res) => {
+    try {
+        const status = await calendarFeedService.getStatus(req.user.id);
+        if (!status) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        res.json({ success: true, data: status });
+    } catch (error) {
+        logger.error({ error: error.message }, 'Error fetching calendar feed status');
+        res.status(500).json({ success: false, error: 'Failed to fetch calendar feed status' });
+    }
+});
+
+// @route   POST /api/calendar/feed
+// @desc    Create a feed URL, replacing any previous one
+// @access  Private
+router.post('/feed', auth, requireVerifiedEmail, async (req, res) => {
+    try {
+        const token = await calendarFeedService.createToken(req.user.id);
+        if (!token) {
+            return res.status(404).json({ success: false, error: 'User not found' });
+        }
+
+        res.status(201).json({
+            success: true,
+            data: {
+                url: buildFeedUrl(req, token)
+            },
+            message: 'Calendar feed created. Anyone with this URL can see your plan, so keep it private.'
+        });
+    } catch (error) {
+        logger.error({ error: error.message }, 'Error creating calendar feed');
+        res.status(500).json({ success: false, error: 'Failed to create calendar feed' });
+    }
+});
+
+// @route   DELETE /api/calendar/feed
+// @desc    Revoke the feed URL
+// @access  Private
+router.delete('/feed', auth, async (req, res) => {
+    try {
+        const revoked = await calendarFeedService.revokeToken(req.user.id);
+
+        res.json({
+            success: true,
+            data: { revoked },
+            message: revoked ? 'Calendar feed revoked' : 'No calendar feed was active'
+        });
+    } catch (error) {
+        logger.error({ error: error.message }, 'Error revoking calendar feed');
+        res.status(500).json({ success: false, error: 'Failed to revoke calendar feed' });
+    }
+});
+
+// @route   GET /api/calendar/feed/:token.ics
+// @desc    The feed itself, authenticated by the secret token in the URL
+// @access  Public
+router.get('/feed/:token.ics', async (req, res) => {
+    try {
+        const user = await calendarFeedService.findUserByToken(req.params.token);
+        if (!user || (user.deletion && user.deletion.scheduledFor)) {
+            return res.status(404).send('Calendar not found');
+        }
+
+        const calendar = await calendarFeedService.buildCalendar(user);
+
+        res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+        res.setHeader('Content-Disposition', 'inline; filename="manifestor-plan.ics"');
+        res.setHeader('Cache-Control', 'private, max-age=900');
+        res.send(calendar);
+    } catch (error) {
+        logger.error({ error: error.message }, 'Error building calendar feed');
+        res.status(500).send('Failed to build calendar');
+    }
+});
+
+module.exports = router;
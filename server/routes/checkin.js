@@ -5,35 +5,75 @@
 
 const express = require('express');
 const router = express.Router();
-const stageManager = require('../services/stageManager');
-const { verifyToken } = require('../middleware/auth');
+const auth = require('../middleware/auth');
+const StageManager = require('../services/stageManager');
+const checkInService = require('../services/checkInService');
+const notificationService = require('../services/notificationService');
+const habitLoopEngine = require('../services/habitLoopEngine');
+
+const stageManager = new StageManager();
 
 /**
  * POST /api/checkin
- * Daily check-in to maintain streak
+ * Daily check-in to maintain streak.
+ * Body (all optional): { timezone, mood, note }
  */
-router.post('/', verifyToken, async (req, res) => {
+router.post('/', auth, async (req, res) => {
     try {
         const userId = req.user.id;
-        
+        const { timezone, mood, note } = req.body || {};
+
+        if (timezone && !checkInService.isValidTimezone(timezone)) {
+            return res.status(400).json({ success: false, message: 'Invalid timezone' });
+        }
+
         // Update check-in streak
-        const streakResult = await stageManager.updateCheckInStreak(userId);
-        
+        const streakResult = await stageManager.updateCheckInStreak(userId, { timezone, mood, note });
+
         // Get updated dashboard message
         const dashboardData = await stageManager.generateDashboardMessage(userId);
-        
+
         // Check if any pathways got unlocked
         const visionUnlock = await stageManager.checkPathwayUnlock(userId, 'vision');
-        
+        const newUnlock = visionUnlock.unlocked &&
+            streakResult.streakUpdated &&
+            streakResult.streakCount === visionUnlock.requiredStreak;
+
+        // Keep the day's dashboard message and any unlock in the inbox. The
+        // day's first check-in also feeds the habit loop (reward, next nudge)
+        // in the background
+        if (streakResult.streakUpdated) {
+            habitLoopEngine.processAction(userId, { type: 'check_in' });
+            await notificationService.notify(userId, {
+                type: 'dashboard',
+                title: 'Daily check-in',
+                message: dashboardData.message,
+                data: { streakCount: streakResult.streakCount },
+                dedupeKey: `dashboard:${userId}:${streakResult.localDate}`
+            });
+        }
+        if (newUnlock) {
+            await notificationService.notify(userId, {
+                type: 'vision_unlocked',
+                title: '🎉 Vision Questionnaire unlocked',
+                message: `Your ${visionUnlock.requiredStreak}-day streak unlocked the Vision Questionnaire.`,
+                link: '/vision-questionnaire',
+                dedupeKey: `vision_unlocked:${userId}`
+            });
+        }
+
         res.json({
             success: true,
             message: streakResult.message,
             data: {
                 streakCount: streakResult.streakCount,
+                longestStreak: streakResult.longestStreak,
                 streakUpdated: streakResult.streakUpdated,
+                localDate: streakResult.localDate,
+                timezone: streakResult.timezone,
                 dashboardMessage: dashboardData.message,
                 visionUnlocked: visionUnlock.unlocked,
-                newUnlock: visionUnlock.unlocked && streakResult.streakCount === 3
+                newUnlock
             }
         });
     } catch (error) {
@@ -48,26 +88,28 @@ router.post('/', verifyToken, async (req, res) => {
  * GET /api/checkin/status
  * Get current check-in status
  */
-router.get('/status', verifyToken, async (req, res) => {
+router.get('/status', auth, async (req, res) => {
     try {
         const userId = req.user.id;
-        
+
         const { user } = await stageManager.getCurrentStageData(userId);
+        const streak = await checkInService.getStreak(userId, user);
         const dashboardData = await stageManager.generateDashboardMessage(userId);
         const visionUnlock = await stageManager.checkPathwayUnlock(userId, 'vision');
-        
-        // Calculate if user can check in today
-        const now = new Date();
-        const lastCheckIn = user.lastCheckIn;
-        const daysDiff = Math.floor((now - lastCheckIn) / (1000 * 60 * 60 * 24));
-        
+        const graceDaysRemaining = await checkInService.getGraceDaysRemaining(userId, streak.today);
+
         res.json({
             success: true,
             data: {
-                streakCount: user.streakCount,
+                streakCount: streak.current,
+                longestStreak: streak.longest,
                 lastCheckIn: user.lastCheckIn,
-                canCheckInToday: daysDiff >= 1,
-                alreadyCheckedIn: daysDiff === 0,
+                lastCheckInDate: streak.lastDate,
+                today: streak.today,
+                timezone: streak.timezone,
+                canCheckInToday: !streak.checkedInToday,
+                alreadyCheckedIn: streak.checkedInToday,
+                graceDaysRemaining,
                 dashboardMessage: dashboardData.message,
                 visionUnlocked: visionUnlock.unlocked,
                 remainingDaysForVision: visionUnlock.remainingDays || 0
@@ -81,4 +123,58 @@ router.get('/status', verifyToken, async (req, res) => {
     }
 });
 
-module.exports = router;
\ No newline at end of file
+/**
+ * GET /api/checkin/history?days=30
+ * Check-in history, newest first
+ */
+router.get('/history', auth, async (req, res) => {
+    try {
+        const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 366);
+        const history = await checkInService.getHistory(req.user.id, days);
+
+        res.json({
+            success: true,
+            data: {
+                days,
+                checkIns: history
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/checkin/grace
+ * Backfill a recently missed day so the streak survives.
+ * Body: { date: 'YYYY-MM-DD' } in the user's timezone
+ */
+router.post('/grace', auth, async (req, res) => {
+    try {
+        const result = await checkInService.useGraceDay(req.user.id, req.body && req.body.date);
+
+        if (!result.success) {
+            return res.status(400).json({ success: false, message: result.error });
+        }
+
+        res.json({
+            success: true,
+            message: `Grace day applied. Streak: ${result.streak.current} days.`,
+            data: {
+                streakCount: result.streak.current,
+                longestStreak: result.streak.longest,
+                graceDaysRemaining: result.graceDaysRemaining
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -6,6 +6,7 @@ const DreamDiscovery = require('../models/DreamDiscovery');
 const WeeklyGoal = require('../models/WeeklyGoal');
 const Task = require('../models/Task');
 const User = require('../models/User');
+const habitLoopEngine = require('../services/habitLoopEngine');
 
 // GET /api/consumer/journey/plan - Get LLM-generated plan for display
 router.get('/plan', auth, async (req, res) => {
@@ -136,9 +137,15 @@ router.post('/complete-task', auth, async (req, res) => {
         }
         
         // Mark task as completed
+        const newlyCompleted = !task.completed;
         task.completed = true;
         task.completedAt = new Date();
         await task.save();
+
+        // Reward it and push back the next nudge, without delaying the response
+        if (newlyCompleted) {
+            habitLoopEngine.processAction(userId, { type: 'task_completed', taskId: task._id.toString() });
+        }
         
         res.json({
             success: true,
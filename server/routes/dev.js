@@ -0,0 +1,129 @@
+/**
+ * server/routes/dev.js
+ * Development helpers. Only mounted when ENABLE_DEV_ROUTES=true, and only
+ * for admins (see middleware/requireAdmin.js). With NODE_ENV=development an
+ * admin does not need a verified address: the verification email itself
+ * lands in the outbox, so it is the only place to read the link.
+ * The outbox shows mail captured by the outbox email transport (see
+ * services/emailTransport.js) instead of sending it; the template preview
+ * renders email templates (see utils/emailTemplates.js) with sample data.
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const requireAdmin = require('../middleware/requireAdmin');
+const emailService = require('../services/emailService');
+const emailTemplates = require('../utils/emailTemplates');
+const logger = require('../utils/logger');
+
+function requireDevAdmin(req, res, next) {
+    if (process.env.NODE_ENV === 'development' && req.user && requireAdmin.isAdminEmail(req.user.email)) {
+        return next();
+    }
+    return requireAdmin(req, res, next);
+}
+
+router.use(auth, requireDevAdmin);
+
+function getOutbox(res) {
+    const transport = emailService.transport;
+    if (!transport || transport.name !== 'outbox') {
+        res.status(404).json({ success: false, error: 'Outbox is off; set EMAIL_TRANSPORT=outbox' });
+        return null;
+    }
+    return transport;
+}
+
+// @route   GET /api/dev/outbox?to=sam@example.com&limit=20
+// @desc    Captured emails, newest first
+// @access  Admin
+router.get('/outbox', async (req, res) => {
+    const outbox = getOutbox(res);
+    if (!outbox) return;
+
+    try {
+        const messages = await outbox.list({ to: req.query.to, limit: req.query.limit });
+        res.json({ success: true, data: messages, store: outbox.storeName });
+    } catch (error) {
+        logger.error({ error: error.message }, 'Error listing outbox');
+        res.status(500).json({ success: false, error: 'Failed to list outbox' });
+    }
+});
+
+// @route   GET /api/dev/outbox/:id
+// @desc    One captured email; its rendered HTML when opened in a browser
+// @access  Admin
+router.get('/outbox/:id', async (req, res) => {
+    const outbox = getOutbox(res);
+    if (!outbox) return;
+
+    try {
+        const message = await outbox.get(req.params.id);
+        if (!message) {
+            return res.status(404).json({ success: false, error: 'Email not found' });
+        }
+        res.format({
+            json: () => res.json({ success: true, data: message }),
+            html: () => res.send(message.html)
+        });
+    } catch (error) {
+        logger.error({ error: error.message }, 'Error reading outbox');
+        res.status(500).json({ success: false, error: 'Failed to read outbox' });
+    }
+});
+
+// @route   DELETE /api/dev/outbox
+// @desc    Empty the outbox
+// @access  Admin
+router.delete('/outbox', async (req, res) => {
+    const outbox = getOutbox(res);
+    if (!outbox) return;
+
+    try {
+        await outbox.clear();
+        res.json({ success: true });
+    } catch (error) {
+        logger.error({ error: error.message }, 'Error clearing outbox');
+        res.status(500).json({ success: false, error: 'Failed to clear outbox' });
+    }
+});
+
+// @route   GET /api/dev/email-templates
+// @desc    Email template names and the locales each exists in
+// @access  Admin
+router.get('/email-templates', (req, res) => {
+    try {
+        res.json({ success: true, data: emailTemplates.listTemplates() });
+    } catch (error) {
+        logger.error({ error: error.message }, 'Error listing email templates');
+        res.status(500).json({ success: false, error: 'Failed to list email templates' });
+    }
+});
+
+// @route   GET /api/dev/email-templates/:name?locale=es&format=html|text|json
+// @desc    Render a template with its sample data (templates/email/samples.json)
+// @access  Admin
+router.get('/email-templates/:name', (req, res) => {
+    const { name } = req.params;
+    if (!emailTemplates.listTemplates()[name]) {
+        return res.status(404).json({ success: false, error: 'Email template not found' });
+    }
+
+    try {
+        const rendered = emailTemplates.render(name, emailTemplates.getSampleData(name), req.query.locale);
+        switch (req.query.format) {
+            case 'text':
+                return res.type('text').send(rendered.text);
+            case 'json':
+                return res.json({ success: true, data: rendered });
+            default:
+                return res.type('html').send(rendered.html);
+        }
+    } catch (error) {
+        logger.error({ error: error.message, template: name }, 'Error rendering email template');
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -13,6 +13,7 @@ const authMiddleware = require('../middleware/auth');
 const DiscoveryTaskGenerator = require('../services/DiscoveryTaskGenerator');
 const { DREAM_ARCHETYPES, ARCHETYPE_SCHEMAS, ARCHETYPE_PATTERNS } = require('../config/dreamLanguage');
 const DreamMetadataExtractor = require('../utils/dreamMetadataExtractor');
+const { JOURNEY_WEEKS } = require('../engines/planner/templates');
 
 // Apply authentication middleware to all routes
 router.use(authMiddleware);
@@ -1301,10 +1302,10 @@ router.get('/:dreamId/week/:weekNumber/card-data', async (req, res) => {
         const { dreamId, weekNumber } = req.params;
         const weekNum = parseInt(weekNumber);
         
-        if (!weekNum || weekNum < 1 || weekNum > 12) {
+        if (!weekNum || weekNum < 1 || weekNum > JOURNEY_WEEKS) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid week number. Must be between 1 and 12.'
+                error: `Invalid week number. Must be between 1 and ${JOURNEY_WEEKS}.`
             });
         }
 
@@ -1326,7 +1327,7 @@ router.get('/:dreamId/week/:weekNumber/card-data', async (req, res) => {
             weekGoalsData,
             weekDiscoveryData
         ] = await Promise.all([
-            getWeekTrackerData(req.user.id, weekNum, dream.journeyStartDate),
+            getWeekTrackerData(req.user.id, dreamId, weekNum, dream.journeyStartDate),
             getWeekScoringData(req.user.id, weekNum),
             getWeekGoalsData(dream.goalIds, weekNum),
             getWeekDiscoveryData(dreamId, req.user.id, weekNum)
@@ -1366,12 +1367,28 @@ router.post('/:dreamId/week/:weekNumber/milestone-check', async (req, res) => {
         const { dreamId, weekNumber } = req.params;
         const weekNum = parseInt(weekNumber);
 
+        if (!weekNum || weekNum < 1 || weekNum > JOURNEY_WEEKS) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid week number. Must be between 1 and ${JOURNEY_WEEKS}.`
+            });
+        }
+
+        // Verify dream ownership
+        const dream = await UserDream.findOne({ _id: dreamId, user: req.user.id });
+        if (!dream) {
+            return res.status(404).json({
+                success: false,
+                error: 'Dream not found'
+            });
+        }
+
         console.log(`🏆 Checking milestone completion for week ${weekNum}...`);
 
         // Get current week progress from tracker engine
-        const weekProgress = await getWeekTrackerData(req.user.id, weekNum);
+        const weekProgress = await getWeekTrackerData(req.user.id, dreamId, weekNum, dream.journeyStartDate);
         
-        // Check milestone criteria (from discovery data)
+        // Check milestone criteria
         const milestoneResult = await checkWeekMilestone(
             req.user.id,
             dreamId, 
@@ -1379,7 +1396,8 @@ router.post('/:dreamId/week/:weekNumber/milestone-check', async (req, res) => {
             weekProgress
         );
 
-        if (milestoneResult.achieved) {
+        // Only the first check that meets the criteria records the milestone
+        if (milestoneResult.achieved && !milestoneResult.alreadyRecorded) {
             // Trigger scoring engine update for milestone achievement
             const ScoringEngine = require('../engines/scoring_engine');
             const scoringEngine = new ScoringEngine();
@@ -1447,7 +1465,7 @@ async function getTrackerEngineData(userId, dreamId) {
         
         // Get user events for the journey period
         const events = await trackingEngine.getUserEvents(userId, {
-            startDate: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString(), // Last 30 days
+            since: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000), // Last 30 days
             limit: 500
         });
 
@@ -1478,10 +1496,12 @@ async function getScoringEngineData(userId) {
         const ScoringEngine = require('../engines/scoring_engine');
         const scoringEngine = new ScoringEngine();
         
-        // Get current user profile with fresh calculation
+        // Fresh calculation for display only; score history is written by
+        // scoring events, not page views
         const profile = await scoringEngine.calculateUserProfile(userId, {
             timeWindow: '30d',
-            includeInsights: true
+            includeInsights: true,
+            persist: false
         });
 
         return profile;
@@ -1684,9 +1704,11 @@ function analyzeCompletionPatterns(events) {
 /**
  * Helper functions for detailed week data
  */
-async function getWeekTrackerData(userId, weekNumber, journeyStartDate) {
-    // Implementation would get week-specific tracker data
-    return { events: [], weekProgress: 0 };
+async function getWeekTrackerData(userId, dreamId, weekNumber, journeyStartDate) {
+    const TrackingEngine = require('../engines/tracking-engine');
+    const trackingEngine = new TrackingEngine();
+
+    return trackingEngine.getDreamWeekProgress(userId, dreamId, weekNumber, { journeyStartDate });
 }
 
 async function getWeekScoringData(userId, weekNumber) {
@@ -1695,23 +1717,88 @@ async function getWeekScoringData(userId, weekNumber) {
 }
 
 async function getWeekGoalsData(goalIds, weekNumber) {
-    // Implementation would get week-specific goals data
-    return [];
+    try {
+        const goals = await WeeklyGoal.find({ 
+            _id: { $in: goalIds } 
+        }).populate('tasks').lean();
+
+        // Goals without a journey week belong to week 1
+        return goals.filter(goal => (goal.journeyWeek || 1) === weekNumber);
+    } catch (error) {
+        console.error('Error getting week goals:', error);
+        return [];
+    }
 }
 
 async function getWeekDiscoveryData(dreamId, userId, weekNumber) {
-    // Implementation would get week-specific discovery data
-    return {};
+    try {
+        const discoveryData = await DreamDiscovery.findOne({ dreamId, user: userId }).lean();
+        if (!discoveryData) {
+            return {};
+        }
+
+        const progression = (discoveryData.goalProgression || {})[`week${weekNumber}`] || {};
+        return {
+            theme: (discoveryData.weekThemes || [])[weekNumber - 1],
+            focus: progression.focus,
+            milestones: (discoveryData.milestones || []).filter(milestone =>
+                milestone.day <= weekNumber * 7 && milestone.day > (weekNumber - 1) * 7
+            ),
+            habitTips: discoveryData.habitFormationTips || []
+        };
+    } catch (error) {
+        console.error('Error getting week discovery data:', error);
+        return {};
+    }
 }
 
-async function buildDetailedWeekCard(data) {
-    // Implementation would build detailed week card
-    return data;
+async function buildDetailedWeekCard({ weekNumber, trackerData, scoringData, goalsData, discoveryData, dream }) {
+    return {
+        dreamId: dream._id,
+        weekNumber,
+        theme: discoveryData.theme || `Week ${weekNumber}`,
+        focus: discoveryData.focus || null,
+        status: trackerData.status,
+        window: trackerData.window,
+        progress: {
+            completed: trackerData.tasks.completed,
+            total: trackerData.tasks.total,
+            percentage: trackerData.tasks.percentage
+        },
+        timeMetrics: trackerData.time,
+        streak: trackerData.streak,
+        byDay: trackerData.byDay,
+        goals: goalsData.map(goal => {
+            const summary = trackerData.goals.find(entry => entry.id.toString() === goal._id.toString()) || {};
+            return {
+                id: goal._id,
+                title: goal.title,
+                description: goal.description,
+                tasksCompleted: summary.completed || 0,
+                totalTasks: summary.total || 0,
+                tasks: (goal.tasks || []).map(task => ({
+                    id: task._id,
+                    name: task.name,
+                    day: task.day,
+                    estTime: task.estTime,
+                    timeSpent: task.timeSpent || 0,
+                    completed: task.completed,
+                    isReflection: task.isReflection
+                }))
+            };
+        }),
+        milestones: discoveryData.milestones || [],
+        habitTips: discoveryData.habitTips || [],
+        scoring: scoringData,
+        trackerEvents: trackerData.events.length
+    };
 }
 
 async function checkWeekMilestone(userId, dreamId, weekNumber, weekProgress) {
-    // Implementation would check milestone completion criteria
-    return { achieved: false, data: {} };
+    const TrackingEngine = require('../engines/tracking-engine');
+    const trackingEngine = new TrackingEngine();
+
+    return trackingEngine.checkWeekMilestone(userId, dreamId, weekNumber, weekProgress);
 }
 
 function calculateJourneyDay(weekNumber) {
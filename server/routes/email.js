@@ -7,16 +7,63 @@ const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
 const reminderScheduler = require('../services/reminderScheduler');
-const { verifyToken } = require('../middleware/auth');
+const checkInService = require('../services/checkInService');
+const auth = require('../middleware/auth');
+const requireAdmin = require('../middleware/requireAdmin');
+const { verifyUnsubscribeToken } = require('../utils/unsubscribeToken');
+
+const UNSUBSCRIBE_ALL = {
+    'emailPreferences.unsubscribed': true,
+    'emailPreferences.dailyReminders': false,
+    'emailPreferences.streakBroken': false,
+    'emailPreferences.weeklyProgress': false,
+    'emailPreferences.visionUnlocked': false
+};
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+/**
+ * Minimal standalone page for unsubscribe links opened in a browser.
+ * `form` adds a confirm button that POSTs the token back.
+ */
+function renderUnsubscribePage(title, message, form = null) {
+    const button = form
+        ? `<form method="POST" action="?token=${encodeURIComponent(form.token)}"><button type="submit">Unsubscribe</button></form>`
+        : '';
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${escapeHtml(title)} - GoalTracker</title>
+    <style>
+        body { font-family: Arial, sans-serif; background-color: #f5f5f5; margin: 0; padding: 40px 20px; }
+        .container { max-width: 480px; margin: 0 auto; background-color: white; padding: 30px; border-radius: 10px; text-align: center; }
+        button { background-color: #3498db; color: white; border: 0; padding: 12px 30px; border-radius: 5px; font-size: 16px; cursor: pointer; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <h1>${escapeHtml(title)}</h1>
+        <p>${escapeHtml(message)}</p>
+        ${button}
+    </div>
+</body>
+</html>`;
+}
 
 /**
  * GET /api/email/preferences
  * Get user's email preferences
  */
-router.get('/preferences', verifyToken, async (req, res) => {
+router.get('/preferences', auth, async (req, res) => {
     try {
         const userId = req.user.id;
-        const user = await User.findById(userId).select('emailPreferences');
+        const user = await User.findById(userId).select('emailPreferences timezone locale');
         
         if (!user) {
             return res.status(404).json({
@@ -27,7 +74,7 @@ router.get('/preferences', verifyToken, async (req, res) => {
 
         res.json({
             success: true,
-            data: user.emailPreferences
+            data: { ...user.emailPreferences.toObject(), timezone: user.timezone, locale: user.locale }
         });
     } catch (error) {
         res.status(500).json({
@@ -39,39 +86,89 @@ router.get('/preferences', verifyToken, async (req, res) => {
 
 /**
  * POST /api/email/preferences
- * Update user's email preferences
+ * Update user's email preferences.
+ * Body (all optional): the on/off flags, timezone, locale (email language,
+ * e.g. 'es'), and reminderWindow / quietHours as { start, end } local hours
  */
-router.post('/preferences', verifyToken, async (req, res) => {
+router.post('/preferences', auth, async (req, res) => {
     try {
         const userId = req.user.id;
-        const preferences = req.body;
+        const preferences = req.body || {};
         
         // Validate preferences
         const validPreferences = ['dailyReminders', 'streakBroken', 'weeklyProgress', 'visionUnlocked', 'unsubscribed'];
-        const filteredPreferences = {};
+        const update = {};
         
         for (const key of validPreferences) {
             if (preferences[key] !== undefined) {
-                filteredPreferences[key] = Boolean(preferences[key]);
+                update[`emailPreferences.${key}`] = Boolean(preferences[key]);
+            }
+        }
+
+        const hourRanges = {
+            reminderWindow: { min: 0, max: 24 },
+            quietHours: { min: 0, max: 23 }
+        };
+        for (const [key, limits] of Object.entries(hourRanges)) {
+            if (preferences[key] === undefined) continue;
+
+            const { start, end } = preferences[key] || {};
+            const valid = [start, end].every(hour => Number.isInteger(hour) && hour >= limits.min && hour <= limits.max);
+            if (!valid || (key === 'reminderWindow' && start >= end)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `${key} must be { start, end } whole hours between ${limits.min} and ${limits.max}` +
+                        (key === 'reminderWindow' ? ' with start before end' : '')
+                });
+            }
+            update[`emailPreferences.${key}`] = { start, end };
+        }
+
+        if (preferences.timezone !== undefined) {
+            if (!checkInService.isValidTimezone(preferences.timezone)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid timezone'
+                });
+            }
+            update.timezone = preferences.timezone;
+        }
+
+        if (preferences.locale !== undefined) {
+            let locale = null;
+            try {
+                if (typeof preferences.locale === 'string') {
+                    [locale] = Intl.getCanonicalLocales(preferences.locale);
+                }
+            } catch (error) {
+                // Not a valid language tag
             }
+            if (!locale) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid locale'
+                });
+            }
+            update.locale = locale;
         }
         
         const user = await User.findByIdAndUpdate(
             userId,
-            { 
-                $set: {
-                    'emailPreferences': {
-                        ...filteredPreferences
-                    }
-                }
-            },
-            { new: true }
-        ).select('emailPreferences');
-        
+            { $set: update },
+            { new: true, runValidators: true }
+        ).select('emailPreferences timezone locale');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
         res.json({
             success: true,
             message: 'Email preferences updated successfully',
-            data: user.emailPreferences
+            data: { ...user.emailPreferences.toObject(), timezone: user.timezone, locale: user.locale }
         });
     } catch (error) {
         res.status(500).json({
@@ -82,48 +179,68 @@ router.post('/preferences', verifyToken, async (req, res) => {
 });
 
 /**
- * GET /api/email/unsubscribe
- * Unsubscribe user from all emails
+ * GET /api/email/unsubscribe?token=...
+ * Landing page for the unsubscribe link in email footers. No login: the
+ * signed token identifies the user. Only asks for confirmation, since link
+ * scanners and prefetchers follow GET links on their own
  */
 router.get('/unsubscribe', async (req, res) => {
+    const userId = verifyUnsubscribeToken(req.query.token);
+    if (!userId) {
+        return res.status(400).type('html').send(
+            renderUnsubscribePage('Invalid link', 'This unsubscribe link is invalid. Please use the link from your most recent email.')
+        );
+    }
+
+    res.type('html').send(
+        renderUnsubscribePage('Unsubscribe', 'Stop receiving all GoalTracker reminder emails?', { token: req.query.token })
+    );
+});
+
+/**
+ * POST /api/email/unsubscribe?token=...
+ * Unsubscribe the token's user from all emails. Also the RFC 8058 one-click
+ * target of the List-Unsubscribe header, which mail clients POST to directly.
+ * Answers with a page for browser form posts and JSON otherwise
+ */
+router.post('/unsubscribe', async (req, res) => {
     try {
-        const { token } = req.query;
-        
-        if (!token) {
-            return res.status(400).json({
-                success: false,
-                message: 'Unsubscribe token required'
+        const userId = verifyUnsubscribeToken(req.query.token || (req.body && req.body.token));
+        if (!userId) {
+            return res.status(400).format({
+                json: () => res.json({
+                    success: false,
+                    message: 'Invalid unsubscribe token'
+                }),
+                html: () => res.send(renderUnsubscribePage('Invalid link', 'This unsubscribe link is invalid.'))
             });
         }
-        
+
         const user = await User.findByIdAndUpdate(
-            token,
-            { 
-                $set: {
-                    'emailPreferences.unsubscribed': true,
-                    'emailPreferences.dailyReminders': false,
-                    'emailPreferences.streakBroken': false,
-                    'emailPreferences.weeklyProgress': false,
-                    'emailPreferences.visionUnlocked': false
-                }
-            },
+            userId,
+            { $set: UNSUBSCRIBE_ALL },
             { new: true }
-        );
-        
+        ).select('email');
+
         if (!user) {
-            return res.status(404).json({
-                success: false,
-                message: 'Invalid unsubscribe token'
+            return res.status(404).format({
+                json: () => res.json({
+                    success: false,
+                    message: 'User not found'
+                }),
+                html: () => res.send(renderUnsubscribePage('Account not found', 'This account no longer exists.'))
             });
         }
-        
-        res.json({
-            success: true,
-            message: 'You have been unsubscribed from all emails',
-            data: {
-                name: user.name,
-                email: user.email
-            }
+
+        res.format({
+            json: () => res.json({
+                success: true,
+                message: 'You have been unsubscribed from all emails'
+            }),
+            html: () => res.send(renderUnsubscribePage(
+                'Unsubscribed',
+                `${user.email} will no longer receive GoalTracker emails. You can turn reminders back on in your settings.`
+            ))
         });
     } catch (error) {
         res.status(500).json({
@@ -137,7 +254,7 @@ router.get('/unsubscribe', async (req, res) => {
  * POST /api/email/send-welcome
  * Send welcome email to user (admin or trigger)
  */
-router.post('/send-welcome', verifyToken, async (req, res) => {
+router.post('/send-welcome', auth, async (req, res) => {
     try {
         const userId = req.user.id;
         
@@ -168,7 +285,7 @@ router.post('/send-welcome', verifyToken, async (req, res) => {
  * GET /api/email/history
  * Get user's email history
  */
-router.get('/history', verifyToken, async (req, res) => {
+router.get('/history', auth, async (req, res) => {
     try {
         const userId = req.user.id;
         const user = await User.findById(userId).select('emailHistory');
@@ -199,11 +316,8 @@ router.get('/history', verifyToken, async (req, res) => {
  * GET /api/email/scheduler/status
  * Get reminder scheduler status (admin only)
  */
-router.get('/scheduler/status', verifyToken, async (req, res) => {
+router.get('/scheduler/status', auth, requireAdmin, async (req, res) => {
     try {
-        // Add admin check here if needed
-        // if (!req.user.isAdmin) { return res.status(403).json({ success: false, message: 'Admin access required' }); }
-        
         const status = reminderScheduler.getStatus();
         
         res.json({
@@ -220,12 +334,11 @@ router.get('/scheduler/status', verifyToken, async (req, res) => {
 
 /**
  * POST /api/email/scheduler/start
- * Start reminder scheduler (admin only)
+ * Start reminder scheduler (admin only). It starts with the server unless
+ * REMINDER_SCHEDULER_ENABLED=false; this restarts it after a stop
  */
-router.post('/scheduler/start', verifyToken, async (req, res) => {
+router.post('/scheduler/start', auth, requireAdmin, async (req, res) => {
     try {
-        // Add admin check here if needed
-        
         reminderScheduler.start();
         
         res.json({
@@ -244,10 +357,8 @@ router.post('/scheduler/start', verifyToken, async (req, res) => {
  * POST /api/email/scheduler/stop
  * Stop reminder scheduler (admin only)
  */
-router.post('/scheduler/stop', verifyToken, async (req, res) => {
+router.post('/scheduler/stop', auth, requireAdmin, async (req, res) => {
     try {
-        // Add admin check here if needed
-        
         reminderScheduler.stop();
         
         res.json({
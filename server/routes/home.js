@@ -11,6 +11,7 @@ const WeeklyGoal = require('../models/WeeklyGoal');
 
 // Services
 const journeyService = require('../services/journeyService');
+const notificationService = require('../services/notificationService');
 
 // Helpers to get the start of the week and the next week
 const { getStartOfWeek, getStartOfNextWeek } = require('../utils/date');
@@ -116,6 +117,9 @@ router.get('/', auth, async (req, res) => {
         // For now, we'll send an empty array as a placeholder.
         const dailySnapshots = []; // To be implemented in analytics.js route
 
+        // 6. Unread notifications for the dashboard bell
+        const unreadNotifications = await notificationService.getUnreadCount(userId);
+
         console.log('Home route: Sending response with finalWeeklyGoals:', finalWeeklyGoals.length);
         console.log('Home route: finalWeeklyGoals data:', JSON.stringify(finalWeeklyGoals, null, 2));
         
@@ -125,7 +129,8 @@ router.get('/', auth, async (req, res) => {
             todaysTasks: finalTodaysTasks,
             dailySnapshots,
             journeyStatus: journeyStatus || { hasActiveJourney: false },
-            journeyTasks: journeyTasks
+            journeyTasks: journeyTasks,
+            unreadNotifications
         });
     } catch (err) {
         console.error('Error in home route:', err.message);
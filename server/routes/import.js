@@ -0,0 +1,105 @@
+/**
+ * server/routes/import.js
+ * Import weekly goals and tasks from iCalendar (.ics) or CSV files.
+ * See services/planImportService.js for the accepted formats.
+ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const auth = require('../middleware/auth');
+const planImportService = require('../services/planImportService');
+const { ImportError, detectFormat } = require('../services/planImportService');
+const TrackingUtils = require('../utils/trackingUtils');
+const logger = require('../utils/logger');
+
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 1024 * 1024 // 1MB
+    }
+});
+
+/**
+ * Read the import from a multipart `file` upload or a JSON body
+ * { content, format?, fileName? }.
+ */
+function readImport(req) {
+    const content = req.file
+        ? req.file.buffer.toString('utf8')
+        : (req.body && typeof req.body.content === 'string' ? req.body.content : '');
+    const fileName = req.file ? req.file.originalname : (req.body && req.body.fileName) || '';
+    const requested = req.body && req.body.format;
+
+    if (requested && !['ics', 'csv'].includes(requested)) {
+        throw new ImportError('format must be ics or csv');
+    }
+
+    return { content, format: requested || detectFormat(fileName, content) };
+}
+
+function handleError(res, error, action) {
+    if (error instanceof ImportError) {
+        return res.status(error.status).json({
+            success: false,
+            error: error.message,
+            data: error.preview
+        });
+    }
+
+    logger.error({ error: error.message }, `Error ${action}`);
+    res.status(500).json({ success: false, error: `Failed to ${action}` });
+}
+
+// @route   POST /api/import/preview
+// @desc    Dry run: parse a file and show the goals, tasks, duplicates and limit checks
+// @access  Private
+router.post('/preview', auth, upload.single('file'), async (req, res) => {
+    try {
+        const { content, format } = readImport(req);
+        const preview = await planImportService.preview(req.user.id, content, format);
+
+        res.json({ success: true, data: preview });
+    } catch (error) {
+        handleError(res, error, 'preview import');
+    }
+});
+
+// @route   POST /api/import
+// @desc    Import goals and tasks, skipping duplicates and past weeks
+// @access  Private
+router.post('/', auth, upload.single('file'), async (req, res) => {
+    try {
+        const { content, format } = readImport(req);
+        const { created, preview } = await planImportService.commit(req.user.id, content, format);
+
+        await TrackingUtils.trackTaskGoal('plan_imported', req.user.id, {
+            format,
+            goalsCreated: created.goals,
+            tasksCreated: created.tasks,
+            duplicatesSkipped: preview.summary.duplicates
+        });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                created,
+                summary: preview.summary,
+                errors: preview.errors
+            },
+            message: `Imported ${created.tasks} tasks into ${created.goals} new goals`
+        });
+    } catch (error) {
+        handleError(res, error, 'import plan');
+    }
+});
+
+// Upload errors (e.g. file too large) surface here
+router.use((error, req, res, next) => {
+    if (error instanceof multer.MulterError) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    next(error);
+});
+
+module.exports = router;
@@ -7,6 +7,7 @@ const express = require('express');
 const router = express.Router();
 const authenticateToken = require('../middleware/auth');
 const journeyService = require('../services/journeyService');
+const habitLoopEngine = require('../services/habitLoopEngine');
 const visionDataService = require('../services/visionDataService');
 const Task = require('../models/Task');
 const User = require('../models/User');
@@ -182,6 +183,9 @@ router.post('/complete-task', authenticateToken, async (req, res) => {
 
         const result = await journeyService.completeTask(req.user.id, taskId);
 
+        // Reward it and push back the next nudge, without delaying the response
+        habitLoopEngine.processAction(req.user.id, { type: 'task_completed', taskId: String(taskId) });
+
         let message = '🎉 Great job! Task completed successfully!';
         if (result.goalCompleted) {
             message = '🌟 Excellent! Goal completed! You\'re making great progress!';
@@ -7,6 +7,7 @@ const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
 const llmService = require('../services/llmService');
+const LLMResponseValidator = require('../shared/llm/responseValidator');
 const User = require('../models/User');
 const { VisionData } = require('../models/visionData');
 
@@ -59,6 +60,14 @@ router.post('/generate', async (req, res) => {
             });
 
         } catch (llmError) {
+            if (llmError.code === 'LLM_POLICY_DENIED') {
+                return res.status(403).json({
+                    success: false,
+                    error: 'policy_denied',
+                    message: llmError.message
+                });
+            }
+
             console.error('❌ LLM generation failed:', llmError.message);
             
             // Return a helpful fallback response
@@ -226,6 +235,14 @@ router.post('/plan-week', async (req, res) => {
             });
 
         } catch (llmError) {
+            if (llmError.code === 'LLM_POLICY_DENIED') {
+                return res.status(403).json({
+                    success: false,
+                    error: 'policy_denied',
+                    message: llmError.message
+                });
+            }
+
             console.error('❌ LLM weekly plan generation failed:', llmError.message);
             
             // Return fallback plan
@@ -292,29 +309,7 @@ Each task should be:
 - 15-90 minutes duration
 - Realistic for the week
 - Progressive (building on each other)
-
-Return ONLY valid JSON in this exact format:
-{
-  "goal": {
-    "title": "Weekly goal title (concise, specific)",
-    "tasks": [
-      {
-        "name": "Specific task name",
-        "estTime": 60
-      },
-      {
-        "name": "Specific task name", 
-        "estTime": 45
-      },
-      {
-        "name": "Specific task name",
-        "estTime": 90
-      }
-    ]
-  }
-}
-
-Remember: Return ONLY the JSON object, no additional text or explanation.`;
+${LLMResponseValidator.getJsonPromptSuffix('weekly')}`;
 }
 
 /**
@@ -0,0 +1,120 @@
+/**
+ * server/routes/mcp.js
+ * Progress analytics API used by client/pages/scripts/mcp-integration.js.
+ * Mounted at /api/mcp.
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const mcpAnalyticsService = require('../services/mcpAnalyticsService');
+const goalSuggestions = require('../config/goalSuggestions');
+
+router.use(auth);
+
+/**
+ * Only let users read their own analytics. Routes with an optional :userId
+ * fall back to the authenticated user.
+ */
+function requireOwner(req, res, next) {
+    if (req.params.userId && req.params.userId !== req.user.id) {
+        return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+    req.targetUserId = req.user.id;
+    next();
+}
+
+// @route   GET /api/mcp/analysis/:userId?timeframe=week|month|quarter|year|all
+// @desc    Goal and task completion for a timeframe
+// @access  Private (owner only)
+router.get('/analysis/:userId', requireOwner, async (req, res) => {
+    try {
+        const timeframe = req.query.timeframe || 'week';
+        if (!mcpAnalyticsService.isValidTimeframe(timeframe)) {
+            return res.status(400).json({ success: false, error: 'Invalid timeframe' });
+        }
+
+        const analysis = await mcpAnalyticsService.getProgressAnalysis(req.targetUserId, timeframe);
+        res.json(analysis);
+    } catch (error) {
+        console.error('MCP analysis error:', error);
+        res.status(500).json({ success: false, error: 'Failed to analyze progress' });
+    }
+});
+
+// @route   GET /api/mcp/insights/:userId
+// @desc    Activity patterns and journey position
+// @access  Private (owner only)
+router.get('/insights/:userId', requireOwner, async (req, res) => {
+    try {
+        const insights = await mcpAnalyticsService.getInsights(req.targetUserId);
+        res.json(insights);
+    } catch (error) {
+        console.error('MCP insights error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get insights' });
+    }
+});
+
+// @route   GET /api/mcp/suggestions/:userId?category=
+// @desc    Goal suggestions, optionally filtered by category
+// @access  Private (owner only)
+router.get('/suggestions/:userId?', requireOwner, async (req, res) => {
+    try {
+        const { category } = req.query;
+        if (category && !goalSuggestions[category]) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid category',
+                availableCategories: Object.keys(goalSuggestions)
+            });
+        }
+
+        const suggestions = await mcpAnalyticsService.getGoalSuggestions(req.targetUserId, category || null);
+        res.json(suggestions);
+    } catch (error) {
+        console.error('MCP suggestions error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get goal suggestions' });
+    }
+});
+
+// @route   GET /api/mcp/summary/:userId
+// @desc    Summary of the current week
+// @access  Private (owner only)
+router.get('/summary/:userId', requireOwner, async (req, res) => {
+    try {
+        const summary = await mcpAnalyticsService.getWeeklySummary(req.targetUserId);
+        res.json(summary);
+    } catch (error) {
+        console.error('MCP summary error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get weekly summary' });
+    }
+});
+
+// @route   GET /api/mcp/analytics/:userId?months=6
+// @desc    Month-by-month goal and task analytics
+// @access  Private (owner only)
+router.get('/analytics/:userId', requireOwner, async (req, res) => {
+    try {
+        const months = Math.min(Math.max(parseInt(req.query.months, 10) || 6, 1), 24);
+        const analytics = await mcpAnalyticsService.getMonthlyAnalytics(req.targetUserId, months);
+        res.json(analytics);
+    } catch (error) {
+        console.error('MCP analytics error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get monthly analytics' });
+    }
+});
+
+// @route   GET /api/mcp/recommendations/:userId?category=
+// @desc    Personalised recommendations, optionally filtered by category
+// @access  Private (owner only)
+router.get('/recommendations/:userId?', requireOwner, async (req, res) => {
+    try {
+        const recommendations = await mcpAnalyticsService.getRecommendations(req.targetUserId, req.query.category || null);
+        res.json(recommendations);
+    } catch (error) {
+        console.error('MCP recommendations error:', error);
+        res.status(500).json({ success: false, error: 'Failed to get recommendations' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,81 @@
+/**
+ * server/routes/notifications.js
+ * The user's in-app notification inbox.
+ * See services/notificationService.js.
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
+const logger = require('../utils/logger');
+
+// @route   GET /api/notifications?unread=true&limit=20&before=2025-01-01
+// @desc    Notifications, newest first, with the unread count
+// @access  Private
+router.get('/', auth, async (req, res) => {
+    if (req.query.before && Number.isNaN(Date.parse(req.query.before))) {
+        return res.status(400).json({ success: false, error: 'before must be a date' });
+    }
+
+    try {
+        const [notifications, unreadCount] = await Promise.all([
+            notificationService.list(req.user.id, {
+                unread: req.query.unread === 'true',
+                limit: req.query.limit,
+                before: req.query.before
+            }),
+            notificationService.getUnreadCount(req.user.id)
+        ]);
+        res.json({ success: true, data: notifications, unreadCount });
+    } catch (error) {
+        logger.error({ error: error.message }, 'Error listing notifications');
+        res.status(500).json({ success: false, error: 'Failed to list notifications' });
+    }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Number of unread notifications, for the dashboard bell
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+    try {
+        const unreadCount = await notificationService.getUnreadCount(req.user.id);
+        res.json({ success: true, data: { unreadCount } });
+    } catch (error) {
+        logger.error({ error: error.message }, 'Error counting notifications');
+        res.status(500).json({ success: false, error: 'Failed to count notifications' });
+    }
+});
+
+// @route   PATCH /api/notifications/read-all
+// @desc    Mark every notification read
+// @access  Private
+router.patch('/read-all', auth, async (req, res) => {
+    try {
+        const updated = await notificationService.markAllRead(req.user.id);
+        res.json({ success: true, data: { updated, unreadCount: 0 } });
+    } catch (error) {
+        logger.error({ error: error.message }, 'Error marking notifications read');
+        res.status(500).json({ success: false, error: 'Failed to mark notifications read' });
+    }
+});
+
+// @route   PATCH /api/notifications/:id/read
+// @desc    Mark one notification read
+// @access  Private
+router.patch('/:id/read', auth, async (req, res) => {
+    try {
+        const notification = await notificationService.markRead(req.user.id, req.params.id);
+        if (!notification) {
+            return res.status(404).json({ success: false, error: 'Notification not found' });
+        }
+
+        const unreadCount = await notificationService.getUnreadCount(req.user.id);
+        res.json({ success: true, data: notification, unreadCount });
+    } catch (error) {
+        logger.error({ error: error.message }, 'Error marking notification read');
+        res.status(500).json({ success: false, error: 'Failed to mark notification read' });
+    }
+});
+
+module.exports = router;
@@ -1,24 +1,40 @@
 /**
  * Ollama API Routes - Local LLM integration
+ * Calls go through the LLM gateway pinned to the Ollama provider
  */
 
 const express = require('express');
 const router = express.Router();
 const auth = require('../middleware/auth');
-const OllamaService = require('../services/ollama');
+const llmGateway = require('../services/llmGateway');
 
-const ollama = new OllamaService();
+// Only Ollama, with no fallback to other providers
+const OLLAMA_ONLY = { providers: ['ollama'] };
 
 // @route   GET /api/ollama/status
 // @desc    Check Ollama service status
 // @access  Private
 router.get('/status', auth, async (req, res) => {
     try {
-        const testResult = await ollama.testConnection();
+        const ollama = llmGateway.getProvider('ollama');
+        if (!await ollama.isAvailable()) {
+            return res.json({
+                available: false,
+                error: 'Ollama service is not available'
+            });
+        }
+
+        const models = await ollama.listModels();
+        const testResult = await llmGateway.complete('Say "Hello!"', {
+            ...OLLAMA_ONLY,
+            maxTokens: 10,
+            timeout: 30000,
+            retries: 0
+        });
         res.json({
             available: testResult.success,
-            models: testResult.models,
-            response: testResult.response,
+            models: models.length,
+            response: testResult.content,
             error: testResult.error
         });
     } catch (error) {
@@ -35,7 +51,7 @@ router.get('/status', auth, async (req, res) => {
 // @access  Private
 router.get('/models', auth, async (req, res) => {
     try {
-        const models = await ollama.getModels();
+        const models = await llmGateway.getProvider('ollama').listModels();
         res.json({ models });
     } catch (error) {
         console.error('Error fetching models:', error);
@@ -57,18 +73,19 @@ router.post('/generate', auth, async (req, res) => {
             return res.status(400).json({ error: 'Prompt is required' });
         }
 
-        const result = await ollama.generateCompletion(prompt, {
+        const result = await llmGateway.complete(prompt, {
+            ...OLLAMA_ONLY,
             model,
             temperature,
-            max_tokens,
+            maxTokens: max_tokens,
             system
         });
 
         if (result.success) {
             res.json({
-                response: result.response,
+                response: result.content,
                 model: result.model,
-                created_at: result.created_at
+                usage: result.usage
             });
         } else {
             res.status(500).json({ 
@@ -96,16 +113,17 @@ router.post('/chat', auth, async (req, res) => {
             return res.status(400).json({ error: 'Messages array is required' });
         }
 
-        const result = await ollama.chat(messages, {
+        const result = await llmGateway.chat(messages, {
+            ...OLLAMA_ONLY,
             model,
             temperature
         });
 
         if (result.success) {
             res.json({
-                message: result.message,
+                message: { role: 'assistant', content: result.content },
                 model: result.model,
-                created_at: result.created_at
+                usage: result.usage
             });
         } else {
             res.status(500).json({ 
@@ -149,14 +167,15 @@ Please provide:
 Keep the response concise and actionable.
         `.trim();
 
-        const result = await ollama.generateCompletion(prompt, {
+        const result = await llmGateway.complete(prompt, {
+            ...OLLAMA_ONLY,
             system: 'You are a helpful goal achievement coach. Provide practical, encouraging advice.',
-            max_tokens: 800
+            maxTokens: 800
         });
 
         if (result.success) {
             res.json({
-                analysis: result.response,
+                analysis: result.content,
                 model: result.model
             });
         } else {
@@ -0,0 +1,62 @@
+/**
+ * server/routes/scores.js
+ * Five-dimension scores and their history.
+ * See engines/scoring_engine.
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const ScoringEngine = require('../engines/scoring_engine');
+const logger = require('../utils/logger');
+
+const scoringEngine = new ScoringEngine();
+const TIME_WINDOWS = ['7d', '30d', '90d'];
+
+// @route   GET /api/scores
+// @desc    Latest stored score; ?refresh=true (or no stored score) recalculates it
+// @access  Private
+router.get('/', auth, async (req, res) => {
+    const timeWindow = req.query.timeWindow || '30d';
+    if (!TIME_WINDOWS.includes(timeWindow)) {
+        return res.status(400).json({
+            success: false,
+            error: `timeWindow must be one of: ${TIME_WINDOWS.join(', ')}`
+        });
+    }
+
+    try {
+        const latest = req.query.refresh === 'true' ? null : await scoringEngine.getLatestScore(req.user.id);
+        if (latest) {
+            return res.json({ success: true, data: latest, cached: true });
+        }
+
+        const profile = await scoringEngine.calculateUserProfile(req.user.id, { timeWindow });
+        res.json({ success: true, data: profile, cached: false });
+    } catch (error) {
+        logger.error({ error: error.message }, 'Error calculating scores');
+        res.status(500).json({ success: false, error: 'Failed to calculate scores' });
+    }
+});
+
+// @route   GET /api/scores/history?limit=30&since=2025-01-01
+// @desc    Stored scores, newest first
+// @access  Private
+router.get('/history', auth, async (req, res) => {
+    if (req.query.since && Number.isNaN(Date.parse(req.query.since))) {
+        return res.status(400).json({ success: false, error: 'since must be a date' });
+    }
+
+    try {
+        const history = await scoringEngine.getScoreHistory(req.user.id, {
+            limit: req.query.limit,
+            since: req.query.since
+        });
+        res.json({ success: true, data: history });
+    } catch (error) {
+        logger.error({ error: error.message }, 'Error fetching score history');
+        res.status(500).json({ success: false, error: 'Failed to fetch score history' });
+    }
+});
+
+module.exports = router;
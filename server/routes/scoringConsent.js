@@ -49,7 +49,12 @@ router.get('/', async (req, res) => {
  * POST /api/scoring-consent/:bundleType
  * Update consent for a specific data bundle
  */
-router.post('/:bundleType', async (req, res) => {
+router.post('/:bundleType', async (req, res, next) => {
+    // Registered below; this route would otherwise swallow it
+    if (req.params.bundleType === 'revoke-all') {
+        return next();
+    }
+
     try {
         const { bundleType } = req.params;
         const { enabled, includes } = req.body;
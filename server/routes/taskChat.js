@@ -8,7 +8,7 @@ const router = express.Router();
 const auth = require('../middleware/auth');
 const Task = require('../models/Task');
 const User = require('../models/User');
-const llamaService = require('../services/llamaService');
+const llmGateway = require('../services/llmGateway');
 const TaskChatLog = require('../models/TaskChatLog');
 
 /**
@@ -112,13 +112,13 @@ router.post('/:taskId/interact', auth, async (req, res) => {
         });
 
         // Get AI response from configured LLM provider
-        const result = await llamaService.generateChatResponse(messages);
+        const result = await llmGateway.chat(messages);
 
         if (!result.success) {
             throw new Error(result.error || 'LLM chat failed');
         }
 
-        const aiResponse = result.response;
+        const aiResponse = result.content;
 
         // Log interaction for learning
         await logTaskInteraction(taskId, userId, message, aiResponse);
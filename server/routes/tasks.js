@@ -11,6 +11,22 @@ const WeeklyGoal = require('../models/WeeklyGoal');
 const { willExceedLimits } = require('../utils/limits');
 const { getStartOfNextWeek } = require('../utils/date');
 const logger = require('../utils/logger');
+const TrackingEngine = require('../engines/tracking-engine');
+const habitLoopEngine = require('../services/habitLoopEngine');
+
+const trackingEngine = new TrackingEngine();
+
+// Record task progress for journey tracking without delaying the response
+function recordTaskProgress(userId, task) {
+    trackingEngine.recordTaskProgress(userId, task).catch(error => {
+        logger.error({ error: error.message, taskId: task._id.toString() }, 'Error recording task progress');
+    });
+}
+
+// Reward the completion and push back the user's next nudge, also in the background
+function recordTaskCompleted(userId, task) {
+    habitLoopEngine.processAction(userId, { type: 'task_completed', taskId: task._id.toString() });
+}
 
 router.post('/', auth, async (req, res) => {
     const { goalId, name, estTime, day } = req.body;
@@ -129,6 +145,7 @@ router.put('/:id', auth, async (req, res) => {
         }
 
         const { name, estTime, day, completed, timeSpent } = req.body;
+        const newlyCompleted = completed === true && !task.completed;
         if (name !== undefined) task.name = name;
         if (estTime !== undefined) task.estTime = estTime;
         if (day !== undefined) task.day = day;
@@ -137,6 +154,13 @@ router.put('/:id', auth, async (req, res) => {
 
         await task.save();
 
+        if (completed !== undefined || timeSpent !== undefined) {
+            recordTaskProgress(userId, task);
+        }
+        if (newlyCompleted) {
+            recordTaskCompleted(userId, task);
+        }
+
         res.json(task);
     } catch (err) {
         console.error(err.message);
@@ -163,6 +187,7 @@ router.patch('/:id/complete', auth, async (req, res) => {
         }
 
         // Update the task properties
+        const newlyCompleted = !task.completed;
         task.completed = true;
         
         // Optionally receive time spent from the client
@@ -182,6 +207,10 @@ router.patch('/:id/complete', auth, async (req, res) => {
         }
 
         await task.save();
+        recordTaskProgress(userId, task);
+        if (newlyCompleted) {
+            recordTaskCompleted(userId, task);
+        }
 
         res.json(task);
     } catch (err) {
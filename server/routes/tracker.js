@@ -0,0 +1,141 @@
+/**
+ * server/routes/tracker.js
+ * Tracking engine API, mounted at /api/engines/tracker.
+ *
+ * Serves the paths used by the browser tracking clients (/log-event, /log-events)
+ * as well as the paths of the former standalone tracking service
+ * (/events/log, /events/bulk, /progress/:trackerId/update, ...), so either
+ * kind of client works against KARVIA directly. Events are always attributed
+ * to the authenticated user, and event types the server records itself
+ * (reflection_submitted, milestone_achieved, ...) are refused.
+ */
+
+const express = require('express');
+const router = express.Router();
+const auth = require('../middleware/auth');
+const TrackingEngine = require('../engines/tracking-engine');
+
+const { isServerEventType } = TrackingEngine;
+const trackingEngine = new TrackingEngine();
+
+router.use(auth);
+
+/**
+ * Reject requests for another user's events.
+ */
+function requireOwner(req, res, next) {
+    if (req.params.userId !== req.user.id) {
+        return res.status(403).json({ success: false, error: 'Access denied' });
+    }
+    next();
+}
+
+// @route   POST /api/engines/tracker/log-event
+// @route   POST /api/engines/tracker/events/log
+// @desc    Log a single tracking event
+// @access  Private
+router.post(['/log-event', '/events/log'], async (req, res) => {
+    try {
+        const { eventType, eventData = {}, metadata = {} } = req.body;
+
+        if (isServerEventType(eventType)) {
+            return res.status(403).json({ success: false, error: `${eventType.trim()} events are recorded by the server` });
+        }
+
+        const result = await trackingEngine.logEvent(eventType, eventData, req.user.id, {
+            ...metadata,
+            userAgent: req.headers['user-agent']
+        });
+
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+        res.status(201).json(result);
+    } catch (error) {
+        console.error('Tracker log event error:', error);
+        res.status(500).json({ success: false, error: 'Failed to log event' });
+    }
+});
+
+// @route   POST /api/engines/tracker/log-events
+// @route   POST /api/engines/tracker/events/bulk
+// @desc    Log a batch of tracking events
+// @access  Private
+router.post(['/log-events', '/events/bulk'], async (req, res) => {
+    try {
+        // Events are always recorded against the caller, whatever userId they carry.
+        // Server-owned types are dropped and counted as rejected
+        const events = Array.isArray(req.body.events)
+            ? req.body.events.map(event => {
+                if (!event || typeof event !== 'object' || isServerEventType(event.eventType)) return null;
+                const { userId, ...rest } = event;
+                return rest;
+            })
+            : req.body.events;
+
+        const result = await trackingEngine.logEvents(events, req.user.id);
+
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+        res.status(201).json(result);
+    } catch (error) {
+        console.error('Tracker bulk log error:', error);
+        res.status(500).json({ success: false, error: 'Failed to log events' });
+    }
+});
+
+// @route   POST /api/engines/tracker/tasks
+// @desc    Register a task with the tracker
+// @access  Private
+router.post('/tasks', async (req, res) => {
+    try {
+        const result = await trackingEngine.createTask(req.body, req.user.id);
+        res.status(201).json(result);
+    } catch (error) {
+        console.error('Tracker task creation error:', error);
+        res.status(500).json({ success: false, error: 'Failed to create tracker task' });
+    }
+});
+
+// @route   POST /api/engines/tracker/progress/:trackerId/update
+// @desc    Record progress against a tracker
+// @access  Private
+router.post('/progress/:trackerId/update', async (req, res) => {
+    try {
+        const result = await trackingEngine.updateProgress(req.params.trackerId, req.body, req.user.id);
+        res.json(result);
+    } catch (error) {
+        console.error('Tracker progress update error:', error);
+        res.status(500).json({ success: false, error: 'Failed to update progress' });
+    }
+});
+
+// @route   GET /api/engines/tracker/events/user/:userId
+// @desc    Get the user's events, newest first (query: limit, timeRange, eventType)
+// @access  Private (owner only)
+router.get('/events/user/:userId', requireOwner, async (req, res) => {
+    try {
+        const { limit, timeRange, eventType } = req.query;
+        const events = await trackingEngine.getUserEvents(req.params.userId, { limit, timeRange, eventType });
+        res.json(events);
+    } catch (error) {
+        console.error('Tracker get events error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch events' });
+    }
+});
+
+// @route   GET /api/engines/tracker/events/user/:userId/stats
+// @desc    Get per-event-type counts for the user (query: timeRange)
+// @access  Private (owner only)
+router.get('/events/user/:userId/stats', requireOwner, async (req, res) => {
+    try {
+        const stats = await trackingEngine.getUserEventStats(req.params.userId, req.query.timeRange);
+        res.json(stats);
+    } catch (error) {
+        console.error('Tracker get stats error:', error);
+        res.status(500).json({ success: false, error: 'Failed to fetch event stats' });
+    }
+});
+
+module.exports = router;
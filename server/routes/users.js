@@ -5,6 +5,9 @@ const Task = require('../models/Task');
 const authenticateToken = require('../middleware/auth');
 const TrackingUtils = require('../utils/trackingUtils');
 const visionToPreferencesService = require('../services/visionToPreferencesService');
+const dataExportService = require('../services/dataExportService');
+const accountDeletionService = require('../services/accountDeletionService');
+const habitLoopEngine = require('../services/habitLoopEngine');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
@@ -127,11 +130,17 @@ router.put('/tasks/:taskId/complete', authenticateToken, async (req, res) => {
         }
         
         // Update task
+        const newlyCompleted = Boolean(completed) && !task.completed;
         task.completed = completed;
         if (timeSpent !== undefined) {
             task.timeSpent = timeSpent;
         }
         await task.save();
+
+        // Reward it and push back the next nudge, without delaying the response
+        if (newlyCompleted) {
+            habitLoopEngine.processAction(req.user.id, { type: 'task_completed', taskId: task._id.toString() });
+        }
         
         // Update user's completed tasks count
         const user = await User.findById(req.user.id);
@@ -498,40 +507,47 @@ router.post('/preferences/populate-from-vision', authenticateToken, async (req,
     }
 });
 
-// Export user data
+// Export all user data
+// GET /api/users/export?format=json|csv
+// json: one JSON document; csv: a zip of CSVs plus resume files.
+// Both follow the versioned layout in services/dataExportService.js.
 router.get('/export', authenticateToken, async (req, res) => {
+    const format = (req.query.format || 'json').toLowerCase();
+    if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({
+            success: false,
+            error: 'format must be json or csv'
+        });
+    }
+
     try {
-        const user = await User.findById(req.user.id).select('-password');
-        
-        if (!user) {
+        const exported = await dataExportService.exportUserData(req.user.id, format, res, user => {
+            const date = new Date().toISOString().slice(0, 10);
+            const extension = format === 'csv' ? 'zip' : 'json';
+
+            res.setHeader('Content-Type', format === 'csv' ? 'application/zip' : 'application/json');
+            res.setHeader('Content-Disposition', `attachment; filename="manifestor-export-${user._id}-${date}.${extension}"`);
+            res.setHeader('X-Export-Schema-Version', dataExportService.getSchema().version);
+            res.status(200);
+        });
+
+        if (!exported) {
             return res.status(404).json({
                 success: false,
                 error: 'User not found'
             });
         }
 
-        // Prepare export data
-        const exportData = {
-            profile: {
-                email: user.email,
-                fullName: user.fullName,
-                phone: user.phone,
-                location: user.location,
-                bio: user.bio,
-                createdAt: user.createdAt,
-                preferences: user.preferences
-            },
-            exportedAt: new Date().toISOString(),
-            version: '1.0'
-        };
-
-        // Set headers for file download
-        res.setHeader('Content-Type', 'application/json');
-        res.setHeader('Content-Disposition', `attachment; filename="manifestor-profile-${user._id}.json"`);
+        res.end();
 
-        res.json(exportData);
+        await TrackingUtils.trackEngagement('data_exported', req.user.id, { format });
     } catch (error) {
         console.error('Error exporting user data:', error);
+
+        // Once streaming has started the status can no longer change
+        if (res.headersSent) {
+            return res.destroy(error);
+        }
         res.status(500).json({
             success: false,
             error: 'Failed to export user data'
@@ -539,6 +555,71 @@ router.get('/export', authenticateToken, async (req, res) => {
     }
 });
 
+// Close account
+// DELETE /api/users/me  { password, reason? }
+// Schedules the account for deletion after a grace period; see services/accountDeletionService.js
+router.delete('/me', authenticateToken, async (req, res) => {
+    try {
+        const { password, reason } = req.body || {};
+
+        if (!password) {
+            return res.status(400).json({
+                success: false,
+                error: 'Password is required to delete your account'
+            });
+        }
+
+        const result = await accountDeletionService.requestDeletion(req.user.id, password, reason);
+
+        if (!result.success) {
+            return res.status(result.status || 400).json({
+                success: false,
+                error: result.error
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            data: {
+                scheduledFor: result.scheduledFor,
+                graceDays: accountDeletionService.getGraceDays()
+            },
+            message: `Your account will be permanently deleted on ${result.scheduledFor.toISOString().slice(0, 10)}. Log in before then and choose to restore it.`
+        });
+    } catch (error) {
+        console.error('Error requesting account deletion:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete account'
+        });
+    }
+});
+
+// Restore an account that is scheduled for deletion
+router.post('/me/restore', authenticateToken, async (req, res) => {
+    try {
+        const restored = await accountDeletionService.cancelDeletion(req.user.id);
+
+        if (!restored) {
+            return res.status(400).json({
+                success: false,
+                error: 'Account is not scheduled for deletion'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Account restored'
+        });
+    } catch (error) {
+        console.error('Error restoring account:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to restore account'
+        });
+    }
+});
+
 // Get user statistics
 router.get('/stats', authenticateToken, async (req, res) => {
     try {
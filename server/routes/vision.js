@@ -222,10 +222,6 @@ router.delete('/data', authMiddleware, async (req, res) => {
 // ADD THESE ENDPOINTS TO server/routes/vision.js
 // ================================
 
-// Import Ollama service
-const OllamaService = require('../services/ollama');
-const ollama = new OllamaService();
-
 // Save vision data only (no analysis)
 router.post('/save', authMiddleware, upload.single('resume'), async (req, res) => {
     try {
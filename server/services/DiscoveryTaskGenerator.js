@@ -3,7 +3,9 @@
  * Generates 21-day discovery activities and posts them to existing Goals page
  */
 
-const llamaService = require('./llamaService');
+const llmGateway = require('./llmGateway');
+const LLMResponseValidator = require('../shared/llm/responseValidator');
+const schemas = require('../shared/llm/schemas');
 const WeeklyGoal = require('../models/WeeklyGoal');
 const Task = require('../models/Task');
 
@@ -24,12 +26,14 @@ class DiscoveryTaskGenerator {
             console.log(`🧠 Generating discovery plan for dream: ${dreamData.dreamText.substring(0, 50)}...`);
             
             const prompt = this.buildDiscoveryPrompt(dreamData);
-            const llmResult = await llamaService.generateCompletion(prompt);
+            // A full 21-day plan is long; leave room for all of it
+            const llmResponse = await llmGateway.text(prompt, {
+                maxTokens: 16000,
+                responseSchema: schemas.getResponseSchema('discovery')
+            });
             
             let discoveryPlan;
             try {
-                // Extract the actual response text
-                const llmResponse = llmResult.response || llmResult;
                 console.log('📏 Full response length:', llmResponse.length);
                 
                 const cleanedResponse = this.cleanLLMResponse(llmResponse);
@@ -41,7 +45,7 @@ class DiscoveryTaskGenerator {
                 console.log('✅ JSON parsing successful!');
             } catch (parseError) {
                 console.warn('❌ LLM response parsing failed:', parseError.message);
-                console.log('📝 Raw LLM result length:', JSON.stringify(llmResult).length);
+                console.log('📝 Raw LLM result length:', llmResponse.length);
                 discoveryPlan = this.getFallbackDiscoveryPlan(dreamData);
             }
             
@@ -176,32 +180,10 @@ Return ONLY this JSON format:
      * Validate and sanitize discovery plan
      */
     validateDiscoveryPlan(plan) {
-        if (!plan || !plan.weeks || !Array.isArray(plan.weeks)) {
-            throw new Error('Invalid plan structure');
-        }
-        
-        // Ensure exactly 3 weeks
-        if (plan.weeks.length !== 3) {
-            throw new Error('Plan must have exactly 3 weeks');
-        }
-        
-        // Validate each week
-        plan.weeks.forEach((week, index) => {
-            if (!week.activities || !Array.isArray(week.activities)) {
-                throw new Error(`Week ${index + 1} missing activities`);
-            }
-            
-            // Ensure each week has activities
-            if (week.activities.length === 0) {
-                throw new Error(`Week ${index + 1} has no activities`);
-            }
-            
-            // Validate activities
+        LLMResponseValidator.assertSchema(plan, 'discovery');
+
+        plan.weeks.forEach((week) => {
             week.activities.forEach((activity, actIndex) => {
-                if (!activity.title || !activity.description) {
-                    throw new Error(`Week ${index + 1}, Activity ${actIndex + 1} missing title or description`);
-                }
-                
                 // Set defaults
                 activity.estimatedTime = activity.estimatedTime || 30;
                 activity.type = activity.type || 'general';
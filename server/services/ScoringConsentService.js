@@ -73,10 +73,13 @@ class ScoringConsentService {
             const consent = user.scoringConsent || this.getDefaultConsent();
             const filteredData = {
                 userId: user._id,
+                stage: user.userStage || 'discovery',
                 basicInfo: {
                     fullName: user.fullName || '',
                     email: user.email || ''
                 },
+                // Consent settings the data was filtered by, so scoring can filter events the same way
+                consent,
                 consentedData: {}
             };
             
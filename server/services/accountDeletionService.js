@@ -0,0 +1,239 @@
+/**
+ * server/services/accountDeletionService.js
+ * Account closure: soft-delete with a grace period, then a hard purge.
+ *
+ * DELETE /api/users/me marks the account for deletion. Until the grace period
+ * ends the user can log in and restore it; reminder emails stop straight away.
+ * An hourly job then purges every document that references the user, removes
+ * their uploaded files, deletes the User and writes an AccountDeletionAudit.
+ */
+
+const cron = require('node-cron');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const fs = require('fs').promises;
+const User = require('../models/User');
+const TrackingEvent = require('../models/TrackingEvent');
+const AccountDeletionAudit = require('../models/AccountDeletionAudit');
+const Session = require('../models/Session');
+const AuthToken = require('../models/AuthToken');
+const { VisionData } = require('../models/visionData');
+const eventStore = require('./eventStore');
+const { USER_COLLECTIONS } = require('./dataExportService');
+const TrackingUtils = require('../utils/trackingUtils');
+const logger = require('../utils/logger');
+
+const GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+const PURGE_SCHEDULE = process.env.ACCOUNT_PURGE_CRON || '15 * * * *';
+
+// Everything the export covers, plus account records that are not exported.
+// Tracking events are purged separately
+const PURGE_COLLECTIONS = [
+    ...USER_COLLECTIONS,
+    { name: 'sessions', model: Session, filter: userId => ({ user: userId }) },
+    { name: 'authTokens', model: AuthToken, filter: userId => ({ user: userId }) }
+];
+
+function hashEmail(email) {
+    return crypto.createHash('sha256').update(String(email || '').trim().toLowerCase()).digest('hex');
+}
+
+class AccountDeletionService {
+    constructor() {
+        this.job = null;
+        this.running = false;
+    }
+
+    getGraceDays() {
+        return GRACE_DAYS;
+    }
+
+    /**
+     * Schedule a user's account for deletion after re-checking their password.
+     * Returns { success, error?, status?, scheduledFor? }.
+     */
+    async requestDeletion(userId, password, reason) {
+        const user = await User.findById(userId);
+        if (!user) {
+            return { success: false, status: 404, error: 'User not found' };
+        }
+
+        const isMatch = typeof password === 'string' && await bcrypt.compare(password, user.password);
+        if (!isMatch) {
+            return { success: false, status: 401, error: 'Password is incorrect' };
+        }
+
+        if (user.deletion && user.deletion.scheduledFor) {
+            return { success: true, scheduledFor: user.deletion.scheduledFor, alreadyScheduled: true };
+        }
+
+        const requestedAt = new Date();
+        const scheduledFor = new Date(requestedAt.getTime() + GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+        user.deletion = { requestedAt, scheduledFor, reason };
+        await user.save();
+
+        await TrackingUtils.trackEngagement('account_deletion_requested', user._id, {
+            scheduledFor: scheduledFor.toISOString(),
+            graceDays: GRACE_DAYS
+        });
+
+        return { success: true, scheduledFor };
+    }
+
+    /**
+     * Cancel a pending deletion. Returns false if none was pending.
+     */
+    async cancelDeletion(userId) {
+        const user = await User.findById(userId);
+        if (!user || !user.deletion || !user.deletion.scheduledFor) {
+            return false;
+        }
+
+        user.deletion = { requestedAt: null, scheduledFor: null };
+        await user.save();
+
+        await TrackingUtils.trackEngagement('account_deletion_cancelled', user._id);
+        return true;
+    }
+
+    /**
+     * Paths of every uploaded file belonging to the user.
+     */
+    async collectFiles(user) {
+        const paths = (user.resumes || []).map(resume => resume.path);
+
+        const visionUploads = await VisionData.find({ userId: user._id, 'responses.resume': { $exists: true, $ne: '' } })
+            .select('responses.resume')
+            .lean();
+        visionUploads.forEach(doc => paths.push(doc.responses.resume));
+
+        return Array.from(new Set(paths.filter(Boolean)));
+    }
+
+    async deleteFiles(paths) {
+        let deleted = 0;
+        let missing = 0;
+
+        for (const filePath of paths) {
+            try {
+                await fs.unlink(filePath);
+                deleted++;
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+                missing++;
+            }
+        }
+
+        return { deleted, missing };
+    }
+
+    /**
+     * Hard-delete a user and everything referencing them, then record an audit.
+     * Returns the audit document.
+     */
+    async purgeUser(user) {
+        const userId = user._id;
+        const deletedCounts = {};
+        const remainingCounts = {};
+        let files = { deleted: 0, missing: 0 };
+        let error = null;
+
+        try {
+            // Files first: their paths live in documents that are about to go
+            files = await this.deleteFiles(await this.collectFiles(user));
+
+            for (const collection of PURGE_COLLECTIONS) {
+                const result = await collection.model.deleteMany(collection.filter(userId));
+                deletedCounts[collection.name] = result.deletedCount || 0;
+            }
+
+            // Drops buffered events as well as stored ones
+            deletedCounts.trackingEvents = await eventStore.deleteUserEvents(userId);
+
+            const result = await User.deleteOne({ _id: userId });
+            deletedCounts.users = result.deletedCount || 0;
+
+            // Verify nothing was left behind or written concurrently
+            for (const collection of PURGE_COLLECTIONS) {
+                remainingCounts[collection.name] = await collection.model.countDocuments(collection.filter(userId));
+            }
+            remainingCounts.trackingEvents = await TrackingEvent.countDocuments({ userId });
+            remainingCounts.users = await User.countDocuments({ _id: userId });
+        } catch (err) {
+            error = err;
+        }
+
+        const remaining = Object.values(remainingCounts).reduce((sum, count) => sum + count, 0);
+        const status = !error && remaining === 0 ? 'completed' : 'failed';
+
+        const audit = await AccountDeletionAudit.create({
+            userId,
+            emailHash: hashEmail(user.email),
+            requestedAt: user.deletion && user.deletion.requestedAt,
+            scheduledFor: user.deletion && user.deletion.scheduledFor,
+            purgedAt: new Date(),
+            status,
+            deletedCounts,
+            remainingCounts,
+            filesDeleted: files.deleted,
+            filesMissing: files.missing,
+            error: error ? error.message : (remaining ? `${remaining} documents remained after purge` : undefined)
+        });
+
+        if (status === 'completed') {
+            logger.info({ userId: userId.toString(), auditId: audit._id.toString(), deletedCounts }, 'Account purged');
+        } else {
+            logger.error({ userId: userId.toString(), auditId: audit._id.toString(), error: audit.error }, 'Account purge failed');
+        }
+
+        return audit;
+    }
+
+    /**
+     * Purge every account whose grace period has ended.
+     * A purge that fails before the User document is deleted is retried on the next run.
+     */
+    async purgeDueAccounts(now = new Date()) {
+        if (this.running) return [];
+        this.running = true;
+
+        try {
+            const users = await User.find({ 'deletion.scheduledFor': { $ne: null, $lte: now } });
+            const audits = [];
+
+            for (const user of users) {
+                audits.push(await this.purgeUser(user));
+            }
+
+            return audits;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Start the scheduled purge job.
+     */
+    start() {
+        if (this.job) return;
+
+        this.job = cron.schedule(PURGE_SCHEDULE, () => {
+            this.purgeDueAccounts().catch(error => {
+                logger.error({ error: error.message }, 'Scheduled account purge failed');
+            });
+        });
+
+        logger.info({ schedule: PURGE_SCHEDULE, graceDays: GRACE_DAYS }, 'Account purge job started');
+    }
+
+    stop() {
+        if (!this.job) return;
+        this.job.stop();
+        this.job = null;
+    }
+}
+
+module.exports = new AccountDeletionService();
+module.exports.hashEmail = hashEmail;
+module.exports.PURGE_COLLECTIONS = PURGE_COLLECTIONS;
@@ -0,0 +1,201 @@
+/**
+ * server/services/achievementService.js
+ * Badges and the reward ledger.
+ *
+ * Badges are defined once in config/badges.js and earned at most once per
+ * user: awarding is an upsert on the unique (user, badgeId) index, so
+ * concurrent or repeated awards are no-ops, and each new badge is posted to
+ * the user's notification inbox. Every trigger shown and reward given by the
+ * habit loop is appended to the RewardLedger collection.
+ */
+
+const Achievement = require('../models/Achievement');
+const RewardLedger = require('../models/RewardLedger');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const Reflection = require('../models/Reflection');
+const checkInService = require('./checkInService');
+const notificationService = require('./notificationService');
+const { BADGES, getBadge } = require('../config/badges');
+
+const STAGE_ORDER = ['discovery', 'onboarding', 'growth', 'mastery', 'mentorship'];
+const DEFAULT_HISTORY_LIMIT = 50;
+const MAX_HISTORY_LIMIT = 200;
+
+function toBadge(definition, achievement = null) {
+    const { metric, target, ...badge } = definition;
+    return achievement
+        ? { ...badge, earnedAt: achievement.earnedAt, trigger: achievement.trigger }
+        : badge;
+}
+
+class AchievementService {
+    /**
+     * Current value of every badge metric for a user.
+     */
+    async getStats(userId) {
+        const user = await User.findById(userId).select('userStage timezone');
+        if (!user) throw new Error('User not found');
+
+        const [tasksCompleted, reflections, streak] = await Promise.all([
+            Task.countDocuments({ user: userId, completed: true }),
+            Reflection.countDocuments({ user: userId }),
+            checkInService.getStreak(userId, user)
+        ]);
+
+        return {
+            tasksCompleted,
+            reflections,
+            currentStreak: streak.current,
+            longestStreak: streak.longest,
+            stagesCompleted: Math.max(0, STAGE_ORDER.indexOf(user.userStage))
+        };
+    }
+
+    /**
+     * Award a badge unless the user already has it.
+     * Returns { awarded, badge }; `awarded` is false for repeats.
+     */
+    async awardBadge(userId, badgeId, trigger = {}, metricValue = null) {
+        const definition = getBadge(badgeId);
+        if (!definition) throw new Error(`Unknown badge: ${badgeId}`);
+
+        const earnedAt = new Date();
+        try {
+            const result = await Achievement.updateOne(
+                { user: userId, badgeId },
+                { $setOnInsert: { earnedAt, trigger, metricValue } },
+                { upsert: true }
+            );
+            const awarded = result.upsertedCount > 0;
+            if (awarded) {
+                await notificationService.notify(userId, {
+                    type: 'badge',
+                    title: `${definition.icon} Badge earned: ${definition.name}`,
+                    message: definition.description,
+                    link: '/achievements',
+                    data: { badgeId },
+                    dedupeKey: `badge:${userId}:${badgeId}`
+                });
+            }
+            return { awarded, badge: awarded ? toBadge(definition, { earnedAt, trigger }) : toBadge(definition) };
+        } catch (error) {
+            // Two awards raced and the other one inserted first
+            if (error.code === 11000) {
+                return { awarded: false, badge: toBadge(definition) };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Award every badge whose target the user has reached. Returns the badges
+     * that were newly earned, in definition order.
+     */
+    async evaluateBadges(userId, trigger = {}, stats = null) {
+        stats = stats || await this.getStats(userId);
+        const earned = await Achievement.find({ user: userId }).select('badgeId').lean();
+        const earnedIds = new Set(earned.map(achievement => achievement.badgeId));
+
+        const awarded = [];
+        for (const definition of BADGES) {
+            if (earnedIds.has(definition.id) || (stats[definition.metric] || 0) < definition.target) continue;
+
+            const result = await this.awardBadge(userId, definition.id, trigger, stats[definition.metric]);
+            if (result.awarded) awarded.push(result.badge);
+        }
+        return awarded;
+    }
+
+    /**
+     * Earned badges (newest first) and locked badges with progress.
+     */
+    async listBadges(userId) {
+        const [stats, achievements] = await Promise.all([
+            this.getStats(userId),
+            Achievement.find({ user: userId }).sort({ earnedAt: -1 }).lean()
+        ]);
+        const achievementsById = new Map(achievements.map(achievement => [achievement.badgeId, achievement]));
+
+        const earned = achievements
+            .filter(achievement => getBadge(achievement.badgeId))
+            .map(achievement => toBadge(getBadge(achievement.badgeId), achievement));
+
+        const locked = BADGES
+            .filter(definition => !achievementsById.has(definition.id))
+            .map(definition => {
+                const current = Math.min(stats[definition.metric] || 0, definition.target);
+                return {
+                    ...toBadge(definition),
+                    progress: {
+                        metric: definition.metric,
+                        current,
+                        target: definition.target,
+                        percentage: Math.round((current / definition.target) * 100)
+                    }
+                };
+            });
+
+        return {
+            earned,
+            locked,
+            stats,
+            totals: { earned: earned.length, available: BADGES.length }
+        };
+    }
+
+    async recordReward(userId, reward, cause = {}) {
+        return RewardLedger.create({
+            user: userId,
+            kind: 'reward',
+            type: reward.type,
+            badgeId: reward.badge ? reward.badge.id : null,
+            cause,
+            payload: reward
+        });
+    }
+
+    /**
+     * Options: dedupeKey - write the entry at most once per key; a repeat
+     * returns the existing entry.
+     */
+    async recordTrigger(userId, trigger, cause = {}, options = {}) {
+        const entry = {
+            user: userId,
+            kind: 'trigger',
+            type: trigger.type,
+            cause,
+            payload: trigger
+        };
+        if (!options.dedupeKey) {
+            return RewardLedger.create(entry);
+        }
+
+        try {
+            return await RewardLedger.create({ ...entry, dedupeKey: options.dedupeKey });
+        } catch (error) {
+            if (error.code === 11000) {
+                return RewardLedger.findOne({ dedupeKey: options.dedupeKey });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Ledger entries, newest first. Options: kind, limit, before (date).
+     */
+    async getHistory(userId, options = {}) {
+        const filter = { user: userId };
+        if (options.kind) filter.kind = options.kind;
+        if (options.before) filter.createdAt = { $lt: new Date(options.before) };
+
+        const limit = Math.min(parseInt(options.limit, 10) || DEFAULT_HISTORY_LIMIT, MAX_HISTORY_LIMIT);
+        return RewardLedger.find(filter)
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .lean();
+    }
+}
+
+module.exports = new AchievementService();
+module.exports.STAGE_ORDER = STAGE_ORDER;
@@ -4,12 +4,12 @@
  */
 
 const { ADAPTATION_ENGINE } = require('../config/journeySystem');
-const llamaService = require('./llamaService');
+const llmGateway = require('./llmGateway');
 const User = require('../models/User');
 
 class AdaptationEngine {
     constructor() {
-        this.llamaService = llamaService;
+        this.llm = llmGateway;
         this.analysisCache = new Map(); // Cache analysis results
         this.adaptationHistory = new Map(); // Track adaptation history per user
     }
@@ -426,7 +426,7 @@ Format as JSON:
 `;
 
         try {
-            const response = await this.llamaService.generateCompletion(insightsPrompt);
+            const response = await this.llm.text(insightsPrompt);
             const jsonMatch = response.match(/\{[\s\S]*\}/);
             if (jsonMatch) {
                 const parsed = JSON.parse(jsonMatch[0]);
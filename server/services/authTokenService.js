@@ -0,0 +1,168 @@
+/**
+ * server/services/authTokenService.js
+ * Password reset and email verification by emailed, single-use links.
+ *
+ * The plain token only ever appears in the email; the AuthToken document keeps
+ * its SHA-256 hash. Tokens are spent atomically (usedAt is set in the same
+ * update that finds them), so a link works exactly once. Issuing a new token
+ * of the same kind drops the user's outstanding ones.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const AuthToken = require('../models/AuthToken');
+const emailService = require('./emailService');
+const sessionService = require('./sessionService');
+const logger = require('../utils/logger');
+
+const RESET_TOKEN_MINUTES = parseInt(process.env.PASSWORD_RESET_TOKEN_MINUTES, 10) || 60;
+const VERIFY_TOKEN_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TOKEN_HOURS, 10) || 48;
+
+class AuthTokenError extends Error {
+    constructor(message, code, status = 400) {
+        super(message);
+        this.name = 'AuthTokenError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function getAppUrl() {
+    return process.env.APP_URL || 'http://localhost:3000';
+}
+
+class AuthTokenService {
+    /**
+     * Store a new token for the user and return the plain value.
+     */
+    async issueToken(userId, purpose, ttlMs, extra = {}) {
+        await AuthToken.deleteMany({ user: userId, purpose, usedAt: null });
+
+        const token = crypto.randomBytes(32).toString('base64url');
+        await AuthToken.create({
+            user: userId,
+            purpose,
+            tokenHash: hashToken(token),
+            expiresAt: new Date(Date.now() + ttlMs),
+            ...extra
+        });
+        return token;
+    }
+
+    /**
+     * Spend a token. Returns the AuthToken document, or throws if the token is
+     * unknown, expired or already used.
+     */
+    async consumeToken(token, purpose) {
+        if (!token || typeof token !== 'string') {
+            throw new AuthTokenError('This link is invalid or has expired.', 'INVALID_TOKEN');
+        }
+
+        const now = new Date();
+        const record = await AuthToken.findOneAndUpdate(
+            { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: now } },
+            { $set: { usedAt: now } },
+            { new: true }
+        );
+
+        if (!record) {
+            throw new AuthTokenError('This link is invalid or has expired.', 'INVALID_TOKEN');
+        }
+        return record;
+    }
+
+    /**
+     * Email a reset link if an account exists. Returns whether one was sent;
+     * callers must not reveal this to the requester.
+     */
+    async requestPasswordReset(email, req) {
+        const user = await User.findOne({ email });
+        if (!user) return false;
+
+        const token = await this.issueToken(user._id, 'password_reset', RESET_TOKEN_MINUTES * 60 * 1000, {
+            ip: (req && req.ip) || ''
+        });
+
+        const result = await emailService.sendEmail(user.email, 'Reset your password', 'password-reset', {
+            name: user.name,
+            resetUrl: `${getAppUrl()}/index.html?resetToken=${encodeURIComponent(token)}`,
+            expiresInMinutes: RESET_TOKEN_MINUTES,
+            appUrl: getAppUrl()
+        }, { userId: user._id, locale: user.locale });
+
+        if (!result.success) {
+            logger.warn({ userId: user._id.toString(), error: result.error }, 'Password reset email failed');
+        }
+        return result.success;
+    }
+
+    /**
+     * Set a new password from a reset link. Every session is revoked, so
+     * anyone holding the old password is logged out.
+     */
+    async resetPassword(token, password) {
+        const record = await this.consumeToken(token, 'password_reset');
+
+        const salt = await bcrypt.genSalt(10);
+        const hash = await bcrypt.hash(password, salt);
+        const result = await User.updateOne({ _id: record.user }, { $set: { password: hash } });
+        if (result.matchedCount === 0) {
+            throw new AuthTokenError('This link is invalid or has expired.', 'INVALID_TOKEN');
+        }
+
+        const sessionsRevoked = await sessionService.revokeAllSessions(record.user, 'password_reset');
+        await AuthToken.deleteMany({ user: record.user, purpose: 'password_reset', usedAt: null });
+
+        return { userId: record.user, sessionsRevoked };
+    }
+
+    /**
+     * Email a verification link for the user's current address.
+     */
+    async sendVerification(user) {
+        const token = await this.issueToken(user._id, 'email_verification', VERIFY_TOKEN_HOURS * 60 * 60 * 1000, {
+            email: user.email
+        });
+
+        const result = await emailService.sendEmail(user.email, 'Confirm your email address', 'verify-email', {
+            name: user.name,
+            email: user.email,
+            verifyUrl: `${getAppUrl()}/index.html?verifyToken=${encodeURIComponent(token)}`,
+            expiresInHours: VERIFY_TOKEN_HOURS,
+            appUrl: getAppUrl()
+        }, { userId: user._id, locale: user.locale });
+
+        if (!result.success) {
+            logger.warn({ userId: user._id.toString(), error: result.error }, 'Verification email failed');
+        }
+        return result.success;
+    }
+
+    /**
+     * Mark the user's email as verified. The link only counts for the address
+     * it was sent to.
+     */
+    async verifyEmail(token) {
+        const record = await this.consumeToken(token, 'email_verification');
+
+        const user = await User.findOneAndUpdate(
+            { _id: record.user, email: record.email },
+            { $set: { emailVerified: true, emailVerifiedAt: new Date() } },
+            { new: true }
+        );
+        if (!user) {
+            throw new AuthTokenError('This link is for an email address that is no longer on the account.', 'EMAIL_CHANGED');
+        }
+
+        return user;
+    }
+}
+
+module.exports = new AuthTokenService();
+module.exports.AuthTokenError = AuthTokenError;
+module.exports.hashToken = hashToken;
@@ -0,0 +1,200 @@
+/**
+ * server/services/calendarFeedService.js
+ * iCalendar feed of a user's weekly plan, for subscribing from calendar apps.
+ *
+ * Calendar apps cannot send a JWT, so the feed is served at a secret URL.
+ * The token is shown once when it is created; only its hash is stored, and
+ * rotating or revoking it invalidates the old URL.
+ *
+ * The feed contains:
+ *   - tasks, as all-day events on their day of the goal's week. 'daily' and
+ *     'alternate' tasks become RRULEs that end with that week.
+ *   - sprint days of active journeys, as all-day events counted from the
+ *     journey's start date.
+ */
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const WeeklyGoal = require('../models/WeeklyGoal');
+const Journey = require('../models/Journey');
+const { getStartOfWeek } = require('../utils/date');
+const ical = require('../utils/icalendar');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DAY_OFFSETS = { Mon: 0, Tue: 1, Wed: 2, Thu: 3, Fri: 4, Sat: 5, Sun: 6 };
+const UID_DOMAIN = 'manifestor.app';
+
+// How many past weeks of tasks stay in the feed
+const LOOKBACK_WEEKS = parseInt(process.env.CALENDAR_FEED_LOOKBACK_WEEKS, 10) || 4;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function addDays(date, days) {
+    return new Date(date.getTime() + days * MS_PER_DAY);
+}
+
+function getStartOfDay(date) {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+}
+
+/**
+ * RRULE for a repeating task; repeats stop at the end of the task's week.
+ */
+function buildRecurrence(repeatType, weekStart) {
+    if (!repeatType || repeatType === 'none') return null;
+
+    const until = ical.formatDate(addDays(weekStart, 6), true);
+    return repeatType === 'alternate'
+        ? `FREQ=DAILY;INTERVAL=2;UNTIL=${until}`
+        : `FREQ=DAILY;UNTIL=${until}`;
+}
+
+function allDayEvent({ uid, start, summary, description, rrule, categories, stamp, status }) {
+    return {
+        type: 'VEVENT',
+        properties: [
+            ['UID', `${uid}@${UID_DOMAIN}`],
+            ['DTSTAMP', ical.formatDate(stamp || new Date())],
+            ['DTSTART;VALUE=DATE', ical.formatDate(start, true)],
+            ['DTEND;VALUE=DATE', ical.formatDate(addDays(start, 1), true)],
+            ['RRULE', rrule],
+            ['SUMMARY', ical.escapeText(summary)],
+            ['DESCRIPTION', description ? ical.escapeText(description) : null],
+            ['CATEGORIES', categories ? ical.escapeText(categories) : null],
+            ['STATUS', status],
+            ['TRANSP', 'TRANSPARENT']
+        ]
+    };
+}
+
+class CalendarFeedService {
+    /**
+     * Create (or rotate) the user's feed token. Returns the plain token.
+     */
+    async createToken(userId) {
+        const token = crypto.randomBytes(24).toString('base64url');
+
+        const user = await User.findByIdAndUpdate(userId, {
+            $set: {
+                'calendarFeed.tokenHash': hashToken(token),
+                'calendarFeed.createdAt': new Date()
+            }
+        }, { new: true });
+
+        return user ? token : null;
+    }
+
+    async revokeToken(userId) {
+        const result = await User.updateOne(
+            { _id: userId, 'calendarFeed.tokenHash': { $ne: null } },
+            { $set: { 'calendarFeed.tokenHash': null, 'calendarFeed.createdAt': null } }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    async getStatus(userId) {
+        const user = await User.findById(userId).select('calendarFeed');
+        if (!user) return null;
+
+        const feed = user.calendarFeed || {};
+        return { active: Boolean(feed.tokenHash), createdAt: feed.createdAt || null };
+    }
+
+    async findUserByToken(token) {
+        if (!token || typeof token !== 'string') return null;
+        return User.findOne({ 'calendarFeed.tokenHash': hashToken(token) })
+            .select('_id name deletion');
+    }
+
+    /**
+     * Task events for goals from LOOKBACK_WEEKS ago onwards.
+     */
+    async buildTaskEvents(userId, now = new Date()) {
+        const since = addDays(getStartOfWeek(now), -7 * LOOKBACK_WEEKS);
+        const goals = await WeeklyGoal.find({ user: userId, weekOf: { $gte: since } }, '_id title weekOf');
+        if (goals.length === 0) return [];
+
+        const goalsById = new Map(goals.map(goal => [goal._id.toString(), goal]));
+        const tasks = await Task.find({ user: userId, goal: { $in: goals.map(goal => goal._id) } });
+
+        return tasks
+            .filter(task => DAY_OFFSETS[task.day] !== undefined)
+            .map(task => {
+                const goal = goalsById.get(task.goal.toString());
+                const weekStart = getStartOfWeek(goal.weekOf);
+                const details = [`Goal: ${goal.title}`, `Estimated time: ${task.estTime} min`];
+                if (task.rationale) details.push(task.rationale);
+
+                return allDayEvent({
+                    uid: `task-${task._id}`,
+                    start: addDays(weekStart, DAY_OFFSETS[task.day]),
+                    summary: task.completed ? `✓ ${task.name}` : task.name,
+                    description: details.join('\n'),
+                    rrule: buildRecurrence(task.repeatType, weekStart),
+                    categories: goal.title,
+                    stamp: task.updatedAt,
+                    status: 'CONFIRMED'
+                });
+            });
+    }
+
+    /**
+     * One event per sprint day of the user's active journeys.
+     */
+    async buildSprintEvents(userId) {
+        const journeys = await Journey.find({ user: userId, status: { $in: ['active', 'paused'] } });
+        const events = [];
+
+        journeys.forEach(journey => {
+            const start = getStartOfDay(journey.startDate || journey.createdAt || new Date());
+
+            (journey.sprints || []).forEach(sprint => {
+                (sprint.days || []).forEach(day => {
+                    events.push(allDayEvent({
+                        uid: `journey-${journey._id}-day-${day}`,
+                        start: addDays(start, day - 1),
+                        summary: `Day ${day}: ${sprint.name}`,
+                        description: `Sprint ${sprint.sprintNumber}, week ${sprint.week} of your journey: ${journey.dreamText}`,
+                        categories: 'Journey',
+                        stamp: journey.updatedAt,
+                        status: sprint.status === 'completed' ? 'CONFIRMED' : 'TENTATIVE'
+                    }));
+                });
+            });
+        });
+
+        return events;
+    }
+
+    /**
+     * Full .ics document for a user.
+     */
+    async buildCalendar(user, now = new Date()) {
+        const [taskEvents, sprintEvents] = await Promise.all([
+            this.buildTaskEvents(user._id, now),
+            this.buildSprintEvents(user._id)
+        ]);
+
+        return ical.serialize({
+            properties: [
+                ['VERSION', '2.0'],
+                ['PRODID', '-//Manifestor//Weekly Plan//EN'],
+                ['CALSCALE', 'GREGORIAN'],
+                ['METHOD', 'PUBLISH'],
+                ['X-WR-CALNAME', ical.escapeText(`Manifestor plan${user.name ? ` - ${user.name}` : ''}`)],
+                ['REFRESH-INTERVAL;VALUE=DURATION', 'PT1H'],
+                ['X-PUBLISHED-TTL', 'PT1H']
+            ],
+            components: [...taskEvents, ...sprintEvents]
+        });
+    }
+}
+
+module.exports = new CalendarFeedService();
+module.exports.hashToken = hashToken;
+module.exports.buildRecurrence = buildRecurrence;
@@ -0,0 +1,286 @@
+/**
+ * server/services/checkInService.js
+ * Daily check-ins and timezone-aware streaks.
+ *
+ * Check-ins are stored per local calendar day (see models/CheckIn.js). Streaks
+ * are counted over calendar days rather than 24-hour windows, so a user who
+ * checks in every evening keeps their streak even when a DST change makes a
+ * day 23 or 25 hours long.
+ */
+
+const User = require('../models/User');
+const CheckIn = require('../models/CheckIn');
+const TrackingUtils = require('../utils/trackingUtils');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// How far back a missed day can be backfilled, and how many grace days a user gets per 30 days
+const GRACE_WINDOW_DAYS = parseInt(process.env.CHECKIN_GRACE_WINDOW_DAYS, 10) || 2;
+const GRACE_DAYS_PER_MONTH = parseInt(process.env.CHECKIN_GRACE_DAYS_PER_MONTH, 10) || 2;
+
+// Check-ins loaded when computing streaks; comfortably longer than any streak we reward
+const HISTORY_LOOKBACK_DAYS = 400;
+
+/**
+ * Check that a string is an IANA timezone the runtime understands.
+ */
+function isValidTimezone(timezone) {
+    if (!timezone || typeof timezone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Calendar date (YYYY-MM-DD) of an instant in the given timezone.
+ */
+function getLocalDate(date = new Date(), timezone = 'UTC') {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: isValidTimezone(timezone) ? timezone : 'UTC',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).formatToParts(date);
+
+    const get = type => parts.find(part => part.type === type).value;
+    return `${get('year')}-${get('month')}-${get('day')}`;
+}
+
+/**
+ * Local calendar date (YYYY-MM-DD), hour (0-23) and weekday (0 = Sunday) of
+ * an instant in the given timezone.
+ */
+function getLocalTime(date = new Date(), timezone = 'UTC') {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: isValidTimezone(timezone) ? timezone : 'UTC',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: 'numeric',
+        hourCycle: 'h23',
+        weekday: 'short'
+    }).formatToParts(date);
+
+    const get = type => parts.find(part => part.type === type).value;
+    return {
+        date: `${get('year')}-${get('month')}-${get('day')}`,
+        hour: parseInt(get('hour'), 10),
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'))
+    };
+}
+
+/**
+ * Whole calendar days from one YYYY-MM-DD date to another.
+ */
+function daysBetween(fromDate, toDate) {
+    const toUTC = value => {
+        const [year, month, day] = value.split('-').map(Number);
+        return Date.UTC(year, month - 1, day);
+    };
+    return Math.round((toUTC(toDate) - toUTC(fromDate)) / MS_PER_DAY);
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of days.
+ */
+function addDays(localDate, days) {
+    const [year, month, day] = localDate.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Current and longest streaks from a list of YYYY-MM-DD dates.
+ * The current streak is still alive if the last check-in was yesterday.
+ */
+function computeStreaks(localDates, today) {
+    const dates = Array.from(new Set(localDates)).sort();
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+
+    dates.forEach(date => {
+        run = previous && daysBetween(previous, date) === 1 ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        previous = date;
+    });
+
+    const last = dates[dates.length - 1];
+    const current = last && daysBetween(last, today) <= 1 ? run : 0;
+
+    return { current, longest, lastDate: last || null };
+}
+
+class CheckInService {
+    /**
+     * Timezone to use for a user: a valid stored timezone, otherwise UTC.
+     */
+    getUserTimezone(user) {
+        return user && isValidTimezone(user.timezone) ? user.timezone : 'UTC';
+    }
+
+    async loadHistory(userId, today) {
+        const since = addDays(today, -HISTORY_LOOKBACK_DAYS);
+        return CheckIn.find({ user: userId, localDate: { $gte: since } })
+            .sort({ localDate: 1 })
+            .select('localDate grace checkedInAt');
+    }
+
+    /**
+     * Streak summary for a user as of now, in their timezone.
+     */
+    async getStreak(userId, user = null) {
+        user = user || await User.findById(userId);
+        if (!user) throw new Error('User not found');
+
+        const timezone = this.getUserTimezone(user);
+        const today = getLocalDate(new Date(), timezone);
+        const history = await this.loadHistory(userId, today);
+        const streaks = computeStreaks(history.map(entry => entry.localDate), today);
+
+        return {
+            ...streaks,
+            today,
+            timezone,
+            checkedInToday: streaks.lastDate === today,
+            history
+        };
+    }
+
+    /**
+     * Record today's check-in and update the user's streak fields.
+     *
+     * @param {string} userId
+     * @param {object} options - timezone (stored on the user when valid), mood, note
+     */
+    async checkIn(userId, options = {}) {
+        const user = await User.findById(userId);
+        if (!user) throw new Error('User not found');
+
+        if (options.timezone && isValidTimezone(options.timezone) && options.timezone !== user.timezone) {
+            user.timezone = options.timezone;
+        }
+
+        const timezone = this.getUserTimezone(user);
+        const now = new Date();
+        const today = getLocalDate(now, timezone);
+
+        let created = true;
+        try {
+            await CheckIn.create({
+                user: userId,
+                localDate: today,
+                timezone,
+                checkedInAt: now,
+                mood: options.mood,
+                note: options.note
+            });
+        } catch (error) {
+            // Duplicate key: already checked in today
+            if (error.code !== 11000) throw error;
+            created = false;
+        }
+
+        const streak = await this.getStreak(userId, user);
+
+        user.lastCheckIn = now;
+        user.streakCount = streak.current;
+        user.currentStreak = streak.current;
+        await user.save();
+
+        if (created) {
+            await TrackingUtils.trackEngagement('daily_check_in', userId, {
+                localDate: today,
+                timezone,
+                streakCount: streak.current,
+                mood: options.mood
+            });
+        }
+
+        return { created, streak };
+    }
+
+    /**
+     * Backfill a missed day as a grace check-in.
+     * Only recent days can be backfilled, and only a few per 30 days.
+     */
+    async useGraceDay(userId, localDate) {
+        const user = await User.findById(userId);
+        if (!user) throw new Error('User not found');
+
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(localDate || '')) {
+            return { success: false, error: 'date must be formatted YYYY-MM-DD' };
+        }
+
+        const timezone = this.getUserTimezone(user);
+        const today = getLocalDate(new Date(), timezone);
+        const daysAgo = daysBetween(localDate, today);
+
+        if (daysAgo < 1) {
+            return { success: false, error: 'Only past days can be backfilled' };
+        }
+        if (daysAgo > GRACE_WINDOW_DAYS) {
+            return { success: false, error: `Only the last ${GRACE_WINDOW_DAYS} days can be backfilled` };
+        }
+
+        const graceRemaining = await this.getGraceDaysRemaining(userId, today);
+        if (graceRemaining === 0) {
+            return { success: false, error: `You have used all ${GRACE_DAYS_PER_MONTH} grace days for this month` };
+        }
+
+        try {
+            await CheckIn.create({ user: userId, localDate, timezone, grace: true });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            return { success: false, error: 'You already checked in on that day' };
+        }
+
+        const streak = await this.getStreak(userId, user);
+        user.streakCount = streak.current;
+        user.currentStreak = streak.current;
+        await user.save();
+
+        await TrackingUtils.trackEngagement('grace_day_used', userId, { localDate, streakCount: streak.current });
+
+        return {
+            success: true,
+            streak,
+            graceDaysRemaining: graceRemaining - 1
+        };
+    }
+
+    /**
+     * Check-in history for the last `days` local days, newest first.
+     */
+    async getHistory(userId, days = 30) {
+        const user = await User.findById(userId);
+        if (!user) throw new Error('User not found');
+
+        const today = getLocalDate(new Date(), this.getUserTimezone(user));
+        return CheckIn.find({ user: userId, localDate: { $gt: addDays(today, -days) } })
+            .sort({ localDate: -1 })
+            .select('localDate timezone checkedInAt grace mood note');
+    }
+
+    /**
+     * Remaining grace days in the current 30-day window.
+     */
+    async getGraceDaysRemaining(userId, today) {
+        const used = await CheckIn.countDocuments({
+            user: userId,
+            grace: true,
+            localDate: { $gt: addDays(today, -30) }
+        });
+        return Math.max(GRACE_DAYS_PER_MONTH - used, 0);
+    }
+}
+
+module.exports = new CheckInService();
+module.exports.isValidTimezone = isValidTimezone;
+module.exports.getLocalDate = getLocalDate;
+module.exports.getLocalTime = getLocalTime;
+module.exports.daysBetween = daysBetween;
+module.exports.addDays = addDays;
+module.exports.computeStreaks = computeStreaks;
@@ -9,9 +9,10 @@ const { LLMInsights } = require('./llmInsights');
 const { PROFESSIONAL_READINESS_DIMENSIONS } = require('./scoringRules');
 
 class ComprehensiveAnalysis {
-  constructor(openaiApiKey = null) {
+  constructor() {
     this.scoringEngine = new ProfessionalReadinessEngine();
-    this.llmInsights = new LLMInsights(openaiApiKey);
+    // Provider keys are read by the LLM gateway
+    this.llmInsights = new LLMInsights();
     this.dimensions = PROFESSIONAL_READINESS_DIMENSIONS;
   }
 
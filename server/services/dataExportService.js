@@ -0,0 +1,304 @@
+/**
+ * server/services/dataExportService.js
+ * Full export of everything stored about a user (GDPR data portability).
+ *
+ * Two formats share one versioned layout:
+ *   - json: a single JSON document { schema, exportedAt, profile, collections, files }
+ *   - csv:  a zip with manifest.json, profile.json, one CSV per collection and
+ *           the original resume files under resumes/
+ *
+ * Records are read through Mongo cursors and written to the output stream as
+ * they arrive, so large accounts are never buffered in memory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { once } = require('events');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const WeeklyGoal = require('../models/WeeklyGoal');
+const Journey = require('../models/Journey');
+const UserDream = require('../models/UserDream');
+const DreamDiscovery = require('../models/DreamDiscovery');
+const VisionProfile = require('../models/VisionProfile');
+const TaskChatLog = require('../models/TaskChatLog');
+const CheckIn = require('../models/CheckIn');
+const ScoreHistory = require('../models/ScoreHistory');
+const Achievement = require('../models/Achievement');
+const RewardLedger = require('../models/RewardLedger');
+const NudgeJob = require('../models/NudgeJob');
+const Notification = require('../models/Notification');
+const Reflection = require('../models/Reflection');
+const { VisionData, VisionScore, VisionFeedback } = require('../models/visionData');
+const { PMAssessmentData, PMAssessmentResult } = require('../models/pmAssessment');
+const ZipWriter = require('../utils/zipWriter');
+
+// Bump the major version whenever a collection or column is renamed or removed
+const EXPORT_SCHEMA = {
+    name: 'manifestor-user-export',
+    version: '2.0'
+};
+
+// Profile fields never included in an export
+const PRIVATE_USER_FIELDS = ['password', '__v'];
+
+/**
+ * Collections holding user data, keyed by their name in the export.
+ * `filter` selects the user's documents; the order here is the export order.
+ */
+const USER_COLLECTIONS = [
+    { name: 'tasks', model: Task, filter: userId => ({ user: userId }) },
+    { name: 'weeklyGoals', model: WeeklyGoal, filter: userId => ({ user: userId }) },
+    { name: 'journeys', model: Journey, filter: userId => ({ user: userId }) },
+    { name: 'userDreams', model: UserDream, filter: userId => ({ user: userId }) },
+    { name: 'dreamDiscoveries', model: DreamDiscovery, filter: userId => ({ user: userId }) },
+    { name: 'visionProfiles', model: VisionProfile, filter: userId => ({ user: userId }) },
+    { name: 'visionData', model: VisionData, filter: userId => ({ userId }) },
+    { name: 'visionScores', model: VisionScore, filter: userId => ({ userId }) },
+    { name: 'visionFeedback', model: VisionFeedback, filter: userId => ({ userId }) },
+    { name: 'pmAssessmentData', model: PMAssessmentData, filter: userId => ({ userId }) },
+    { name: 'pmAssessmentResults', model: PMAssessmentResult, filter: userId => ({ userId }) },
+    { name: 'taskChatLogs', model: TaskChatLog, filter: userId => ({ user: userId }) },
+    { name: 'checkIns', model: CheckIn, filter: userId => ({ user: userId }) },
+    { name: 'scoreHistory', model: ScoreHistory, filter: userId => ({ user: userId }) },
+    { name: 'achievements', model: Achievement, filter: userId => ({ user: userId }) },
+    { name: 'rewardLedger', model: RewardLedger, filter: userId => ({ user: userId }) },
+    { name: 'nudgeJobs', model: NudgeJob, filter: userId => ({ user: userId }) },
+    { name: 'notifications', model: Notification, filter: userId => ({ user: userId }) },
+    { name: 'reflections', model: Reflection, filter: userId => ({ user: userId }) }
+];
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full.
+ */
+async function writeChunk(output, chunk) {
+    if (!output.write(chunk)) {
+        await once(output, 'drain');
+    }
+}
+
+/**
+ * Column names for a collection's CSV, taken from the schema so every export
+ * of the same version has the same header. Nested paths use dot notation.
+ */
+function getColumns(model) {
+    return Object.keys(model.schema.paths)
+        .filter(column => column !== '__v')
+        .sort((a, b) => (a === '_id' ? -1 : b === '_id' ? 1 : 0));
+}
+
+function getPath(doc, dottedPath) {
+    return dottedPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+/**
+ * Format one cell. Dates become ISO strings; arrays and objects are JSON.
+ * Text that a spreadsheet would run as a formula gets a leading ' (numbers
+ * are left as they are).
+ */
+function toCsvCell(value) {
+    if (value === undefined || value === null) return '';
+
+    let text;
+    if (value instanceof Date) {
+        text = value.toISOString();
+    } else if (typeof value === 'object' && value._bsontype === 'ObjectId') {
+        text = value.toString();
+    } else if (typeof value === 'object') {
+        text = JSON.stringify(value);
+    } else if (typeof value === 'string' && /^[=+\-@\t\r]/.test(value)) {
+        text = `'${value}`;
+    } else {
+        text = String(value);
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsvRow(values) {
+    return values.map(toCsvCell).join(',') + '\r\n';
+}
+
+/**
+ * Profile as exported: the user document minus credentials, with resume paths
+ * replaced by the file name used inside the export.
+ */
+function buildProfile(user) {
+    const profile = { ...user };
+    PRIVATE_USER_FIELDS.forEach(field => delete profile[field]);
+    profile.resumes = (user.resumes || []).map(resume => ({
+        _id: resume._id,
+        originalName: resume.originalName,
+        mimetype: resume.mimetype,
+        size: resume.size,
+        uploadedAt: resume.uploadedAt,
+        exportFile: getResumeExportName(resume)
+    }));
+    return profile;
+}
+
+function getResumeExportName(resume) {
+    return `resumes/${resume._id}_${path.basename(resume.originalName || resume.filename || 'resume')}`;
+}
+
+async function fileExists(filePath) {
+    try {
+        await fs.promises.access(filePath);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Base64-encode a file stream without splitting 3-byte groups across chunks.
+ */
+async function* base64Chunks(readable) {
+    let remainder = Buffer.alloc(0);
+    for await (const chunk of readable) {
+        const buffer = Buffer.concat([remainder, chunk]);
+        const usable = buffer.length - (buffer.length % 3);
+        remainder = buffer.subarray(usable);
+        yield buffer.subarray(0, usable).toString('base64');
+    }
+    if (remainder.length) yield remainder.toString('base64');
+}
+
+class DataExportService {
+    getSchema() {
+        return { ...EXPORT_SCHEMA };
+    }
+
+    async loadUser(userId) {
+        return User.findById(userId).lean();
+    }
+
+    cursorFor(collection, userId) {
+        return collection.model
+            .find(collection.filter(userId))
+            .sort({ _id: 1 })
+            .lean()
+            .cursor();
+    }
+
+    /**
+     * Stream the JSON bundle to `output`. Resume contents are inlined as base64.
+     */
+    async writeJson(user, output) {
+        const userId = user._id;
+
+        await writeChunk(output, '{');
+        await writeChunk(output, `"schema":${JSON.stringify(this.getSchema())},`);
+        await writeChunk(output, `"exportedAt":${JSON.stringify(new Date().toISOString())},`);
+        await writeChunk(output, `"profile":${JSON.stringify(buildProfile(user))},`);
+        await writeChunk(output, '"collections":{');
+
+        for (let i = 0; i < USER_COLLECTIONS.length; i++) {
+            const collection = USER_COLLECTIONS[i];
+            await writeChunk(output, `${i ? ',' : ''}${JSON.stringify(collection.name)}:[`);
+
+            let first = true;
+            for await (const doc of this.cursorFor(collection, userId)) {
+                await writeChunk(output, (first ? '' : ',') + JSON.stringify(doc));
+                first = false;
+            }
+            await writeChunk(output, ']');
+        }
+
+        await writeChunk(output, '},"files":[');
+
+        const resumes = user.resumes || [];
+        for (let i = 0; i < resumes.length; i++) {
+            const resume = resumes[i];
+            const available = resume.path && await fileExists(resume.path);
+            const meta = {
+                name: getResumeExportName(resume),
+                mimetype: resume.mimetype,
+                size: resume.size,
+                available: Boolean(available)
+            };
+
+            await writeChunk(output, (i ? ',' : '') + JSON.stringify(meta).slice(0, -1));
+            if (available) {
+                await writeChunk(output, ',"encoding":"base64","content":"');
+                for await (const chunk of base64Chunks(fs.createReadStream(resume.path))) {
+                    await writeChunk(output, chunk);
+                }
+                await writeChunk(output, '"');
+            }
+            await writeChunk(output, '}');
+        }
+
+        await writeChunk(output, ']}');
+    }
+
+    /**
+     * Stream the zip of CSVs to `output`.
+     */
+    async writeCsvZip(user, output) {
+        const userId = user._id;
+        const zip = new ZipWriter(output);
+        const manifest = {
+            schema: this.getSchema(),
+            exportedAt: new Date().toISOString(),
+            collections: {},
+            files: []
+        };
+
+        await zip.addEntry('profile.json', JSON.stringify(buildProfile(user), null, 2));
+
+        for (const collection of USER_COLLECTIONS) {
+            const columns = getColumns(collection.model);
+            const fileName = `${collection.name}.csv`;
+            const cursor = this.cursorFor(collection, userId);
+            let records = 0;
+
+            async function* rows() {
+                yield toCsvRow(columns);
+                for await (const doc of cursor) {
+                    records++;
+                    yield toCsvRow(columns.map(column => getPath(doc, column)));
+                }
+            }
+
+            await zip.addEntry(fileName, rows());
+            manifest.collections[collection.name] = { file: fileName, records, columns };
+        }
+
+        for (const resume of user.resumes || []) {
+            const name = getResumeExportName(resume);
+            const available = Boolean(resume.path) && await fileExists(resume.path);
+            if (available) {
+                await zip.addEntry(name, fs.createReadStream(resume.path));
+            }
+            manifest.files.push({ name, mimetype: resume.mimetype, size: resume.size, available });
+        }
+
+        // Written last so it can carry record counts
+        await zip.addEntry('manifest.json', JSON.stringify(manifest, null, 2));
+        await zip.finalize();
+    }
+
+    /**
+     * Export a user's data in the given format ('json' or 'csv') to `output`.
+     * Resolves false if the user does not exist; nothing is written in that case.
+     */
+    async exportUserData(userId, format, output, onStart = () => {}) {
+        const user = await this.loadUser(userId);
+        if (!user) return false;
+
+        onStart(user);
+        if (format === 'csv') {
+            await this.writeCsvZip(user, output);
+        } else {
+            await this.writeJson(user, output);
+        }
+        return true;
+    }
+}
+
+module.exports = new DataExportService();
+module.exports.EXPORT_SCHEMA = EXPORT_SCHEMA;
+module.exports.USER_COLLECTIONS = USER_COLLECTIONS;
+module.exports.toCsvCell = toCsvCell;
+module.exports.getColumns = getColumns;
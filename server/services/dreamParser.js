@@ -3,7 +3,9 @@
  * Parses natural language dreams into structured data using LLM
  */
 
-const llamaService = require('./llamaService');
+const llmGateway = require('./llmGateway');
+const LLMResponseValidator = require('../shared/llm/responseValidator');
+const schemas = require('../shared/llm/schemas');
 const {
     DREAM_TYPES,
     EMPLOYEE_DREAM_SCHEMA,
@@ -17,7 +19,7 @@ const {
 
 class DreamParser {
     constructor() {
-        this.llamaService = llamaService;
+        this.llm = llmGateway;
     }
 
     /**
@@ -36,10 +38,13 @@ class DreamParser {
             const prompt = DREAM_PARSING_PROMPT
                 .replace('{dreamText}', dreamText)
                 .replace('{confidence}', confidence)
-                .replace('{timeHorizon}', timeHorizon);
+                .replace('{timeHorizon}', timeHorizon)
+                + LLMResponseValidator.getJsonPromptSuffix('dream-parse');
 
             // Get LLM parsing result
-            const llmResponse = await this.llamaService.generateCompletion(prompt);
+            const llmResponse = await this.llm.text(prompt, {
+                responseSchema: schemas.getResponseSchema('dream-parse')
+            });
             
             // Parse and validate the response
             const parsedData = this.parseAndValidateLLMResponse(llmResponse, dreamType);
@@ -88,7 +93,7 @@ class DreamParser {
         `;
 
         try {
-            const response = await this.llamaService.generateCompletion(classificationPrompt);
+            const response = await this.llm.text(classificationPrompt);
             const classification = response.trim().toLowerCase();
             
             if (classification.includes('entrepreneur')) {
@@ -131,24 +136,14 @@ class DreamParser {
      * @returns {Object}
      */
     parseAndValidateLLMResponse(llmResponse, dreamType) {
-        try {
-            // Extract JSON from response
-            const jsonMatch = llmResponse.match(/\{[\s\S]*\}/);
-            if (!jsonMatch) {
-                throw new Error('No JSON found in LLM response');
-            }
-            
-            const parsedData = JSON.parse(jsonMatch[0]);
-            
-            // Validate against schema
-            const schema = dreamType === DREAM_TYPES.EMPLOYEE ? EMPLOYEE_DREAM_SCHEMA : ENTREPRENEUR_DREAM_SCHEMA;
-            const validatedData = this.validateAgainstSchema(parsedData, schema, dreamType);
-            
-            return validatedData;
-        } catch (error) {
-            console.error('Error parsing LLM response:', error);
-            throw new Error('Failed to parse LLM response: ' + error.message);
+        const result = LLMResponseValidator.parseAndValidate(llmResponse, 'dream-parse');
+        if (!result.success) {
+            throw new Error('Failed to parse LLM response: ' + result.error);
         }
+
+        // Keep only the fields of the dream type's schema
+        const schema = dreamType === DREAM_TYPES.EMPLOYEE ? EMPLOYEE_DREAM_SCHEMA : ENTREPRENEUR_DREAM_SCHEMA;
+        return this.validateAgainstSchema(result.data, schema, dreamType);
     }
 
     /**
@@ -0,0 +1,308 @@
+/**
+ * server/services/emailTransport.js
+ * Transports that deliver the messages rendered by emailService.
+ *
+ * Picked with EMAIL_TRANSPORT:
+ *   smtp      send through SMTP (the default unless NODE_ENV is
+ *             development or test)
+ *   ethereal  send to a throwaway Ethereal account; needs network access
+ *   outbox    capture messages instead of sending them (the default when
+ *             NODE_ENV is development or test). EMAIL_OUTBOX_STORE picks
+ *             where: file (JSON files in EMAIL_OUTBOX_DIR), mongo (the
+ *             OutboxEmail collection) or memory (the default under Jest)
+ *   noop      drop messages
+ *
+ * Every transport has send(message), which resolves to { messageId,
+ * previewUrl }. A message is the nodemailer mail options plus the template
+ * name, which only the outbox keeps.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const nodemailer = require('nodemailer');
+const OutboxEmail = require('../models/OutboxEmail');
+const logger = require('../utils/logger');
+
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+const MEMORY_OUTBOX_SIZE = 100;
+
+function toMailOptions(message) {
+    const { template, ...mailOptions } = message;
+    return mailOptions;
+}
+
+class SmtpTransport {
+    constructor(options = {}) {
+        this.name = 'smtp';
+        const auth = {
+            user: options.user || process.env.EMAIL_USER,
+            pass: options.pass || process.env.EMAIL_PASS
+        };
+        const host = options.host || process.env.EMAIL_SMTP_HOST;
+
+        this.transporter = nodemailer.createTransport(host
+            ? {
+                host,
+                port: options.port || parseInt(process.env.EMAIL_SMTP_PORT, 10) || 587,
+                secure: options.secure !== undefined ? options.secure : process.env.EMAIL_SMTP_SECURE === 'true',
+                auth
+            }
+            : { service: options.service || process.env.EMAIL_SMTP_SERVICE || 'gmail', auth });
+    }
+
+    async send(message) {
+        const info = await this.transporter.sendMail(toMailOptions(message));
+        return { messageId: info.messageId, previewUrl: null };
+    }
+}
+
+class EtherealTransport {
+    constructor() {
+        this.name = 'ethereal';
+        this.transporter = null;
+    }
+
+    async getTransporter() {
+        if (!this.transporter) {
+            const testAccount = await nodemailer.createTestAccount();
+            this.transporter = nodemailer.createTransport({
+                host: 'smtp.ethereal.email',
+                port: 587,
+                secure: false,
+                auth: {
+                    user: testAccount.user,
+                    pass: testAccount.pass
+                }
+            });
+            console.log('📧 Test email account created:', testAccount.user);
+        }
+        return this.transporter;
+    }
+
+    async send(message) {
+        const transporter = await this.getTransporter();
+        const info = await transporter.sendMail(toMailOptions(message));
+        const previewUrl = nodemailer.getTestMessageUrl(info) || null;
+        console.log('📧 Email sent:', previewUrl);
+        return { messageId: info.messageId, previewUrl };
+    }
+}
+
+class NoopTransport {
+    constructor() {
+        this.name = 'noop';
+    }
+
+    async send() {
+        return { messageId: `<${crypto.randomUUID()}@noop.local>`, previewUrl: null };
+    }
+}
+
+/**
+ * Captured messages, newest first, each as { id, messageId, from, to,
+ * subject, template, html, text, headers, createdAt }.
+ */
+class MemoryOutboxStore {
+    constructor() {
+        this.messages = [];
+    }
+
+    async save(entry) {
+        this.messages.unshift(entry);
+        this.messages.length = Math.min(this.messages.length, MEMORY_OUTBOX_SIZE);
+        return entry;
+    }
+
+    async list({ to, limit }) {
+        return this.messages.filter(entry => !to || entry.to === to).slice(0, limit);
+    }
+
+    async get(id) {
+        return this.messages.find(entry => entry.id === id) || null;
+    }
+
+    async clear() {
+        this.messages = [];
+    }
+}
+
+class FileOutboxStore {
+    constructor(dir) {
+        this.dir = dir || process.env.EMAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'goaltracker-outbox');
+    }
+
+    // Named so that sorting file names sorts by time
+    fileName(entry) {
+        return `${entry.createdAt.getTime()}-${entry.id}.json`;
+    }
+
+    async fileNames() {
+        try {
+            return (await fs.readdir(this.dir)).filter(name => name.endsWith('.json')).sort().reverse();
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async read(name) {
+        const entry = JSON.parse(await fs.readFile(path.join(this.dir, name), 'utf8'));
+        return { ...entry, createdAt: new Date(entry.createdAt) };
+    }
+
+    async save(entry) {
+        await fs.mkdir(this.dir, { recursive: true });
+        await fs.writeFile(path.join(this.dir, this.fileName(entry)), JSON.stringify(entry, null, 2));
+        return entry;
+    }
+
+    async list({ to, limit }) {
+        const entries = [];
+        for (const name of await this.fileNames()) {
+            if (entries.length >= limit) break;
+            const entry = await this.read(name);
+            if (!to || entry.to === to) entries.push(entry);
+        }
+        return entries;
+    }
+
+    async get(id) {
+        const name = (await this.fileNames()).find(fileName => fileName.endsWith(`-${id}.json`));
+        return name ? this.read(name) : null;
+    }
+
+    async clear() {
+        await Promise.all((await this.fileNames()).map(name => fs.unlink(path.join(this.dir, name))));
+    }
+}
+
+class MongoOutboxStore {
+    toEntry(doc) {
+        const { _id, __v, ...entry } = doc;
+        return { id: _id.toString(), ...entry };
+    }
+
+    async save(entry) {
+        const { id, ...doc } = entry;
+        const created = await OutboxEmail.create(doc);
+        return { ...entry, id: created._id.toString() };
+    }
+
+    async list({ to, limit }) {
+        const docs = await OutboxEmail.find(to ? { to } : {})
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .lean();
+        return docs.map(doc => this.toEntry(doc));
+    }
+
+    async get(id) {
+        if (!mongoose.isValidObjectId(id)) return null;
+        const doc = await OutboxEmail.findById(id).lean();
+        return doc ? this.toEntry(doc) : null;
+    }
+
+    async clear() {
+        await OutboxEmail.deleteMany({});
+    }
+}
+
+const OUTBOX_STORES = {
+    memory: MemoryOutboxStore,
+    file: FileOutboxStore,
+    mongo: MongoOutboxStore
+};
+
+class OutboxTransport {
+    constructor(options = {}) {
+        this.name = 'outbox';
+        const storeName = options.store || process.env.EMAIL_OUTBOX_STORE ||
+            (process.env.NODE_ENV === 'test' ? 'memory' : 'file');
+        const Store = OUTBOX_STORES[storeName];
+        if (!Store) {
+            throw new Error(`Unknown email outbox store: ${storeName}`);
+        }
+        this.storeName = storeName;
+        this.store = new Store(options.dir);
+    }
+
+    async send(message) {
+        const messageId = `<${crypto.randomUUID()}@outbox.local>`;
+        await this.store.save({
+            id: crypto.randomUUID(),
+            messageId,
+            from: message.from || null,
+            to: message.to,
+            subject: message.subject || '',
+            template: message.template || null,
+            html: message.html || '',
+            text: message.text || '',
+            headers: message.headers || {},
+            createdAt: new Date()
+        });
+        return { messageId, previewUrl: null };
+    }
+
+    /**
+     * Captured messages, newest first. Options: to, limit.
+     */
+    async list(options = {}) {
+        const limit = Math.min(parseInt(options.limit, 10) || DEFAULT_LIST_LIMIT, MAX_LIST_LIMIT);
+        return this.store.list({ to: options.to || null, limit });
+    }
+
+    async get(id) {
+        return this.store.get(id);
+    }
+
+    async clear() {
+        return this.store.clear();
+    }
+}
+
+const TRANSPORTS = {
+    smtp: SmtpTransport,
+    ethereal: EtherealTransport,
+    outbox: OutboxTransport,
+    noop: NoopTransport
+};
+
+// Captured mail holds password reset and verification links, so the outbox
+// is only the default where NODE_ENV explicitly says this is not a real deploy
+const OUTBOX_ENVIRONMENTS = ['development', 'test'];
+
+function getDefaultTransportName() {
+    const env = process.env.NODE_ENV;
+    if (OUTBOX_ENVIRONMENTS.includes(env)) {
+        return 'outbox';
+    }
+    if (!env) {
+        logger.warn('NODE_ENV is not set, so email goes out over SMTP. Set NODE_ENV=development or EMAIL_TRANSPORT=outbox to capture it instead');
+    }
+    return 'smtp';
+}
+
+/**
+ * Create the transport named by `name`, EMAIL_TRANSPORT, or the default for
+ * NODE_ENV. Throws for unknown names.
+ */
+function createTransport(name = process.env.EMAIL_TRANSPORT || getDefaultTransportName(), options = {}) {
+    const Transport = TRANSPORTS[name];
+    if (!Transport) {
+        throw new Error(`Unknown email transport: ${name}`);
+    }
+    return new Transport(options);
+}
+
+module.exports = {
+    createTransport,
+    getDefaultTransportName,
+    SmtpTransport,
+    EtherealTransport,
+    OutboxTransport,
+    NoopTransport
+};
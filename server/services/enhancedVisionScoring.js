@@ -10,14 +10,14 @@
  * 5. Opportunities
  */
 
-const llamaService = require('./llamaService');
+const llmGateway = require('./llmGateway');
 const { extractKeywords } = require('../utils/keywordExtractor');
 const { VisionResponseAnalyzer } = require('./visionResponseAnalyzer');
 
 class EnhancedVisionScoringEngine {
     constructor() {
-        // Utilize shared llamaService for OpenAI or Ollama access
-        this.ollama = llamaService;
+        // Shared gateway: configured provider plus fallbacks
+        this.llm = llmGateway;
         this.responseAnalyzer = new VisionResponseAnalyzer();
         
         this.dimensions = {
@@ -594,9 +594,9 @@ class EnhancedVisionScoringEngine {
     }
 
     async getIntelligentOpenAIScoring(responses, keywords, localScores, analysisResults) {
-        const isOllamaAvailable = await this.ollama.isAvailable();
-        if (!isOllamaAvailable) {
-            console.warn('Ollama not available for intelligent scoring');
+        const isLLMAvailable = await this.llm.isAvailable();
+        if (!isLLMAvailable) {
+            console.warn('LLM not available for intelligent scoring');
             return localScores;
         }
 
@@ -634,11 +634,10 @@ Principles:
 
 Return your response as a valid JSON object.`;
 
-            const fullPrompt = `${systemPrompt}\n\n${prompt}`;
-            
-            const result = await this.ollama.generateCompletion(fullPrompt, {
+            const result = await this.llm.complete(prompt, {
+                system: systemPrompt,
                 temperature: 0.4,
-                max_tokens: 1200,  // Reduced for faster response
+                maxTokens: 1200,  // Reduced for faster response
                 timeout: 90000     // 1.5 minute timeout
             });
 
@@ -648,11 +647,11 @@ Return your response as a valid JSON object.`;
 
             let aiResponse;
             try {
-                const jsonMatch = result.response.match(/\{[\s\S]*\}/);
-                const jsonString = jsonMatch ? jsonMatch[0] : result.response;
+                const jsonMatch = result.content.match(/\{[\s\S]*\}/);
+                const jsonString = jsonMatch ? jsonMatch[0] : result.content;
                 aiResponse = JSON.parse(jsonString);
             } catch (parseError) {
-                console.warn('Failed to parse Ollama JSON response, using local scores');
+                console.warn('Failed to parse LLM JSON response, using local scores');
                 return localScores;
             }
             
@@ -662,16 +661,16 @@ Return your response as a valid JSON object.`;
             return aiResponse.scores || localScores;
             
         } catch (error) {
-            console.error('Intelligent Ollama scoring failed:', error);
+            console.error('Intelligent LLM scoring failed:', error);
             return localScores;
         }
     }
     
-    // Enhanced method using Ollama
+    // Enhanced method using the LLM gateway
     async getOllamaScoring(responses, keywords, localScores) {
-        const isAvailable = await this.ollama.isAvailable();
+        const isAvailable = await this.llm.isAvailable();
         if (!isAvailable) {
-            console.warn('Ollama not available for enhanced scoring');
+            console.warn('LLM not available for enhanced scoring');
             return localScores;
         }
 
@@ -695,11 +694,10 @@ Be analytical, evidence-based, and provide specific reasoning for score adjustme
 
 Return your response as a valid JSON object.`;
 
-            const fullPrompt = `${systemPrompt}\n\n${prompt}`;
-            
-            const result = await this.ollama.generateCompletion(fullPrompt, {
+            const result = await this.llm.complete(prompt, {
+                system: systemPrompt,
                 temperature: 0.3,
-                max_tokens: 1000,  // Reduced for faster response
+                maxTokens: 1000,  // Reduced for faster response
                 timeout: 60000     // 1 minute timeout
             });
 
@@ -709,18 +707,18 @@ Return your response as a valid JSON object.`;
 
             let aiResponse;
             try {
-                const jsonMatch = result.response.match(/\{[\s\S]*\}/);
-                const jsonString = jsonMatch ? jsonMatch[0] : result.response;
+                const jsonMatch = result.content.match(/\{[\s\S]*\}/);
+                const jsonString = jsonMatch ? jsonMatch[0] : result.content;
                 aiResponse = JSON.parse(jsonString);
             } catch (parseError) {
-                console.warn('Failed to parse Ollama JSON response, using local scores');
+                console.warn('Failed to parse LLM JSON response, using local scores');
                 return localScores;
             }
 
             return aiResponse.scores || localScores;
             
         } catch (error) {
-            console.error('Ollama scoring failed:', error);
+            console.error('LLM scoring failed:', error);
             return localScores;
         }
     }
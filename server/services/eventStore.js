@@ -0,0 +1,240 @@
+/**
+ * server/services/eventStore.js
+ * Buffered, Mongo-backed store for tracking events.
+ *
+ * Events are queued in memory and written with insertMany once the batch
+ * fills up or the flush interval elapses, so tracking never adds a database
+ * round trip to the request that produced the event. Retention is handled by
+ * the TTL index on TrackingEvent.timestamp.
+ */
+
+const mongoose = require('mongoose');
+const TrackingEvent = require('../models/TrackingEvent');
+const logger = require('../utils/logger');
+
+const DEFAULT_QUERY_LIMIT = 100;
+const MAX_QUERY_LIMIT = 1000;
+
+class EventStore {
+    constructor(options = {}) {
+        this.enabled = options.enabled !== undefined
+            ? options.enabled
+            : process.env.TRACKING_PERSIST !== 'false';
+        this.batchSize = options.batchSize || parseInt(process.env.TRACKING_BATCH_SIZE, 10) || 50;
+        this.flushIntervalMs = options.flushIntervalMs || parseInt(process.env.TRACKING_FLUSH_INTERVAL_MS, 10) || 5000;
+        this.maxBufferSize = options.maxBufferSize || 5000;
+
+        this.buffer = [];
+        this.timer = null;
+        this.flushing = null;
+    }
+
+    /**
+     * Queue an event for persistence.
+     * Returns the event in TrackingUtils shape, including the id it will be stored under.
+     */
+    record({ eventType, eventData = {}, userId, metadata = {}, timestamp = new Date() }) {
+        const doc = {
+            _id: new mongoose.Types.ObjectId(),
+            userId,
+            eventType,
+            source: metadata.source || 'custom',
+            eventData,
+            metadata,
+            timestamp: new Date(timestamp)
+        };
+
+        if (this.enabled && userId && mongoose.isValidObjectId(userId)) {
+            this.enqueue(doc);
+        }
+
+        return {
+            eventId: doc._id.toString(),
+            eventType,
+            eventData,
+            userId,
+            metadata,
+            timestamp: doc.timestamp.toISOString()
+        };
+    }
+
+    enqueue(doc) {
+        this.buffer.push(doc);
+
+        // Drop the oldest events rather than growing without bound while the database is unavailable
+        if (this.buffer.length > this.maxBufferSize) {
+            const dropped = this.buffer.splice(0, this.buffer.length - this.maxBufferSize);
+            logger.warn({ dropped: dropped.length }, 'Tracking event buffer full, dropping oldest events');
+        }
+
+        if (this.buffer.length >= this.batchSize) {
+            this.flush();
+        } else {
+            this.scheduleFlush();
+        }
+    }
+
+    scheduleFlush() {
+        if (this.timer) return;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.flush();
+        }, this.flushIntervalMs);
+        // Never keep the process alive just to write analytics
+        if (this.timer.unref) this.timer.unref();
+    }
+
+    isConnected() {
+        return mongoose.connection.readyState === 1;
+    }
+
+    /**
+     * Write all buffered events. Concurrent callers share the in-flight write.
+     */
+    async flush() {
+        if (this.flushing) {
+            await this.flushing;
+        }
+        if (this.buffer.length === 0) return 0;
+
+        // Keep events queued until there is a connection to write them to
+        if (!this.isConnected()) {
+            this.scheduleFlush();
+            return 0;
+        }
+
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+
+        const batch = this.buffer.splice(0, this.buffer.length);
+        this.flushing = this.write(batch).finally(() => {
+            this.flushing = null;
+        });
+        return this.flushing;
+    }
+
+    async write(batch) {
+        try {
+            await TrackingEvent.insertMany(batch, { ordered: false });
+            return batch.length;
+        } catch (error) {
+            if (error.writeErrors || error.name === 'ValidationError') {
+                // Individual bad documents are dropped; the rest of an unordered batch is written
+                const failed = error.writeErrors ? error.writeErrors.length : batch.length;
+                logger.warn({ error: error.message, failed }, 'Some tracking events were rejected');
+                return batch.length - failed;
+            }
+
+            // Connection-level failure: requeue the batch and try again later
+            logger.error({ error: error.message, count: batch.length }, 'Failed to persist tracking events');
+            this.buffer.unshift(...batch);
+            this.scheduleFlush();
+            return 0;
+        }
+    }
+
+    /**
+     * Build a Mongo filter from query options.
+     */
+    buildFilter(userId, options = {}) {
+        const filter = { userId };
+
+        const eventTypes = options.eventTypes || (options.eventType ? [options.eventType] : null);
+        if (eventTypes && eventTypes.length) {
+            filter.eventType = eventTypes.length === 1 ? eventTypes[0] : { $in: eventTypes };
+        }
+        if (options.source) {
+            filter.source = options.source;
+        }
+        if (options.since || options.until) {
+            filter.timestamp = {};
+            if (options.since) filter.timestamp.$gte = new Date(options.since);
+            if (options.until) filter.timestamp.$lte = new Date(options.until);
+        }
+
+        return filter;
+    }
+
+    /**
+     * Get a user's events, newest first.
+     *
+     * @param {string} userId
+     * @param {object} options - eventType | eventTypes, source, since, until, limit, order ('asc' | 'desc')
+     */
+    async getUserEvents(userId, options = {}) {
+        if (!mongoose.isValidObjectId(userId)) return [];
+
+        // Make sure events tracked moments ago are visible to the caller
+        await this.flush();
+
+        const limit = Math.min(parseInt(options.limit, 10) || DEFAULT_QUERY_LIMIT, MAX_QUERY_LIMIT);
+        const docs = await TrackingEvent.find(this.buildFilter(userId, options))
+            .sort({ timestamp: options.order === 'asc' ? 1 : -1 })
+            .limit(limit)
+            .lean();
+
+        return docs.map(doc => TrackingEvent.toEvent(doc));
+    }
+
+    /**
+     * Count a user's events matching the same options as getUserEvents.
+     */
+    async countUserEvents(userId, options = {}) {
+        if (!mongoose.isValidObjectId(userId)) return 0;
+
+        await this.flush();
+        return TrackingEvent.countDocuments(this.buildFilter(userId, options));
+    }
+
+    /**
+     * Per-event-type counts and first/last occurrence for a user.
+     */
+    async getUserEventStats(userId, options = {}) {
+        if (!mongoose.isValidObjectId(userId)) return { totalEvents: 0, byType: {} };
+
+        await this.flush();
+        const filter = this.buildFilter(new mongoose.Types.ObjectId(userId), options);
+        const rows = await TrackingEvent.aggregate([
+            { $match: filter },
+            { $group: {
+                _id: '$eventType',
+                count: { $sum: 1 },
+                firstAt: { $min: '$timestamp' },
+                lastAt: { $max: '$timestamp' }
+            }}
+        ]);
+
+        const byType = {};
+        let totalEvents = 0;
+        rows.forEach(row => {
+            byType[row._id] = { count: row.count, firstAt: row.firstAt, lastAt: row.lastAt };
+            totalEvents += row.count;
+        });
+
+        return { totalEvents, byType };
+    }
+
+    /**
+     * Remove every stored event for a user (pending events included).
+     */
+    async deleteUserEvents(userId) {
+        const id = userId.toString();
+        this.buffer = this.buffer.filter(doc => doc.userId.toString() !== id);
+        const result = await TrackingEvent.deleteMany({ userId });
+        return result.deletedCount;
+    }
+
+    getQueueSize() {
+        return this.buffer.length;
+    }
+}
+
+const eventStore = new EventStore();
+
+// Write whatever is still buffered when the event loop drains
+process.once('beforeExit', () => eventStore.flush());
+
+module.exports = eventStore;
+module.exports.EventStore = EventStore;
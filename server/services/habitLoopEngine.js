@@ -4,14 +4,14 @@
  */
 
 const { HABIT_LOOP_SYSTEM, REWARD_SYSTEM } = require('../config/journeySystem');
-const llamaService = require('./llamaService');
+const llmGateway = require('./llmGateway');
 const User = require('../models/User');
+const achievementService = require('./achievementService');
+const nudgeQueue = require('./nudgeQueue');
 
 class HabitLoopEngine {
     constructor() {
-        this.llamaService = llamaService;
-        this.activeNudges = new Map(); // Track active nudges per user
-        this.rewardSchedules = new Map(); // Track reward schedules per user
+        this.llm = llmGateway;
     }
 
     /**
@@ -27,17 +27,10 @@ class HabitLoopEngine {
                 throw new Error('User not found');
             }
 
-            const userState = await this.analyzeUserState(user);
-            const triggerType = this.determineTriggerType(userState, context);
-            const trigger = await this.createTrigger(triggerType, userState, user);
-
-            // Store trigger for tracking
-            this.activeNudges.set(userId, {
-                trigger,
-                createdAt: new Date(),
-                context,
-                userState
-            });
+            const { trigger, userState } = await this.buildTrigger(user, context);
+
+            // Keep a history of triggers shown to the user
+            await achievementService.recordTrigger(userId, trigger, { context, stage: userState.stage });
 
             return {
                 success: true,
@@ -52,6 +45,17 @@ class HabitLoopEngine {
         }
     }
 
+    /**
+     * Create a trigger for a loaded user without recording it
+     * @returns {Object} { trigger, userState }
+     */
+    async buildTrigger(user, context = 'general') {
+        const userState = await this.analyzeUserState(user);
+        const triggerType = this.determineTriggerType(userState, context);
+        const trigger = await this.createTrigger(triggerType, userState, user);
+        return { trigger, userState };
+    }
+
     /**
      * Analyze current user state for trigger generation
      */
@@ -296,11 +300,18 @@ class HabitLoopEngine {
     async processAction(userId, action) {
         try {
             const user = await User.findById(userId);
+            if (!user) {
+                throw new Error('User not found');
+            }
             const userState = await this.analyzeUserState(user);
-            
-            // Determine reward type and schedule
-            const rewardType = this.determineRewardType(action, userState);
-            const reward = await this.generateReward(rewardType, userState, user);
+
+            // Newly earned badges take precedence; each badge is only awarded once
+            const badges = await achievementService.evaluateBadges(userId, { action: action.type });
+            const reward = badges.length > 0
+                ? this.createBadgeReward(badges[0], badges.slice(1))
+                : await this.generateReward(this.determineRewardType(action, userState), userState, user);
+
+            await achievementService.recordReward(userId, reward, { action: action.type });
 
             // Update user investment metrics
             await this.updateInvestmentMetrics(userId, action);
@@ -328,11 +339,6 @@ class HabitLoopEngine {
      * Determine appropriate reward type
      */
     determineRewardType(action, userState) {
-        // First completion = immediate reward
-        if (action.type === 'task_completed' && userState.currentStreak === 0) {
-            return 'immediate_badge';
-        }
-
         // Streak milestones = special rewards
         if (action.type === 'task_completed' && userState.currentStreak > 0 && userState.currentStreak % 3 === 0) {
             return 'streak_reward';
@@ -364,9 +370,6 @@ class HabitLoopEngine {
         const dream = journeyData?.parsedDream;
 
         switch (rewardType) {
-            case 'immediate_badge':
-                return this.createBadgeReward('first_steps', 'First Steps Taken', 'You\'ve begun your journey!');
-
             case 'streak_reward':
                 return this.createStreakReward(userState.currentStreak);
 
@@ -387,18 +390,13 @@ class HabitLoopEngine {
     /**
      * Reward creation methods
      */
-    createBadgeReward(badgeId, badgeName, description) {
+    createBadgeReward(badge, additionalBadges = []) {
         return {
             type: 'badge',
-            badge: {
-                id: badgeId,
-                name: badgeName,
-                description: description,
-                icon: '🏆',
-                earnedAt: new Date()
-            },
-            message: `🎉 Badge Earned: ${badgeName}!`,
-            celebration: description
+            badge,
+            additionalBadges,
+            message: `🎉 Badge Earned: ${badge.name}!`,
+            celebration: badge.description
         };
     }
 
@@ -441,7 +439,7 @@ class HabitLoopEngine {
         `;
 
         try {
-            const insight = await this.llamaService.generateCompletion(insightPrompt);
+            const insight = await this.llm.text(insightPrompt);
             return {
                 type: 'ai_insight',
                 insight: {
@@ -470,14 +468,13 @@ class HabitLoopEngine {
 
         const reward = stageRewards[stage] || stageRewards[1];
 
+        // The stage badge itself is awarded by the achievement service
         return {
             type: 'stage_completion',
-            badge: {
-                id: `stage_${stage}_complete`,
+            stage: {
+                number: stage,
                 name: reward.name,
-                description: reward.description,
-                icon: reward.icon,
-                earnedAt: new Date()
+                icon: reward.icon
             },
             unlocks: this.getStageUnlocks(stage),
             message: `🎊 Stage ${stage} Complete!`,
@@ -621,12 +618,13 @@ class HabitLoopEngine {
     }
 
     async scheduleNextTrigger(userId, action, userState) {
-        // Schedule when the next trigger should fire
+        // Each action pushes the user's next nudge back; see services/nudgeScheduler.js
+        await nudgeQueue.scheduleNext(userId, { cause: { action: action.type, stage: userState.stage } });
     }
 
     async getNextScheduledTrigger(userId) {
-        // Get the next scheduled trigger for this user
-        return null;
+        const job = await nudgeQueue.getNext(userId);
+        return job ? { jobId: job._id, runAt: job.runAt, context: job.context } : null;
     }
 }
 
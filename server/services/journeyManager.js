@@ -4,13 +4,13 @@
  */
 
 const { JOURNEY_STAGES, ADAPTATION_ENGINE } = require('../config/journeySystem');
-const llamaService = require('./llamaService');
+const llmGateway = require('./llmGateway');
 const dreamParser = require('./dreamParser');
 const User = require('../models/User');
 
 class JourneyManager {
     constructor() {
-        this.llamaService = llamaService;
+        this.llm = llmGateway;
         this.dreamParser = dreamParser;
     }
 
@@ -87,15 +87,16 @@ class JourneyManager {
 
             // Generate goals using LLM
             const goalsPrompt = this.buildStageGoalsPrompt(stage, parsedDream, adaptationProfile, user);
-            const goalsResponse = await this.llamaService.generateCompletion(goalsPrompt);
-            const goals = this.parseGoalsResponse(goalsResponse, stage);
+            // A failed call parses as empty and gets the fallback goals
+            const goalsResult = await this.llm.complete(goalsPrompt);
+            const goals = this.parseGoalsResponse(goalsResult.content || '', stage);
 
             // Generate tasks for each goal
             const goalsWithTasks = await Promise.all(
                 goals.map(async (goal) => {
                     const tasksPrompt = this.buildTasksPrompt(goal, stage, parsedDream, adaptationProfile);
-                    const tasksResponse = await this.llamaService.generateCompletion(tasksPrompt);
-                    const tasks = this.parseTasksResponse(tasksResponse, stage);
+                    const tasksResult = await this.llm.complete(tasksPrompt);
+                    const tasks = this.parseTasksResponse(tasksResult.content || '', stage);
                     
                     return {
                         ...goal,
@@ -398,7 +398,11 @@ class JourneyService {
                     // Handle new 21-day journey structure
                     if (planResult.journey && planResult.journey.weeks) {
                         console.log(`Journey Service: Planner Engine generated 21-day journey with ${planResult.journey.weeks.length} weeks using ${planResult.method}`);
-                        await this.initialize21DayJourney(journey, planResult.journey);
+                        await this.initialize21DayJourney(journey, planResult.journey, {
+                            generationMethod: planResult.method === 'archetype_template+llm' ? 'ai_generated' : 'template_based',
+                            timeCommitment: plannerInput.timeCommitment,
+                            confidence: plannerInput.confidence
+                        });
                         return; // Important: return here to avoid continuing to old logic
                     } else {
                         // Fallback to old structure if available
@@ -476,7 +480,7 @@ class JourneyService {
      * Initialize complete 21-day journey with new structure
      * Creates regular WeeklyGoals for first 3 days instead of journey-specific structure
      */
-    async initialize21DayJourney(journey, journeyData) {
+    async initialize21DayJourney(journey, journeyData, taskContext = {}) {
         try {
             console.log('Journey Service: Initializing 21-day journey structure...');
             
@@ -493,6 +497,7 @@ class JourneyService {
             
             // Create regular WeeklyGoals for the first 3 days of the journey
             const { getStartOfWeek } = require('../utils/date');
+            const { toTaskFields } = require('../engines/planner');
             const weekOf = getStartOfWeek(new Date());
             
             for (const goalData of currentWeek.goals) {
@@ -500,28 +505,30 @@ class JourneyService {
                 const weeklyGoal = new WeeklyGoal({
                     user: journey.user,
                     title: goalData.title,
+                    description: goalData.description,
                     weekOf: weekOf,
+                    journeyWeek: currentWeek.week,
+                    journeyTheme: currentWeek.theme,
                     tasks: []
                 });
 
                 await weeklyGoal.save();
                 
                 // Create tasks for this goal
-                const taskIds = [];
+                const sprintTasks = [];
                 for (const taskData of goalData.tasks) {
                     const task = new Task({
+                        ...toTaskFields(taskData, taskContext), // Uses the dynamic day name
                         user: journey.user,
                         goal: weeklyGoal._id, // Link to the WeeklyGoal
-                        name: taskData.name,
-                        estTime: taskData.estTime,
-                        day: taskData.dayName, // Use the dynamic day name
                         completed: false,
                         repeatType: 'none'
                     });
 
                     await task.save();
-                    taskIds.push(task._id);
+                    sprintTasks.push({ taskId: task._id, title: task.name, completed: false });
                 }
+                const taskIds = sprintTasks.map(task => task.taskId);
 
                 // Update the WeeklyGoal with task references
                 weeklyGoal.tasks = taskIds;
@@ -532,7 +539,7 @@ class JourneyService {
                     goalId: weeklyGoal._id, // Reference to the actual WeeklyGoal
                     day: goalData.goalId.includes('g1') ? 1 : (goalData.goalId.includes('g2') ? 2 : 3),
                     title: goalData.title,
-                    tasks: taskIds.map(id => ({ taskId: id, title: '', completed: false })),
+                    tasks: sprintTasks,
                     completed: false
                 });
             }
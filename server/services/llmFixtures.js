@@ -0,0 +1,86 @@
+/**
+ * server/services/llmFixtures.js
+ * Prompt types and recorded LLM responses for the mock provider.
+ *
+ * Every request is classified into a prompt type (see PROMPT_TYPES in
+ * llmProviders/mockResponses.js) and keyed by a hash of its messages and
+ * response format. With LLM_RECORD=true the gateway saves each answer from a
+ * real provider to LLM_FIXTURES_DIR/<type>/<key>.json; LLM_PROVIDER=mock then
+ * replays the file for the same request. LLM_FIXTURES_DIR defaults to
+ * server/fixtures/llm.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { classifyPrompt } = require('./llmProviders/mockResponses');
+
+function getFixturesDir() {
+    return process.env.LLM_FIXTURES_DIR || path.join(__dirname, '..', 'fixtures', 'llm');
+}
+
+function isRecording() {
+    return process.env.LLM_RECORD === 'true';
+}
+
+/**
+ * Stable key for a request. The model is left out so fixtures replay
+ * whichever model recorded them.
+ */
+function getRequestKey(messages, options = {}) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({
+            messages: messages.map(({ role, content }) => ({ role, content })),
+            responseFormat: options.responseFormat || null
+        }))
+        .digest('hex')
+        .slice(0, 16);
+}
+
+function getFixturePath(type, key) {
+    return path.join(getFixturesDir(), type, `${key}.json`);
+}
+
+/**
+ * The recorded fixture for a request, or null.
+ */
+async function findFixture(messages, options = {}) {
+    const filePath = getFixturePath(classifyPrompt(messages), getRequestKey(messages, options));
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+/**
+ * Save a successful gateway result as the fixture for its request.
+ */
+async function recordFixture(messages, options, result) {
+    const type = classifyPrompt(messages);
+    const key = getRequestKey(messages, options);
+    const filePath = getFixturePath(type, key);
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, JSON.stringify({
+        type,
+        key,
+        provider: result.provider,
+        model: result.model,
+        responseFormat: options.responseFormat || null,
+        messages,
+        content: result.content,
+        usage: result.usage,
+        recordedAt: new Date().toISOString()
+    }, null, 2));
+    return filePath;
+}
+
+module.exports = {
+    getFixturesDir,
+    isRecording,
+    getRequestKey,
+    findFixture,
+    recordFixture
+};
@@ -0,0 +1,255 @@
+/**
+ * server/services/llmGateway.js
+ * The one way the server talks to language models.
+ *
+ * Each call goes to the providers in the chain (LLM_PROVIDER, then
+ * LLM_FALLBACK_PROVIDERS) until one answers. Providers that are not
+ * configured are skipped. A provider is retried with exponential backoff
+ * (LLM_MAX_RETRIES times, starting at LLM_RETRY_DELAY_MS) on network errors,
+ * 429 and 5xx; a timeout or any other error moves on to the next provider.
+ *
+ * chat() and complete() never throw and resolve to
+ *   { success, content, provider, model, usage, responseTime }
+ * where usage is { promptTokens, completionTokens, totalTokens } or null.
+ * On failure content is null and error joins each provider's message;
+ * errors lists them as { provider, code, status, message }.
+ *
+ * LLM_PROVIDER=mock answers offline; with LLM_RECORD=true real answers are
+ * saved as fixtures it replays (see services/llmFixtures.js).
+ */
+
+const providerClasses = require('./llmProviders');
+const llmFixtures = require('./llmFixtures');
+const { LLMError, toLLMError } = require('./llmProviders/errors');
+const { normalizeProvider, getProviderConfig, getProviderChain } = require('../shared/config/llm');
+const logger = require('../utils/logger');
+
+const DEFAULT_MAX_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+
+function readInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class LLMGateway {
+    constructor() {
+        // Built on first use, so they see the environment loaded at startup
+        this.providers = new Map();
+    }
+
+    /**
+     * The provider for a config name ('openai', 'llama' or 'ollama', ...).
+     */
+    getProvider(name) {
+        const key = normalizeProvider(name);
+        if (!this.providers.has(key)) {
+            const Provider = providerClasses[key];
+            if (!Provider) {
+                throw new LLMError(`Unsupported LLM provider: ${name}`, 'LLM_NOT_CONFIGURED', { provider: key });
+            }
+            this.providers.set(key, new Provider(getProviderConfig(key)));
+        }
+        return this.providers.get(key);
+    }
+
+    /**
+     * Replace the provider used for a name, e.g. with a stub in tests.
+     */
+    setProvider(name, provider) {
+        this.providers.set(normalizeProvider(name), provider);
+    }
+
+    /**
+     * Forget built providers so the next call rereads the environment.
+     */
+    reset() {
+        this.providers.clear();
+    }
+
+    getChain(options = {}) {
+        return options.providers ? options.providers.map(normalizeProvider) : getProviderChain();
+    }
+
+    /**
+     * Chat with role-based messages ({ role, content }).
+     * Options: model (first provider only), temperature, maxTokens, timeout
+     * (ms per attempt), responseFormat ('json'), responseSchema ({ name,
+     * schema }, a JSON Schema for providers with structured output; implies
+     * JSON), providers (chain override), retries, retryDelay (ms).
+     */
+    async chat(messages, options = {}) {
+        const startTime = Date.now();
+        const errors = [];
+
+        for (const [index, name] of this.getChain(options).entries()) {
+            let provider;
+            try {
+                provider = this.getProvider(name);
+            } catch (error) {
+                errors.push(toLLMError(error, name));
+                continue;
+            }
+            if (!provider.isConfigured()) {
+                errors.push(new LLMError('Not configured', 'LLM_NOT_CONFIGURED', { provider: provider.name }));
+                continue;
+            }
+
+            const config = provider.config || {};
+            const request = {
+                model: (index === 0 && options.model) || provider.model,
+                temperature: options.temperature !== undefined ? options.temperature : config.temperature,
+                maxTokens: options.maxTokens || config.maxTokens,
+                responseFormat: options.responseSchema ? 'json' : options.responseFormat,
+                responseSchema: options.responseSchema
+            };
+
+            try {
+                const result = await this.callWithRetries(provider, messages, request, {
+                    timeout: options.timeout || config.timeout,
+                    retries: readInt(options.retries, readInt(process.env.LLM_MAX_RETRIES, DEFAULT_MAX_RETRIES)),
+                    retryDelay: readInt(options.retryDelay, readInt(process.env.LLM_RETRY_DELAY_MS, DEFAULT_RETRY_DELAY_MS))
+                });
+                const response = {
+                    success: true,
+                    content: result.content,
+                    provider: provider.name,
+                    model: result.model || request.model,
+                    usage: result.usage || null,
+                    responseTime: Date.now() - startTime
+                };
+                if (llmFixtures.isRecording() && provider.name !== 'mock') {
+                    await this.record(messages, request, response);
+                }
+                return response;
+            } catch (error) {
+                logger.warn({ provider: provider.name, code: error.code, error: error.message }, 'LLM provider failed');
+                errors.push(error);
+            }
+        }
+
+        return {
+            success: false,
+            content: null,
+            provider: null,
+            model: null,
+            usage: null,
+            responseTime: Date.now() - startTime,
+            error: errors.length
+                ? errors.map(error => `${error.provider}: ${error.message}`).join(' | ')
+                : 'No LLM provider configured',
+            errors: errors.map(error => ({
+                provider: error.provider,
+                code: error.code,
+                status: error.status,
+                message: error.message
+            }))
+        };
+    }
+
+    /**
+     * Single prompt, with an optional options.system message.
+     */
+    async complete(prompt, options = {}) {
+        const messages = options.system
+            ? [{ role: 'system', content: options.system }, { role: 'user', content: prompt }]
+            : [{ role: 'user', content: prompt }];
+        return this.chat(messages, options);
+    }
+
+    /**
+     * complete() for callers that only want the text. Throws an LLMError
+     * (code LLM_UNAVAILABLE) when every provider fails.
+     */
+    async text(prompt, options = {}) {
+        const result = await this.complete(prompt, options);
+        if (!result.success) {
+            throw new LLMError(result.error, 'LLM_UNAVAILABLE');
+        }
+        return result.content;
+    }
+
+    /**
+     * Whether any provider in the chain is configured and reachable.
+     */
+    async isAvailable(options = {}) {
+        for (const name of this.getChain(options)) {
+            try {
+                const provider = this.getProvider(name);
+                if (provider.isConfigured() && await provider.isAvailable()) return true;
+            } catch (error) {
+                // Unsupported provider name; try the next one
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Send a tiny prompt through the chain.
+     */
+    async testConnection(options = {}) {
+        const result = await this.complete('Say "ok"', { maxTokens: 10, retries: 0, ...options });
+        return {
+            success: result.success,
+            provider: result.provider,
+            model: result.model,
+            responseTime: result.responseTime,
+            error: result.error
+        };
+    }
+
+    async record(messages, options, response) {
+        try {
+            const filePath = await llmFixtures.recordFixture(messages, options, response);
+            logger.info({ provider: response.provider, filePath }, 'Recorded LLM fixture');
+        } catch (error) {
+            logger.warn({ error: error.message }, 'Failed to record LLM fixture');
+        }
+    }
+
+    async callWithRetries(provider, messages, request, { timeout, retries, retryDelay }) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.callOnce(provider, messages, request, timeout);
+            } catch (caught) {
+                const error = toLLMError(caught, provider.name);
+                if (!error.retryable || attempt >= retries) throw error;
+
+                const delay = retryDelay * 2 ** attempt;
+                logger.warn({ provider: provider.name, code: error.code, attempt: attempt + 1, delay }, 'Retrying LLM request');
+                await sleep(delay);
+            }
+        }
+    }
+
+    async callOnce(provider, messages, request, timeout) {
+        const controller = new AbortController();
+        let timer;
+        const timedOut = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                controller.abort();
+                reject(new LLMError(`Timed out after ${timeout}ms`, 'LLM_TIMEOUT', { provider: provider.name }));
+            }, timeout);
+        });
+
+        try {
+            const result = await Promise.race([
+                provider.chat(messages, { ...request, signal: controller.signal }),
+                timedOut
+            ]);
+            if (!result || typeof result.content !== 'string') {
+                throw new LLMError('Response had no content', 'LLM_BAD_RESPONSE', { provider: provider.name });
+            }
+            return result;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+module.exports = new LLMGateway();
+module.exports.LLMError = LLMError;
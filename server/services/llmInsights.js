@@ -4,12 +4,13 @@
  * LLM integration for enhanced feedback and insights
  */
 
-const llamaService = require('./llamaService');
+const llmGateway = require('./llmGateway');
+const LLMResponseValidator = require('../shared/llm/responseValidator');
+const schemas = require('../shared/llm/schemas');
 
 class LLMInsights {
   constructor() {
-    // Use shared llamaService which supports multiple LLM providers
-    this.ollama = llamaService;
+    this.llm = llmGateway;
     this.fallbackEnabled = true;
   }
 
@@ -17,10 +18,10 @@ class LLMInsights {
    * Get enhanced insights from LLM
    */
   async getEnhancedInsights(userResponses, scoringResults, scoringRules) {
-    // Check if Ollama is available
-    const isAvailable = await this.ollama.isAvailable();
+    // Check if any LLM provider is available
+    const isAvailable = await this.llm.isAvailable();
     if (!isAvailable) {
-      console.warn('Ollama not available, using fallback insights');
+      console.warn('LLM not available, using fallback insights');
       return this.generateFallbackInsights(scoringResults);
     }
 
@@ -28,31 +29,25 @@ class LLMInsights {
       const prompt = this.buildInsightPrompt(userResponses, scoringResults, scoringRules);
       const systemPrompt = this.getSystemPrompt();
       
-      const fullPrompt = `${systemPrompt}\n\n${prompt}`;
-      
-      const result = await this.ollama.generateCompletion(fullPrompt, {
+      const result = await this.llm.complete(prompt, {
+        system: systemPrompt,
         temperature: 0.7,
-        max_tokens: 800,  // Reduced for faster response
-        timeout: 60000    // 1 minute timeout
+        maxTokens: 800,  // Reduced for faster response
+        timeout: 60000,   // 1 minute timeout
+        responseSchema: schemas.getResponseSchema('insights')
       });
 
       if (!result.success) {
         throw new Error(result.error);
       }
 
-      // Try to parse JSON response
-      let response;
-      try {
-        // Extract JSON from response if it's wrapped in markdown or other text
-        const jsonMatch = result.response.match(/\{[\s\S]*\}/);
-        const jsonString = jsonMatch ? jsonMatch[0] : result.response;
-        response = JSON.parse(jsonString);
-      } catch (parseError) {
-        console.warn('Failed to parse LLM JSON response, using fallback');
+      const validation = LLMResponseValidator.parseAndValidate(result.content, 'insights');
+      if (!validation.success) {
+        console.warn('Invalid LLM insights response, using fallback:', validation.error);
         return this.generateFallbackInsights(scoringResults);
       }
 
-      return this.formatLLMResponse(response, scoringResults);
+      return this.formatLLMResponse(validation.data, scoringResults);
 
     } catch (error) {
       console.warn('LLM insights failed, using fallback:', error.message);
@@ -100,22 +95,8 @@ Provide enhanced professional insights following the JSON format specified in sy
   getSystemPrompt() {
     return `You are a senior career strategist analyzing professional readiness assessments. 
 
-Provide insights in this exact JSON format:
-{
-  "validationScore": number (0-100, accuracy of current assessment),
-  "keyInsights": ["insight1", "insight2", "insight3"],
-  "hiddenStrengths": ["strength1", "strength2"],
-  "blindSpots": ["blindspot1", "blindspot2"],
-  "careerStrategy": "specific strategic recommendation",
-  "immediateActions": ["action1", "action2", "action3"],
-  "skillPriorities": ["skill1", "skill2", "skill3"],
-  "networkingStrategy": "networking approach recommendation",
-  "timelineAdjustment": "timeline recommendation with reasoning",
-  "successPredictors": ["predictor1", "predictor2"],
-  "riskMitigations": ["mitigation1", "mitigation2"],
-  "confidenceBoost": number (-10 to +10, confidence adjustment),
-  "personalizedMessage": "encouraging and actionable message"
-}
+Provide insights as a JSON object matching this JSON Schema:
+${schemas.describeSchema('insights')}
 
 Focus on:
 - Professional development strategy
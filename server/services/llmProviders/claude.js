@@ -0,0 +1,113 @@
+/**
+ * server/services/llmProviders/claude.js
+ * Anthropic Messages API. CLAUDE_BASE_URL points it at another host.
+ *
+ * The API takes the system prompt separately and wants messages that start
+ * with a user turn and alternate roles, so messages are reshaped here. It has
+ * no JSON mode; JSON requests get an instruction in the system prompt, with
+ * the response schema when there is one.
+ */
+
+const { LLMError } = require('./errors');
+const { requestJson } = require('./http');
+
+const API_VERSION = '2023-06-01';
+const JSON_INSTRUCTION = 'Respond only with a valid JSON object, with no text before or after it.';
+
+/**
+ * Split out system messages and merge consecutive turns of the same role.
+ */
+function toAnthropicMessages(messages) {
+    const system = [];
+    const turns = [];
+
+    for (const message of messages) {
+        if (message.role === 'system') {
+            system.push(message.content);
+            continue;
+        }
+        const role = message.role === 'assistant' ? 'assistant' : 'user';
+        const last = turns[turns.length - 1];
+        if (last && last.role === role) {
+            last.content += `\n\n${message.content}`;
+        } else {
+            turns.push({ role, content: message.content });
+        }
+    }
+
+    if (turns.length === 0 || turns[0].role !== 'user') {
+        turns.unshift({ role: 'user', content: '(conversation start)' });
+    }
+    return { system, messages: turns };
+}
+
+class ClaudeProvider {
+    constructor(config) {
+        this.name = 'claude';
+        this.config = config;
+        this.model = config.model;
+        this.baseUrl = config.apiUrl.replace(/\/+$/, '');
+    }
+
+    isConfigured() {
+        return Boolean(this.config.apiKey);
+    }
+
+    async isAvailable() {
+        return this.isConfigured();
+    }
+
+    async chat(messages, options = {}) {
+        const { system, messages: turns } = toAnthropicMessages(messages);
+        if (options.responseSchema) {
+            system.push(`${JSON_INSTRUCTION} It must match this JSON Schema:\n${JSON.stringify(options.responseSchema.schema)}`);
+        } else if (options.responseFormat === 'json') {
+            system.push(JSON_INSTRUCTION);
+        }
+
+        const body = {
+            model: options.model || this.model,
+            max_tokens: options.maxTokens || this.config.maxTokens,
+            messages: turns,
+            temperature: options.temperature
+        };
+        if (system.length) {
+            body.system = system.join('\n\n');
+        }
+
+        const data = await requestJson(`${this.baseUrl}/v1/messages`, {
+            method: 'POST',
+            headers: {
+                'x-api-key': this.config.apiKey,
+                'anthropic-version': API_VERSION
+            },
+            body,
+            signal: options.signal,
+            provider: this.name
+        });
+
+        const text = (data.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+        if (!text) {
+            throw new LLMError(`Claude returned no text (stop reason: ${data.stop_reason || 'unknown'})`, 'LLM_BAD_RESPONSE', {
+                provider: this.name
+            });
+        }
+
+        const usage = data.usage;
+        return {
+            content: text,
+            model: data.model || body.model,
+            usage: usage ? {
+                promptTokens: usage.input_tokens || 0,
+                completionTokens: usage.output_tokens || 0,
+                totalTokens: (usage.input_tokens || 0) + (usage.output_tokens || 0)
+            } : null
+        };
+    }
+}
+
+module.exports = ClaudeProvider;
+module.exports.toAnthropicMessages = toAnthropicMessages;
@@ -0,0 +1,50 @@
+/**
+ * server/services/llmProviders/errors.js
+ * The error every LLM provider failure is reported as.
+ *
+ * Codes:
+ *   LLM_NOT_CONFIGURED  provider has no API key or URL
+ *   LLM_TIMEOUT         no answer within the timeout
+ *   LLM_RATE_LIMITED    HTTP 429
+ *   LLM_HTTP_ERROR      any other HTTP error status
+ *   LLM_NETWORK_ERROR   connection refused, reset, DNS failure
+ *   LLM_BAD_RESPONSE    answer without usable content
+ *   LLM_UNAVAILABLE     every provider in the chain failed
+ *   LLM_VALIDATION_FAILED  answers never matched the requested schema
+ *   LLM_POLICY_DENIED   the plan ticket is missing or invalid (status 403)
+ * `retryable` is true for network errors, 429 and 5xx.
+ */
+
+class LLMError extends Error {
+    constructor(message, code, options = {}) {
+        super(message);
+        this.name = 'LLMError';
+        this.code = code;
+        this.status = options.status || null;
+        this.provider = options.provider || null;
+        this.retryable = Boolean(options.retryable);
+    }
+}
+
+/**
+ * Wrap an error thrown by an HTTP client or SDK. Anything with a status
+ * (fetch responses, OpenAI SDK errors) is an HTTP error; anything else is a
+ * network error.
+ */
+function toLLMError(error, provider) {
+    if (error instanceof LLMError) {
+        if (!error.provider) error.provider = provider;
+        return error;
+    }
+
+    const status = error.status || (error.response && error.response.status) || null;
+    if (status === 429) {
+        return new LLMError(error.message, 'LLM_RATE_LIMITED', { status, provider, retryable: true });
+    }
+    if (status) {
+        return new LLMError(error.message, 'LLM_HTTP_ERROR', { status, provider, retryable: status >= 500 });
+    }
+    return new LLMError(error.message, 'LLM_NETWORK_ERROR', { provider, retryable: true });
+}
+
+module.exports = { LLMError, toLLMError };
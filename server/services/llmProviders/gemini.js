@@ -0,0 +1,102 @@
+/**
+ * server/services/llmProviders/gemini.js
+ * Google Gemini generateContent. GEMINI_BASE_URL points it at another host.
+ *
+ * System messages become systemInstruction and assistant turns the 'model'
+ * role. JSON requests use responseMimeType application/json, plus
+ * responseJsonSchema when a schema is given.
+ */
+
+const { LLMError } = require('./errors');
+const { requestJson } = require('./http');
+
+function toGeminiContents(messages) {
+    const system = [];
+    const contents = [];
+
+    for (const message of messages) {
+        if (message.role === 'system') {
+            system.push({ text: message.content });
+            continue;
+        }
+        const role = message.role === 'assistant' ? 'model' : 'user';
+        const last = contents[contents.length - 1];
+        if (last && last.role === role) {
+            last.parts.push({ text: message.content });
+        } else {
+            contents.push({ role, parts: [{ text: message.content }] });
+        }
+    }
+    return { system, contents };
+}
+
+class GeminiProvider {
+    constructor(config) {
+        this.name = 'gemini';
+        this.config = config;
+        this.model = config.model;
+        this.baseUrl = config.apiUrl.replace(/\/+$/, '');
+    }
+
+    isConfigured() {
+        return Boolean(this.config.apiKey);
+    }
+
+    async isAvailable() {
+        return this.isConfigured();
+    }
+
+    async chat(messages, options = {}) {
+        const model = options.model || this.model;
+        const { system, contents } = toGeminiContents(messages);
+
+        const body = {
+            contents,
+            generationConfig: {
+                temperature: options.temperature,
+                maxOutputTokens: options.maxTokens
+            }
+        };
+        if (system.length) {
+            body.systemInstruction = { parts: system };
+        }
+        if (options.responseFormat === 'json') {
+            body.generationConfig.responseMimeType = 'application/json';
+        }
+        if (options.responseSchema) {
+            body.generationConfig.responseJsonSchema = options.responseSchema.schema;
+        }
+
+        const data = await requestJson(`${this.baseUrl}/v1beta/models/${encodeURIComponent(model)}:generateContent`, {
+            method: 'POST',
+            headers: { 'x-goog-api-key': this.config.apiKey },
+            body,
+            signal: options.signal,
+            provider: this.name
+        });
+
+        const candidate = data.candidates && data.candidates[0];
+        const text = candidate && candidate.content && (candidate.content.parts || [])
+            .map(part => part.text || '')
+            .join('');
+        if (!text) {
+            const reason = (data.promptFeedback && data.promptFeedback.blockReason) ||
+                (candidate && candidate.finishReason) || 'unknown';
+            throw new LLMError(`Gemini returned no text (reason: ${reason})`, 'LLM_BAD_RESPONSE', { provider: this.name });
+        }
+
+        const usage = data.usageMetadata;
+        return {
+            content: text,
+            model: data.modelVersion || model,
+            usage: usage ? {
+                promptTokens: usage.promptTokenCount || 0,
+                completionTokens: usage.candidatesTokenCount || 0,
+                totalTokens: usage.totalTokenCount || 0
+            } : null
+        };
+    }
+}
+
+module.exports = GeminiProvider;
+module.exports.toGeminiContents = toGeminiContents;
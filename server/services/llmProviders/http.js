@@ -0,0 +1,43 @@
+/**
+ * server/services/llmProviders/http.js
+ * JSON over HTTP for providers without an SDK.
+ */
+
+const { LLMError } = require('./errors');
+
+/**
+ * Send a request and parse the JSON answer. Non-2xx answers throw an
+ * LLMError carrying the status and the provider's error message.
+ */
+async function requestJson(url, { method = 'GET', headers = {}, body, signal, provider } = {}) {
+    const response = await fetch(url, {
+        method,
+        headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal
+    });
+
+    const text = await response.text();
+    let data = null;
+    try {
+        data = text ? JSON.parse(text) : null;
+    } catch (error) {
+        // Not JSON; reported below
+    }
+
+    if (!response.ok) {
+        const detail = data && data.error ? (data.error.message || data.error) : text.slice(0, 200);
+        const code = response.status === 429 ? 'LLM_RATE_LIMITED' : 'LLM_HTTP_ERROR';
+        throw new LLMError(`HTTP ${response.status}: ${detail || response.statusText}`, code, {
+            status: response.status,
+            provider,
+            retryable: response.status === 429 || response.status >= 500
+        });
+    }
+    if (data === null) {
+        throw new LLMError('Response was not JSON', 'LLM_BAD_RESPONSE', { provider });
+    }
+    return data;
+}
+
+module.exports = { requestJson };
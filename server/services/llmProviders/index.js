@@ -0,0 +1,28 @@
+/**
+ * server/services/llmProviders/index.js
+ * Provider classes by config name (see shared/config/llm.js).
+ *
+ * A provider is built from its config and has:
+ *   name                  reported as `provider` in gateway results
+ *   model                 default model
+ *   isConfigured()        has what it needs to be called (key, URL)
+ *   isAvailable()         resolves to whether it can be reached now
+ *   chat(messages, opts)  resolves to { content, model, usage }; opts are
+ *                         model, temperature, maxTokens, responseFormat
+ *                         ('json'), responseSchema ({ name, schema }, set
+ *                         only with 'json') and signal
+ */
+
+const OpenAIProvider = require('./openai');
+const OllamaProvider = require('./ollama');
+const ClaudeProvider = require('./claude');
+const GeminiProvider = require('./gemini');
+const MockProvider = require('./mock');
+
+module.exports = {
+    openai: OpenAIProvider,
+    llama: OllamaProvider,
+    claude: ClaudeProvider,
+    gemini: GeminiProvider,
+    mock: MockProvider
+};
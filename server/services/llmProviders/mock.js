@@ -0,0 +1,49 @@
+/**
+ * server/services/llmProviders/mock.js
+ * Offline provider for development and tests (LLM_PROVIDER=mock).
+ *
+ * Replays a recorded fixture when one exists for the request (see
+ * services/llmFixtures.js) and otherwise answers with the canned response
+ * for the prompt type. Never touches the network.
+ */
+
+const { getCannedResponse } = require('./mockResponses');
+const { findFixture } = require('../llmFixtures');
+
+// Rough token count for usage figures
+const CHARS_PER_TOKEN = 4;
+
+function estimateTokens(text) {
+    return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+class MockProvider {
+    constructor(config) {
+        this.name = 'mock';
+        this.config = config;
+        this.model = config.model;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async isAvailable() {
+        return true;
+    }
+
+    async chat(messages, options = {}) {
+        const fixture = await findFixture(messages, options);
+        const content = fixture ? fixture.content : getCannedResponse(messages, options).content;
+
+        const promptTokens = messages.reduce((sum, message) => sum + estimateTokens(message.content), 0);
+        const completionTokens = estimateTokens(content);
+        return {
+            content,
+            model: this.model,
+            usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+        };
+    }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,251 @@
+/**
+ * server/services/llmProviders/mockResponses.js
+ * Prompt types and the canned answers the mock provider gives for them.
+ *
+ * Each type matches the prompts one flow sends and answers in the shape that
+ * flow parses and validates, so every LLM-backed feature works offline. The
+ * answers depend only on the prompt.
+ */
+
+const LLMResponseValidator = require('../../shared/llm/responseValidator');
+
+const DISCOVERY_WEEKS = [
+    { theme: 'Dream Foundation', types: ['visualization', 'research', 'reflection', 'research', 'assessment', 'planning', 'reflection'] },
+    { theme: 'Dream Exploration', types: ['research', 'networking', 'learning', 'research', 'networking', 'learning', 'reflection'] },
+    { theme: 'Dream Testing', types: ['action', 'action', 'networking', 'action', 'assessment', 'planning', 'reflection'] }
+];
+
+const ENTREPRENEUR_WORDS = /\b(start|launch|found|startup|business|venture|own company)\b/i;
+
+function quoted(text, label) {
+    const match = text.match(new RegExp(`${label}\\s*"([^"]*)"`));
+    return match ? match[1].trim() : '';
+}
+
+function json(value) {
+    return JSON.stringify(value);
+}
+
+function discoveryPlan(text) {
+    const dream = quoted(text, 'discovery plan for:') || 'your dream';
+    return json({
+        weeks: DISCOVERY_WEEKS.map((week, weekIndex) => ({
+            week: weekIndex + 1,
+            theme: week.theme,
+            activities: week.types.map((type, dayIndex) => {
+                const day = weekIndex * 7 + dayIndex + 1;
+                return {
+                    day: dayIndex + 1,
+                    title: `Day ${day}: ${type.charAt(0).toUpperCase()}${type.slice(1)} step`,
+                    description: `A ${type} activity that moves you towards: ${dream}`,
+                    type,
+                    estimatedTime: 20 + (dayIndex % 3) * 10,
+                    instructions: `Spend focused time on this ${type} activity and note what you learn.`
+                };
+            })
+        }))
+    });
+}
+
+/**
+ * Echo the plan's own titles back; they already fit the count and length
+ * checks the planner applies.
+ */
+function plannerEnrichment(text) {
+    const lines = text.trim().split('\n');
+    try {
+        const plan = JSON.parse(lines[lines.length - 1]);
+        return json({ goals: plan.goals, tasks: plan.tasks });
+    } catch (error) {
+        return json({ goals: [], tasks: [] });
+    }
+}
+
+const PROMPT_TYPES = [
+    {
+        type: 'connection-test',
+        match: /^Say "(ok|Hello!)"$/,
+        respond: () => 'ok'
+    },
+    {
+        type: 'planner-enrichment',
+        match: /You personalise a three-week action plan/,
+        respond: plannerEnrichment
+    },
+    {
+        type: 'key-results',
+        match: /generate exactly 4 specific, measurable key results/,
+        respond: text => {
+            const objective = quoted(text, 'Objective:') || 'the objective';
+            return json([
+                `Define what success looks like for "${objective}" in one page`,
+                'Spend 3 focused hours per week on it for 12 weeks',
+                'Complete 3 milestone deliverables and review each one',
+                'Get feedback from 5 people who have done something similar'
+            ]);
+        }
+    },
+    {
+        type: 'weekly-plan',
+        match: /Create a realistic weekly plan/,
+        respond: text => json({
+            goal: {
+                title: 'Make steady progress on this week\'s focus',
+                tasks: [
+                    { name: `Outline the steps for: ${quoted(text, 'USER INPUT:').slice(0, 60) || 'this week'}`, estTime: 30 },
+                    { name: 'Work through the first step', estTime: 60 },
+                    { name: 'Review progress and plan next week', estTime: 20 }
+                ]
+            }
+        })
+    },
+    {
+        type: 'discovery-plan',
+        match: /Create a 21-day discovery plan/,
+        respond: discoveryPlan
+    },
+    {
+        type: 'dream-classification',
+        match: /Classify this career dream/,
+        respond: text => (ENTREPRENEUR_WORDS.test(quoted(text, 'DREAM:')) ? 'entrepreneur' : 'employee')
+    },
+    {
+        type: 'dream-parse',
+        match: /parsing career dreams and entrepreneurial goals/,
+        respond: text => {
+            const dream = quoted(text, 'DREAM TEXT:');
+            return json(ENTREPRENEUR_WORDS.test(dream)
+                ? {
+                    mode: 'entrepreneur',
+                    ventureIdea: dream,
+                    industryVertical: 'Technology',
+                    techFocus: null,
+                    targetPersona: null,
+                    productFormat: null,
+                    businessModel: null,
+                    marketType: 'Mixed',
+                    impactStatement: dream,
+                    region: null,
+                    parsingConfidence: 0.6
+                }
+                : {
+                    mode: 'employee',
+                    role: null,
+                    targetCompany: null,
+                    teamContext: null,
+                    techFocus: null,
+                    marketType: 'Mixed',
+                    impactStatement: dream,
+                    industryVertical: 'Technology',
+                    seniorityLevel: 'mid',
+                    parsingConfidence: 0.6
+                });
+        }
+    },
+    {
+        type: 'journey',
+        match: /Create a \d+-week journey plan/,
+        respond: () => json(LLMResponseValidator.getFallbackData('journey'))
+    },
+    {
+        type: 'dream-goals',
+        match: /Create 3 actionable goals/,
+        respond: () => json(LLMResponseValidator.getFallbackData('goals'))
+    },
+    {
+        type: 'dream-analysis',
+        match: /Analyze this person's dream/,
+        respond: () => json(LLMResponseValidator.getFallbackData('analysis'))
+    },
+    {
+        type: 'readiness-insights',
+        match: /senior career strategist analyzing professional readiness/,
+        respond: text => {
+            const dream = quoted(text, 'Dream/Goal:') || 'your goal';
+            return json({
+                validationScore: 75,
+                keyInsights: [`"${dream}" is reachable with steady weekly effort`, 'Your strongest dimension can carry early progress', 'Your lowest dimension sets the pace'],
+                hiddenStrengths: ['Willingness to assess yourself honestly'],
+                blindSpots: ['Underestimating the time networking takes'],
+                careerStrategy: 'Build one visible piece of work in the target area each month',
+                immediateActions: ['List the three skills the goal needs most', 'Block two focused hours this week', 'Contact one person already doing this work'],
+                skillPriorities: ['The most-requested skill in target job posts'],
+                networkingStrategy: 'Have one short conversation a week with someone in the field',
+                timelineAdjustment: 'Keep the current timeline and review it after four weeks',
+                successPredictors: ['Weekly consistency'],
+                riskMitigations: ['Set a small weekly minimum so progress never stops'],
+                confidenceBoost: 2,
+                personalizedMessage: 'You have a clear starting point. Small steps every week will get you there.'
+            });
+        }
+    },
+    {
+        type: 'stage-goals',
+        match: /creating personalized goals for a user's/,
+        respond: text => {
+            const stage = (text.match(/\(Stage (\d+)\)/) || [])[1] || '1';
+            return json({
+                goals: [
+                    { id: `stage${stage}_goal_1`, title: 'Take the first step', description: 'Begin your journey toward your dream', category: 'progress_making', difficulty: 'easy' },
+                    { id: `stage${stage}_goal_2`, title: 'Reflect on your motivation', description: 'Understand why this dream matters to you', category: 'reflection', difficulty: 'easy' },
+                    { id: `stage${stage}_goal_3`, title: 'Build a daily habit', description: 'Establish one small daily action', category: 'skill_building', difficulty: 'medium' }
+                ]
+            });
+        }
+    },
+    {
+        type: 'stage-tasks',
+        match: /creating specific, actionable tasks for this goal/,
+        respond: text => {
+            const goal = (text.match(/Title: (.*)/) || [])[1] || 'this goal';
+            return json({
+                tasks: [
+                    { title: `Write down what "${goal.trim()}" means to you`, description: 'Take 5 minutes to put it in your own words', estimatedMinutes: 5, type: 'reflection' },
+                    { title: 'Research one aspect', description: 'Spend 15 minutes researching one element of the goal', estimatedMinutes: 15, type: 'research' },
+                    { title: 'Take one small action', description: 'Do one small thing that moves the goal forward', estimatedMinutes: 20, type: 'action' }
+                ]
+            });
+        }
+    },
+    {
+        type: 'task-chat',
+        match: /You are an AI coach helping a user with their personal development tasks/,
+        respond: text => {
+            const task = ((text.match(/- Name: (.*)/) || [])[1] || 'this task').trim();
+            return `Let's break "${task}" into a first step you can finish in 15 minutes. What part feels least clear right now?`;
+        }
+    }
+];
+
+function promptText(messages) {
+    return messages.map(message => message.content).join('\n\n');
+}
+
+/**
+ * The prompt type for a request, or 'general'.
+ */
+function classifyPrompt(messages) {
+    const text = promptText(messages);
+    const found = PROMPT_TYPES.find(promptType => promptType.match.test(text.trim()));
+    return found ? found.type : 'general';
+}
+
+/**
+ * Canned answer for a request. Unknown prompts get an empty JSON object when
+ * they ask for JSON and a short sentence otherwise.
+ */
+function getCannedResponse(messages, options = {}) {
+    const text = promptText(messages);
+    const found = PROMPT_TYPES.find(promptType => promptType.match.test(text.trim()));
+    if (found) {
+        return { type: found.type, content: found.respond(text) };
+    }
+    const wantsJson = options.responseFormat === 'json' || /\bJSON\b/.test(text);
+    return { type: 'general', content: wantsJson ? '{}' : 'This is a mock response.' };
+}
+
+module.exports = {
+    PROMPT_TYPES,
+    classifyPrompt,
+    getCannedResponse
+};
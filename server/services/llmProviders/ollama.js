@@ -0,0 +1,76 @@
+/**
+ * server/services/llmProviders/ollama.js
+ * A local Ollama server (the 'llama' provider config), through /api/chat.
+ */
+
+const { LLMError } = require('./errors');
+const { requestJson } = require('./http');
+
+const AVAILABILITY_TIMEOUT = 5000;
+
+class OllamaProvider {
+    constructor(config) {
+        this.name = 'ollama';
+        this.config = config;
+        this.model = config.model;
+        this.baseUrl = config.apiUrl.replace(/\/+$/, '');
+    }
+
+    // A local server needs no key; whether it is running is isAvailable()
+    isConfigured() {
+        return Boolean(this.baseUrl);
+    }
+
+    async isAvailable() {
+        try {
+            await this.listModels({ signal: AbortSignal.timeout(AVAILABILITY_TIMEOUT) });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Models pulled on the server, as reported by /api/tags.
+     */
+    async listModels(options = {}) {
+        const data = await requestJson(`${this.baseUrl}/api/tags`, { signal: options.signal, provider: this.name });
+        return data.models || [];
+    }
+
+    async chat(messages, options = {}) {
+        const body = {
+            model: options.model || this.model,
+            messages,
+            stream: false,
+            options: {
+                temperature: options.temperature,
+                num_predict: options.maxTokens
+            }
+        };
+        if (options.responseFormat === 'json') {
+            // Ollama constrains output to a JSON Schema passed as the format
+            body.format = options.responseSchema ? options.responseSchema.schema : 'json';
+        }
+
+        const data = await requestJson(`${this.baseUrl}/api/chat`, {
+            method: 'POST',
+            body,
+            signal: options.signal,
+            provider: this.name
+        });
+        if (!data.message || typeof data.message.content !== 'string') {
+            throw new LLMError('Ollama returned no message content', 'LLM_BAD_RESPONSE', { provider: this.name });
+        }
+
+        const promptTokens = data.prompt_eval_count || 0;
+        const completionTokens = data.eval_count || 0;
+        return {
+            content: data.message.content,
+            model: data.model || body.model,
+            usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+        };
+    }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,76 @@
+/**
+ * server/services/llmProviders/openai.js
+ * OpenAI chat completions. OPENAI_BASE_URL points it at a compatible server.
+ */
+
+const { LLMError } = require('./errors');
+
+let OpenAI;
+
+class OpenAIProvider {
+    constructor(config) {
+        this.name = 'openai';
+        this.config = config;
+        this.model = config.model;
+        this.client = null;
+    }
+
+    isConfigured() {
+        return Boolean(this.config.apiKey);
+    }
+
+    async isAvailable() {
+        return this.isConfigured();
+    }
+
+    getClient() {
+        if (!this.client) {
+            if (!OpenAI) {
+                OpenAI = require('openai');
+            }
+            this.client = new OpenAI({
+                apiKey: this.config.apiKey,
+                baseURL: process.env.OPENAI_BASE_URL || undefined,
+                // Retries and timeouts are the gateway's job
+                maxRetries: 0
+            });
+        }
+        return this.client;
+    }
+
+    async chat(messages, options = {}) {
+        const request = {
+            model: options.model || this.model,
+            messages,
+            max_tokens: options.maxTokens,
+            temperature: options.temperature
+        };
+        if (options.responseSchema) {
+            request.response_format = {
+                type: 'json_schema',
+                json_schema: { name: options.responseSchema.name, schema: options.responseSchema.schema, strict: false }
+            };
+        } else if (options.responseFormat === 'json') {
+            request.response_format = { type: 'json_object' };
+        }
+
+        const response = await this.getClient().chat.completions.create(request, { signal: options.signal });
+        const choice = response.choices && response.choices[0];
+        if (!choice || typeof choice.message.content !== 'string') {
+            throw new LLMError('OpenAI returned no message content', 'LLM_BAD_RESPONSE', { provider: this.name });
+        }
+
+        const usage = response.usage;
+        return {
+            content: choice.message.content,
+            model: response.model || request.model,
+            usage: usage ? {
+                promptTokens: usage.prompt_tokens || 0,
+                completionTokens: usage.completion_tokens || 0,
+                totalTokens: usage.total_tokens || 0
+            } : null
+        };
+    }
+}
+
+module.exports = OpenAIProvider;
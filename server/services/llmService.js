@@ -1,95 +1,112 @@
 /**
  * LLM Service (Standalone version for KARVIA)
- * Provides OpenAI/Ollama integration for content generation
+ * Content generation for routes and engines, on top of the LLM gateway
  */
 
-const { getLLMConfig } = require('../shared/config/llm');
-let OpenAI;
+const llmGateway = require('./llmGateway');
+const LLMResponseValidator = require('../shared/llm/responseValidator');
+const schemas = require('../shared/llm/schemas');
+const llmPolicy = require('../shared/policy/llmPolicy');
+const { LLMError } = require('./llmProviders/errors');
 
-class LLMService {
-    constructor() {
-        this.config = getLLMConfig();
-        this.ollamaUrl = process.env.OLLAMA_URL || 'http://localhost:11434';
-        this.defaultModel = this.config.model || 'gpt-4o-mini';
+const DEFAULT_VALIDATION_RETRIES = 2;
 
-        // Initialize on first use
-        console.log('🔄 Config reloaded - API Key ends with:',
-            this.config.apiKey ? this.config.apiKey.slice(-10) : 'not set');
-        console.log('LLM Service initialized with provider:', this.config.provider);
-    }
+function readInt(value, fallback) {
+    const parsed = parseInt(value, 10);
+    return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+function buildCorrectionPrompt(schemaType, error) {
+    return `Your previous answer did not match the required "${schemaType}" JSON format: ${error}
 
+Fix it and return ONLY the corrected JSON object, with no text before or after it.`;
+}
+
+class LLMService {
     /**
-     * Generate content using configured LLM provider
+     * Generate content using the configured LLM providers.
+     * Resolves to the gateway result: { success, content, provider, model,
+     * usage, responseTime }, with error when every provider failed.
+     *
+     * Options beyond the gateway's:
+     * - schemaType: an output type from shared/llm/schemas ('weekly',
+     *   'journey', 'discovery', ...). The schema goes to the provider as structured
+     *   output. The answer is parsed, repaired with jsonrepair and
+     *   validated; on failure the model is shown the error and asked again, up
+     *   to validationRetries times (LLM_VALIDATION_RETRIES, default 2). A valid
+     *   answer adds data (the validated object) and rawContent, and content
+     *   becomes its JSON. Otherwise success is false with code
+     *   LLM_VALIDATION_FAILED, error, validationErrors ({ path, message }),
+     *   rawContent and attempts.
+     * - policyTicket: passing this option (even undefined) puts the call under
+     *   llmPolicy.enforceOrThrow. When IBRAIN_ENFORCE_LLM_POLICY is on and the
+     *   ticket is missing or invalid, it rejects with an LLMError whose code is
+     *   LLM_POLICY_DENIED, before any provider is called.
      */
     async generateContent(prompt, options = {}) {
-        const { maxTokens = 1000, temperature = 0.7 } = options;
+        const {
+            maxTokens = 1000,
+            temperature = 0.7,
+            schemaType,
+            validationRetries,
+            policyTicket,
+            ...rest
+        } = options;
 
-        try {
-            if (this.config.provider === 'openai') {
-                return await this.generateWithOpenAI(prompt, { maxTokens, temperature });
-            } else {
-                return await this.generateWithOllama(prompt, { maxTokens, temperature });
+        if (Object.prototype.hasOwnProperty.call(options, 'policyTicket')) {
+            try {
+                await llmPolicy.enforceOrThrow(policyTicket);
+            } catch (error) {
+                throw new LLMError(error.message, 'LLM_POLICY_DENIED', { status: 403 });
             }
-        } catch (error) {
-            console.error('LLM generation error:', error.message);
-            return {
-                success: false,
-                error: error.message,
-                content: null
-            };
         }
-    }
 
-    /**
-     * Generate with OpenAI
-     */
-    async generateWithOpenAI(prompt, options = {}) {
-        if (!OpenAI) {
-            OpenAI = require('openai');
+        const request = { ...rest, maxTokens, temperature };
+        if (!schemaType) {
+            return llmGateway.complete(prompt, request);
         }
 
-        const client = new OpenAI({
-            apiKey: this.config.apiKey
-        });
-
-        const response = await client.chat.completions.create({
-            model: this.config.model || 'gpt-4o-mini',
-            messages: [{ role: 'user', content: prompt }],
-            max_tokens: options.maxTokens || 1000,
-            temperature: options.temperature || 0.7
-        });
-
-        return {
-            success: true,
-            content: response.choices[0].message.content,
-            model: response.model,
-            provider: 'openai'
-        };
-    }
+        const responseSchema = schemas.hasSchema(schemaType) ? schemas.getResponseSchema(schemaType) : undefined;
+        const retries = readInt(validationRetries, readInt(process.env.LLM_VALIDATION_RETRIES, DEFAULT_VALIDATION_RETRIES));
+        const messages = rest.system
+            ? [{ role: 'system', content: rest.system }, { role: 'user', content: prompt }]
+            : [{ role: 'user', content: prompt }];
 
-    /**
-     * Generate with Ollama (local)
-     */
-    async generateWithOllama(prompt, options = {}) {
-        const axios = require('axios');
+        let result;
+        let validation;
+        for (let attempt = 0; attempt <= retries; attempt++) {
+            result = await llmGateway.chat(messages, { ...request, responseFormat: 'json', responseSchema });
+            if (!result.success) {
+                return { ...result, code: 'LLM_UNAVAILABLE', attempts: attempt + 1 };
+            }
 
-        const response = await axios.post(`${this.ollamaUrl}/api/generate`, {
-            model: this.defaultModel,
-            prompt: prompt,
-            stream: false,
-            options: {
-                temperature: options.temperature || 0.7,
-                num_predict: options.maxTokens || 1000
+            validation = LLMResponseValidator.parseAndValidate(result.content, schemaType);
+            if (validation.success) {
+                return {
+                    ...result,
+                    content: JSON.stringify(validation.data),
+                    rawContent: result.content,
+                    data: validation.data,
+                    attempts: attempt + 1
+                };
             }
-        }, {
-            timeout: 180000
-        });
+
+            console.warn(`LLM ${schemaType} answer failed validation (attempt ${attempt + 1}/${retries + 1}): ${validation.error}`);
+            messages.push(
+                { role: 'assistant', content: result.content },
+                { role: 'user', content: buildCorrectionPrompt(schemaType, validation.error) }
+            );
+        }
 
         return {
-            success: true,
-            content: response.data.response,
-            model: response.data.model,
-            provider: 'ollama'
+            ...result,
+            success: false,
+            content: null,
+            code: 'LLM_VALIDATION_FAILED',
+            error: validation.error,
+            validationErrors: validation.errors,
+            rawContent: result.content,
+            attempts: retries + 1
         };
     }
 
@@ -97,35 +114,7 @@ class LLMService {
      * Test connection to LLM provider
      */
     async testConnection() {
-        try {
-            if (this.config.provider === 'openai') {
-                if (!this.config.apiKey) {
-                    return { success: false, error: 'No API key configured', provider: 'openai' };
-                }
-
-                // Quick test with minimal tokens
-                const result = await this.generateContent('Say "ok"', { maxTokens: 10 });
-                return {
-                    success: result.success,
-                    provider: 'openai',
-                    model: this.config.model
-                };
-            } else {
-                const axios = require('axios');
-                const response = await axios.get(`${this.ollamaUrl}/api/tags`, { timeout: 5000 });
-                return {
-                    success: response.status === 200,
-                    provider: 'ollama',
-                    model: this.defaultModel
-                };
-            }
-        } catch (error) {
-            return {
-                success: false,
-                error: error.message,
-                provider: this.config.provider
-            };
-        }
+        return llmGateway.testConnection();
     }
 }
 
@@ -0,0 +1,494 @@
+/**
+ * server/services/mcpAnalyticsService.js
+ * Progress analysis, insights and goal suggestions behind /api/mcp.
+ *
+ * Everything is computed from the user's Task, WeeklyGoal, Journey and
+ * VisionProfile documents; no LLM call is involved, so results are cheap
+ * and deterministic.
+ */
+
+const User = require('../models/User');
+const Task = require('../models/Task');
+const WeeklyGoal = require('../models/WeeklyGoal');
+const Journey = require('../models/Journey');
+const VisionProfile = require('../models/VisionProfile');
+const goalSuggestions = require('../config/goalSuggestions');
+const { getStartOfWeek, getStartOfNextWeek } = require('../utils/date');
+
+const DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const TIMEFRAMES = ['week', 'month', 'quarter', 'year', 'all'];
+const MONTHS_OF_ANALYTICS = 6;
+
+/**
+ * Percentage rounded to a whole number, 0 when there is nothing to divide by.
+ */
+function percent(part, total) {
+    return total > 0 ? Math.round((part / total) * 100) : 0;
+}
+
+/**
+ * A goal counts as completed when it has tasks and all of them are done.
+ */
+function isGoalCompleted(goal) {
+    const tasks = goal.tasks || [];
+    return tasks.length > 0 && tasks.every(task => task && task.completed);
+}
+
+class MCPAnalyticsService {
+    /**
+     * Resolve a timeframe name to the [start, end) range of the period containing now.
+     */
+    getTimeframeRange(timeframe = 'week', now = new Date()) {
+        const year = now.getUTCFullYear();
+        const month = now.getUTCMonth();
+
+        switch (timeframe) {
+            case 'week':
+                return { start: getStartOfWeek(now), end: getStartOfNextWeek(now) };
+            case 'month':
+                return { start: new Date(Date.UTC(year, month, 1)), end: new Date(Date.UTC(year, month + 1, 1)) };
+            case 'quarter': {
+                const quarterStart = Math.floor(month / 3) * 3;
+                return { start: new Date(Date.UTC(year, quarterStart, 1)), end: new Date(Date.UTC(year, quarterStart + 3, 1)) };
+            }
+            case 'year':
+                return { start: new Date(Date.UTC(year, 0, 1)), end: new Date(Date.UTC(year + 1, 0, 1)) };
+            default:
+                return { start: new Date(0), end: new Date(now.getTime() + 1) };
+        }
+    }
+
+    isValidTimeframe(timeframe) {
+        return TIMEFRAMES.includes(timeframe);
+    }
+
+    async getActiveJourney(userId) {
+        return Journey.findOne({ user: userId, status: 'active' }).sort({ createdAt: -1 });
+    }
+
+    /**
+     * Goal and task completion for a timeframe, plus journey position and insights.
+     */
+    async getProgressAnalysis(userId, timeframe = 'week') {
+        const { start, end } = this.getTimeframeRange(timeframe);
+
+        const [user, goals, tasks, journey] = await Promise.all([
+            User.findById(userId).select('userStage currentStreak'),
+            WeeklyGoal.find({ user: userId, weekOf: { $gte: start, $lt: end } }).populate('tasks', 'completed timeSpent'),
+            Task.find({ user: userId, createdAt: { $gte: start, $lt: end } }).select('completed timeSpent estTime day priority'),
+            this.getActiveJourney(userId)
+        ]);
+
+        const completedGoals = goals.filter(isGoalCompleted).length;
+        const completedTasks = tasks.filter(task => task.completed);
+        const timeSpent = tasks.reduce((sum, task) => sum + (task.timeSpent || 0), 0);
+        const estimatedTime = tasks.reduce((sum, task) => sum + (task.estTime || 0), 0);
+
+        const analysis = {
+            userId,
+            timeframe,
+            period: { start, end },
+            goals: {
+                total: goals.length,
+                completed: completedGoals,
+                completionRate: percent(completedGoals, goals.length)
+            },
+            tasks: {
+                total: tasks.length,
+                completed: completedTasks.length,
+                completionRate: percent(completedTasks.length, tasks.length),
+                timeSpent,
+                estimatedTime
+            },
+            journey: journey ? {
+                stage: user ? user.userStage : 'discovery',
+                week: journey.currentWeek,
+                day: journey.currentDay,
+                sprint: journey.currentSprint,
+                completionPercentage: journey.overallProgress ? journey.overallProgress.completionPercentage : 0
+            } : null,
+            streak: user ? user.currentStreak : 0
+        };
+
+        analysis.insights = this.buildProgressInsights(analysis, tasks);
+        return analysis;
+    }
+
+    buildProgressInsights(analysis, tasks) {
+        const insights = [];
+        const { goals, tasks: taskStats } = analysis;
+
+        if (taskStats.total === 0) {
+            insights.push(`No tasks were planned this ${analysis.timeframe === 'all' ? 'period' : analysis.timeframe}. Start with one small task to build momentum.`);
+            return insights;
+        }
+
+        if (taskStats.completionRate >= 80) {
+            insights.push(`Excellent consistency: ${taskStats.completionRate}% of your tasks are done.`);
+        } else if (taskStats.completionRate >= 50) {
+            insights.push(`Solid progress: ${taskStats.completed} of ${taskStats.total} tasks completed.`);
+        } else {
+            insights.push(`Only ${taskStats.completionRate}% of tasks are complete. Consider planning fewer, smaller tasks.`);
+        }
+
+        if (goals.total > 0 && goals.completed === goals.total) {
+            insights.push('Every goal in this period is fully complete.');
+        }
+
+        if (taskStats.estimatedTime > 0 && taskStats.timeSpent > 0) {
+            const ratio = taskStats.timeSpent / taskStats.estimatedTime;
+            if (ratio > 1.3) {
+                insights.push('Tasks are taking noticeably longer than estimated. Try padding your estimates.');
+            } else if (ratio < 0.7) {
+                insights.push('You are finishing tasks faster than estimated. You may be ready for a stretch goal.');
+            }
+        }
+
+        const highPriorityOpen = tasks.filter(task => !task.completed && ['high', 'critical'].includes(task.priority)).length;
+        if (highPriorityOpen > 0) {
+            insights.push(`${highPriorityOpen} high-priority task${highPriorityOpen === 1 ? ' is' : 's are'} still open.`);
+        }
+
+        if (analysis.streak >= 3) {
+            insights.push(`You are on a ${analysis.streak}-day streak. Keep it going!`);
+        }
+
+        return insights;
+    }
+
+    /**
+     * Long-run patterns: most productive day, weekly throughput and goal completion trend.
+     */
+    async getInsights(userId) {
+        const now = new Date();
+        const fourWeeksAgo = new Date(getStartOfWeek(now));
+        fourWeeksAgo.setUTCDate(fourWeeksAgo.getUTCDate() - 21);
+
+        const [user, journey, completedTasks, recentGoals, visionProfile] = await Promise.all([
+            User.findById(userId).select('userStage currentStreak'),
+            this.getActiveJourney(userId),
+            Task.find({ user: userId, completed: true }).select('day updatedAt'),
+            WeeklyGoal.find({ user: userId, weekOf: { $gte: fourWeeksAgo } }).populate('tasks', 'completed'),
+            VisionProfile.findOne({ user: userId }).select('aiInsights completionStatus')
+        ]);
+
+        const tasksByDay = {};
+        completedTasks.forEach(task => {
+            tasksByDay[task.day] = (tasksByDay[task.day] || 0) + 1;
+        });
+        const mostProductiveDay = DAY_NAMES.reduce((best, day) => (
+            (tasksByDay[day] || 0) > (tasksByDay[best] || 0) ? day : best
+        ), DAY_NAMES[0]);
+
+        const recentCompleted = completedTasks.filter(task => task.updatedAt >= fourWeeksAgo).length;
+
+        const patterns = {
+            mostProductiveDay: completedTasks.length > 0 ? mostProductiveDay : 'Not enough data',
+            tasksByDay,
+            averageTasksPerWeek: Math.round((recentCompleted / 4) * 10) / 10,
+            goalCompletionTrend: this.getGoalCompletionTrend(recentGoals, now)
+        };
+
+        return {
+            userId,
+            overallProgress: {
+                journeyStage: user ? user.userStage : 'discovery',
+                journeyWeek: journey ? journey.currentWeek : null,
+                journeyDay: journey ? journey.currentDay : null,
+                completionPercentage: journey && journey.overallProgress ? journey.overallProgress.completionPercentage : 0,
+                visionProfileCompletion: visionProfile && visionProfile.completionStatus ? visionProfile.completionStatus.overall : 0
+            },
+            patterns,
+            recommendations: this.buildRecommendations({ patterns, user, journey, visionProfile }).map(rec => rec.message)
+        };
+    }
+
+    /**
+     * Compare goal completion in the last two weeks against the two weeks before.
+     */
+    getGoalCompletionTrend(goals, now = new Date()) {
+        const midpoint = new Date(getStartOfWeek(now));
+        midpoint.setUTCDate(midpoint.getUTCDate() - 7);
+
+        const earlier = goals.filter(goal => goal.weekOf < midpoint);
+        const later = goals.filter(goal => goal.weekOf >= midpoint);
+        if (earlier.length === 0 || later.length === 0) {
+            return 'insufficient_data';
+        }
+
+        const earlierRate = percent(earlier.filter(isGoalCompleted).length, earlier.length);
+        const laterRate = percent(later.filter(isGoalCompleted).length, later.length);
+
+        if (laterRate - earlierRate >= 10) return 'improving';
+        if (earlierRate - laterRate >= 10) return 'declining';
+        return 'steady';
+    }
+
+    /**
+     * Build prioritised recommendation objects from patterns and the vision profile.
+     */
+    buildRecommendations({ patterns, user, journey, visionProfile, analysis }) {
+        const recommendations = [];
+
+        if (patterns.goalCompletionTrend === 'declining') {
+            recommendations.push({ category: 'planning', priority: 'high', message: 'Goal completion has dropped recently. Plan fewer goals next week and focus on finishing them.' });
+        } else if (patterns.goalCompletionTrend === 'improving') {
+            recommendations.push({ category: 'planning', priority: 'low', message: 'Goal completion is improving. Consider adding one stretch goal.' });
+        }
+
+        if (patterns.averageTasksPerWeek < 3) {
+            recommendations.push({ category: 'habits', priority: 'high', message: 'Aim for at least three completed tasks a week to build momentum.' });
+        }
+
+        if (patterns.mostProductiveDay && DAY_NAMES.includes(patterns.mostProductiveDay)) {
+            recommendations.push({ category: 'habits', priority: 'medium', message: `${patterns.mostProductiveDay} is your most productive day. Schedule your hardest task then.` });
+        }
+
+        if (user && (user.currentStreak || 0) === 0) {
+            recommendations.push({ category: 'habits', priority: 'medium', message: 'Check in today to start a new streak.' });
+        }
+
+        if (!journey) {
+            recommendations.push({ category: 'journey', priority: 'high', message: 'Start a journey to get a structured 21-day plan toward your dream.' });
+        }
+
+        if (analysis && analysis.tasks.total > 0 && analysis.tasks.completionRate < 50) {
+            recommendations.push({ category: 'planning', priority: 'high', message: 'Break large tasks into 15-30 minute steps so they are easier to finish.' });
+        }
+
+        const aiInsights = visionProfile && visionProfile.aiInsights;
+        if (aiInsights) {
+            (aiInsights.growthAreas || []).slice(0, 2).forEach(area => {
+                recommendations.push({ category: 'growth', priority: 'medium', message: `Set a goal that develops your ${area}.` });
+            });
+            (aiInsights.adaptationStrategies || []).slice(0, 1).forEach(strategy => {
+                recommendations.push({ category: 'growth', priority: 'low', message: strategy });
+            });
+        } else {
+            recommendations.push({ category: 'vision', priority: 'low', message: 'Complete your vision profile for more personalised recommendations.' });
+        }
+
+        const order = { high: 0, medium: 1, low: 2 };
+        return recommendations.sort((a, b) => order[a.priority] - order[b.priority]);
+    }
+
+    /**
+     * Personalised recommendations, optionally filtered by category.
+     */
+    async getRecommendations(userId, category = null) {
+        const [insights, analysis, user, journey, visionProfile] = await Promise.all([
+            this.getInsights(userId),
+            this.getProgressAnalysis(userId, 'week'),
+            User.findById(userId).select('currentStreak'),
+            this.getActiveJourney(userId),
+            VisionProfile.findOne({ user: userId }).select('aiInsights')
+        ]);
+
+        let recommendations = this.buildRecommendations({
+            patterns: insights.patterns,
+            user,
+            journey,
+            visionProfile,
+            analysis
+        });
+
+        if (category) {
+            recommendations = recommendations.filter(rec => rec.category === category);
+        }
+
+        return {
+            userId,
+            category,
+            recommendations,
+            generatedAt: new Date()
+        };
+    }
+
+    /**
+     * Suggest goals from the suggestion library, filtered by category and
+     * pitched at a difficulty that matches recent task completion.
+     */
+    async getGoalSuggestions(userId, category = null, limit = 5) {
+        const recentSince = new Date();
+        recentSince.setUTCDate(recentSince.getUTCDate() - 28);
+
+        const [recentGoals, completedTaskCount, totalTaskCount, visionProfile] = await Promise.all([
+            WeeklyGoal.find({ user: userId, weekOf: { $gte: recentSince } }).select('title category'),
+            Task.countDocuments({ user: userId, completed: true }),
+            Task.countDocuments({ user: userId }),
+            VisionProfile.findOne({ user: userId }).select('professionalDevelopment aiInsights')
+        ]);
+
+        const completionRate = percent(completedTaskCount, totalTaskCount);
+        const difficulty = completedTaskCount < 5 || completionRate < 40 ? 'beginner'
+            : completionRate < 75 ? 'intermediate' : 'advanced';
+
+        const existingTitles = new Set(recentGoals.map(goal => goal.title.toLowerCase()));
+        const focusTerms = [
+            ...((visionProfile && visionProfile.professionalDevelopment && visionProfile.professionalDevelopment.skillPriorities) || []),
+            ...((visionProfile && visionProfile.aiInsights && visionProfile.aiInsights.growthAreas) || [])
+        ].map(term => term.toLowerCase());
+
+        const categories = category ? [category] : Object.keys(goalSuggestions);
+        const candidates = [];
+
+        categories.forEach(cat => {
+            (goalSuggestions[cat] || []).forEach(suggestion => {
+                if (existingTitles.has(suggestion.title.toLowerCase())) return;
+
+                let score = suggestion.difficulty === difficulty ? 2 : 0;
+                if (focusTerms.some(term => suggestion.keywords.some(keyword => term.includes(keyword) || keyword.includes(term)))) {
+                    score += 3;
+                }
+                // Favour categories the user has not worked on recently
+                if (!recentGoals.some(goal => goal.category === cat)) {
+                    score += 1;
+                }
+
+                candidates.push({ score, suggestion: { ...suggestion, category: cat } });
+            });
+        });
+
+        const suggestedGoals = candidates
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit)
+            .map(({ suggestion }) => ({
+                title: suggestion.title,
+                description: suggestion.description,
+                category: suggestion.category,
+                difficulty: suggestion.difficulty
+            }));
+
+        return {
+            userId,
+            category,
+            suggestedGoals,
+            availableCategories: Object.keys(goalSuggestions),
+            basedOn: {
+                recentGoals: recentGoals.length,
+                completedTasks: completedTaskCount,
+                completionRate,
+                recommendedDifficulty: difficulty
+            }
+        };
+    }
+
+    /**
+     * Summary of the current week with a per-day breakdown.
+     */
+    async getWeeklySummary(userId, now = new Date()) {
+        const weekOf = getStartOfWeek(now);
+        const nextWeek = getStartOfNextWeek(now);
+
+        const [user, goals, tasks] = await Promise.all([
+            User.findById(userId).select('currentStreak'),
+            WeeklyGoal.find({ user: userId, weekOf: { $gte: weekOf, $lt: nextWeek } }).populate('tasks', 'completed timeSpent day'),
+            Task.find({ user: userId, createdAt: { $gte: weekOf, $lt: nextWeek } }).select('completed timeSpent day')
+        ]);
+
+        // Tasks attached to this week's goals count even when created earlier
+        const taskMap = new Map();
+        tasks.forEach(task => taskMap.set(task._id.toString(), task));
+        goals.forEach(goal => (goal.tasks || []).forEach(task => {
+            if (task) taskMap.set(task._id.toString(), task);
+        }));
+        const weekTasks = Array.from(taskMap.values());
+
+        const byDay = {};
+        DAY_NAMES.forEach(day => {
+            byDay[day] = { planned: 0, completed: 0 };
+        });
+        weekTasks.forEach(task => {
+            if (!byDay[task.day]) return;
+            byDay[task.day].planned++;
+            if (task.completed) byDay[task.day].completed++;
+        });
+
+        const tasksCompleted = weekTasks.filter(task => task.completed).length;
+        const focusMinutes = weekTasks.reduce((sum, task) => sum + (task.timeSpent || 0), 0);
+
+        return {
+            userId,
+            weekOf,
+            goalsPlanned: goals.length,
+            goalsAchieved: goals.filter(isGoalCompleted).length,
+            tasksPlanned: weekTasks.length,
+            tasksCompleted,
+            completionRate: percent(tasksCompleted, weekTasks.length),
+            focusTimeSpent: Math.round((focusMinutes / 60) * 10) / 10,
+            byDay,
+            currentStreak: user ? user.currentStreak : 0
+        };
+    }
+
+    /**
+     * Month-by-month goal and task totals for the last few months.
+     */
+    async getMonthlyAnalytics(userId, months = MONTHS_OF_ANALYTICS, now = new Date()) {
+        const since = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (months - 1), 1));
+
+        const [goals, tasks] = await Promise.all([
+            WeeklyGoal.find({ user: userId, weekOf: { $gte: since } }).populate('tasks', 'completed'),
+            Task.find({ user: userId, createdAt: { $gte: since } }).select('completed timeSpent createdAt')
+        ]);
+
+        const buckets = [];
+        const bucketIndex = {};
+        for (let i = 0; i < months; i++) {
+            const monthStart = new Date(Date.UTC(since.getUTCFullYear(), since.getUTCMonth() + i, 1));
+            const key = monthStart.toISOString().slice(0, 7);
+            bucketIndex[key] = buckets.length;
+            buckets.push({
+                month: key,
+                goalsCreated: 0,
+                goalsCompleted: 0,
+                tasksCreated: 0,
+                tasksCompleted: 0,
+                timeSpent: 0,
+                categories: {}
+            });
+        }
+
+        goals.forEach(goal => {
+            const bucket = buckets[bucketIndex[new Date(goal.weekOf).toISOString().slice(0, 7)]];
+            if (!bucket) return;
+            bucket.goalsCreated++;
+            if (isGoalCompleted(goal)) bucket.goalsCompleted++;
+            const cat = goal.category || 'general';
+            bucket.categories[cat] = (bucket.categories[cat] || 0) + 1;
+        });
+
+        tasks.forEach(task => {
+            const bucket = buckets[bucketIndex[new Date(task.createdAt).toISOString().slice(0, 7)]];
+            if (!bucket) return;
+            bucket.tasksCreated++;
+            if (task.completed) bucket.tasksCompleted++;
+            bucket.timeSpent += task.timeSpent || 0;
+        });
+
+        buckets.forEach(bucket => {
+            bucket.goalCompletionRate = percent(bucket.goalsCompleted, bucket.goalsCreated);
+            bucket.taskCompletionRate = percent(bucket.tasksCompleted, bucket.tasksCreated);
+        });
+
+        const current = buckets[buckets.length - 1];
+        const previous = buckets[buckets.length - 2];
+
+        return {
+            userId,
+            months: buckets,
+            totals: {
+                goalsCreated: buckets.reduce((sum, b) => sum + b.goalsCreated, 0),
+                goalsCompleted: buckets.reduce((sum, b) => sum + b.goalsCompleted, 0),
+                tasksCompleted: buckets.reduce((sum, b) => sum + b.tasksCompleted, 0),
+                timeSpent: buckets.reduce((sum, b) => sum + b.timeSpent, 0)
+            },
+            monthOverMonth: previous ? {
+                tasksCompleted: current.tasksCompleted - previous.tasksCompleted,
+                taskCompletionRate: current.taskCompletionRate - previous.taskCompletionRate
+            } : null
+        };
+    }
+}
+
+module.exports = new MCPAnalyticsService();
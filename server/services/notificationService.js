@@ -0,0 +1,96 @@
+/**
+ * server/services/notificationService.js
+ * In-app notification inbox (see models/Notification.js).
+ *
+ * post() is called from many places - reminder jobs, stage promotions, badge
+ * awards, the nudge scheduler - usually as a side effect that must not break
+ * the caller, so notify() wraps it and only logs failures.
+ */
+
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const logger = require('../utils/logger');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class NotificationService {
+    /**
+     * Add a notification to a user's inbox.
+     *
+     * @param {string} userId
+     * @param {object} notification - type, title, message, link, data, dedupeKey
+     * @returns {Promise<object>} the notification; for a repeated dedupeKey, the existing one
+     */
+    async post(userId, { type, title, message = '', link = null, data = {}, dedupeKey } = {}) {
+        const notification = { user: userId, type, title, message, link, data };
+        if (dedupeKey) notification.dedupeKey = dedupeKey;
+
+        try {
+            return await Notification.create(notification);
+        } catch (error) {
+            if (error.code === 11000 && dedupeKey) {
+                return Notification.findOne({ dedupeKey });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * post() for side effects: never throws.
+     */
+    async notify(userId, notification) {
+        try {
+            return await this.post(userId, notification);
+        } catch (error) {
+            logger.error({ error: error.message, userId: String(userId), type: notification.type }, 'Failed to post notification');
+            return null;
+        }
+    }
+
+    /**
+     * Notifications, newest first. Options: unread (only unread), limit, before (date).
+     */
+    async list(userId, options = {}) {
+        const filter = { user: userId };
+        if (options.unread) filter.readAt = null;
+        if (options.before) filter.createdAt = { $lt: new Date(options.before) };
+
+        const limit = Math.min(parseInt(options.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+        return Notification.find(filter)
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .lean();
+    }
+
+    async getUnreadCount(userId) {
+        return Notification.countDocuments({ user: userId, readAt: null });
+    }
+
+    /**
+     * Mark one of the user's notifications read. Returns it, or null when the
+     * user has no such notification.
+     */
+    async markRead(userId, notificationId) {
+        if (!mongoose.Types.ObjectId.isValid(notificationId)) return null;
+
+        const notification = await Notification.findOne({ _id: notificationId, user: userId });
+        if (!notification) return null;
+
+        if (!notification.readAt) {
+            notification.readAt = new Date();
+            await notification.save();
+        }
+        return notification;
+    }
+
+    /**
+     * Mark every unread notification read. Returns how many changed.
+     */
+    async markAllRead(userId) {
+        const result = await Notification.updateMany({ user: userId, readAt: null }, { $set: { readAt: new Date() } });
+        return result.modifiedCount;
+    }
+}
+
+module.exports = new NotificationService();
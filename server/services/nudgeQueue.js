@@ -0,0 +1,141 @@
+/**
+ * server/services/nudgeQueue.js
+ * Mongo-backed queue of habit loop triggers (see models/NudgeJob.js).
+ *
+ * Delivery is at-least-once: a worker leases a due job, and a job whose lease
+ * runs out (worker crashed, or a failed attempt waiting for its retry) is
+ * claimed again. Retries must not repeat side effects, so the generated
+ * trigger and each channel delivered to are stored on the job as they happen.
+ */
+
+const NudgeJob = require('../models/NudgeJob');
+
+const MS_PER_HOUR = 60 * 60 * 1000;
+const NEXT_TRIGGER_DELAY_HOURS = parseFloat(process.env.NUDGE_DELAY_HOURS) || 24;
+const LEASE_MS = parseInt(process.env.NUDGE_LEASE_MS, 10) || 5 * 60 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.NUDGE_MAX_ATTEMPTS, 10) || 5;
+const RETRY_BASE_MS = 60 * 1000;
+
+class NudgeQueue {
+    /**
+     * Set the user's next trigger, replacing any pending one.
+     *
+     * @param {string} userId
+     * @param {object} options - runAt (default NUDGE_DELAY_HOURS from now), context, cause
+     */
+    async scheduleNext(userId, { runAt = null, context = null, cause = {} } = {}) {
+        runAt = runAt || new Date(Date.now() + NEXT_TRIGGER_DELAY_HOURS * MS_PER_HOUR);
+        const update = {
+            $set: { runAt, context, cause },
+            $setOnInsert: { user: userId, status: 'pending' }
+        };
+
+        try {
+            return await NudgeJob.findOneAndUpdate({ user: userId, status: 'pending' }, update, { upsert: true, new: true });
+        } catch (error) {
+            // Two schedules for the same user raced; the other one inserted first
+            if (error.code === 11000) {
+                return NudgeJob.findOneAndUpdate({ user: userId, status: 'pending' }, update, { new: true });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Queue the trigger that follows one just sent, unless an action already
+     * scheduled the next one (that one is kept as it is).
+     */
+    async scheduleFollowUp(userId, { cause = {} } = {}) {
+        const runAt = new Date(Date.now() + NEXT_TRIGGER_DELAY_HOURS * MS_PER_HOUR);
+        try {
+            return await NudgeJob.findOneAndUpdate(
+                { user: userId, status: 'pending' },
+                { $setOnInsert: { user: userId, status: 'pending', runAt, context: null, cause } },
+                { upsert: true, new: true }
+            );
+        } catch (error) {
+            if (error.code === 11000) {
+                return this.getNext(userId);
+            }
+            throw error;
+        }
+    }
+
+    async getNext(userId) {
+        return NudgeJob.findOne({ user: userId, status: 'pending' }).lean();
+    }
+
+    /**
+     * Lease the most overdue job that is due or whose lease has run out.
+     * Returns null when there is nothing to do.
+     */
+    async claimDue(workerId, now = new Date()) {
+        return NudgeJob.findOneAndUpdate(
+            {
+                $or: [
+                    { status: 'pending', runAt: { $lte: now } },
+                    { status: 'processing', lockedUntil: { $lte: now } }
+                ]
+            },
+            {
+                $set: { status: 'processing', lockedBy: workerId, lockedUntil: new Date(now.getTime() + LEASE_MS) },
+                $inc: { attempts: 1 }
+            },
+            { sort: { runAt: 1 }, new: true }
+        );
+    }
+
+    /**
+     * Store the trigger generated for a job unless an earlier attempt already
+     * did. Returns the job's trigger.
+     */
+    async setTrigger(jobId, trigger, context) {
+        const job = await NudgeJob.findOneAndUpdate(
+            { _id: jobId, trigger: null },
+            { $set: { trigger, context } },
+            { new: true }
+        );
+        return job ? job.trigger : (await NudgeJob.findById(jobId).select('trigger').lean()).trigger;
+    }
+
+    async markDelivered(jobId, channel, ref = null) {
+        return NudgeJob.updateOne(
+            { _id: jobId, 'deliveries.channel': { $ne: channel } },
+            { $push: { deliveries: { channel, ref, deliveredAt: new Date() } } }
+        );
+    }
+
+    async complete(jobId, workerId) {
+        return NudgeJob.updateOne(
+            { _id: jobId, lockedBy: workerId },
+            { $set: { status: 'completed', completedAt: new Date(), lockedBy: null, lockedUntil: null, lastError: null } }
+        );
+    }
+
+    /**
+     * Record a failed attempt: retry with exponential backoff, or give up
+     * after NUDGE_MAX_ATTEMPTS. Giving up queues the user's next trigger, so
+     * one undeliverable nudge does not end their loop.
+     */
+    async fail(job, error, workerId, now = new Date()) {
+        if (job.attempts >= MAX_ATTEMPTS) {
+            // Scheduled first, so a crash here leaves the job to be claimed and failed again
+            await this.scheduleFollowUp(job.user, { cause: { action: 'nudge_failed' } });
+            return NudgeJob.updateOne(
+                { _id: job._id, lockedBy: workerId },
+                { $set: { status: 'failed', completedAt: now, lockedBy: null, lockedUntil: null, lastError: error.message } }
+            );
+        }
+
+        return NudgeJob.updateOne({ _id: job._id, lockedBy: workerId }, {
+            $set: {
+                lockedBy: null,
+                lockedUntil: new Date(now.getTime() + RETRY_BASE_MS * Math.pow(2, job.attempts - 1)),
+                lastError: error.message
+            }
+        });
+    }
+}
+
+module.exports = new NudgeQueue();
+module.exports.MAX_ATTEMPTS = MAX_ATTEMPTS;
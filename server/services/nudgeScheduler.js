@@ -0,0 +1,198 @@
+/**
+ * server/services/nudgeScheduler.js
+ * Worker that delivers due habit loop triggers from the nudge queue.
+ *
+ * Every run leases due jobs one at a time (see services/nudgeQueue.js), so any
+ * number of instances can run it side by side. A job's trigger is generated
+ * once and then delivered to each channel the user has enabled:
+ *   in_app  posted to the notification inbox and recorded in the reward ledger
+ *   email   sent with emailService, unless the user unsubscribed
+ * Channels already delivered to are skipped when a job is retried. Each
+ * delivered job queues the user's next one; user actions push it back (see
+ * habitLoopEngine.processAction).
+ */
+
+const os = require('os');
+const cron = require('node-cron');
+const User = require('../models/User');
+const nudgeQueue = require('./nudgeQueue');
+const habitLoopEngine = require('./habitLoopEngine');
+const achievementService = require('./achievementService');
+const notificationService = require('./notificationService');
+const emailService = require('./emailService');
+const { getLocalTime } = require('./checkInService');
+const logger = require('../utils/logger');
+
+const NUDGE_SCHEDULE = process.env.NUDGE_CRON || '* * * * *';
+const BATCH_SIZE = 100;
+
+/**
+ * Habit loop trigger context for the hour of day in the user's timezone.
+ */
+function getTriggerContext(date, timezone) {
+    const { hour } = getLocalTime(date, timezone);
+
+    if (hour >= 5 && hour < 12) return 'morning';
+    if (hour >= 12 && hour < 17) return 'afternoon';
+    if (hour >= 17 && hour < 22) return 'evening';
+    return 'general';
+}
+
+class NudgeScheduler {
+    constructor() {
+        this.job = null;
+        this.running = false;
+        this.workerId = `${os.hostname()}:${process.pid}`;
+    }
+
+    /**
+     * Channels a user receives nudges on, from their notification preferences.
+     */
+    getChannels(user) {
+        const preferences = user.preferences?.notifications?.nudges || {};
+        const channels = [];
+
+        if (preferences.inApp !== false) {
+            channels.push('in_app');
+        }
+        if (preferences.email === true && user.email && !user.emailPreferences?.unsubscribed) {
+            channels.push('email');
+        }
+        return channels;
+    }
+
+    /**
+     * Deliver a trigger to one channel. Returns a reference to what was created.
+     */
+    async deliver(channel, user, trigger, job) {
+        switch (channel) {
+            case 'in_app': {
+                const dedupeKey = `nudge:${job._id}`;
+                const notification = await notificationService.post(user._id, {
+                    type: 'nudge',
+                    title: trigger.title || 'Your next step',
+                    message: trigger.message,
+                    data: { triggerType: trigger.type, jobId: job._id.toString() },
+                    dedupeKey
+                });
+                await achievementService.recordTrigger(
+                    user._id,
+                    trigger,
+                    { context: job.context, jobId: job._id.toString() },
+                    { dedupeKey }
+                );
+                return notification ? notification._id.toString() : null;
+            }
+
+            case 'email': {
+                const result = await emailService.sendEmail(
+                    user.email,
+                    trigger.title || 'Your next step',
+                    'nudge',
+                    {
+                        name: user.name,
+                        message: trigger.message,
+                        appUrl: process.env.APP_URL || 'http://localhost:3000'
+                    },
+                    { userId: user._id, locale: user.locale }
+                );
+                if (!result.success) {
+                    throw new Error(result.error || 'Email not sent');
+                }
+                return result.messageId || null;
+            }
+
+            default:
+                throw new Error(`Unknown nudge channel: ${channel}`);
+        }
+    }
+
+    /**
+     * Generate (once) and deliver the trigger of a leased job.
+     * Returns { jobId, status, channels }.
+     */
+    async processJob(job, now = new Date()) {
+        try {
+            const user = await User.findById(job.user);
+
+            // Nothing to send to deleted accounts or those pending deletion
+            if (!user || user.deletion?.scheduledFor) {
+                await nudgeQueue.complete(job._id, this.workerId);
+                return { jobId: job._id, status: 'skipped', channels: [] };
+            }
+
+            let trigger = job.trigger;
+            let context = job.context;
+            if (!trigger) {
+                context = context || getTriggerContext(now, user.timezone);
+                const built = await habitLoopEngine.buildTrigger(user, context);
+                trigger = await nudgeQueue.setTrigger(job._id, built.trigger, context);
+            }
+            job.context = context;
+
+            const delivered = new Set((job.deliveries || []).map(delivery => delivery.channel));
+            const channels = this.getChannels(user);
+
+            for (const channel of channels) {
+                if (delivered.has(channel)) continue;
+
+                const ref = await this.deliver(channel, user, trigger, job);
+                await nudgeQueue.markDelivered(job._id, channel, ref);
+            }
+
+            // Keep the loop going for users who do not act on this one; done
+            // before completing so a retry cannot leave the user without a next job
+            await nudgeQueue.scheduleFollowUp(job.user, { cause: { action: 'nudge_sent' } });
+            await nudgeQueue.complete(job._id, this.workerId);
+            return { jobId: job._id, status: 'completed', channels };
+        } catch (error) {
+            logger.error({ error: error.message, jobId: job._id.toString(), attempt: job.attempts }, 'Nudge delivery failed');
+            await nudgeQueue.fail(job, error, this.workerId, now);
+            return { jobId: job._id, status: 'failed', error: error.message };
+        }
+    }
+
+    /**
+     * Lease and process due jobs until none are left (at most BATCH_SIZE).
+     */
+    async processDueJobs(now = new Date()) {
+        if (this.running) return [];
+        this.running = true;
+
+        try {
+            const results = [];
+            while (results.length < BATCH_SIZE) {
+                const job = await nudgeQueue.claimDue(this.workerId, now);
+                if (!job) break;
+                results.push(await this.processJob(job, now));
+            }
+            return results;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Start the scheduled delivery job.
+     */
+    start() {
+        if (this.job) return;
+
+        this.job = cron.schedule(NUDGE_SCHEDULE, () => {
+            this.processDueJobs().catch(error => {
+                logger.error({ error: error.message }, 'Scheduled nudge delivery failed');
+            });
+        });
+
+        logger.info({ schedule: NUDGE_SCHEDULE, workerId: this.workerId }, 'Nudge scheduler started');
+    }
+
+    stop() {
+        if (!this.job) return;
+        this.job.stop();
+        this.job = null;
+    }
+}
+
+module.exports = new NudgeScheduler();
+module.exports.getTriggerContext = getTriggerContext;
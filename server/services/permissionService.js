@@ -5,7 +5,9 @@
 
 const User = require('../models/User');
 const { stageConfigs } = require('../config/stages');
-const stageManager = require('./stageManager');
+const StageManager = require('./stageManager');
+
+const stageManager = new StageManager();
 
 class PermissionService {
     /**
@@ -0,0 +1,440 @@
+/**
+ * server/services/planImportService.js
+ * Import weekly goals and tasks from iCalendar (.ics) or CSV files.
+ *
+ * Imports run in two steps. preview() parses the file, groups entries into
+ * weekly goals, flags duplicates (within the file and against existing goals)
+ * and checks the weekly GOAL_LIMIT / TASK_LIMIT caps. commit() repeats the
+ * same checks and writes the result, adding tasks to an existing goal when
+ * one with the same title already exists that week.
+ *
+ * iCalendar: each VEVENT/VTODO becomes a task. SUMMARY is the task name,
+ * DTSTART (or DUE) the day, DURATION or DTEND the estimate, RRULE the repeat
+ * type and PRIORITY the priority. The first CATEGORIES value names the goal.
+ *
+ * CSV columns (header row required, case-insensitive):
+ *   goal, category, week_of | date, task, day, est_time, repeat_type, priority
+ * A row with a goal but no task creates an empty goal.
+ */
+
+const mongoose = require('mongoose');
+const WeeklyGoal = require('../models/WeeklyGoal');
+const Task = require('../models/Task');
+const { willExceedLimits } = require('../utils/limits');
+const { getStartOfWeek, getStartOfNextWeek, isWeekInPast } = require('../utils/date');
+const ical = require('../utils/icalendar');
+const csv = require('../utils/csv');
+
+const DEFAULT_GOAL_TITLE = 'Imported tasks';
+const DEFAULT_CATEGORY = 'general';
+const DEFAULT_EST_TIME = 30;
+const MAX_ENTRIES = 500;
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const REPEAT_TYPES = ['none', 'daily', 'alternate'];
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+// Accepted CSV header names for each field
+const CSV_COLUMNS = {
+    goal: ['goal', 'goal_title', 'weekly_goal'],
+    category: ['category', 'goal_category'],
+    weekOf: ['week_of', 'week', 'week_start'],
+    date: ['date', 'due', 'due_date'],
+    task: ['task', 'task_name', 'name', 'title'],
+    day: ['day', 'weekday'],
+    estTime: ['est_time', 'estimate', 'minutes', 'est_minutes'],
+    repeatType: ['repeat_type', 'repeat'],
+    priority: ['priority']
+};
+
+class ImportError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ImportError';
+        this.status = status;
+    }
+}
+
+function normalizeDay(value) {
+    if (!value) return null;
+    const prefix = String(value).trim().slice(0, 3).toLowerCase();
+    return DAY_NAMES.find(day => day.toLowerCase() === prefix) || null;
+}
+
+function parseDateOnly(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value || '').trim());
+    if (!match) return null;
+    const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function toCategory(value) {
+    const slug = String(value || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    return slug || DEFAULT_CATEGORY;
+}
+
+/**
+ * Map iCalendar PRIORITY (1 highest .. 9 lowest, 0 undefined) onto Task.priority.
+ */
+function mapIcsPriority(value) {
+    const priority = parseInt(value, 10);
+    if (!priority) return 'medium';
+    if (priority === 1) return 'critical';
+    if (priority <= 4) return 'high';
+    if (priority === 5) return 'medium';
+    return 'low';
+}
+
+function mapRecurrence(rule) {
+    if (!rule || rule.FREQ !== 'DAILY') return 'none';
+    return parseInt(rule.INTERVAL, 10) === 2 ? 'alternate' : 'daily';
+}
+
+function detectFormat(fileName = '', content = '') {
+    const extension = fileName.toLowerCase().split('.').pop();
+    if (extension === 'ics' || extension === 'ical') return 'ics';
+    if (extension === 'csv') return 'csv';
+    return /^\s*BEGIN:VCALENDAR/i.test(content) ? 'ics' : 'csv';
+}
+
+/**
+ * Parse an .ics document into import entries.
+ */
+function parseIcs(text) {
+    const { components } = ical.parseComponents(text, ['VEVENT', 'VTODO']);
+    const entries = [];
+    const errors = [];
+
+    components.forEach(component => {
+        const line = component.line;
+        const name = ical.getText(component, 'SUMMARY');
+        const status = (ical.getText(component, 'STATUS') || '').toUpperCase();
+
+        if (status === 'CANCELLED') return;
+        if (!name) {
+            errors.push({ line, message: `${component.type} has no SUMMARY` });
+            return;
+        }
+
+        const start = ical.getDate(component, 'DTSTART') || ical.getDate(component, 'DUE');
+        if (!start) {
+            errors.push({ line, message: `"${name}" has no DTSTART or DUE date` });
+            return;
+        }
+
+        let estTime = ical.parseDuration(ical.getText(component, 'DURATION'));
+        const end = ical.getDate(component, 'DTEND');
+        if (estTime === null && end && !start.allDay) {
+            estTime = Math.round((end.date - start.date) / 60000);
+        }
+        // All-day entries carry no useful duration
+        if (start.allDay || !(estTime > 0)) {
+            estTime = DEFAULT_EST_TIME;
+        }
+
+        const categories = ical.getText(component, 'CATEGORIES');
+        const goalTitle = categories ? categories.split(',')[0].trim() : '';
+
+        entries.push({
+            line,
+            goalTitle: goalTitle || DEFAULT_GOAL_TITLE,
+            category: goalTitle ? toCategory(goalTitle) : DEFAULT_CATEGORY,
+            weekOf: getStartOfWeek(start.date),
+            task: {
+                name,
+                day: DAY_NAMES[start.date.getUTCDay()],
+                estTime,
+                repeatType: mapRecurrence(ical.parseRecurrence(component)),
+                priority: mapIcsPriority(ical.getText(component, 'PRIORITY'))
+            }
+        });
+    });
+
+    return { entries, errors };
+}
+
+/**
+ * Parse a CSV document into import entries.
+ */
+function parseCsv(text) {
+    const { columns, records } = csv.parseRecords(text);
+    const entries = [];
+    const errors = [];
+
+    const pick = (record, field) => {
+        const column = CSV_COLUMNS[field].find(name => columns.includes(name));
+        return column ? record[column] : '';
+    };
+
+    if (!CSV_COLUMNS.task.some(name => columns.includes(name)) && !CSV_COLUMNS.goal.some(name => columns.includes(name))) {
+        throw new ImportError('CSV needs a header row with at least a "goal" or "task" column');
+    }
+
+    records.forEach(record => {
+        const line = record.line;
+        const goalTitle = pick(record, 'goal');
+        const taskName = pick(record, 'task');
+        const date = parseDateOnly(pick(record, 'date'));
+        const weekDate = parseDateOnly(pick(record, 'weekOf')) || date;
+
+        if (!goalTitle && !taskName) return;
+        if (!weekDate) {
+            errors.push({ line, message: 'Row needs a week_of or date (YYYY-MM-DD)' });
+            return;
+        }
+
+        const entry = {
+            line,
+            goalTitle: goalTitle || DEFAULT_GOAL_TITLE,
+            category: pick(record, 'category') ? toCategory(pick(record, 'category')) : DEFAULT_CATEGORY,
+            weekOf: getStartOfWeek(weekDate),
+            task: null
+        };
+
+        if (taskName) {
+            const day = normalizeDay(pick(record, 'day')) || (date ? DAY_NAMES[date.getUTCDay()] : null);
+            const rawEstTime = pick(record, 'estTime');
+            const estTime = rawEstTime === '' ? DEFAULT_EST_TIME : Number(rawEstTime);
+            const repeatType = (pick(record, 'repeatType') || 'none').toLowerCase();
+            const priority = (pick(record, 'priority') || 'medium').toLowerCase();
+
+            if (!day) {
+                errors.push({ line, message: `"${taskName}" needs a day (Mon-Sun) or a date` });
+                return;
+            }
+            if (!Number.isFinite(estTime) || estTime < 0) {
+                errors.push({ line, message: `"${taskName}" has an invalid est_time` });
+                return;
+            }
+            if (!REPEAT_TYPES.includes(repeatType)) {
+                errors.push({ line, message: `repeat_type must be one of ${REPEAT_TYPES.join(', ')}` });
+                return;
+            }
+            if (!PRIORITIES.includes(priority)) {
+                errors.push({ line, message: `priority must be one of ${PRIORITIES.join(', ')}` });
+                return;
+            }
+
+            entry.task = { name: taskName, day, estTime, repeatType, priority };
+        }
+
+        entries.push(entry);
+    });
+
+    return { entries, errors };
+}
+
+/**
+ * Group entries into goals per week, dropping tasks repeated within the file.
+ */
+function groupEntries(entries) {
+    const goals = new Map();
+
+    entries.forEach(entry => {
+        const key = `${entry.weekOf.toISOString()}|${entry.goalTitle.toLowerCase()}`;
+        if (!goals.has(key)) {
+            goals.set(key, {
+                title: entry.goalTitle,
+                category: entry.category,
+                weekOf: entry.weekOf,
+                existingGoalId: null,
+                tasks: []
+            });
+        }
+
+        if (entry.task) {
+            const goal = goals.get(key);
+            const duplicate = goal.tasks.some(task => !task.duplicate && taskKey(task) === taskKey(entry.task));
+            goal.tasks.push({ ...entry.task, line: entry.line, duplicate: duplicate ? 'file' : null });
+        }
+    });
+
+    return Array.from(goals.values());
+}
+
+function taskKey(task) {
+    return `${task.name.trim().toLowerCase()}|${task.day}`;
+}
+
+class PlanImportService {
+    parse(content, format) {
+        if (!content || !String(content).trim()) {
+            throw new ImportError('The import file is empty');
+        }
+
+        const result = format === 'ics' ? parseIcs(content) : parseCsv(content);
+        if (result.entries.length > MAX_ENTRIES) {
+            throw new ImportError(`Imports are limited to ${MAX_ENTRIES} entries`);
+        }
+        return result;
+    }
+
+    /**
+     * Compare grouped goals with what the user already has for each week:
+     * match goals by title, flag duplicate tasks and check the weekly caps.
+     */
+    async annotate(userId, goals) {
+        const weeks = new Map();
+        goals.forEach(goal => {
+            const key = goal.weekOf.toISOString();
+            if (!weeks.has(key)) weeks.set(key, { weekOf: goal.weekOf, goals: [] });
+            weeks.get(key).goals.push(goal);
+        });
+
+        const summaries = [];
+
+        for (const week of weeks.values()) {
+            const existingGoals = await WeeklyGoal.find({
+                user: userId,
+                weekOf: { $gte: week.weekOf, $lt: getStartOfNextWeek(week.weekOf) }
+            }, '_id title');
+            const goalIds = existingGoals.map(goal => goal._id);
+            const existingTasks = goalIds.length > 0
+                ? await Task.find({ user: userId, goal: { $in: goalIds } }, 'name day goal')
+                : [];
+
+            week.goals.forEach(goal => {
+                const match = existingGoals.find(existing => existing.title.trim().toLowerCase() === goal.title.trim().toLowerCase());
+                if (!match) return;
+
+                goal.existingGoalId = match._id;
+                const existingKeys = new Set(existingTasks
+                    .filter(task => task.goal && task.goal.toString() === match._id.toString())
+                    .map(taskKey));
+                goal.tasks.forEach(task => {
+                    if (!task.duplicate && existingKeys.has(taskKey(task))) {
+                        task.duplicate = 'existing';
+                    }
+                });
+            });
+
+            const past = isWeekInPast(week.weekOf);
+            const newGoals = week.goals.filter(goal => !goal.existingGoalId).length;
+            const newTasks = week.goals.reduce((sum, goal) => sum + goal.tasks.filter(task => !task.duplicate).length, 0);
+
+            summaries.push({
+                weekOf: week.weekOf,
+                past,
+                existingGoals: existingGoals.length,
+                existingTasks: existingTasks.length,
+                newGoals,
+                newTasks,
+                exceedsLimits: !past && willExceedLimits(existingGoals.length, existingTasks.length, newGoals, newTasks)
+            });
+        }
+
+        return summaries.sort((a, b) => a.weekOf - b.weekOf);
+    }
+
+    /**
+     * Dry run: parse the file and report what would be imported.
+     */
+    async preview(userId, content, format) {
+        const { entries, errors } = this.parse(content, format);
+        const goals = groupEntries(entries);
+        const weeks = await this.annotate(userId, goals);
+        const pastWeeks = new Set(weeks.filter(week => week.past).map(week => week.weekOf.toISOString()));
+
+        const allTasks = goals.flatMap(goal => goal.tasks);
+
+        return {
+            format,
+            summary: {
+                entries: entries.length,
+                goalsToCreate: goals.filter(goal => !goal.existingGoalId && !pastWeeks.has(goal.weekOf.toISOString())).length,
+                tasksToCreate: goals
+                    .filter(goal => !pastWeeks.has(goal.weekOf.toISOString()))
+                    .reduce((sum, goal) => sum + goal.tasks.filter(task => !task.duplicate).length, 0),
+                duplicates: allTasks.filter(task => task.duplicate).length,
+                skippedPastWeeks: pastWeeks.size,
+                errors: errors.length
+            },
+            canImport: weeks.every(week => !week.exceedsLimits) && weeks.some(week => !week.past),
+            weeks,
+            goals,
+            errors
+        };
+    }
+
+    /**
+     * Write the import. Past weeks and duplicates are skipped; nothing is written
+     * if any week would go over the goal or task limit.
+     */
+    async commit(userId, content, format) {
+        const preview = await this.preview(userId, content, format);
+
+        const overLimit = preview.weeks.filter(week => week.exceedsLimits);
+        if (overLimit.length > 0) {
+            const error = new ImportError('Weekly goal or task limit exceeded.');
+            error.preview = preview;
+            throw error;
+        }
+
+        const pastWeeks = new Set(preview.weeks.filter(week => week.past).map(week => week.weekOf.toISOString()));
+        const goals = preview.goals.filter(goal => !pastWeeks.has(goal.weekOf.toISOString()));
+        const created = { goals: 0, tasks: 0 };
+
+        const session = await mongoose.startSession();
+        try {
+            await session.withTransaction(async () => {
+                created.goals = 0;
+                created.tasks = 0;
+
+                for (const item of goals) {
+                    const tasks = item.tasks.filter(task => !task.duplicate);
+
+                    let goal;
+                    if (item.existingGoalId) {
+                        if (tasks.length === 0) continue;
+                        goal = await WeeklyGoal.findOne({ _id: item.existingGoalId, user: userId }).session(session);
+                        if (!goal) continue;
+                    } else {
+                        goal = new WeeklyGoal({
+                            user: userId,
+                            title: item.title,
+                            category: item.category,
+                            weekOf: item.weekOf,
+                            tasks: []
+                        });
+                        created.goals++;
+                    }
+
+                    for (const taskItem of tasks) {
+                        const task = new Task({
+                            user: userId,
+                            goal: goal._id,
+                            name: taskItem.name,
+                            estTime: taskItem.estTime,
+                            day: taskItem.day,
+                            repeatType: taskItem.repeatType,
+                            priority: taskItem.priority,
+                            rationale: 'Imported from your plan',
+                            skillCategory: item.category,
+                            difficultyLevel: 'beginner',
+                            adaptiveMetadata: {
+                                generationMethod: 'user_created',
+                                timeCommitmentStyle: 'focused-blocks'
+                            }
+                        });
+                        await task.save({ session });
+                        goal.tasks.push(task._id);
+                        created.tasks++;
+                    }
+
+                    await goal.save({ session });
+                }
+            });
+        } finally {
+            await session.endSession();
+        }
+
+        return { created, preview };
+    }
+}
+
+module.exports = new PlanImportService();
+module.exports.ImportError = ImportError;
+module.exports.detectFormat = detectFormat;
+module.exports.parseIcs = parseIcs;
+module.exports.parseCsv = parseCsv;
+module.exports.groupEntries = groupEntries;
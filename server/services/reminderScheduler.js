@@ -1,12 +1,54 @@
 /**
  * server/services/reminderScheduler.js
  * Automated reminder scheduler using cron jobs
+ *
+ * Every job runs at the top of each hour and picks the users for whom it is
+ * the right local time, in their own timezone:
+ *   daily reminder    within the user's emailPreferences.reminderWindow (default 9-11 AM)
+ *   streak broken     8-10 PM
+ *   weekly progress   Sunday 10 AM-12 PM
+ *   vision unlocked   any hour
+ * Nothing is sent during the user's quiet hours. Before sending, the email is
+ * claimed in the user's emailHistory, so a reminder that was already sent
+ * (or is being sent by another instance) is never sent twice.
  */
 
 const cron = require('node-cron');
 const User = require('../models/User');
 const emailService = require('./emailService');
-const stageManager = require('./stageManager');
+const notificationService = require('./notificationService');
+const { getLocalTime } = require('./checkInService');
+const StageManager = require('./stageManager');
+
+const stageManager = new StageManager();
+
+const HOURLY = '0 * * * *';
+const MS_PER_HOUR = 60 * 60 * 1000;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+const STREAK_BROKEN_WINDOW = { start: 20, end: 22 };
+const WEEKLY_PROGRESS_WINDOW = { start: 10, end: 12 };
+const WEEKLY_PROGRESS_DAY = 0; // Sunday
+const DEFAULT_REMINDER_WINDOW = { start: 9, end: 11 };
+const DEFAULT_QUIET_HOURS = { start: 22, end: 7 };
+const EMAIL_HISTORY_LIMIT = 100;
+
+// emailPreferences flag that turns each reminder email on or off
+const EMAIL_PREFERENCES = {
+    'daily-reminder': 'dailyReminders',
+    'streak-broken': 'streakBroken',
+    'progress-update': 'weeklyProgress',
+    'vision-unlocked': 'visionUnlocked'
+};
+
+/**
+ * Whether an hour is in [start, end); ranges with start > end wrap past midnight.
+ */
+function isHourInRange(hour, { start, end }) {
+    if (start === end) return false;
+    return start < end
+        ? hour >= start && hour < end
+        : hour >= start || hour < end;
+}
 
 class ReminderScheduler {
     constructor() {
@@ -24,38 +66,13 @@ class ReminderScheduler {
         }
 
         console.log('📅 Starting reminder scheduler...');
-        
-        // Daily check-in reminders - 9 AM every day
-        const dailyReminderJob = cron.schedule('0 9 * * *', () => {
-            this.sendDailyReminders();
-        }, {
-            scheduled: false,
-            timezone: 'America/New_York' // Adjust timezone as needed
-        });
-
-        // Streak broken reminders - 8 PM every day
-        const streakBrokenJob = cron.schedule('0 20 * * *', () => {
-            this.sendStreakBrokenReminders();
-        }, {
-            scheduled: false,
-            timezone: 'America/New_York'
-        });
-
-        // Weekly progress updates - Sunday 10 AM
-        const weeklyProgressJob = cron.schedule('0 10 * * 0', () => {
-            this.sendWeeklyProgressUpdates();
-        }, {
-            scheduled: false,
-            timezone: 'America/New_York'
-        });
 
-        // Vision unlocked notifications - Check every hour
-        const visionUnlockedJob = cron.schedule('0 * * * *', () => {
-            this.sendVisionUnlockedNotifications();
-        }, {
-            scheduled: false,
-            timezone: 'America/New_York'
-        });
+        // Each job checks every hour which users are in their local send window
+        const options = { scheduled: false, timezone: 'UTC' };
+        const dailyReminderJob = cron.schedule(HOURLY, () => this.sendDailyReminders(), options);
+        const streakBrokenJob = cron.schedule(HOURLY, () => this.sendStreakBrokenReminders(), options);
+        const weeklyProgressJob = cron.schedule(HOURLY, () => this.sendWeeklyProgressUpdates(), options);
+        const visionUnlockedJob = cron.schedule(HOURLY, () => this.sendVisionUnlockedNotifications(), options);
 
         this.jobs = [
             { name: 'dailyReminder', job: dailyReminderJob },
@@ -92,43 +109,125 @@ class ReminderScheduler {
         console.log('📅 All reminder jobs stopped');
     }
 
+    /**
+     * Group users by timezone and keep those whose local time passes `isDue`.
+     * Local time is worked out once per timezone, not per user.
+     *
+     * @param {Array} users
+     * @param {Date} now
+     * @param {Function} isDue - (user, localTime) => boolean; quiet hours are already excluded
+     * @returns {Array} [{ user, localTime }]
+     */
+    bucketByLocalTime(users, now, isDue) {
+        const buckets = new Map();
+        users.forEach(user => {
+            const timezone = user.timezone || 'UTC';
+            if (!buckets.has(timezone)) {
+                buckets.set(timezone, { localTime: getLocalTime(now, timezone), users: [] });
+            }
+            buckets.get(timezone).users.push(user);
+        });
+
+        const due = [];
+        buckets.forEach(({ localTime, users: bucketUsers }) => {
+            bucketUsers.forEach(user => {
+                const quietHours = user.emailPreferences?.quietHours || DEFAULT_QUIET_HOURS;
+                if (!isHourInRange(localTime.hour, quietHours) && isDue(user, localTime)) {
+                    due.push({ user, localTime });
+                }
+            });
+        });
+        return due;
+    }
+
+    /**
+     * Whether the user wants this reminder by email
+     */
+    wantsEmail(user, type) {
+        const preferences = user.emailPreferences || {};
+        return !preferences.unsubscribed && preferences[EMAIL_PREFERENCES[type]] !== false;
+    }
+
+    /**
+     * Add a pending emailHistory entry unless one of this type was sent (or is
+     * being sent) since `since`. Returns true when this caller may send.
+     */
+    async claimEmail(userId, type, since, sentAt) {
+        const result = await User.updateOne(
+            {
+                _id: userId,
+                emailHistory: { $not: { $elemMatch: { type, sentAt: { $gte: since }, success: { $ne: false } } } }
+            },
+            { $push: { emailHistory: { $each: [{ type, sentAt, success: null }], $slice: -EMAIL_HISTORY_LIMIT } } }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    /**
+     * Claim and send a reminder email, then record the result in emailHistory.
+     * Returns the send result, or null when it was already sent.
+     */
+    async sendReminderEmail(user, type, since, now, subject, data) {
+        if (!this.wantsEmail(user, type)) return null;
+        if (!(await this.claimEmail(user._id, type, since, now))) return null;
+
+        const result = await emailService.sendEmail(user.email, subject, type, data, { userId: user._id, locale: user.locale });
+        await User.updateOne(
+            { _id: user._id, emailHistory: { $elemMatch: { type, sentAt: now } } },
+            { $set: { 'emailHistory.$.success': Boolean(result?.success) } }
+        );
+        return result;
+    }
+
     /**
      * Send daily check-in reminders
      */
-    async sendDailyReminders() {
+    async sendDailyReminders(now = new Date()) {
         try {
             console.log('📧 Sending daily reminders...');
-            
-            const now = new Date();
-            const yesterday = new Date(now - 24 * 60 * 60 * 1000);
-            
+
+            const yesterday = new Date(now - MS_PER_DAY);
+
             // Find users who haven't checked in today
-            const users = await User.find({
+            const candidates = await User.find({
                 lastCheckIn: { $lt: yesterday },
                 streakCount: { $gte: 1 }, // Only send to users with active streaks
-                // Add email preferences check here if implemented
+                'deletion.scheduledFor': null // Skip accounts pending deletion
             });
+            const due = this.bucketByLocalTime(candidates, now, (user, localTime) =>
+                isHourInRange(localTime.hour, user.emailPreferences?.reminderWindow || DEFAULT_REMINDER_WINDOW));
+
+            console.log(`📧 Found ${due.length} users for daily reminders`);
 
-            console.log(`📧 Found ${users.length} users for daily reminders`);
-            
-            const reminderPromises = users.map(async (user) => {
+            const reminderPromises = due.map(async ({ user, localTime }) => {
                 try {
                     const visionUnlock = await stageManager.checkPathwayUnlock(user._id, 'vision');
-                    
+
+                    await notificationService.notify(user._id, {
+                        type: 'reminder',
+                        title: 'Time for your daily check-in',
+                        message: `Keep your ${user.streakCount}-day streak going - all you have to do is show up.`,
+                        link: '/checkin',
+                        dedupeKey: `daily_reminder:${user._id}:${localTime.date}`
+                    });
+
                     const emailData = {
                         name: user.name,
                         dream: user.onboardingData?.dream || 'your goal',
                         streakCount: user.streakCount,
                         visionUnlocked: visionUnlock.unlocked,
                         remainingDays: visionUnlock.remainingDays || 0,
-                        appUrl: process.env.APP_URL || 'http://localhost:3000',
-                        unsubscribeUrl: `${process.env.APP_URL}/unsubscribe?token=${user._id}`
+                        appUrl: process.env.APP_URL || 'http://localhost:3000'
                     };
 
-                    return emailService.sendEmail(
-                        user.email,
-                        'Daily Check-in Reminder - All You Have To Do Is Show Up! 🌟',
+                    // At most one a day; 23 rather than 24 hours so yesterday's
+                    // reminder never blocks today's first run in the window
+                    return this.sendReminderEmail(
+                        user,
                         'daily-reminder',
+                        new Date(now - 23 * MS_PER_HOUR),
+                        now,
+                        'Daily Check-in Reminder - All You Have To Do Is Show Up! 🌟',
                         emailData
                     );
                 } catch (error) {
@@ -139,8 +238,8 @@ class ReminderScheduler {
 
             const results = await Promise.allSettled(reminderPromises);
             const successCount = results.filter(r => r.status === 'fulfilled' && r.value?.success).length;
-            
-            console.log(`📧 Daily reminders sent: ${successCount}/${users.length}`);
+
+            console.log(`📧 Daily reminders sent: ${successCount}/${due.length}`);
         } catch (error) {
             console.error('Failed to send daily reminders:', error);
         }
@@ -149,39 +248,50 @@ class ReminderScheduler {
     /**
      * Send streak broken reminders
      */
-    async sendStreakBrokenReminders() {
+    async sendStreakBrokenReminders(now = new Date()) {
         try {
             console.log('📧 Sending streak broken reminders...');
-            
-            const now = new Date();
-            const threeDaysAgo = new Date(now - 3 * 24 * 60 * 60 * 1000);
-            
+
+            const threeDaysAgo = new Date(now - 3 * MS_PER_DAY);
+
             // Find users who haven't checked in for 3+ days but had a streak
-            const users = await User.find({
+            const candidates = await User.find({
                 lastCheckIn: { $lt: threeDaysAgo },
                 streakCount: { $gte: 3 }, // Had a decent streak
-                // Add flag to prevent multiple streak broken emails
+                'deletion.scheduledFor': null // Skip accounts pending deletion
             });
+            const due = this.bucketByLocalTime(candidates, now, (user, localTime) =>
+                isHourInRange(localTime.hour, STREAK_BROKEN_WINDOW));
+
+            console.log(`📧 Found ${due.length} users for streak broken reminders`);
 
-            console.log(`📧 Found ${users.length} users for streak broken reminders`);
-            
-            const reminderPromises = users.map(async (user) => {
+            const reminderPromises = due.map(async ({ user }) => {
                 try {
-                    const daysMissed = Math.floor((now - user.lastCheckIn) / (24 * 60 * 60 * 1000));
-                    
+                    const daysMissed = Math.floor((now - user.lastCheckIn) / MS_PER_DAY);
+
+                    await notificationService.notify(user._id, {
+                        type: 'streak',
+                        title: 'Your journey continues',
+                        message: `It's been ${daysMissed} days since your last check-in. Pick up where you left off.`,
+                        link: '/checkin',
+                        dedupeKey: `streak_broken:${user._id}:${user.lastCheckIn.toISOString()}`
+                    });
+
                     const emailData = {
                         name: user.name,
                         dream: user.onboardingData?.dream || 'your goal',
                         daysMissed: daysMissed,
                         previousStreak: user.streakCount,
-                        appUrl: process.env.APP_URL || 'http://localhost:3000',
-                        unsubscribeUrl: `${process.env.APP_URL}/unsubscribe?token=${user._id}`
+                        appUrl: process.env.APP_URL || 'http://localhost:3000'
                     };
 
-                    return emailService.sendEmail(
-                        user.email,
-                        'Don\'t Give Up! Your Journey Continues 🚨',
+                    // Once per broken streak
+                    return this.sendReminderEmail(
+                        user,
                         'streak-broken',
+                        user.lastCheckIn,
+                        now,
+                        'Don\'t Give Up! Your Journey Continues 🚨',
                         emailData
                     );
                 } catch (error) {
@@ -192,8 +302,8 @@ class ReminderScheduler {
 
             const results = await Promise.allSettled(reminderPromises);
             const successCount = results.filter(r => r.status === 'fulfilled' && r.value?.success).length;
-            
-            console.log(`📧 Streak broken reminders sent: ${successCount}/${users.length}`);
+
+            console.log(`📧 Streak broken reminders sent: ${successCount}/${due.length}`);
         } catch (error) {
             console.error('Failed to send streak broken reminders:', error);
         }
@@ -202,22 +312,32 @@ class ReminderScheduler {
     /**
      * Send weekly progress updates
      */
-    async sendWeeklyProgressUpdates() {
+    async sendWeeklyProgressUpdates(now = new Date()) {
         try {
             console.log('📧 Sending weekly progress updates...');
-            
-            const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-            
+
+            const oneWeekAgo = new Date(now - 7 * MS_PER_DAY);
+
             // Find active users (checked in within last week)
-            const users = await User.find({
+            const candidates = await User.find({
                 lastCheckIn: { $gte: oneWeekAgo },
-                streakCount: { $gte: 1 }
+                streakCount: { $gte: 1 },
+                'deletion.scheduledFor': null
             });
+            const due = this.bucketByLocalTime(candidates, now, (user, localTime) =>
+                localTime.weekday === WEEKLY_PROGRESS_DAY && isHourInRange(localTime.hour, WEEKLY_PROGRESS_WINDOW));
 
-            console.log(`📧 Found ${users.length} users for weekly progress updates`);
-            
-            const updatePromises = users.map(async (user) => {
+            console.log(`📧 Found ${due.length} users for weekly progress updates`);
+
+            const updatePromises = due.map(async ({ user, localTime }) => {
                 try {
+                    await notificationService.notify(user._id, {
+                        type: 'progress',
+                        title: 'Your weekly progress update',
+                        message: `You're on a ${user.streakCount}-day streak. See how your week went.`,
+                        dedupeKey: `weekly_progress:${user._id}:${localTime.date}`
+                    });
+
                     const emailData = {
                         name: user.name,
                         dream: user.onboardingData?.dream || 'your goal',
@@ -225,14 +345,15 @@ class ReminderScheduler {
                         tasksCompleted: 0, // Calculate from task data
                         goalsAchieved: 0, // Calculate from goals data
                         progressPercentage: Math.min(100, (user.streakCount / 30) * 100), // Simple calculation
-                        appUrl: process.env.APP_URL || 'http://localhost:3000',
-                        unsubscribeUrl: `${process.env.APP_URL}/unsubscribe?token=${user._id}`
+                        appUrl: process.env.APP_URL || 'http://localhost:3000'
                     };
 
-                    return emailService.sendEmail(
-                        user.email,
-                        'Your Weekly Progress Update 📊',
+                    return this.sendReminderEmail(
+                        user,
                         'progress-update',
+                        new Date(now - 6 * MS_PER_DAY),
+                        now,
+                        'Your Weekly Progress Update 📊',
                         emailData
                     );
                 } catch (error) {
@@ -243,8 +364,8 @@ class ReminderScheduler {
 
             const results = await Promise.allSettled(updatePromises);
             const successCount = results.filter(r => r.status === 'fulfilled' && r.value?.success).length;
-            
-            console.log(`📧 Weekly progress updates sent: ${successCount}/${users.length}`);
+
+            console.log(`📧 Weekly progress updates sent: ${successCount}/${due.length}`);
         } catch (error) {
             console.error('Failed to send weekly progress updates:', error);
         }
@@ -253,37 +374,47 @@ class ReminderScheduler {
     /**
      * Send vision unlocked notifications
      */
-    async sendVisionUnlockedNotifications() {
+    async sendVisionUnlockedNotifications(now = new Date()) {
         try {
             console.log('📧 Checking for vision unlocked notifications...');
-            
-            const now = new Date();
-            const oneHourAgo = new Date(now - 60 * 60 * 1000);
-            
-            // Find users who just reached 3-day streak in the last hour
-            const users = await User.find({
+
+            // Users who reached a 3-day streak in the last day; a day rather than
+            // an hour so quiet hours only delay the email
+            const oneDayAgo = new Date(now - MS_PER_DAY);
+            const candidates = await User.find({
                 streakCount: 3,
-                lastCheckIn: { $gte: oneHourAgo },
-                // Add flag to prevent multiple vision unlocked emails
+                lastCheckIn: { $gte: oneDayAgo },
+                'deletion.scheduledFor': null
             });
+            const due = this.bucketByLocalTime(candidates, now, () => true);
 
-            console.log(`📧 Found ${users.length} users for vision unlocked notifications`);
-            
-            const notificationPromises = users.map(async (user) => {
+            console.log(`📧 Found ${due.length} users for vision unlocked notifications`);
+
+            const notificationPromises = due.map(async ({ user }) => {
                 try {
+                    await notificationService.notify(user._id, {
+                        type: 'vision_unlocked',
+                        title: '🎉 Vision Questionnaire unlocked',
+                        message: `Your ${user.streakCount}-day streak unlocked the Vision Questionnaire.`,
+                        link: '/vision-questionnaire',
+                        dedupeKey: `vision_unlocked:${user._id}`
+                    });
+
                     const emailData = {
                         name: user.name,
                         dream: user.onboardingData?.dream || 'your goal',
                         streakCount: user.streakCount,
                         visionUrl: `${process.env.APP_URL}/vision-questionnaire` || 'http://localhost:3000/vision-questionnaire',
-                        appUrl: process.env.APP_URL || 'http://localhost:3000',
-                        unsubscribeUrl: `${process.env.APP_URL}/unsubscribe?token=${user._id}`
+                        appUrl: process.env.APP_URL || 'http://localhost:3000'
                     };
 
-                    return emailService.sendEmail(
-                        user.email,
-                        'Congratulations! Vision Questionnaire Unlocked! 🎉',
+                    // Only ever sent once
+                    return this.sendReminderEmail(
+                        user,
                         'vision-unlocked',
+                        new Date(0),
+                        now,
+                        'Congratulations! Vision Questionnaire Unlocked! 🎉',
                         emailData
                     );
                 } catch (error) {
@@ -294,8 +425,8 @@ class ReminderScheduler {
 
             const results = await Promise.allSettled(notificationPromises);
             const successCount = results.filter(r => r.status === 'fulfilled' && r.value?.success).length;
-            
-            console.log(`📧 Vision unlocked notifications sent: ${successCount}/${users.length}`);
+
+            console.log(`📧 Vision unlocked notifications sent: ${successCount}/${due.length}`);
         } catch (error) {
             console.error('Failed to send vision unlocked notifications:', error);
         }
@@ -316,15 +447,15 @@ class ReminderScheduler {
                 dream: user.onboardingData?.dream || 'your goal',
                 timeline: user.onboardingData?.timeline || 12,
                 confidence: user.onboardingData?.confidence || 50,
-                appUrl: process.env.APP_URL || 'http://localhost:3000',
-                unsubscribeUrl: `${process.env.APP_URL}/unsubscribe?token=${user._id}`
+                appUrl: process.env.APP_URL || 'http://localhost:3000'
             };
 
             const result = await emailService.sendEmail(
                 user.email,
                 'Welcome to GoalTracker! Your Journey Starts Now 🌟',
                 'welcome',
-                emailData
+                emailData,
+                { userId: user._id, locale: user.locale }
             );
 
             console.log(`📧 Welcome email sent to ${user.email}`);
@@ -349,4 +480,5 @@ class ReminderScheduler {
     }
 }
 
-module.exports = new ReminderScheduler();
\ No newline at end of file
+module.exports = new ReminderScheduler();
+module.exports.isHourInRange = isHourInRange;
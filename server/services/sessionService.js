@@ -0,0 +1,266 @@
+/**
+ * server/services/sessionService.js
+ * Short-lived access tokens with rotating, server-side refresh tokens.
+ *
+ * Every login creates a Session. The access token (a JWT) carries the
+ * session id as `sid`, so revoking the session cuts off its access tokens at
+ * the next request. A session is a refresh token family: refresh tokens look
+ * like `<sessionId>.<generation>.<signature>`, signed over the session's random
+ * family id with REFRESH_TOKEN_SECRET (JWT_SECRET when unset), and are
+ * single-use: each refresh moves the session to the next generation.
+ * Presenting a genuine token of any earlier generation means a token leaked,
+ * so the whole session is revoked. The one exception is a retry of the
+ * previous generation within a few seconds of the rotation, while its
+ * replacement is still unused, which is what two browser tabs refreshing at
+ * once look like; that gets a 409 so the client can pick up the token the
+ * other tab stored.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const logger = require('../utils/logger');
+
+const ACCESS_TOKEN_EXPIRATION = process.env.ACCESS_TOKEN_EXPIRATION || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS, 10) || 30;
+const REUSE_GRACE_MS = (parseInt(process.env.REFRESH_REUSE_GRACE_SECONDS, 10) || 10) * 1000;
+
+class SessionError extends Error {
+    constructor(message, code, status = 401) {
+        super(message);
+        this.name = 'SessionError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+function getSigningSecret() {
+    const secret = process.env.REFRESH_TOKEN_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('REFRESH_TOKEN_SECRET or JWT_SECRET must be set to sign refresh tokens');
+    }
+    return secret;
+}
+
+/**
+ * Signature of one generation of a session's refresh token.
+ */
+function signGeneration(session, generation) {
+    return crypto.createHmac('sha256', getSigningSecret())
+        .update(`refresh:${session._id}.${session.family}.${generation}`)
+        .digest('base64url');
+}
+
+/**
+ * Whether a parsed refresh token was issued for this session.
+ */
+function isSignedFor(session, parsed) {
+    if (!session.family) return false;
+    const expected = Buffer.from(signGeneration(session, parsed.generation));
+    const actual = Buffer.from(parsed.signature);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Short label for a user agent, e.g. "Chrome on macOS".
+ */
+function describeDevice(userAgent = '') {
+    const ua = String(userAgent);
+    const browsers = [
+        ['Edge', /Edg\//], ['Opera', /OPR\//], ['Firefox', /Firefox\//],
+        ['Chrome', /Chrome\//], ['Safari', /Safari\//]
+    ];
+    const systems = [
+        ['iOS', /iPhone|iPad|iPod/], ['Android', /Android/], ['Windows', /Windows/],
+        ['macOS', /Mac OS X|Macintosh/], ['Linux', /Linux/]
+    ];
+
+    const browser = (browsers.find(([, pattern]) => pattern.test(ua)) || [])[0];
+    const system = (systems.find(([, pattern]) => pattern.test(ua)) || [])[0];
+
+    if (browser && system) return `${browser} on ${system}`;
+    return browser || system || 'Unknown device';
+}
+
+function getClientInfo(req) {
+    const userAgent = (req && req.get && req.get('user-agent')) || '';
+    return {
+        userAgent: userAgent.slice(0, 500),
+        device: describeDevice(userAgent),
+        ip: (req && req.ip) || ''
+    };
+}
+
+function parseRefreshToken(refreshToken) {
+    const [sessionId, generation, signature, ...rest] = String(refreshToken || '').split('.');
+    if (!signature || rest.length || !/^\d+$/.test(generation) || !mongoose.isValidObjectId(sessionId)) return null;
+    return { sessionId, generation: Number(generation), signature };
+}
+
+class SessionService {
+    signAccessToken(userId, sessionId) {
+        return jwt.sign(
+            { user: { id: userId.toString() }, sid: sessionId.toString() },
+            process.env.JWT_SECRET,
+            { expiresIn: ACCESS_TOKEN_EXPIRATION }
+        );
+    }
+
+    /**
+     * Access + refresh token pair for a session's current generation, in the
+     * shape auth responses use.
+     */
+    buildTokens(userId, session) {
+        const token = this.signAccessToken(userId, session._id);
+        return {
+            token,
+            refreshToken: `${session._id}.${session.generation}.${signGeneration(session, session.generation)}`,
+            expiresIn: jwt.decode(token).exp - Math.floor(Date.now() / 1000),
+            sessionId: session._id.toString()
+        };
+    }
+
+    /**
+     * Start a session for a user who just logged in or signed up.
+     */
+    async createSession(userId, req) {
+        const session = await Session.create({
+            user: userId,
+            family: crypto.randomBytes(32).toString('base64url'),
+            generation: 0,
+            ...getClientInfo(req),
+            lastUsedAt: new Date(),
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000)
+        });
+
+        return this.buildTokens(userId, session);
+    }
+
+    /**
+     * Exchange a refresh token for a new token pair, rotating the refresh token.
+     * Throws SessionError when the token is invalid, expired or reused.
+     */
+    async refresh(refreshToken, req) {
+        const parsed = parseRefreshToken(refreshToken);
+        if (!parsed) {
+            throw new SessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+        }
+
+        const session = await Session.findById(parsed.sessionId);
+        if (!session || !session.isActive()) {
+            throw new SessionError('Session has expired. Please log in again.', 'SESSION_EXPIRED');
+        }
+
+        if (!isSignedFor(session, parsed) || parsed.generation > session.generation) {
+            throw new SessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+        }
+
+        if (parsed.generation < session.generation) {
+            // A retry racing its own refresh is fine, but only while the token
+            // that replaced it is still unused (i.e. it is the previous generation)
+            const replacedByCurrent = parsed.generation === session.generation - 1;
+            if (replacedByCurrent && session.rotatedAt && Date.now() - session.rotatedAt.getTime() <= REUSE_GRACE_MS) {
+                throw new SessionError('Refresh token was just rotated', 'REFRESH_TOKEN_ROTATED', 409);
+            }
+
+            await this.revokeSession(session.user, session._id, 'reuse_detected');
+            logger.warn({ userId: session.user.toString(), sessionId: session._id.toString() }, 'Refresh token reuse detected; session revoked');
+            throw new SessionError('Refresh token reuse detected. Please log in again.', 'REFRESH_TOKEN_REUSED');
+        }
+
+        // Only rotate if nobody else rotated this token in the meantime
+        const now = new Date();
+        const updated = await Session.findOneAndUpdate(
+            { _id: session._id, generation: parsed.generation, revokedAt: null },
+            {
+                $set: {
+                    generation: parsed.generation + 1,
+                    rotatedAt: now,
+                    lastUsedAt: now,
+                    ...getClientInfo(req)
+                }
+            },
+            { new: true }
+        );
+
+        if (!updated) {
+            throw new SessionError('Refresh token was just rotated', 'REFRESH_TOKEN_ROTATED', 409);
+        }
+
+        return this.buildTokens(updated.user, updated);
+    }
+
+    /**
+     * Whether an access token's session is still usable.
+     */
+    async isSessionActive(sessionId) {
+        if (!mongoose.isValidObjectId(sessionId)) return false;
+        const session = await Session.findById(sessionId).select('revokedAt expiresAt');
+        return Boolean(session && session.isActive());
+    }
+
+    async listSessions(userId, currentSessionId) {
+        const sessions = await Session.find({
+            user: userId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastUsedAt: -1 });
+
+        return sessions.map(session => ({
+            id: session._id.toString(),
+            device: session.device,
+            userAgent: session.userAgent,
+            ip: session.ip,
+            createdAt: session.createdAt,
+            lastUsedAt: session.lastUsedAt,
+            expiresAt: session.expiresAt,
+            current: Boolean(currentSessionId) && session._id.toString() === currentSessionId.toString()
+        }));
+    }
+
+    /**
+     * Revoke one of a user's sessions. Returns false if it was not found or already revoked.
+     */
+    async revokeSession(userId, sessionId, reason = 'revoked') {
+        if (!mongoose.isValidObjectId(sessionId)) return false;
+
+        const result = await Session.updateOne(
+            { _id: sessionId, user: userId, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    /**
+     * Revoke every active session of a user. Returns how many were revoked.
+     */
+    async revokeAllSessions(userId, reason = 'logout_all') {
+        const result = await Session.updateMany(
+            { user: userId, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+        return result.modifiedCount;
+    }
+
+    /**
+     * Revoke the session a refresh token belongs to, if the token is its current one.
+     */
+    async revokeByRefreshToken(refreshToken, reason = 'logout') {
+        const parsed = parseRefreshToken(refreshToken);
+        if (!parsed) return false;
+
+        const session = await Session.findById(parsed.sessionId).select('family');
+        if (!session || !isSignedFor(session, parsed)) return false;
+
+        const result = await Session.updateOne(
+            { _id: parsed.sessionId, generation: parsed.generation, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+        return result.modifiedCount > 0;
+    }
+}
+
+module.exports = new SessionService();
+module.exports.SessionError = SessionError;
+module.exports.describeDevice = describeDevice;
@@ -6,6 +6,18 @@
 
 const User = require('../models/User');
 const TrackingUtils = require('../utils/trackingUtils');
+const checkInService = require('./checkInService');
+const notificationService = require('./notificationService');
+const { stageConfigs } = require('../config/stages');
+
+// Stage progression names mapped onto the numbered stage configs in config/stages.js
+const STAGE_NUMBERS = {
+    discovery: 1,
+    onboarding: 2,
+    growth: 3,
+    mastery: 3,
+    mentorship: 3
+};
 
 class StageManager {
     constructor() {
@@ -155,6 +167,14 @@ class StageManager {
                 finalScore: user.stageMetrics.get(currentStage)?.overallScore || 0
             });
 
+            await notificationService.notify(userId, {
+                type: 'stage_promotion',
+                title: `🎊 Welcome to the ${nextStage} stage!`,
+                message: `You completed ${currentStage} in ${stageDuration} days.`,
+                data: { fromStage: currentStage, toStage: nextStage },
+                dedupeKey: `stage:${userId}:${nextStage}`
+            });
+
             return {
                 canProgress: true,
                 promoted: true,
@@ -207,6 +227,115 @@ class StageManager {
         }
     }
 
+    /**
+     * Get the user together with their stage and numbered stage config
+     */
+    async getCurrentStageData(userId) {
+        const user = await User.findById(userId);
+        if (!user) throw new Error('User not found');
+
+        const stageNumber = STAGE_NUMBERS[user.userStage] || 1;
+        return {
+            user,
+            stage: user.userStage,
+            stageNumber,
+            stageConfig: stageConfigs[stageNumber]
+        };
+    }
+
+    /**
+     * Record today's check-in and return the updated streak
+     */
+    async updateCheckInStreak(userId, options = {}) {
+        const { created, streak } = await checkInService.checkIn(userId, options);
+
+        let message;
+        if (!created) {
+            message = `You already checked in today. Streak: ${streak.current} day${streak.current === 1 ? '' : 's'}.`;
+        } else if (streak.current === 1) {
+            message = 'Checked in! Day 1 of your streak.';
+        } else {
+            message = `Checked in! ${streak.current} days in a row.`;
+        }
+
+        return {
+            streakCount: streak.current,
+            longestStreak: streak.longest,
+            streakUpdated: created,
+            localDate: streak.today,
+            timezone: streak.timezone,
+            message
+        };
+    }
+
+    /**
+     * Check whether a pathway is unlocked, based on the check-in history.
+     * Once a user has reached the required streak the pathway stays unlocked.
+     */
+    async checkPathwayUnlock(userId, pathway) {
+        const { user, stageNumber, stageConfig } = await this.getCurrentStageData(userId);
+        const pathwayConfig = stageConfig && stageConfig.pathways && stageConfig.pathways[pathway];
+
+        // Pathways that belong to earlier stages are unlocked for later stages
+        if (!pathwayConfig) {
+            const earlierStage = Object.keys(stageConfigs).find(number => stageConfigs[number].pathways[pathway]);
+            const unlocked = !!earlierStage && stageNumber > Number(earlierStage);
+            return { unlocked, reason: unlocked ? 'Unlocked by stage' : 'Unknown pathway' };
+        }
+
+        const conditions = pathwayConfig.unlockConditions;
+        if (!pathwayConfig.locked || !conditions) {
+            return { unlocked: true, reason: 'Always available' };
+        }
+
+        const requiredStreak = conditions.streakDays || 0;
+        const streak = await checkInService.getStreak(userId, user);
+        const unlocked = streak.longest >= requiredStreak;
+
+        return {
+            unlocked,
+            reason: unlocked ? 'Streak requirement met' : conditions.message,
+            currentStreak: streak.current,
+            longestStreak: streak.longest,
+            requiredStreak,
+            remainingDays: unlocked ? 0 : requiredStreak - streak.current
+        };
+    }
+
+    /**
+     * Build the dashboard greeting from the stage's message templates
+     */
+    async generateDashboardMessage(userId) {
+        const { user, stageConfig } = await this.getCurrentStageData(userId);
+        const messages = (stageConfig && stageConfig.dashboardMessages) || {};
+        const streak = await checkInService.getStreak(userId, user);
+
+        let key = streak.current > 0 ? 'progress' : 'welcome';
+        let remainingDays = 0;
+
+        if (messages.visionUnlocked && messages.visionLocked) {
+            const visionUnlock = await this.checkPathwayUnlock(userId, 'vision');
+            remainingDays = visionUnlock.remainingDays || 0;
+            if (visionUnlock.unlocked && streak.current === visionUnlock.requiredStreak && streak.checkedInToday) {
+                key = 'visionUnlocked';
+            } else if (!visionUnlock.unlocked && streak.current > 0) {
+                key = 'visionLocked';
+            }
+        }
+
+        const values = {
+            name: user.name,
+            streakCount: streak.current,
+            remainingDays
+        };
+        const template = messages[key] || 'Welcome back, {{name}}!';
+        const message = template.replace(/\{\{(\w+)\}\}/g, (match, field) => (
+            values[field] !== undefined ? values[field] : match
+        ));
+
+        return { message, type: key, streakCount: streak.current };
+    }
+
     /**
      * Initialize stage configurations
      */
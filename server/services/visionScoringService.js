@@ -1,12 +1,11 @@
 // Enhanced visionScoringService.js - Updated backend integration
-const llamaService = require('./llamaService');
+const llmGateway = require('./llmGateway');
 const { VisionAnalysisService } = require('./scoringIntegration');
 const { VisionScore, VisionFeedback } = require('../models/visionData');
 
 class EnhancedVisionScoringService {
   constructor() {
-    // Shared llamaService handles OpenAI or Ollama based on configuration
-    this.ollama = llamaService;
+    this.llm = llmGateway;
     this.localAnalyzer = new VisionAnalysisService();
   }
 
@@ -19,8 +18,8 @@ class EnhancedVisionScoringService {
       
       // Then enhance with LLM if available
       let llmAnalysis = null;
-      const isOllamaAvailable = await this.ollama.isAvailable();
-      if (isOllamaAvailable) {
+      const isLLMAvailable = await this.llm.isAvailable();
+      if (isLLMAvailable) {
         try {
           llmAnalysis = await this.getLLMEnhancement(visionData, localAnalysis);
         } catch (error) {
@@ -71,11 +70,10 @@ Return a JSON object with:
   "personalizedMessage": "enhanced message based on deeper understanding"
 }`;
 
-    const fullPrompt = `${systemPrompt}\n\n${prompt}`;
-    
-    const result = await this.ollama.generateCompletion(fullPrompt, {
+    const result = await this.llm.complete(prompt, {
+      system: systemPrompt,
       temperature: 0.7,
-      max_tokens: 800,  // Reduced for faster response
+      maxTokens: 800,  // Reduced for faster response
       timeout: 60000    // 1 minute timeout
     });
 
@@ -85,8 +83,8 @@ Return a JSON object with:
 
     // Try to parse JSON response
     try {
-      const jsonMatch = result.response.match(/\{[\s\S]*\}/);
-      const jsonString = jsonMatch ? jsonMatch[0] : result.response;
+      const jsonMatch = result.content.match(/\{[\s\S]*\}/);
+      const jsonString = jsonMatch ? jsonMatch[0] : result.content;
       return JSON.parse(jsonString);
     } catch (parseError) {
       console.warn('Failed to parse LLM JSON response:', parseError.message);
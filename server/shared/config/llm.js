@@ -1,66 +1,116 @@
 /**
  * LLM Configuration
  * ENV-based configuration for different LLM providers
+ *
+ * LLM_PROVIDER picks the primary provider and LLM_MODEL its model.
+ * LLM_FALLBACK_PROVIDERS lists providers to try, in order, when the primary
+ * one fails; they use their own <PROVIDER>_MODEL (e.g. OLLAMA_MODEL) or the
+ * provider default.
  */
 
 const LLM_PROVIDERS = {
   LLAMA: 'llama',
-  OPENAI: 'openai', 
+  OPENAI: 'openai',
   CLAUDE: 'claude',
-  GEMINI: 'gemini'
+  GEMINI: 'gemini',
+  MOCK: 'mock'
 };
 
-const getLLMConfig = () => {
-  const provider = process.env.LLM_PROVIDER || LLM_PROVIDERS.OPENAI;
-  
+// 'ollama' is accepted wherever a provider is named and means the local llama config
+const PROVIDER_ALIASES = {
+  ollama: LLM_PROVIDERS.LLAMA
+};
+
+const normalizeProvider = (name) => {
+  const provider = String(name || '').trim().toLowerCase();
+  return PROVIDER_ALIASES[provider] || provider;
+};
+
+const getPrimaryProvider = () => normalizeProvider(process.env.LLM_PROVIDER || LLM_PROVIDERS.OPENAI);
+
+/**
+ * Config for one provider. The primary provider uses LLM_MODEL; any other
+ * uses its <PROVIDER>_MODEL variable.
+ */
+const getProviderConfig = (name) => {
+  const provider = normalizeProvider(name);
+  const isPrimary = provider === getPrimaryProvider();
+  const model = (envName, fallback) => (isPrimary && process.env.LLM_MODEL) || process.env[envName] || fallback;
+
+  const shared = {
+    timeout: parseInt(process.env.LLM_TIMEOUT) || 30000,
+    maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 2000,
+    temperature: parseFloat(process.env.LLM_TEMPERATURE) || 0.7
+  };
+
   const configs = {
     [LLM_PROVIDERS.LLAMA]: {
       provider: 'llama',
-      apiUrl: process.env.LLM_API_URL || 'http://localhost:11434',
-      model: process.env.LLM_MODEL || 'llama3.1:8b',
-      endpoint: '/api/generate',
-      timeout: parseInt(process.env.LLM_TIMEOUT) || 30000,
-      maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 2000,
-      temperature: parseFloat(process.env.LLM_TEMPERATURE) || 0.7
+      apiUrl: process.env.OLLAMA_URL || process.env.OLLAMA_BASE_URL || process.env.LLM_API_URL || 'http://localhost:11434',
+      model: model('OLLAMA_MODEL', 'llama3.1:8b'),
+      endpoint: '/api/chat',
+      ...shared,
+      // Local models are slow on long prompts
+      timeout: parseInt(process.env.OLLAMA_TIMEOUT) || parseInt(process.env.LLM_TIMEOUT) || 180000
     },
-    
+
     [LLM_PROVIDERS.OPENAI]: {
       provider: 'openai',
       apiKey: process.env.OPENAI_API_KEY,
-      model: process.env.LLM_MODEL || 'gpt-4o-mini',
-      timeout: parseInt(process.env.LLM_TIMEOUT) || 30000,
-      maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 2000,
-      temperature: parseFloat(process.env.LLM_TEMPERATURE) || 0.7
+      model: model('OPENAI_MODEL', 'gpt-4o-mini'),
+      ...shared
     },
-    
+
     [LLM_PROVIDERS.CLAUDE]: {
       provider: 'claude',
       apiKey: process.env.CLAUDE_API_KEY,
-      model: process.env.LLM_MODEL || 'claude-3-haiku-20240307',
-      timeout: parseInt(process.env.LLM_TIMEOUT) || 30000,
-      maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 2000,
-      temperature: parseFloat(process.env.LLM_TEMPERATURE) || 0.7
+      apiUrl: process.env.CLAUDE_BASE_URL || 'https://api.anthropic.com',
+      model: model('CLAUDE_MODEL', 'claude-3-haiku-20240307'),
+      ...shared
     },
-    
+
     [LLM_PROVIDERS.GEMINI]: {
       provider: 'gemini',
       apiKey: process.env.GEMINI_API_KEY,
-      model: process.env.LLM_MODEL || 'gemini-1.5-flash',
-      timeout: parseInt(process.env.LLM_TIMEOUT) || 30000,
-      maxTokens: parseInt(process.env.LLM_MAX_TOKENS) || 2000,
-      temperature: parseFloat(process.env.LLM_TEMPERATURE) || 0.7
+      apiUrl: process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com',
+      model: model('GEMINI_MODEL', 'gemini-1.5-flash'),
+      ...shared
+    },
+
+    // Offline canned and recorded answers, see services/llmProviders/mock.js
+    [LLM_PROVIDERS.MOCK]: {
+      provider: 'mock',
+      model: 'mock',
+      ...shared
     }
   };
-  
+
   const config = configs[provider];
   if (!config) {
-    throw new Error(`Unsupported LLM provider: ${provider}`);
+    throw new Error(`Unsupported LLM provider: ${name}`);
   }
-  
+
   return config;
 };
 
+const getLLMConfig = () => getProviderConfig(getPrimaryProvider());
+
+/**
+ * Providers to try in order: LLM_PROVIDER, then LLM_FALLBACK_PROVIDERS
+ * (comma-separated), without duplicates.
+ */
+const getProviderChain = () => {
+  const fallbacks = (process.env.LLM_FALLBACK_PROVIDERS || '')
+    .split(',')
+    .map(normalizeProvider)
+    .filter(Boolean);
+  return [...new Set([getPrimaryProvider(), ...fallbacks])];
+};
+
 module.exports = {
   LLM_PROVIDERS,
+  normalizeProvider,
+  getProviderConfig,
+  getProviderChain,
   getLLMConfig
-};
\ No newline at end of file
+};
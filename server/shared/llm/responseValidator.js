@@ -1,58 +1,12 @@
 /**
  * LLM Response Validation and Standardization
- * Unified JSON schema and validation for all LLM responses
+ * Parses LLM answers and validates them against the JSON Schemas in ./schemas
  */
 
 const { jsonrepair } = require('jsonrepair');
+const schemas = require('./schemas');
 
 class LLMResponseValidator {
-  
-  /**
-   * Standard task schema used across all services
-   */
-  static getTaskSchema() {
-    return {
-      goalIndex: 0,
-      title: "string",
-      rationale: "string", 
-      estTime: 30,
-      day: "Mon|Tue|Wed|Thu|Fri|Sat|Sun",
-      difficultyLevel: "beginner|intermediate|advanced",
-      skillCategory: "string",
-      metricsImpacted: [
-        {
-          metric: "clarity|confidence|competency|opportunity|commitment|growth_readiness",
-          expectedImpact: "high|medium|low",
-          reasoning: "string"
-        }
-      ]
-    };
-  }
-
-  /**
-   * Standard goal schema
-   */
-  static getGoalSchema() {
-    return {
-      title: "string",
-      description: "string",
-      rationale: "string",
-      metricsImpacted: ["clarity", "confidence"]
-    };
-  }
-
-  /**
-   * Standard week schema for journey planning
-   */
-  static getWeekSchema() {
-    return {
-      week: 1,
-      theme: "string",
-      focus: "string",
-      tasks: [] // Array of task objects
-    };
-  }
-
   /**
    * Clean JSON response and isolate JSON substring
    */
@@ -116,127 +70,46 @@ class LLMResponseValidator {
       
     } catch (error) {
       console.error('LLM Response Validation Failed:', error.message);
-      console.error('Raw response (first 200 chars):', rawResponse.substring(0, 200));
+      console.error('Raw response (first 200 chars):', String(rawResponse).substring(0, 200));
       
       return {
         success: false,
         error: error.message,
+        errors: error.validationErrors || [],
         fallbackData: this.getFallbackData(expectedSchema)
       };
     }
   }
 
-
   /**
-   * Validate response structure based on expected schema
+   * Validate response structure based on expected schema.
+   * Throws an Error whose message lists each failing path; the individual
+   * errors are on error.validationErrors
    */
   static validateSchema(data, schemaType) {
     switch (schemaType) {
-      case 'journey':
-        return this.validateJourneySchema(data);
-      case 'goals':
-        return this.validateGoalsSchema(data);
       case 'weekly':
-        return this.validateWeeklySchema(data);
-      case 'analysis':
-        return this.validateAnalysisSchema(data);
+        // Journey-shaped weekly answers are accepted and converted by the route
+        if (Array.isArray(data && data.goals) && Array.isArray(data && data.weeks)) {
+          return this.assertSchema(data, 'journey');
+        }
+        return this.assertSchema(data, 'weekly');
       case 'enhanced-journey':
         return this.validateEnhancedJourneySchema(data);
       default:
-        return data; // No validation
+        return schemas.hasSchema(schemaType) ? this.assertSchema(data, schemaType) : data;
     }
   }
 
   /**
-   * Validate journey planning response
+   * Return data if it matches the schema for schemaType, throw otherwise
    */
-  static validateJourneySchema(data) {
-    if (!data.goals || !Array.isArray(data.goals)) {
-      throw new Error('Missing or invalid goals array');
-    }
-    
-    if (!data.weeks || !Array.isArray(data.weeks)) {
-      throw new Error('Missing or invalid weeks array');
-    }
-
-    // Validate each goal has required fields
-    data.goals.forEach((goal, index) => {
-      if (!goal.title || !goal.description) {
-        throw new Error(`Goal ${index} missing required fields`);
-      }
-    });
-
-    // Validate each week
-    data.weeks.forEach((week, index) => {
-      if (!week.week || !week.tasks || !Array.isArray(week.tasks)) {
-        throw new Error(`Week ${index} missing required fields`);
-      }
-      
-      // Validate tasks
-      week.tasks.forEach((task, taskIndex) => {
-        if (!task.title || !task.day || !task.estTime) {
-          throw new Error(`Week ${index}, Task ${taskIndex} missing required fields`);
-        }
-      });
-    });
-
-    return data;
-  }
-
-  /**
-   * Validate simple goals response (legacy format)
-   */
-  static validateGoalsSchema(data) {
-    if (!data.goals || !Array.isArray(data.goals)) {
-      throw new Error('Missing or invalid goals array');
-    }
-
-    data.goals.forEach((goal, index) => {
-      if (!goal.title || !goal.tasks || !Array.isArray(goal.tasks)) {
-        throw new Error(`Goal ${index} missing required fields`);
-      }
-    });
-
-    return data;
-  }
-
-  /**
-   * Validate weekly plan response (simple format: {goal: {title, tasks}})
-   */
-  static validateWeeklySchema(data) {
-    // Handle both formats: {goal: {...}} or {goals: [...], weeks: [...]}
-    if (data.goals && Array.isArray(data.goals) && data.weeks && Array.isArray(data.weeks)) {
-      // Journey format - validate using journey schema
-      return this.validateJourneySchema(data);
-    }
-    
-    if (!data.goal || !data.goal.title || !Array.isArray(data.goal.tasks)) {
-      throw new Error('Missing or invalid goal structure - expected {goal: {title, tasks}}');
-    }
-
-    // Validate tasks array
-    if (data.goal.tasks.length === 0) {
-      throw new Error('Goal must contain at least one task');
-    }
-
-    data.goal.tasks.forEach((task, index) => {
-      if (!task.name || typeof task.estTime !== 'number') {
-        throw new Error(`Task ${index} missing required fields (name, estTime)`);
-      }
-    });
-
-    return data;
-  }
-
-  /**
-   * Validate dream analysis response
-   */
-  static validateAnalysisSchema(data) {
-    const required = ['realityScore', 'clarityScore', 'beliefScore'];
-    for (const field of required) {
-      if (typeof data[field] !== 'number') {
-        throw new Error(`Missing or invalid ${field}`);
-      }
+  static assertSchema(data, schemaType) {
+    const result = schemas.validate(schemaType, data);
+    if (!result.valid) {
+      const error = new Error(schemas.formatErrors(result.errors));
+      error.validationErrors = result.errors;
+      throw error;
     }
     return data;
   }
@@ -290,25 +163,7 @@ class LLMResponseValidator {
       };
     }
     
-    // Original format validation
-    if (!planData.planMetadata) {
-      throw new Error('Missing planMetadata in enhanced journey response');
-    }
-    
-    if (!planData.weeklyPlan || !Array.isArray(planData.weeklyPlan)) {
-      throw new Error('Missing or invalid weeklyPlan array in enhanced journey response');
-    }
-
-    // Validate each week in weeklyPlan
-    planData.weeklyPlan.forEach((week, index) => {
-      if (!week.weekNumber || !week.weekTheme) {
-        throw new Error(`Week ${index} missing required fields (weekNumber, weekTheme)`);
-      }
-      
-      if (!week.keyActivities || !Array.isArray(week.keyActivities)) {
-        throw new Error(`Week ${index} missing keyActivities array`);
-      }
-    });
+    this.assertSchema(planData, 'enhanced-journey');
 
     // Transform to legacy format for compatibility with existing journey processing
     const transformedData = {
@@ -460,63 +315,11 @@ class LLMResponseValidator {
   }
 
   /**
-   * Create standardized prompt suffix for JSON responses
+   * Create standardized prompt suffix for JSON responses, with the JSON
+   * Schema the answer is validated against
    */
   static getJsonPromptSuffix(schemaType = 'journey') {
-    const examples = {
-      journey: `{
-  "goals": [
-    {
-      "title": "Goal Name",
-      "description": "What this achieves",
-      "rationale": "Why this matters",
-      "metricsImpacted": ["clarity", "confidence"]
-    }
-  ],
-  "weeks": [
-    {
-      "week": 1,
-      "theme": "Week Theme",
-      "focus": "Week focus description",
-      "tasks": [
-        {
-          "goalIndex": 0,
-          "title": "Task name",
-          "rationale": "Why this task",
-          "estTime": 30,
-          "day": "Mon",
-          "difficultyLevel": "beginner",
-          "skillCategory": "planning",
-          "metricsImpacted": [
-            {
-              "metric": "clarity",
-              "expectedImpact": "high", 
-              "reasoning": "Explanation"
-            }
-          ]
-        }
-      ]
-    }
-  ]
-}`,
-      goals: `{
-  "goals": [
-    {
-      "title": "Goal Name",
-      "description": "Goal description",
-      "tasks": [
-        {
-          "name": "Task name",
-          "duration": 30,
-          "feedback": "Motivational message",
-          "reference": "Resource",
-          "insight": "Key insight"
-        }
-      ]
-    }
-  ]
-}`
-    };
+    const schemaText = schemas.describeSchema(schemas.hasSchema(schemaType) ? schemaType : 'journey');
 
     return `
 
@@ -526,11 +329,11 @@ JSON RULES:
 - Use double quotes for all strings
 - No trailing commas
 - Escape quotes in strings with \"
-- Use this exact format:
+- The JSON object must match this JSON Schema:
 
-${examples[schemaType] || examples.journey}
+${schemaText}
 
-Return only the JSON object above, properly formatted.`;
+Return only the JSON object, properly formatted.`;
   }
 }
 
@@ -0,0 +1,371 @@
+/**
+ * LLM Output Schemas
+ * JSON Schema for every structured answer we ask a model for.
+ *
+ * The same schema validates the answer (ajv), is shown to the model in the
+ * prompt and is sent to providers that support structured output. Schemas
+ * are self-contained (no $ref) so providers can take them as they are.
+ */
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const DAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+const METRICS = ['clarity', 'confidence', 'competency', 'opportunity', 'commitment', 'growth_readiness'];
+const DIFFICULTY_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+// Errors listed in a validation message before the rest are counted
+const MAX_REPORTED_ERRORS = 5;
+
+const text = (description) => ({ type: 'string', minLength: 1, description });
+const optionalText = (description) => ({ type: ['string', 'null'], description });
+const minutes = (description) => ({ type: 'number', exclusiveMinimum: 0, description });
+const textList = (description) => ({ type: 'array', items: { type: 'string' }, description });
+
+const journeyTask = {
+  type: 'object',
+  required: ['title', 'day', 'estTime'],
+  properties: {
+    goalIndex: { type: 'integer', minimum: 0, description: 'Index of the goal this task serves' },
+    title: text('Task name'),
+    rationale: { type: 'string', description: 'Why this task' },
+    estTime: minutes('Minutes the task takes'),
+    day: { type: 'string', enum: DAYS },
+    difficultyLevel: { type: 'string', enum: DIFFICULTY_LEVELS },
+    skillCategory: { type: 'string' },
+    metricsImpacted: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['metric'],
+        properties: {
+          metric: { type: 'string', enum: METRICS },
+          expectedImpact: { type: 'string', enum: ['high', 'medium', 'low'] },
+          reasoning: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const SCHEMAS = {
+  journey: {
+    title: 'Journey plan',
+    type: 'object',
+    required: ['goals', 'weeks'],
+    properties: {
+      goals: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['title', 'description'],
+          properties: {
+            title: text('Goal name'),
+            description: text('What this goal achieves'),
+            rationale: { type: 'string', description: 'Why this goal matters' },
+            metricsImpacted: { type: 'array', items: { type: 'string', enum: METRICS } }
+          }
+        }
+      },
+      weeks: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['week', 'tasks'],
+          properties: {
+            week: { type: 'integer', minimum: 1 },
+            theme: { type: 'string' },
+            focus: { type: 'string' },
+            tasks: { type: 'array', items: journeyTask }
+          }
+        }
+      }
+    }
+  },
+
+  weekly: {
+    title: 'Weekly plan',
+    type: 'object',
+    required: ['goal'],
+    properties: {
+      goal: {
+        type: 'object',
+        required: ['title', 'tasks'],
+        properties: {
+          title: text('Weekly goal title, concise and specific'),
+          tasks: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['name', 'estTime'],
+              properties: {
+                name: text('Specific task name'),
+                estTime: minutes('Minutes the task takes, 15-90')
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  discovery: {
+    title: '21-day discovery plan',
+    type: 'object',
+    required: ['weeks'],
+    properties: {
+      weeks: {
+        type: 'array',
+        minItems: 3,
+        maxItems: 3,
+        items: {
+          type: 'object',
+          required: ['activities'],
+          properties: {
+            week: { type: 'integer', minimum: 1, maximum: 3 },
+            theme: { type: 'string' },
+            activities: {
+              type: 'array',
+              minItems: 1,
+              items: {
+                type: 'object',
+                required: ['title', 'description'],
+                properties: {
+                  day: { type: 'integer', minimum: 1 },
+                  title: text('Activity name'),
+                  description: text('What the activity is'),
+                  type: { type: 'string', description: 'visualization, research, reflection, assessment, planning, action, ...' },
+                  estimatedTime: minutes('Minutes the activity takes'),
+                  instructions: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  goals: {
+    title: 'Goals from a dream',
+    type: 'object',
+    required: ['goals'],
+    properties: {
+      goals: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['title', 'tasks'],
+          properties: {
+            title: text('Goal name'),
+            description: { type: 'string' },
+            tasks: {
+              type: 'array',
+              minItems: 1,
+              items: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                  name: text('Specific task name'),
+                  duration: minutes('Minutes the task takes'),
+                  feedback: { type: 'string', description: 'Motivational message' },
+                  reference: { type: 'string', description: 'A URL, book or article' },
+                  insight: { type: 'string', description: 'One-line coaching insight' }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  analysis: {
+    title: 'Dream analysis',
+    type: 'object',
+    required: ['realityScore', 'clarityScore', 'beliefScore'],
+    properties: {
+      realityScore: { type: 'number', minimum: 0, maximum: 100, description: 'How achievable the dream is' },
+      realityExplanation: { type: 'string' },
+      clarityScore: { type: 'number', minimum: 0, maximum: 100, description: 'How specific the dream is' },
+      clarityExplanation: { type: 'string' },
+      beliefScore: { type: 'number', minimum: 0, maximum: 100, description: 'How confident they are' },
+      beliefExplanation: { type: 'string' },
+      insights: textList('Key insights'),
+      nextSteps: textList('Immediate next steps')
+    }
+  },
+
+  'enhanced-journey': {
+    title: 'Observer Engine journey plan',
+    type: 'object',
+    required: ['planMetadata', 'weeklyPlan'],
+    properties: {
+      planMetadata: {
+        type: 'object',
+        properties: {
+          focusArea: { type: 'string' },
+          userDream: { type: 'string' },
+          duration: { type: 'string' }
+        }
+      },
+      weeklyPlan: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['weekNumber', 'weekTheme', 'keyActivities'],
+          properties: {
+            weekNumber: { type: 'integer', minimum: 1 },
+            weekTheme: text('Theme of the week'),
+            objectiveAnalysis: { type: 'string' },
+            keyActivities: textList('Activities for the week'),
+            learningResources: { type: 'array' },
+            timeAllocation: {
+              type: 'object',
+              properties: { totalHoursPerWeek: { type: 'number', minimum: 0 } }
+            }
+          }
+        }
+      }
+    }
+  },
+
+  'dream-parse': {
+    title: 'Parsed career dream',
+    type: 'object',
+    required: ['mode'],
+    properties: {
+      mode: { type: 'string', enum: ['employee', 'entrepreneur'] },
+      role: optionalText('Specific job title'),
+      targetCompany: optionalText('Company name, if mentioned'),
+      teamContext: optionalText('Team or department'),
+      seniorityLevel: {
+        type: ['string', 'null'],
+        enum: ['junior', 'mid', 'senior', 'staff', 'principal', 'director', 'vp', 'c-level', null]
+      },
+      workStyle: { type: ['string', 'null'], enum: ['remote', 'hybrid', 'onsite', null] },
+      location: optionalText('Where they want to work'),
+      ventureIdea: optionalText('Core business concept'),
+      targetPersona: optionalText('Target customer or user'),
+      productFormat: optionalText('Type of product or service'),
+      deliveryModel: optionalText('How the product is delivered'),
+      businessModel: optionalText('Revenue model'),
+      fundingStage: optionalText('bootstrapped, pre-seed, seed, series-a'),
+      teamSize: { type: ['string', 'number', 'null'] },
+      region: optionalText('Geographic focus'),
+      techFocus: optionalText('Technology, tools or skills mentioned'),
+      marketType: optionalText('B2B, B2C or Mixed'),
+      impactStatement: optionalText('What they want to achieve'),
+      industryVertical: optionalText('Industry sector'),
+      parsingConfidence: { type: 'number', minimum: 0, maximum: 1, description: 'How clear the dream was to parse' }
+    }
+  },
+
+  insights: {
+    title: 'Readiness insights',
+    type: 'object',
+    required: ['validationScore', 'keyInsights', 'immediateActions', 'personalizedMessage'],
+    properties: {
+      validationScore: { type: 'number', minimum: 0, maximum: 100, description: 'Accuracy of the current assessment' },
+      keyInsights: textList('Three key insights'),
+      hiddenStrengths: textList('Strengths the assessment missed'),
+      blindSpots: textList('Risks the person may not see'),
+      careerStrategy: { type: 'string', description: 'Specific strategic recommendation' },
+      immediateActions: textList('Three actions to take now'),
+      skillPriorities: textList('Skills to develop first'),
+      networkingStrategy: { type: 'string' },
+      timelineAdjustment: { type: 'string', description: 'Timeline recommendation with reasoning' },
+      successPredictors: textList('Signs they will succeed'),
+      riskMitigations: textList('Ways to reduce the main risks'),
+      confidenceBoost: { type: 'number', minimum: -10, maximum: 10, description: 'Confidence adjustment' },
+      personalizedMessage: text('Encouraging and actionable message')
+    }
+  }
+};
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+addFormats(ajv);
+
+const validators = {};
+Object.keys(SCHEMAS).forEach(type => {
+  validators[type] = ajv.compile(SCHEMAS[type]);
+});
+
+/**
+ * Whether there is a schema for this output type
+ */
+function hasSchema(type) {
+  return Object.prototype.hasOwnProperty.call(SCHEMAS, type);
+}
+
+function getSchema(type) {
+  if (!hasSchema(type)) {
+    throw new Error(`Unknown LLM output schema: ${type}`);
+  }
+  return SCHEMAS[type];
+}
+
+/**
+ * Validate data against an output type's schema
+ * @returns {{ valid: boolean, errors: Array<{ path: string, message: string }> }}
+ *   path is a JSON pointer such as /weeks/0/tasks/2/day ('' for the root)
+ */
+function validate(type, data) {
+  getSchema(type);
+  const validator = validators[type];
+  if (validator(data)) {
+    return { valid: true, errors: [] };
+  }
+  return {
+    valid: false,
+    errors: validator.errors.map(error => ({
+      path: error.instancePath,
+      message: error.params && error.params.allowedValues
+        ? `${error.message}: ${error.params.allowedValues.map(String).join(', ')}`
+        : error.message
+    }))
+  };
+}
+
+/**
+ * One-line summary of validation errors, e.g.
+ * "/goal/tasks/0 must have required property 'estTime'; /goal/title must be string"
+ */
+function formatErrors(errors) {
+  const listed = errors.slice(0, MAX_REPORTED_ERRORS).map(error => `${error.path || '/'} ${error.message}`);
+  if (errors.length > MAX_REPORTED_ERRORS) {
+    listed.push(`and ${errors.length - MAX_REPORTED_ERRORS} more`);
+  }
+  return listed.join('; ');
+}
+
+/**
+ * The schema as providers take it for structured output:
+ * { name, schema }, with name safe for OpenAI's json_schema format
+ */
+function getResponseSchema(type) {
+  return { name: type.replace(/[^a-zA-Z0-9_-]/g, '_'), schema: getSchema(type) };
+}
+
+/**
+ * The schema as prompt text
+ */
+function describeSchema(type) {
+  return JSON.stringify(getSchema(type), null, 2);
+}
+
+module.exports = {
+  SCHEMAS,
+  DAYS,
+  METRICS,
+  hasSchema,
+  getSchema,
+  validate,
+  formatErrors,
+  getResponseSchema,
+  describeSchema
+};
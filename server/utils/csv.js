@@ -0,0 +1,84 @@
+/**
+ * server/utils/csv.js
+ * RFC 4180 CSV reader: quoted fields, escaped quotes, embedded newlines.
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Each row also carries its starting line number as `row.line`.
+ */
+function parseRows(text) {
+    const input = String(text).replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const pushRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0].trim() !== '') {
+            row.line = rowLine;
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            pushRow();
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length) pushRow();
+    return rows;
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by normalised header names
+ * (lowercase, spaces and dashes as underscores). Each record has a `line`.
+ */
+function parseRecords(text) {
+    const [header, ...rows] = parseRows(text);
+    if (!header) return { columns: [], records: [] };
+
+    const columns = header.map(name => name.trim().toLowerCase().replace(/[\s-]+/g, '_'));
+    const records = rows.map(row => {
+        const record = { line: row.line };
+        columns.forEach((column, index) => {
+            record[column] = row[index] !== undefined ? row[index].trim() : '';
+        });
+        return record;
+    });
+
+    return { columns, records };
+}
+
+module.exports = { parseRows, parseRecords };
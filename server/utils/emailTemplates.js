@@ -0,0 +1,328 @@
+/**
+ * server/utils/emailTemplates.js
+ * File-based email templates with layouts, partials and locale variants.
+ *
+ * Templates live in server/templates/email/<locale>/<name>.html, with
+ * layouts in <locale>/layouts/ and partials in <locale>/partials/. Syntax is
+ * a small Mustache subset:
+ *   {{name}}, {{user.name}}     value, HTML-escaped
+ *   {{{body}}}                  value, unescaped
+ *   {{#if x}}..{{else}}..{{/if}}, {{#unless x}}..{{/unless}}
+ *   {{> footer}}                partial
+ *
+ * A template may start with front matter between --- lines:
+ *   subject        subject line (may use variables); plain text, so values
+ *                  are not HTML-escaped
+ *   title          heading the layout shows (may use variables); rendered
+ *                  and escaped here, so layouts place it with {{{title}}}
+ *   layout         layout name, default base; none for no layout
+ *   accent         button color; titleColor defaults to it
+ *   transactional  true for account mail (password reset, verification);
+ *                  the footer then leaves out the unsubscribe link
+ *
+ * A locale like 'pt-BR' tries pt-BR, then pt, then en. The layout and
+ * partials come from the locale the template was found in, falling back to
+ * en, so one email never mixes languages.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'email');
+const DEFAULT_LOCALE = 'en';
+const DEFAULT_TEMPLATE = 'default';
+const DEFAULT_ACCENT = '#3498db';
+
+const TAG_PATTERN = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#/>]?)\s*([\w.-]*)\s*([\w.]*)\s*\}\}/g;
+
+const cache = new Map();
+
+class TemplateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TemplateError';
+        this.code = 'EMAIL_TEMPLATE_ERROR';
+    }
+}
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+function lookup(data, key) {
+    return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), data);
+}
+
+function isTruthy(value) {
+    return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Parse template source into a tree of text, variable, section and partial
+ * nodes.
+ */
+function parse(source, name = 'template') {
+    const root = { children: [] };
+    const stack = [root];
+    let current = root.children;
+    let lastIndex = 0;
+    let match;
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(source))) {
+        if (match.index > lastIndex) {
+            current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+        }
+        lastIndex = TAG_PATTERN.lastIndex;
+
+        const [, rawKey, sigil, word, argument] = match;
+        if (rawKey) {
+            current.push({ type: 'raw', key: rawKey });
+        } else if (sigil === '#') {
+            if (word !== 'if' && word !== 'unless') {
+                throw new TemplateError(`${name}: unknown block {{#${word}}}`);
+            }
+            const section = { type: word, key: argument, children: [], inverse: [] };
+            current.push(section);
+            stack.push(section);
+            current = section.children;
+        } else if (sigil === '/') {
+            const section = stack.pop();
+            if (!section || section === root || section.type !== word) {
+                throw new TemplateError(`${name}: unexpected {{/${word}}}`);
+            }
+            const parent = stack[stack.length - 1];
+            current = parent === root ? root.children : parent.inverseOpen ? parent.inverse : parent.children;
+        } else if (sigil === '>') {
+            current.push({ type: 'partial', name: word });
+        } else if (word === 'else' && !argument) {
+            const section = stack[stack.length - 1];
+            if (section === root) {
+                throw new TemplateError(`${name}: {{else}} outside a block`);
+            }
+            section.inverseOpen = true;
+            current = section.inverse;
+        } else if (word && !argument) {
+            current.push({ type: 'var', key: word });
+        } else {
+            throw new TemplateError(`${name}: invalid tag ${match[0]}`);
+        }
+    }
+
+    if (stack.length > 1) {
+        throw new TemplateError(`${name}: unclosed {{#${stack[stack.length - 1].type}}}`);
+    }
+    if (lastIndex < source.length) {
+        current.push({ type: 'text', value: source.slice(lastIndex) });
+    }
+    return root.children;
+}
+
+function renderNodes(nodes, data, getPartial, escape = escapeHtml) {
+    return nodes.map(node => {
+        switch (node.type) {
+            case 'text':
+                return node.value;
+            case 'var': {
+                const value = lookup(data, node.key);
+                return value == null ? '' : escape(value);
+            }
+            case 'raw': {
+                const value = lookup(data, node.key);
+                return value == null ? '' : String(value);
+            }
+            case 'if':
+            case 'unless': {
+                const truthy = isTruthy(lookup(data, node.key));
+                const branch = (node.type === 'if') === truthy ? node.children : node.inverse;
+                return renderNodes(branch, data, getPartial, escape);
+            }
+            case 'partial':
+                return renderNodes(getPartial(node.name), data, getPartial, escape);
+            default:
+                return '';
+        }
+    }).join('');
+}
+
+/**
+ * Render a template string against data. Partials are looked up by name
+ * with getPartial, which returns parsed nodes.
+ */
+function renderString(source, data = {}, getPartial = name => {
+    throw new TemplateError(`Unknown partial: ${name}`);
+}) {
+    return renderNodes(parse(source), data, getPartial);
+}
+
+function parseFrontMatter(source) {
+    const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+    if (!match) return { meta: {}, body: source };
+
+    const meta = {};
+    for (const line of match[1].split(/\r?\n/)) {
+        const separator = line.indexOf(':');
+        if (separator > 0) {
+            meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        }
+    }
+    return { meta, body: source.slice(match[0].length) };
+}
+
+/**
+ * Read and parse a template file, or null if it does not exist. Parsed files
+ * are cached in production; elsewhere edits show up on the next render.
+ */
+function loadFile(relativePath) {
+    const useCache = process.env.NODE_ENV === 'production';
+    if (useCache && cache.has(relativePath)) return cache.get(relativePath);
+
+    const filePath = path.join(TEMPLATE_DIR, relativePath);
+    if (!fs.existsSync(filePath)) return null;
+
+    const { meta, body } = parseFrontMatter(fs.readFileSync(filePath, 'utf8'));
+    const template = { meta, nodes: parse(body, relativePath) };
+    if (useCache) cache.set(relativePath, template);
+    return template;
+}
+
+/**
+ * Locale directories to try, most specific first: 'pt-BR' -> pt-BR, pt, en.
+ */
+function getLocaleChain(locale) {
+    const chain = [];
+    if (locale && /^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(locale)) {
+        const parts = locale.split('-');
+        for (let i = parts.length; i > 0; i--) {
+            chain.push(parts.slice(0, i).join('-'));
+        }
+    }
+    if (!chain.includes(DEFAULT_LOCALE)) chain.push(DEFAULT_LOCALE);
+    return chain;
+}
+
+function findInLocales(locales, relativePath) {
+    for (const locale of locales) {
+        const template = loadFile(path.join(locale, relativePath));
+        if (template) return { locale, template };
+    }
+    return null;
+}
+
+/**
+ * Render an email. Unknown template names fall back to the default
+ * template. Returns { html, text, subject, locale }; subject is null when
+ * the template does not set one.
+ */
+function render(name, data = {}, locale = DEFAULT_LOCALE) {
+    // Names are file names; anything else (e.g. '../x') is unknown
+    if (!/^[\w-]+$/.test(String(name))) name = DEFAULT_TEMPLATE;
+
+    const found = findInLocales(getLocaleChain(locale), `${name}.html`) ||
+        findInLocales(getLocaleChain(locale), `${DEFAULT_TEMPLATE}.html`);
+    if (!found) {
+        throw new TemplateError(`Email template not found: ${name}`);
+    }
+
+    // Layout and partials come from the template's locale, then the default
+    const fileLocales = found.locale === DEFAULT_LOCALE ? [DEFAULT_LOCALE] : [found.locale, DEFAULT_LOCALE];
+    const getPartial = partialName => {
+        const partial = findInLocales(fileLocales, path.join('partials', `${partialName}.html`));
+        if (!partial) throw new TemplateError(`Unknown partial: ${partialName}`);
+        return partial.template.nodes;
+    };
+
+    const { meta, nodes } = found.template;
+    const context = { ...data, locale: found.locale, transactional: meta.transactional === 'true' };
+    const subject = meta.subject ? renderNodes(parse(meta.subject, name), context, getPartial, String) : null;
+    const title = meta.title ? renderString(meta.title, context) : '';
+    const body = renderNodes(nodes, context, getPartial);
+
+    let html = body;
+    const layoutName = meta.layout || 'base';
+    if (layoutName !== 'none') {
+        const layout = findInLocales(fileLocales, path.join('layouts', `${layoutName}.html`));
+        if (!layout) throw new TemplateError(`Unknown layout: ${layoutName}`);
+
+        const accent = meta.accent || DEFAULT_ACCENT;
+        html = renderNodes(layout.template.nodes, {
+            ...context,
+            body,
+            title,
+            accent,
+            titleColor: meta.titleColor || accent
+        }, getPartial);
+    }
+
+    return { html, text: htmlToText(html), subject, locale: found.locale };
+}
+
+/**
+ * Plain-text alternative for an HTML email: links become "label (url)",
+ * blocks become lines, and markup and styles are dropped.
+ */
+function htmlToText(html) {
+    return String(html)
+        .replace(/<(head|style|script)[^>]*>[\s\S]*?<\/\1>/gi, '')
+        .replace(/<a\s[^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+            const text = label.replace(/<[^>]+>/g, '').trim();
+            return !text || text === href ? href : `${text} (${href})`;
+        })
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<li[^>]*>/gi, '\n- ')
+        .replace(/<\/(p|div|h[1-6]|li|tr|table|ul|ol)>/gi, '\n\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&amp;/g, '&')
+        .split('\n')
+        .map(line => line.replace(/[ \t]+/g, ' ').trim())
+        .join('\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Template names and the locales each is available in, for previews.
+ */
+function listTemplates() {
+    const templates = {};
+    const locales = fs.readdirSync(TEMPLATE_DIR, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort();
+
+    for (const locale of locales) {
+        for (const file of fs.readdirSync(path.join(TEMPLATE_DIR, locale))) {
+            if (!file.endsWith('.html')) continue;
+            const name = file.slice(0, -'.html'.length);
+            (templates[name] = templates[name] || []).push(locale);
+        }
+    }
+    return templates;
+}
+
+/**
+ * Sample data for previewing a template (templates/email/samples.json).
+ */
+function getSampleData(name) {
+    const samples = JSON.parse(fs.readFileSync(path.join(TEMPLATE_DIR, 'samples.json'), 'utf8'));
+    return { ...samples.common, ...(samples[name] || {}) };
+}
+
+module.exports = {
+    render,
+    renderString,
+    htmlToText,
+    escapeHtml,
+    getLocaleChain,
+    listTemplates,
+    getSampleData,
+    TemplateError,
+    DEFAULT_LOCALE
+};
@@ -0,0 +1,217 @@
+/**
+ * server/utils/icalendar.js
+ * Small iCalendar (RFC 5545) reader and writer.
+ *
+ * Reading covers what imports need: line unfolding, property parameters,
+ * text unescaping, DATE / DATE-TIME values and DURATION. Writing covers the
+ * calendar feed: escaping, line folding and DATE / DATE-TIME formatting.
+ */
+
+/**
+ * Split raw .ics text into logical content lines.
+ */
+function unfoldLines(text) {
+    return String(text)
+        .replace(/\r\n/g, '\n')
+        .replace(/\n[ \t]/g, '')
+        .split('\n')
+        .filter(line => line.trim() !== '');
+}
+
+function unescapeText(value) {
+    return value
+        .replace(/\\n/gi, '\n')
+        .replace(/\\([,;\\])/g, '$1');
+}
+
+/**
+ * Parse one content line into { name, params, value }.
+ */
+function parseLine(line) {
+    // The value starts at the first colon outside a quoted parameter
+    let inQuotes = false;
+    let colon = -1;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === '"') inQuotes = !inQuotes;
+        if (line[i] === ':' && !inQuotes) {
+            colon = i;
+            break;
+        }
+    }
+    if (colon === -1) return null;
+
+    const [name, ...rawParams] = line.slice(0, colon).split(';');
+    const params = {};
+    rawParams.forEach(param => {
+        const [key, ...rest] = param.split('=');
+        params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    });
+
+    return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Parse an .ics document into a list of components.
+ * Each component is { type, properties: { NAME: [{ params, value }] }, line }.
+ * Only components of the requested types are returned (nested ones included).
+ */
+function parseComponents(text, types = ['VEVENT', 'VTODO']) {
+    const lines = unfoldLines(text);
+    const wanted = new Set(types);
+    const components = [];
+    const stack = [];
+    const calendar = { properties: {} };
+
+    lines.forEach((line, index) => {
+        const parsed = parseLine(line);
+        if (!parsed) return;
+
+        if (parsed.name === 'BEGIN') {
+            stack.push({ type: parsed.value.toUpperCase(), properties: {}, line: index + 1 });
+            return;
+        }
+        if (parsed.name === 'END') {
+            const component = stack.pop();
+            if (component && wanted.has(component.type)) {
+                components.push(component);
+            }
+            return;
+        }
+
+        const current = stack[stack.length - 1];
+        const target = current && current.type === 'VCALENDAR' ? calendar : current;
+        if (!target) return;
+
+        target.properties[parsed.name] = target.properties[parsed.name] || [];
+        target.properties[parsed.name].push({ params: parsed.params, value: parsed.value });
+    });
+
+    return { calendar, components };
+}
+
+/**
+ * First value of a property, unescaped, or undefined.
+ */
+function getText(component, name) {
+    const entries = component.properties[name];
+    return entries && entries.length ? unescapeText(entries[0].value).trim() : undefined;
+}
+
+/**
+ * Parse a DATE or DATE-TIME property. Floating and TZID times are read as
+ * wall-clock times in UTC, which is enough to know the day they fall on.
+ * Returns { date, allDay } or null.
+ */
+function getDate(component, name) {
+    const entries = component.properties[name];
+    if (!entries || !entries.length) return null;
+
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(entries[0].value.trim());
+    if (!match) return null;
+
+    const [, year, month, day, hour, minute, second] = match;
+    const date = new Date(Date.UTC(+year, +month - 1, +day, +(hour || 0), +(minute || 0), +(second || 0)));
+    return { date, allDay: hour === undefined };
+}
+
+/**
+ * Parse an RFC 5545 DURATION (e.g. PT1H30M, P1D) into minutes.
+ */
+function parseDuration(value) {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value || '').trim());
+    if (!match) return null;
+
+    const [, sign, weeks, days, hours, minutes, seconds] = match;
+    const total = (+weeks || 0) * 7 * 1440 + (+days || 0) * 1440 + (+hours || 0) * 60 + (+minutes || 0) + Math.round((+seconds || 0) / 60);
+    return sign === '-' ? -total : total;
+}
+
+/**
+ * Parse an RRULE value into an object, e.g. { FREQ: 'DAILY', INTERVAL: '2' }.
+ */
+function parseRecurrence(component) {
+    const rule = getText(component, 'RRULE');
+    if (!rule) return null;
+
+    return rule.split(';').reduce((parts, part) => {
+        const [key, value] = part.split('=');
+        if (key && value) parts[key.toUpperCase()] = value.toUpperCase();
+        return parts;
+    }, {});
+}
+
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line at 75 octets, continuing with a leading space.
+ */
+function foldLine(line) {
+    if (Buffer.byteLength(line, 'utf8') <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let size = 0;
+    for (const char of line) {
+        const length = Buffer.byteLength(char, 'utf8');
+        // Continuation lines lose one octet to the leading space
+        if (size + length > (parts.length ? 74 : 75)) {
+            parts.push(current);
+            current = '';
+            size = 0;
+        }
+        current += char;
+        size += length;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Format a Date as DATE (YYYYMMDD, from its UTC day) or UTC DATE-TIME.
+ */
+function formatDate(date, allDay = false) {
+    const iso = date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    return allDay ? iso.slice(0, 8) : iso;
+}
+
+/**
+ * Serialise a calendar. `properties` and each component's `properties` are
+ * lists of [name, value] pairs; values are written as given, so text values
+ * must already be escaped with escapeText().
+ */
+function serialize({ properties = [], components = [] }) {
+    const lines = ['BEGIN:VCALENDAR'];
+    properties.forEach(([name, value]) => lines.push(`${name}:${value}`));
+
+    components.forEach(component => {
+        lines.push(`BEGIN:${component.type}`);
+        component.properties
+            .filter(([, value]) => value !== undefined && value !== null && value !== '')
+            .forEach(([name, value]) => lines.push(`${name}:${value}`));
+        lines.push(`END:${component.type}`);
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    unfoldLines,
+    unescapeText,
+    parseLine,
+    parseComponents,
+    getText,
+    getDate,
+    parseDuration,
+    parseRecurrence,
+    escapeText,
+    foldLine,
+    formatDate,
+    serialize
+};
@@ -0,0 +1,73 @@
+/**
+ * Migration script to mark accounts created before email verification existed as verified.
+ *
+ * Those accounts were never sent a verification email, so
+ * REQUIRE_EMAIL_VERIFICATION=true would lock them out of calendar feeds.
+ * Run it before turning the setting on, passing the date verification was
+ * deployed:
+ *
+ *   node server/utils/migrateEmailVerification.js 2026-05-01T00:00:00Z
+ *
+ * Accounts are picked by the creation time in their _id, not by a missing
+ * emailVerified field: the schema default stores emailVerified: false on the
+ * first save after the deploy (the daily login update does one), so a legacy
+ * account that logged in before the migration ran has the field too.
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const dotenv = require('dotenv');
+const path = require('path');
+
+// Load environment variables
+dotenv.config({ path: path.join(__dirname, '..', '..', '.env') });
+
+/**
+ * Mark unverified accounts created before cutoff as verified
+ * @param {Date} cutoff - when email verification was deployed
+ * @returns {Promise<number>} accounts updated
+ */
+async function backfillEmailVerification(cutoff) {
+    if (!(cutoff instanceof Date) || Number.isNaN(cutoff.getTime())) {
+        throw new Error('A valid cutoff date is required');
+    }
+
+    const result = await User.updateMany(
+        {
+            _id: { $lt: mongoose.Types.ObjectId.createFromTime(Math.floor(cutoff.getTime() / 1000)) },
+            emailVerified: { $ne: true },
+            emailVerifiedAt: null
+        },
+        { $set: { emailVerified: true } }
+    );
+    return result.modifiedCount;
+}
+
+async function migrateEmailVerification(cutoff) {
+    if (!cutoff) {
+        throw new Error('Usage: node server/utils/migrateEmailVerification.js <date email verification was deployed>');
+    }
+
+    try {
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('Connected to MongoDB');
+
+        const count = await backfillEmailVerification(new Date(cutoff));
+        console.log(`Marked ${count} existing users as verified`);
+    } finally {
+        await mongoose.disconnect();
+    }
+}
+
+// Run migration if called directly
+if (require.main === module) {
+    migrateEmailVerification(process.argv[2])
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = migrateEmailVerification;
+module.exports.backfillEmailVerification = backfillEmailVerification;
@@ -2,20 +2,20 @@
  * Tracking Utilities (Standalone version for KARVIA)
  *
  * This module provides helper functions for tracking user actions.
- * Events are logged locally - can be connected to analytics service later.
+ * Events are persisted to the TrackingEvent collection through the
+ * buffered event store, so they survive restarts and can feed scoring.
  */
 
-// Simple local event tracking (can be replaced with analytics service)
+const eventStore = require('../services/eventStore');
+
 const trackEvent = async (eventType, eventData, userId, metadata = {}) => {
-    const event = {
+    const event = eventStore.record({
         eventType,
         eventData,
         userId,
-        metadata,
-        timestamp: new Date().toISOString()
-    };
+        metadata
+    });
 
-    // Log locally for now - can integrate with analytics later
     if (process.env.NODE_ENV !== 'production') {
         console.log('[TRACK]', eventType, userId);
     }
@@ -117,6 +117,35 @@ class TrackingUtils {
         }
         return results;
     }
+
+    /**
+     * Get stored events for a user, newest first.
+     * Options: eventType | eventTypes, source, since, until, limit, order
+     */
+    static async getUserEvents(userId, options = {}) {
+        return await eventStore.getUserEvents(userId, options);
+    }
+
+    /**
+     * Count stored events for a user matching the same options as getUserEvents
+     */
+    static async countUserEvents(userId, options = {}) {
+        return await eventStore.countUserEvents(userId, options);
+    }
+
+    /**
+     * Per-event-type counts for a user
+     */
+    static async getUserEventStats(userId, options = {}) {
+        return await eventStore.getUserEventStats(userId, options);
+    }
+
+    /**
+     * Write any buffered events immediately
+     */
+    static async flush() {
+        return await eventStore.flush();
+    }
 }
 
 module.exports = TrackingUtils;
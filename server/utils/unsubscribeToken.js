@@ -0,0 +1,51 @@
+/**
+ * server/utils/unsubscribeToken.js
+ * Signed one-click unsubscribe links.
+ *
+ * A token is the user id plus an HMAC-SHA256 of it, so the link proves which
+ * user it was sent to without a login or a stored token. Tokens do not
+ * expire: an unsubscribe link in an old email must keep working. Rotating
+ * EMAIL_UNSUBSCRIBE_SECRET (JWT_SECRET when unset) invalidates every link.
+ */
+
+const crypto = require('crypto');
+
+function getSecret() {
+    const secret = process.env.EMAIL_UNSUBSCRIBE_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+        throw new Error('EMAIL_UNSUBSCRIBE_SECRET or JWT_SECRET must be set to sign unsubscribe links');
+    }
+    return secret;
+}
+
+function sign(userId) {
+    return crypto.createHmac('sha256', getSecret()).update(`unsubscribe:${userId}`).digest('base64url');
+}
+
+function createUnsubscribeToken(userId) {
+    return `${userId}.${sign(userId)}`;
+}
+
+/**
+ * The user id a token was issued for, or null if it is malformed or forged.
+ */
+function verifyUnsubscribeToken(token) {
+    if (!token || typeof token !== 'string') return null;
+
+    const [userId, signature, ...rest] = token.split('.');
+    if (!userId || !signature || rest.length) return null;
+
+    const expected = Buffer.from(sign(userId));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+    }
+    return userId;
+}
+
+function getUnsubscribeUrl(userId) {
+    const appUrl = process.env.APP_URL || 'http://localhost:3000';
+    return `${appUrl}/api/email/unsubscribe?token=${encodeURIComponent(createUnsubscribeToken(userId))}`;
+}
+
+module.exports = { createUnsubscribeToken, verifyUnsubscribeToken, getUnsubscribeUrl };
@@ -0,0 +1,143 @@
+/**
+ * server/utils/zipWriter.js
+ * Minimal streaming ZIP writer.
+ *
+ * Entries are deflated and written straight to the output stream, with sizes
+ * and CRCs in trailing data descriptors, so an archive never has to be held in
+ * memory. ZIP64 is not supported: entries and archives must stay under 4GB.
+ */
+
+const zlib = require('zlib');
+const { once } = require('events');
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer, previous = 0) {
+    let crc = previous ^ 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function toDosDateTime(date) {
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    return { time, date: day };
+}
+
+class ZipWriter {
+    /**
+     * @param {stream.Writable} output - destination, e.g. an HTTP response
+     */
+    constructor(output) {
+        this.output = output;
+        this.offset = 0;
+        this.entries = [];
+    }
+
+    async write(chunk) {
+        this.offset += chunk.length;
+        if (!this.output.write(chunk)) {
+            await once(this.output, 'drain');
+        }
+    }
+
+    /**
+     * Add an entry from a Buffer, string, or (async) iterable of them.
+     */
+    async addEntry(name, source, { date = new Date() } = {}) {
+        const fileName = Buffer.from(name, 'utf8');
+        const dos = toDosDateTime(date);
+        const entry = { fileName, dos, offset: this.offset, crc: 0, compressedSize: 0, size: 0 };
+
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);          // version needed
+        header.writeUInt16LE(0x0808, 6);      // data descriptor + UTF-8 names
+        header.writeUInt16LE(8, 8);           // deflate
+        header.writeUInt16LE(dos.time, 10);
+        header.writeUInt16LE(dos.date, 12);
+        // CRC and sizes (14-25) are left zero and sent in the data descriptor
+        header.writeUInt16LE(fileName.length, 26);
+        header.writeUInt16LE(0, 28);
+        await this.write(header);
+        await this.write(fileName);
+
+        const deflate = zlib.createDeflateRaw();
+        const pump = (async () => {
+            for await (const compressed of deflate) {
+                entry.compressedSize += compressed.length;
+                await this.write(compressed);
+            }
+        })();
+
+        const chunks = typeof source === 'string' || Buffer.isBuffer(source) ? [source] : source;
+        for await (const part of chunks) {
+            const buffer = Buffer.isBuffer(part) ? part : Buffer.from(String(part), 'utf8');
+            if (buffer.length === 0) continue;
+            entry.crc = crc32(buffer, entry.crc);
+            entry.size += buffer.length;
+            if (!deflate.write(buffer)) {
+                await once(deflate, 'drain');
+            }
+        }
+        deflate.end();
+        await pump;
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(0x08074b50, 0);
+        descriptor.writeUInt32LE(entry.crc, 4);
+        descriptor.writeUInt32LE(entry.compressedSize, 8);
+        descriptor.writeUInt32LE(entry.size, 12);
+        await this.write(descriptor);
+
+        this.entries.push(entry);
+    }
+
+    /**
+     * Write the central directory. The output stream is left open.
+     */
+    async finalize() {
+        const start = this.offset;
+
+        for (const entry of this.entries) {
+            const record = Buffer.alloc(46);
+            record.writeUInt32LE(0x02014b50, 0);
+            record.writeUInt16LE(20, 4);      // version made by
+            record.writeUInt16LE(20, 6);      // version needed
+            record.writeUInt16LE(0x0808, 8);
+            record.writeUInt16LE(8, 10);
+            record.writeUInt16LE(entry.dos.time, 12);
+            record.writeUInt16LE(entry.dos.date, 14);
+            record.writeUInt32LE(entry.crc, 16);
+            record.writeUInt32LE(entry.compressedSize, 20);
+            record.writeUInt32LE(entry.size, 24);
+            record.writeUInt16LE(entry.fileName.length, 28);
+            record.writeUInt32LE(entry.offset, 42);
+            await this.write(record);
+            await this.write(entry.fileName);
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(this.entries.length, 8);
+        end.writeUInt16LE(this.entries.length, 10);
+        end.writeUInt32LE(this.offset - start, 12);
+        end.writeUInt32LE(start, 16);
+        await this.write(end);
+    }
+}
+
+module.exports = ZipWriter;
+module.exports.crc32 = crc32;
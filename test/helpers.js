@@ -0,0 +1,35 @@
+/**
+ * test/helpers.js
+ * Fakes shared by the API suites in server/api.
+ */
+
+const express = require('express');
+
+/**
+ * Stand-in for a mongoose query that resolves to `result`, whether it is
+ * awaited directly or after any of the chained query helpers.
+ */
+function chain(result) {
+    const query = {
+        select: () => query,
+        sort: () => query,
+        limit: () => query,
+        populate: () => query,
+        lean: () => Promise.resolve(result),
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+    };
+    return query;
+}
+
+/**
+ * An Express app that parses JSON bodies and mounts the given routers,
+ * e.g. buildApp({ '/api/dreams': dreamRoutes }).
+ */
+function buildApp(routes) {
+    const app = express();
+    app.use(express.json());
+    Object.entries(routes).forEach(([path, router]) => app.use(path, router));
+    return app;
+}
+
+module.exports = { chain, buildApp };